@@ -12,8 +12,11 @@ import { resolve as resolvePath } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { readFileSync } from 'node:fs';
 import { readFile as readFileAsync } from 'node:fs/promises';
-import { createPlan, getPlan, getTask, listPlans, planUpdate, repairPlanDoc, searchTasks, taskAdd, taskDelete, taskUpdate, validatePlanDoc, } from './todo/api.js';
+import { createPlan, getPlan, getTask, listPlansPage, locateTask, planArchive, planDelete, planRename, planStats, planUpdate, repairPlanDoc, searchTasks, sectionAdd, sectionDelete, sectionList, sectionMove, sectionRename, taskAdd, taskDelete, taskHistory, taskMove, taskTransfer, taskUpdate, validatePlanDoc, } from './todo/api.js';
 import { DEFAULT_PLANS_DIR } from './todo/constants.js';
+import { parseLockTimeout } from './todo/lock.js';
+import { runMergeDriver } from './todo/merge.js';
+import { watchPlans } from './todo/watch.js';
 /**
  * Render CLI help text.
  *
@@ -24,31 +27,54 @@ function helpText(defaultRoot) {
         'long-term-plan — long-term plan CLI (structured Markdown)',
         '',
         'Usage:',
-        '  long-term-plan [--root <dir>] [--plans <dir>] <cmd>',
+        '  long-term-plan [--root <dir>] [--plans <dir>] [--lock-timeout <ms>] <cmd>',
         '',
         'Plan:',
-        '  long-term-plan plan list [--query <text>]',
-        '  long-term-plan plan get <planId> [--view tree|flat]',
-        '  long-term-plan plan create <planId> --title <text> [--template empty|basic]',
-        '  long-term-plan plan update <planId> [--title <text>] [--body <text>|--body-stdin|--body-file <path>|--clear-body] [--if-match <etag>]',
+        '  long-term-plan plan list [--query <text>] [--archived] [--limit <n>] [--cursor <cursor>]',
+        '  long-term-plan plan get <planId> [--view tree|flat] [--filter <expr>] [--limit <n>] [--cursor <cursor>]',
+        '  long-term-plan plan stats <planId> [--by section|parent]',
+        '  long-term-plan plan create <planId> --title <text> [--template empty|basic] [--format v1|v2]',
+        '  long-term-plan plan update <planId> [--title <text>] [--body <text>|--body-stdin|--body-file <path>|--clear-body] [--format v1|v2] [--if-match <etag>]',
+        '  long-term-plan plan delete <planId> --if-match <etag>',
+        '  long-term-plan plan rename <planId> <newPlanId> [--if-match <etag>]',
+        '  long-term-plan plan archive <planId> [--restore] [--if-match <etag>]',
         '',
         'Task:',
         '  long-term-plan task get <planId> [taskId]',
         '  long-term-plan task next <planId>',
-        '  long-term-plan task add <planId> --title <text> [--status todo|doing|done] [--body <text>|--body-stdin|--body-file <path>] [--section A/B] [--parent <taskId>] [--before <taskId>] [--if-match <etag>]',
-        '  long-term-plan task update <planId> [taskId] [--status todo|doing|done] [--title <text>] [--body <text>|--body-stdin|--body-file <path>|--clear-body] [--allow-default] [--if-match <etag>]',
-        '  long-term-plan task start <planId> <taskId>',
-        '  long-term-plan task done <planId> <taskId>',
+        '  long-term-plan task locate <taskId>',
+        '  long-term-plan task history <planId> <taskId>',
+        '  long-term-plan task add <planId> --title <text> [--status todo|doing|done|blocked|cancelled] [--body <text>|--body-stdin|--body-file <path>] [--section A/B] [--parent <taskId>] [--before <taskId>] [--due YYYY-MM-DD] [--priority P0..P3] [--tags a,b] [--owner <name>] [--depends-on <ref,...>] [--if-match <etag>]',
+        '  long-term-plan task update <planId> [taskId] [--status todo|doing|done|blocked|cancelled] [--title <text>] [--body <text>|--body-stdin|--body-file <path>|--clear-body] [--due YYYY-MM-DD] [--priority P0..P3] [--tags a,b] [--owner <name>] [--depends-on <ref,...>] [--clear-meta due,priority,tags,owner,dependsOn] [--allow-default] [--propagate] [--cascade descendants [--only-from todo,...]] [--if-match <etag>]',
+        '  long-term-plan task start <planId> <taskId> [--propagate]',
+        '  long-term-plan task done <planId> <taskId> [--propagate] [--cascade descendants [--only-from todo,...]]',
         '  long-term-plan task delete <planId> <taskId> [--if-match <etag>]',
-        '  long-term-plan task search <planId> --query <text> [--status todo|doing|done] [--limit <n>]',
+        '  long-term-plan task move <planId> <taskId> [--section A/B] [--parent <taskId>] [--before <taskId>] [--if-match <etag>]',
+        '  long-term-plan task transfer <fromPlanId> <taskId> --to <planId> [--copy] [--section A/B] [--parent <taskId>] [--before <taskId>] --from-if-match <etag> --to-if-match <etag>',
+        '  long-term-plan task search <planId>|--all [--query <text>] [--filter <expr>] [--in title,body,section,tags] [--status todo|doing|done|blocked|cancelled] [--limit <n>]',
+        '',
+        'Section:',
+        '  long-term-plan section list <planId>',
+        '  long-term-plan section add <planId> <A/B> [--before <A/C>] [--if-match <etag>]',
+        '  long-term-plan section rename <planId> <A/B> --title <text> [--if-match <etag>]',
+        '  long-term-plan section move <planId> <A/B> [--parent <A>] [--before <C>] [--if-match <etag>]',
+        '  long-term-plan section delete <planId> <A/B> [--cascade] [--if-match <etag>]',
         '',
         'Doc:',
         '  long-term-plan doc validate <planId>',
         '  long-term-plan doc repair <planId> --actions addFormatHeader,addMissingIds [--dry-run] [--if-match <etag>]',
         '',
+        'Watch:',
+        '  long-term-plan watch [planId]',
+        '',
+        'Git:',
+        '  long-term-plan merge-driver <base> <ours> <theirs> [--marker-size <n>]',
+        '',
         'Notes:',
         `  Defaults: --root=${defaultRoot} --plans=${DEFAULT_PLANS_DIR}`,
         '  Note: --body-file paths are resolved relative to the current working directory (not --root).',
+        '  Writes lock the plan file (<plan>.md.lock); --lock-timeout sets how long to wait for another writer (default 10000).',
+        '  Filters: field:value terms (status, section, under, has, id, title, tag, owner, priority) joined by AND/OR/NOT and ( ); e.g. --filter \'status:doing section:"Milestones/Sprint 1"\'.',
         '  Output: JSON to stdout; errors to stderr.',
         '',
     ].join('\n');
@@ -136,10 +162,74 @@ function parseSectionPath(value) {
 function parseStatus(value, flagName) {
     if (!value)
         return undefined;
-    if (value === 'todo' || value === 'doing' || value === 'done')
+    if (value === 'todo' ||
+        value === 'doing' ||
+        value === 'done' ||
+        value === 'blocked' ||
+        value === 'cancelled') {
         return value;
+    }
     throw new Error(`Invalid ${flagName}: ${JSON.stringify(value)}`);
 }
+/**
+ * Read `--cascade descendants` and `--only-from todo,...` for status updates.
+ */
+function takeCascadeArgs(argv) {
+    const cascadeRaw = takeOption(argv, '--cascade');
+    const onlyFromRaw = takeOption(argv, '--only-from');
+    if (cascadeRaw !== undefined && cascadeRaw !== 'descendants') {
+        throw new Error(`Invalid --cascade: ${JSON.stringify(cascadeRaw)}`);
+    }
+    const onlyFrom = onlyFromRaw
+        ?.split(',')
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map((part) => parseStatus(part, '--only-from'));
+    return { cascade: cascadeRaw, onlyFrom };
+}
+/**
+ * Read task metadata flags into a metadata patch.
+ *
+ * Supported flags:
+ * - `--due YYYY-MM-DD`, `--priority P0..P3`, `--tags a,b`, `--owner <name>`
+ * - `--depends-on t_a,otherPlan:t_b` (task refs)
+ * - `--clear-meta due,priority,tags,owner,dependsOn` (update only) to remove fields
+ *
+ * Value grammar is validated by the edit layer so CLI and server agree.
+ */
+function takeMetaArgs(argv, options) {
+    const patch = {};
+    const due = takeOption(argv, '--due');
+    const priority = takeOption(argv, '--priority');
+    const tags = takeOption(argv, '--tags');
+    const owner = takeOption(argv, '--owner');
+    const dependsOn = takeOption(argv, '--depends-on');
+    if (due !== undefined)
+        patch.due = due;
+    if (priority !== undefined)
+        patch.priority = priority;
+    if (tags !== undefined)
+        patch.tags = tags.split(',').map((tag) => tag.trim()).filter(Boolean);
+    if (owner !== undefined)
+        patch.owner = owner;
+    if (dependsOn !== undefined)
+        patch.dependsOn = dependsOn.split(',').map((ref) => ref.trim()).filter(Boolean);
+    const clearRaw = options.allowClear ? takeOption(argv, '--clear-meta') : undefined;
+    for (const field of (clearRaw ?? '').split(',').map((f) => f.trim()).filter(Boolean)) {
+        if (field !== 'due' &&
+            field !== 'priority' &&
+            field !== 'tags' &&
+            field !== 'owner' &&
+            field !== 'dependsOn') {
+            throw new Error(`Invalid --clear-meta field: ${JSON.stringify(field)}`);
+        }
+        if (patch[field] !== undefined) {
+            throw new Error(`--clear-meta ${field} conflicts with --${field === 'dependsOn' ? 'depends-on' : field}`);
+        }
+        patch[field] = null;
+    }
+    return patch;
+}
 /**
  * Parse `--view` into a supported plan view.
  */
@@ -150,6 +240,42 @@ function parseView(value) {
         return value;
     throw new Error(`Invalid --view: ${JSON.stringify(value)}`);
 }
+/**
+ * Parse `--limit` for paged output (a positive integer).
+ */
+function parsePageLimit(value) {
+    if (value === undefined)
+        return undefined;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1)
+        throw new Error(`Invalid --limit: ${JSON.stringify(value)}`);
+    return limit;
+}
+/**
+ * Parse `--in title,body,...` into search fields.
+ */
+function parseSearchFields(value) {
+    if (!value)
+        return undefined;
+    const fields = [];
+    for (const raw of value.split(',').map((part) => part.trim()).filter(Boolean)) {
+        if (raw !== 'title' && raw !== 'body' && raw !== 'section' && raw !== 'tags') {
+            throw new Error(`Invalid --in field: ${JSON.stringify(raw)}`);
+        }
+        fields.push(raw);
+    }
+    return fields.length > 0 ? fields : undefined;
+}
+/**
+ * Parse `--format` into a supported plan format version.
+ */
+function parseFormatVersion(value) {
+    if (!value)
+        return undefined;
+    if (value === 'v1' || value === 'v2')
+        return value;
+    throw new Error(`Invalid --format: ${JSON.stringify(value)}`);
+}
 /**
  * Parse `--template` into a supported plan template.
  */
@@ -205,7 +331,7 @@ async function takeBodyArgs(argv, defaultRoot) {
     return {};
 }
 /**
- * Parse global CLI options (`--root`, `--plans`) into an API config object.
+ * Parse global CLI options (`--root`, `--plans`, `--lock-timeout`) into an API config object.
  *
  * Commands share the same config shape as the MCP server.
  */
@@ -218,7 +344,9 @@ function takeCliConfig(argv, defaultRoot) {
     const plansArg = takeOption(argv, '--plans');
     if (plansArg)
         plansDir = plansArg;
-    return { rootDir, plansDir };
+    const lockTimeoutRaw = takeOption(argv, '--lock-timeout');
+    const lockTimeoutMs = lockTimeoutRaw === undefined ? undefined : parseLockTimeout(lockTimeoutRaw);
+    return { rootDir, plansDir, lockTimeoutMs };
 }
 /**
  * Execute `long-term-plan plan ...` commands.
@@ -227,43 +355,92 @@ async function handlePlanCommand(config, argv, io, defaultRoot) {
     const sub = argv.shift();
     if (sub === 'list') {
         const query = takeOption(argv, '--query');
+        const includeArchived = takeFlag(argv, '--archived');
+        const limit = parsePageLimit(takeOption(argv, '--limit'));
+        const cursor = takeOption(argv, '--cursor');
         assertNoUnknownFlags(argv);
-        const plans = await listPlans(config, { query });
-        writeJson(io, { plans });
+        writeJson(io, await listPlansPage(config, { query, includeArchived, limit, cursor }));
         return 0;
     }
     if (sub === 'get') {
         const planId = argv.shift();
         const view = parseView(takeOption(argv, '--view'));
+        const filter = takeOption(argv, '--filter');
+        const limit = parsePageLimit(takeOption(argv, '--limit'));
+        const cursor = takeOption(argv, '--cursor');
+        assertNoUnknownFlags(argv);
+        if (!planId)
+            throw new Error('Missing <planId>');
+        writeJson(io, await getPlan(config, { planId, view, filter, limit, cursor }));
+        return 0;
+    }
+    if (sub === 'stats') {
+        const planId = argv.shift();
+        const by = takeOption(argv, '--by');
+        assertNoUnknownFlags(argv);
+        if (!planId)
+            throw new Error('Missing <planId>');
+        if (by !== undefined && by !== 'section' && by !== 'parent') {
+            throw new Error(`Invalid --by: ${JSON.stringify(by)}`);
+        }
+        writeJson(io, await planStats(config, { planId, by }));
+        return 0;
+    }
+    if (sub === 'delete') {
+        const planId = argv.shift();
+        const ifMatch = takeOption(argv, '--if-match');
         assertNoUnknownFlags(argv);
         if (!planId)
             throw new Error('Missing <planId>');
-        const { plan, etag } = await getPlan(config, { planId, view });
-        writeJson(io, { plan, etag });
+        if (!ifMatch)
+            throw new Error('Missing --if-match');
+        writeJson(io, await planDelete(config, { planId, ifMatch }));
+        return 0;
+    }
+    if (sub === 'rename') {
+        const planId = argv.shift();
+        const newPlanId = argv.shift();
+        const ifMatch = takeOption(argv, '--if-match');
+        assertNoUnknownFlags(argv);
+        if (!planId || !newPlanId)
+            throw new Error('Missing <planId> <newPlanId>');
+        writeJson(io, await planRename(config, { planId, newPlanId, ifMatch }));
+        return 0;
+    }
+    if (sub === 'archive') {
+        const planId = argv.shift();
+        const restore = takeFlag(argv, '--restore');
+        const ifMatch = takeOption(argv, '--if-match');
+        assertNoUnknownFlags(argv);
+        if (!planId)
+            throw new Error('Missing <planId>');
+        writeJson(io, await planArchive(config, { planId, restore, ifMatch }));
         return 0;
     }
     if (sub === 'create') {
         const planId = argv.shift();
         const title = takeOption(argv, '--title');
         const template = parseTemplate(takeOption(argv, '--template'));
+        const format = parseFormatVersion(takeOption(argv, '--format'));
         assertNoUnknownFlags(argv);
         if (!planId)
             throw new Error('Missing <planId>');
         if (!title)
             throw new Error('Missing --title');
-        const created = await createPlan(config, { planId, title, template });
+        const created = await createPlan(config, { planId, title, template, format });
         writeJson(io, created);
         return 0;
     }
     if (sub === 'update') {
         const planId = argv.shift();
         const title = takeOption(argv, '--title');
+        const format = parseFormatVersion(takeOption(argv, '--format'));
         const ifMatch = takeOption(argv, '--if-match');
         const { bodyMarkdown, clearBody } = await takeBodyArgs(argv, defaultRoot);
         assertNoUnknownFlags(argv);
         if (!planId)
             throw new Error('Missing <planId>');
-        const { etag } = await planUpdate(config, { planId, title, bodyMarkdown, clearBody, ifMatch });
+        const { etag } = await planUpdate(config, { planId, title, bodyMarkdown, clearBody, format, ifMatch });
         writeJson(io, { etag });
         return 0;
     }
@@ -284,6 +461,23 @@ async function handleTaskCommand(config, argv, io, defaultRoot) {
         writeJson(io, { task, etag });
         return 0;
     }
+    if (sub === 'locate') {
+        const taskId = argv.shift();
+        assertNoUnknownFlags(argv);
+        if (!taskId)
+            throw new Error('Missing <taskId>');
+        writeJson(io, await locateTask(config, { taskId }));
+        return 0;
+    }
+    if (sub === 'history') {
+        const planId = argv.shift();
+        const taskId = argv.shift();
+        assertNoUnknownFlags(argv);
+        if (!planId || !taskId)
+            throw new Error('Missing <planId> <taskId>');
+        writeJson(io, await taskHistory(config, { planId, taskId }));
+        return 0;
+    }
     if (sub === 'add') {
         const planId = argv.shift();
         const title = takeOption(argv, '--title');
@@ -292,6 +486,7 @@ async function handleTaskCommand(config, argv, io, defaultRoot) {
         const sectionPath = parseSectionPath(takeOption(argv, '--section'));
         const parentTaskId = takeOption(argv, '--parent');
         const beforeTaskId = takeOption(argv, '--before');
+        const meta = takeMetaArgs(argv, { allowClear: false });
         const ifMatch = takeOption(argv, '--if-match');
         assertNoUnknownFlags(argv);
         if (!planId)
@@ -306,6 +501,7 @@ async function handleTaskCommand(config, argv, io, defaultRoot) {
             sectionPath,
             parentTaskId,
             beforeTaskId,
+            meta,
             ifMatch,
         });
         writeJson(io, { taskId, etag });
@@ -317,35 +513,43 @@ async function handleTaskCommand(config, argv, io, defaultRoot) {
         const status = parseStatus(takeOption(argv, '--status'), '--status');
         const title = takeOption(argv, '--title');
         const { bodyMarkdown, clearBody } = await takeBodyArgs(argv, defaultRoot);
+        const meta = takeMetaArgs(argv, { allowClear: true });
         const allowDefaultTarget = takeFlag(argv, '--allow-default') || takeFlag(argv, '--allow-default-target');
+        const propagate = takeFlag(argv, '--propagate');
+        const { cascade, onlyFrom } = takeCascadeArgs(argv);
         const ifMatch = takeOption(argv, '--if-match');
         assertNoUnknownFlags(argv);
         if (!planId)
             throw new Error('Missing <planId>');
-        const { taskId: updatedTaskId, etag } = await taskUpdate(config, {
+        const result = await taskUpdate(config, {
             planId,
             taskId,
             status,
             title,
             bodyMarkdown,
             clearBody,
+            meta,
             allowDefaultTarget,
+            propagate,
+            cascade,
+            onlyFrom,
             ifMatch,
         });
-        writeJson(io, { taskId: updatedTaskId, etag });
+        writeJson(io, result);
         return 0;
     }
     if (sub === 'start' || sub === 'done') {
         const planId = argv.shift();
         const taskId = argv.shift();
         const status = sub === 'start' ? 'doing' : 'done';
+        const propagate = takeFlag(argv, '--propagate');
+        const { cascade, onlyFrom } = sub === 'done' ? takeCascadeArgs(argv) : {};
         assertNoUnknownFlags(argv);
         if (!planId)
             throw new Error('Missing <planId>');
         if (!taskId)
             throw new Error('Missing <taskId>');
-        const { taskId: updatedTaskId, etag } = await taskUpdate(config, { planId, taskId, status });
-        writeJson(io, { taskId: updatedTaskId, etag });
+        writeJson(io, await taskUpdate(config, { planId, taskId, status, propagate, cascade, onlyFrom }));
         return 0;
     }
     if (sub === 'delete') {
@@ -361,26 +565,144 @@ async function handleTaskCommand(config, argv, io, defaultRoot) {
         writeJson(io, { etag });
         return 0;
     }
-    if (sub === 'search') {
+    if (sub === 'move') {
         const planId = argv.shift();
+        const taskId = argv.shift();
+        const sectionPath = parseSectionPath(takeOption(argv, '--section'));
+        const parentTaskId = takeOption(argv, '--parent');
+        const beforeTaskId = takeOption(argv, '--before');
+        const ifMatch = takeOption(argv, '--if-match');
+        assertNoUnknownFlags(argv);
+        if (!planId)
+            throw new Error('Missing <planId>');
+        if (!taskId)
+            throw new Error('Missing <taskId>');
+        const moved = await taskMove(config, {
+            planId,
+            taskId,
+            sectionPath,
+            parentTaskId,
+            beforeTaskId,
+            ifMatch,
+        });
+        writeJson(io, moved);
+        return 0;
+    }
+    if (sub === 'transfer') {
+        const fromPlanId = argv.shift();
+        const taskId = argv.shift();
+        const toPlanId = takeOption(argv, '--to');
+        const mode = takeFlag(argv, '--copy') ? 'copy' : 'move';
+        const sectionPath = parseSectionPath(takeOption(argv, '--section'));
+        const parentTaskId = takeOption(argv, '--parent');
+        const beforeTaskId = takeOption(argv, '--before');
+        const fromIfMatch = takeOption(argv, '--from-if-match');
+        const toIfMatch = takeOption(argv, '--to-if-match');
+        assertNoUnknownFlags(argv);
+        if (!fromPlanId)
+            throw new Error('Missing <fromPlanId>');
+        if (!taskId)
+            throw new Error('Missing <taskId>');
+        if (!toPlanId)
+            throw new Error('Missing --to');
+        if (!fromIfMatch)
+            throw new Error('Missing --from-if-match');
+        if (!toIfMatch)
+            throw new Error('Missing --to-if-match');
+        const transferred = await taskTransfer(config, {
+            fromPlanId,
+            toPlanId,
+            taskId,
+            mode,
+            sectionPath,
+            parentTaskId,
+            beforeTaskId,
+            fromIfMatch,
+            toIfMatch,
+        });
+        writeJson(io, transferred);
+        return 0;
+    }
+    if (sub === 'search') {
+        const all = takeFlag(argv, '--all');
         const query = takeOption(argv, '--query');
+        const filter = takeOption(argv, '--filter');
+        const fields = parseSearchFields(takeOption(argv, '--in'));
         const status = parseStatus(takeOption(argv, '--status'), '--status');
         const limitRaw = takeOption(argv, '--limit');
         const limit = limitRaw ? Number(limitRaw) : undefined;
+        const planId = all ? undefined : argv.shift();
         assertNoUnknownFlags(argv);
-        if (!planId)
-            throw new Error('Missing <planId>');
-        if (!query)
-            throw new Error('Missing --query');
+        if (all && argv.length > 0)
+            throw new Error('--all cannot be combined with <planId>');
+        if (!all && !planId)
+            throw new Error('Missing <planId> (or pass --all)');
+        if (!query && !filter)
+            throw new Error('Missing --query (or --filter)');
         if (limit !== undefined && (!Number.isFinite(limit) || limit <= 0)) {
             throw new Error(`Invalid --limit: ${JSON.stringify(limitRaw)}`);
         }
-        const hits = await searchTasks(config, { planId, query, status, limit });
-        writeJson(io, { hits });
+        const result = await searchTasks(config, { planId, query, filter, fields, status, limit });
+        writeJson(io, result);
         return 0;
     }
     throw new Error(`Unknown task command: ${sub ?? '(missing)'}`);
 }
+/**
+ * Execute `long-term-plan section ...` commands.
+ *
+ * Section paths are positional and use the same `A/B` syntax as `--section`.
+ */
+async function handleSectionCommand(config, argv, io) {
+    const sub = argv.shift();
+    if (sub === 'list') {
+        const planId = argv.shift();
+        assertNoUnknownFlags(argv);
+        if (!planId)
+            throw new Error('Missing <planId>');
+        writeJson(io, await sectionList(config, { planId }));
+        return 0;
+    }
+    const planId = argv.shift();
+    const sectionPath = parseSectionPath(argv.shift());
+    const ifMatch = takeOption(argv, '--if-match');
+    if (sub === 'add') {
+        const beforeSectionPath = parseSectionPath(takeOption(argv, '--before'));
+        assertNoUnknownFlags(argv);
+        if (!planId || !sectionPath)
+            throw new Error('Missing <planId> <sectionPath>');
+        writeJson(io, await sectionAdd(config, { planId, sectionPath, beforeSectionPath, ifMatch }));
+        return 0;
+    }
+    if (sub === 'rename') {
+        const title = takeOption(argv, '--title');
+        assertNoUnknownFlags(argv);
+        if (!planId || !sectionPath)
+            throw new Error('Missing <planId> <sectionPath>');
+        if (!title)
+            throw new Error('Missing --title');
+        writeJson(io, await sectionRename(config, { planId, sectionPath, title, ifMatch }));
+        return 0;
+    }
+    if (sub === 'move') {
+        const parentSectionPath = parseSectionPath(takeOption(argv, '--parent'));
+        const beforeSectionPath = parseSectionPath(takeOption(argv, '--before'));
+        assertNoUnknownFlags(argv);
+        if (!planId || !sectionPath)
+            throw new Error('Missing <planId> <sectionPath>');
+        writeJson(io, await sectionMove(config, { planId, sectionPath, parentSectionPath, beforeSectionPath, ifMatch }));
+        return 0;
+    }
+    if (sub === 'delete') {
+        const cascade = takeFlag(argv, '--cascade');
+        assertNoUnknownFlags(argv);
+        if (!planId || !sectionPath)
+            throw new Error('Missing <planId> <sectionPath>');
+        writeJson(io, await sectionDelete(config, { planId, sectionPath, cascade, ifMatch }));
+        return 0;
+    }
+    throw new Error(`Unknown section command: ${sub ?? '(missing)'}`);
+}
 /**
  * Execute `long-term-plan doc ...` commands.
  */
@@ -412,6 +734,67 @@ async function handleDocCommand(config, argv, io) {
     }
     throw new Error(`Unknown doc command: ${sub ?? '(missing)'}`);
 }
+/**
+ * Execute `long-term-plan merge-driver <base> <ours> <theirs>` (git's `%O %A %B`).
+ *
+ * The result is written over `<ours>`. Exit code 1 means conflict markers were
+ * written, which is what git expects from a merge driver.
+ */
+async function handleMergeDriverCommand(argv, io) {
+    const markerSizeRaw = takeOption(argv, '--marker-size');
+    assertNoUnknownFlags(argv);
+    const [base, ours, theirs] = argv;
+    if (!base || !ours || !theirs)
+        throw new Error('Missing <base> <ours> <theirs>');
+    let markerSize;
+    if (markerSizeRaw !== undefined) {
+        markerSize = Number(markerSizeRaw);
+        if (!Number.isInteger(markerSize) || markerSize < 1)
+            throw new Error(`Invalid --marker-size: "${markerSizeRaw}"`);
+    }
+    const result = await runMergeDriver({ base: resolvePath(base), ours: resolvePath(ours), theirs: resolvePath(theirs) }, { markerSize });
+    if (result.reason) {
+        io.stderr.write(`long-term-plan merge-driver: ${result.reason}; used a line-based merge instead\n`);
+    }
+    return result.conflicts > 0 ? 1 : 0;
+}
+/**
+ * Execute `long-term-plan watch [planId]`: print one JSON line per plan change
+ * until interrupted.
+ */
+async function handleWatchCommand(config, argv, io) {
+    assertNoUnknownFlags(argv);
+    const planId = argv.shift();
+    let fail = () => undefined;
+    const failed = new Promise((_resolve, reject) => {
+        fail = reject;
+    });
+    const watcher = await watchPlans(config, {
+        planId,
+        onChange: (event) => io.stdout.write(`${JSON.stringify(event)}\n`),
+        onError: (error) => fail(error),
+    });
+    const stop = new AbortController();
+    const onSignal = () => stop.abort();
+    process.once('SIGINT', onSignal);
+    process.once('SIGTERM', onSignal);
+    io.signal?.addEventListener('abort', onSignal, { once: true });
+    if (io.signal?.aborted)
+        stop.abort();
+    try {
+        await Promise.race([
+            failed,
+            new Promise((resolve) => stop.signal.addEventListener('abort', resolve, { once: true })),
+        ]);
+    }
+    finally {
+        process.off('SIGINT', onSignal);
+        process.off('SIGTERM', onSignal);
+        io.signal?.removeEventListener('abort', onSignal);
+        watcher.close();
+    }
+    return 0;
+}
 /**
  * Run the CLI with a provided argv array (excluding `node` and script path).
  *
@@ -438,9 +821,18 @@ export async function runLongTermPlanCli(args, io = { stdout: process.stdout, st
         if (cmd === 'task') {
             return await handleTaskCommand(config, argv, io, defaultRoot);
         }
+        if (cmd === 'section') {
+            return await handleSectionCommand(config, argv, io);
+        }
         if (cmd === 'doc') {
             return await handleDocCommand(config, argv, io);
         }
+        if (cmd === 'watch') {
+            return await handleWatchCommand(config, argv, io);
+        }
+        if (cmd === 'merge-driver') {
+            return await handleMergeDriverCommand(argv, io);
+        }
         throw new Error(`Unknown command: ${cmd}`);
     }
     catch (error) {
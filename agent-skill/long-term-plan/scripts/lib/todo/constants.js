@@ -6,6 +6,10 @@
  * - A stable task id key stored in an HTML comment trailer.
  */
 export const LONG_TERM_PLAN_FORMAT_HEADER = '<!-- long-term-plan:format=v1 -->';
+/**
+ * Header for format v2 (v1 + `blocked` / `cancelled` statuses; see `format.ts`).
+ */
+export const LONG_TERM_PLAN_FORMAT_HEADER_V2 = '<!-- long-term-plan:format=v2 -->';
 /**
  * The key used inside the task id trailer HTML comment.
  *
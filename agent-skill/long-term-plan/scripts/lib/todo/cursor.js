@@ -0,0 +1,62 @@
+import { sha256Hex } from './storage.js';
+function fingerprintArgs(args) {
+    const normalized = Object.keys(args)
+        .sort()
+        .filter((key) => args[key] !== undefined)
+        .map((key) => [key, args[key]]);
+    return sha256Hex(JSON.stringify(normalized)).slice(0, 16);
+}
+function encodeCursor(payload) {
+    return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+}
+function isIntegerAtLeast(value, min) {
+    return Number.isInteger(value) && value >= min;
+}
+function decodeCursor(cursor) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    }
+    catch {
+        payload = undefined;
+    }
+    if (!payload ||
+        payload.v !== 1 ||
+        typeof payload.scope !== 'string' ||
+        typeof payload.etag !== 'string' ||
+        typeof payload.args !== 'string' ||
+        !isIntegerAtLeast(payload.offset, 0) ||
+        !isIntegerAtLeast(payload.limit, 1)) {
+        throw new Error('Invalid cursor');
+    }
+    return payload;
+}
+/**
+ * Slice one page out of `items`.
+ *
+ * Without `limit` and `cursor`, all items are returned and no cursor is issued.
+ */
+export function paginate(items, options, binding) {
+    const { limit, cursor } = options;
+    if (limit !== undefined && !isIntegerAtLeast(limit, 1)) {
+        throw new Error(`Invalid limit: ${JSON.stringify(limit)}`);
+    }
+    if (limit === undefined && cursor === undefined)
+        return { items };
+    const args = fingerprintArgs(binding.args);
+    const payload = cursor === undefined ? undefined : decodeCursor(cursor);
+    if (payload && (payload.scope !== binding.scope || payload.args !== args)) {
+        throw new Error(`Invalid cursor: it was issued for a different ${binding.scope.split(':')[0]} call`);
+    }
+    if (payload && payload.etag !== binding.etag) {
+        throw new Error(`STALE_CURSOR: ${binding.subject} changed since the cursor was issued; restart without cursor`);
+    }
+    const offset = payload?.offset ?? 0;
+    const size = limit ?? payload?.limit ?? items.length;
+    const page = { items: items.slice(offset, offset + size) };
+    if (offset + size < items.length) {
+        page.nextCursor = encodeCursor({ v: 1, scope: binding.scope, etag: binding.etag, args, offset: offset + size, limit: size });
+    }
+    return page;
+}
+//# sourceMappingURL=cursor.js.map
\ No newline at end of file
@@ -0,0 +1,160 @@
+import { isSafeId } from './id.js';
+import { isClosedStatus } from './status.js';
+/**
+ * Parse a dependency ref, or return undefined if it is malformed.
+ */
+export function parseDependencyRef(ref) {
+    const parts = ref.split(':');
+    if (parts.length === 1 && isSafeId(parts[0] ?? ''))
+        return { taskId: parts[0] ?? '' };
+    if (parts.length === 2 && isSafeId(parts[0] ?? '') && isSafeId(parts[1] ?? '')) {
+        return { planId: parts[0], taskId: parts[1] ?? '' };
+    }
+    return undefined;
+}
+/**
+ * Qualify a ref with its plan id (`planId:taskId`), resolving same-plan refs
+ * against `currentPlanId`.
+ */
+export function qualifyDependencyRef(ref, currentPlanId) {
+    return `${ref.planId ?? currentPlanId}:${ref.taskId}`;
+}
+/**
+ * Render a qualified `planId:taskId` key relative to `currentPlanId`
+ * (same-plan targets are shown as a bare task id).
+ */
+export function displayDependencyKey(key, currentPlanId) {
+    const prefix = `${currentPlanId}:`;
+    return key.startsWith(prefix) ? key.slice(prefix.length) : key;
+}
+/**
+ * Find dependency cycles in a directed graph (node -> prerequisites).
+ *
+ * Each returned cycle lists its nodes in edge order, closed by repeating the
+ * first node (e.g. `['a', 'b', 'a']`). Every node is reported in at most one
+ * cycle, and traversal follows insertion order so results are deterministic.
+ */
+export function findDependencyCycles(graph) {
+    const cycles = [];
+    const state = new Map();
+    const inCycle = new Set();
+    for (const start of graph.keys()) {
+        if (state.has(start))
+            continue;
+        // Iterative DFS to avoid recursion depth issues on long chains.
+        const path = [];
+        const stack = [{ node: start, next: 0 }];
+        state.set(start, 'visiting');
+        path.push(start);
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            if (!frame)
+                break;
+            const edges = graph.get(frame.node) ?? [];
+            if (frame.next >= edges.length) {
+                state.set(frame.node, 'done');
+                stack.pop();
+                path.pop();
+                continue;
+            }
+            const target = edges[frame.next] ?? '';
+            frame.next += 1;
+            const targetState = state.get(target);
+            if (targetState === 'visiting') {
+                const cycle = path.slice(path.indexOf(target));
+                if (!cycle.some((node) => inCycle.has(node))) {
+                    for (const node of cycle)
+                        inCycle.add(node);
+                    cycles.push([...cycle, target]);
+                }
+                continue;
+            }
+            if (targetState === 'done' || !graph.has(target))
+                continue;
+            state.set(target, 'visiting');
+            path.push(target);
+            stack.push({ node: target, next: 0 });
+        }
+    }
+    return cycles;
+}
+/**
+ * Build a same-plan dependency graph (bare task ids; cross-plan refs ignored).
+ */
+export function buildLocalDependencyGraph(tasks) {
+    const graph = new Map();
+    for (const task of tasks) {
+        const edges = [];
+        for (const raw of task.meta.dependsOn ?? []) {
+            const ref = parseDependencyRef(raw);
+            if (ref && !ref.planId)
+                edges.push(ref.taskId);
+        }
+        graph.set(task.id, edges);
+    }
+    return graph;
+}
+/**
+ * Build a workspace dependency graph keyed by qualified `planId:taskId`.
+ */
+export function buildWorkspaceDependencyGraph(plans) {
+    const graph = new Map();
+    for (const [planId, plan] of plans) {
+        for (const task of plan.tasksById.values()) {
+            const edges = [];
+            for (const raw of task.meta.dependsOn ?? []) {
+                const ref = parseDependencyRef(raw);
+                if (ref)
+                    edges.push(qualifyDependencyRef(ref, planId));
+            }
+            graph.set(`${planId}:${task.id}`, edges);
+        }
+    }
+    return graph;
+}
+/**
+ * Look up a task by qualified `planId:taskId` key.
+ */
+export function findTaskByKey(plans, key) {
+    const separator = key.indexOf(':');
+    return plans.get(key.slice(0, separator))?.tasksById.get(key.slice(separator + 1));
+}
+/**
+ * Return the refs (as written) of a task's dependencies that are not closed
+ * (`done` or `cancelled`).
+ *
+ * Targets missing from `plans` (unknown task or unloaded plan) do not block;
+ * the validator reports them as `UNKNOWN_DEPENDENCY`.
+ */
+export function unfinishedDependencies(task, planId, plans) {
+    const out = [];
+    for (const raw of task.meta.dependsOn ?? []) {
+        const ref = parseDependencyRef(raw);
+        if (!ref)
+            continue;
+        const target = findTaskByKey(plans, qualifyDependencyRef(ref, planId));
+        if (target && !isClosedStatus(target.status))
+            out.push(raw);
+    }
+    return out;
+}
+/**
+ * Return qualified keys of unfinished tasks that depend on `key`.
+ */
+export function findDependents(plans, key) {
+    const out = [];
+    for (const [planId, plan] of plans) {
+        for (const task of plan.tasksById.values()) {
+            if (isClosedStatus(task.status))
+                continue;
+            const dependsOnKey = (task.meta.dependsOn ?? []).some((raw) => {
+                const ref = parseDependencyRef(raw);
+                return ref !== undefined && qualifyDependencyRef(ref, planId) === key;
+            });
+            if (dependsOnKey)
+                out.push(`${planId}:${task.id}`);
+        }
+    }
+    return out;
+}
+//# sourceMappingURL=deps.js.map
\ No newline at end of file
@@ -1,6 +1,8 @@
 import { randomUUID } from 'node:crypto';
 import { parsePlanMarkdown, parseTaskLineStrict } from './parse.js';
-import { statusToSymbol } from './status.js';
+import { isClosedStatus, statusRequiresV2, statusToSymbol } from './status.js';
+import { findFormatHeader, formatHeaderFor } from './format.js';
+import { applyTaskMetaPatch, formatTaskMetaPairs, hasTaskMetaPatch, TASK_META_PAIRS_PATTERN, } from './meta.js';
 import { validatePlanMarkdown } from './validate.js';
 import { LONG_TERM_PLAN_FORMAT_HEADER, LONG_TERM_PLAN_TASK_ID_KEY, } from './constants.js';
 /**
@@ -90,15 +92,27 @@ function findFirstH1Line(lines) {
     return line;
 }
 /**
- * Update the `[ ]` / `[*]` / `[√]` symbol portion of a task line.
+ * Update the status symbol (`[ ]`, `[*]`, `[√]`, `[!]`, `[-]`) of a task line.
  */
 function updateLineStatus(line, status) {
     const symbol = statusToSymbol(status);
-    const updated = line.replace(/^(\s*-\s+\[)[ *√](\]\s+)/, `$1${symbol}$2`);
+    const updated = line.replace(/^(\s*-\s+\[)[ *√!-](\]\s+)/, `$1${symbol}$2`);
     if (updated === line)
         throw new Error('Failed to update status (task line not in expected format)');
     return updated;
 }
+/**
+ * Matches the id trailer (with optional metadata) at the end of a task line.
+ *
+ * Groups: 1 = whitespace before `<!--`, 2 = the comment, 3 = trailing whitespace.
+ */
+const TASK_TRAILER_RE = new RegExp(`(\\s+)(<!--\\s*${LONG_TERM_PLAN_TASK_ID_KEY}=[A-Za-z0-9_-]+${TASK_META_PAIRS_PATTERN}\\s*-->)(\\s*)$`);
+/**
+ * Build the id trailer comment for a task.
+ */
+function createTaskTrailer(taskId, metaPairs) {
+    return `<!-- ${LONG_TERM_PLAN_TASK_ID_KEY}=${taskId}${formatTaskMetaPairs(metaPairs)} -->`;
+}
 /**
  * Update the title portion of a strict task line while preserving the id trailer.
  */
@@ -107,20 +121,17 @@ function updateLineTitle(line, title) {
     const task = parseTaskLineStrict(line);
     if (!task)
         throw new Error('Failed to rename (task line not in expected format)');
-    const prefixMatch = line.match(/^(\s*-\s+\[[ *√]\]\s+)/);
-    const suffixMatch = line.match(/(\s+<!--\s*long-term-plan:id=[A-Za-z0-9_-]+\s*-->\s*)$/);
+    const prefixMatch = line.match(/^(\s*-\s+\[[ *√!-]\]\s+)/);
+    const suffixMatch = line.match(TASK_TRAILER_RE);
     if (!prefixMatch || !suffixMatch)
         throw new Error('Failed to rename (could not locate title region)');
-    return `${prefixMatch[1]}${safeTitle}${suffixMatch[1]}`;
+    return `${prefixMatch[1]}${safeTitle}${suffixMatch[0]}`;
 }
 /**
  * Ensure the required format header exists near the top of the document.
  */
 function ensureFormatHeader(lines) {
-    const hasHeader = lines
-        .slice(0, Math.min(lines.length, 30))
-        .some((l) => l.includes(LONG_TERM_PLAN_FORMAT_HEADER));
-    if (hasHeader)
+    if (findFormatHeader(lines))
         return;
     lines.unshift(LONG_TERM_PLAN_FORMAT_HEADER, '');
 }
@@ -146,13 +157,19 @@ function ensureSectionAtEof(lines, sectionPath) {
     lines.push('');
     return lines.length;
 }
+/**
+ * Mint a fresh task id (`t_` + 32 hex chars).
+ */
+function generateTaskId() {
+    return `t_${randomUUID().replaceAll('-', '')}`;
+}
 /**
  * Build a strict task line at a given indentation level.
  */
-function createTaskLine(indent, status, title, taskId) {
+function createTaskLine(indent, status, title, taskId, metaPairs = []) {
     const safeTitle = sanitizeTitle(title);
     const prefix = `${' '.repeat(indent)}- [${statusToSymbol(status)}] `;
-    return `${prefix}${safeTitle} <!-- ${LONG_TERM_PLAN_TASK_ID_KEY}=${taskId} -->`;
+    return `${prefix}${safeTitle} ${createTaskTrailer(taskId, metaPairs)}`;
 }
 /**
  * Create an index mapping each heading path to its (startLine, endLine).
@@ -167,6 +184,14 @@ function buildSectionIndex(plan) {
     }
     return map;
 }
+/**
+ * Reject `blocked` / `cancelled` on v1 documents with an actionable message.
+ */
+function assertStatusSupported(version, status) {
+    if (version !== 'v2' && statusRequiresV2(status)) {
+        throw new Error(`Status ${status} requires format v2 (upgrade the plan with format=v2 first)`);
+    }
+}
 /**
  * Update a task status in-place.
  *
@@ -175,6 +200,7 @@ function buildSectionIndex(plan) {
 export function applySetStatus(text, taskId, status) {
     const plan = requireParsedPlan(text);
     const task = findTask(plan, taskId);
+    assertStatusSupported(plan.formatVersion, status);
     const { lines, eol, endsWithNewline } = splitLines(text);
     const lineIndex = task.line;
     const existing = lines[lineIndex];
@@ -188,6 +214,80 @@ export function applySetStatus(text, taskId, status) {
     }
     return { newText, changed: newText !== text };
 }
+/**
+ * Apply a status to every descendant of a task (not the task itself).
+ *
+ * With `onlyFrom`, only descendants currently in one of those statuses are
+ * touched (e.g. `['todo']` closes open work but leaves `doing` alone). Only the
+ * affected status symbols change; `changedTaskIds` is in document order.
+ */
+export function applySetStatusDescendants(text, taskId, status, options = {}) {
+    const plan = requireParsedPlan(text);
+    const task = findTask(plan, taskId);
+    assertStatusSupported(plan.formatVersion, status);
+    const { lines, eol, endsWithNewline } = splitLines(text);
+    const changedTaskIds = [];
+    const stack = [...task.children].reverse();
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (!current)
+            continue;
+        for (let index = current.children.length - 1; index >= 0; index -= 1) {
+            const child = current.children[index];
+            if (child)
+                stack.push(child);
+        }
+        if (current.status === status)
+            continue;
+        if (options.onlyFrom && !options.onlyFrom.includes(current.status))
+            continue;
+        lines[current.line] = updateLineStatus(lines[current.line] ?? '', status);
+        changedTaskIds.push(current.id);
+    }
+    if (changedTaskIds.length === 0)
+        return { newText: text, changed: false, changedTaskIds };
+    const newText = joinLines(lines, eol, endsWithNewline);
+    const validation = validatePlanMarkdown(newText);
+    if (validation.errors.length > 0) {
+        throw new Error(`Edit produced invalid document: ${validation.errors[0]?.message ?? 'unknown error'}`);
+    }
+    return { newText, changed: true, changedTaskIds };
+}
+/**
+ * Propagate status up the `parentId` chain after `taskId` changed.
+ *
+ * Starting at the task's parent:
+ * - every child closed (`done` / `cancelled`) and at least one `done` → parent `done`
+ * - otherwise, any child `doing` → parent `doing`
+ *
+ * The walk stops at the first parent that needs no change, and `blocked` /
+ * `cancelled` parents are never overridden. `changedTaskIds` lists updated
+ * parents, nearest first.
+ */
+export function applyPropagateStatusUp(text, taskId) {
+    let newText = text;
+    const changedTaskIds = [];
+    let currentId = taskId;
+    for (;;) {
+        const plan = requireParsedPlan(newText);
+        const parentId = findTask(plan, currentId).parentId;
+        if (!parentId)
+            break;
+        const parent = findTask(plan, parentId);
+        if (parent.status === 'blocked' || parent.status === 'cancelled')
+            break;
+        const allClosed = parent.children.every((child) => isClosedStatus(child.status));
+        const anyDone = parent.children.some((child) => child.status === 'done');
+        const anyDoing = parent.children.some((child) => child.status === 'doing');
+        const target = allClosed && anyDone ? 'done' : anyDoing ? 'doing' : undefined;
+        if (!target || target === parent.status)
+            break;
+        newText = applySetStatus(newText, parentId, target).newText;
+        changedTaskIds.push(parentId);
+        currentId = parentId;
+    }
+    return { newText, changed: newText !== text, changedTaskIds };
+}
 /**
  * Rename a task in-place.
  *
@@ -209,6 +309,39 @@ export function applyRename(text, taskId, title) {
     }
     return { newText, changed: newText !== text };
 }
+/**
+ * Set or clear task metadata (`due`, `prio`, `tags`, `owner`) in-place.
+ *
+ * Only the id trailer comment is rewritten: existing keys keep their position,
+ * new keys are appended, and unknown keys are preserved.
+ */
+export function applySetTaskMeta(text, taskId, patch) {
+    if (!hasTaskMetaPatch(patch))
+        return { newText: text, changed: false };
+    const plan = requireParsedPlan(text);
+    const task = findTask(plan, taskId);
+    const { lines, eol, endsWithNewline } = splitLines(text);
+    const existing = lines[task.line];
+    if (existing === undefined)
+        throw new Error(`Invalid task line index: ${task.line}`);
+    const parsed = parseTaskLineStrict(existing);
+    const trailer = existing.match(TASK_TRAILER_RE);
+    if (!parsed || !trailer || trailer.index === undefined) {
+        throw new Error('Failed to update metadata (task line not in expected format)');
+    }
+    const nextPairs = applyTaskMetaPatch(parsed.metaPairs, patch);
+    if (formatTaskMetaPairs(nextPairs) === formatTaskMetaPairs(parsed.metaPairs)) {
+        return { newText: text, changed: false };
+    }
+    lines[task.line] =
+        `${existing.slice(0, trailer.index)}${trailer[1]}${createTaskTrailer(parsed.id, nextPairs)}${trailer[3]}`;
+    const newText = joinLines(lines, eol, endsWithNewline);
+    const validation = validatePlanMarkdown(newText);
+    if (validation.errors.length > 0) {
+        throw new Error(`Edit produced invalid document: ${validation.errors[0]?.message ?? 'unknown error'}`);
+    }
+    return { newText, changed: newText !== text };
+}
 /**
  * Delete a task and its entire indented block (children, grandchildren, ...).
  */
@@ -230,23 +363,61 @@ export function applyDelete(text, taskId) {
     return { newText, changed: newText !== text };
 }
 /**
- * Add a new task to the document.
+ * Reject placement combinations that have no single obvious meaning.
+ */
+function assertPlacementIsUnambiguous(placement) {
+    if (placement.beforeTaskId &&
+        (placement.parentTaskId || (placement.sectionPath && placement.sectionPath.length > 0))) {
+        throw new Error('beforeTaskId cannot be combined with parentTaskId or sectionPath');
+    }
+    if (placement.afterTaskId &&
+        (placement.beforeTaskId || placement.parentTaskId || (placement.sectionPath && placement.sectionPath.length > 0))) {
+        throw new Error('afterTaskId cannot be combined with other placement options');
+    }
+}
+/**
+ * Resolve a placement into an insertion line index and indentation.
  *
  * Insertion rules (highest priority first):
  * - If `beforeTaskId` is provided, insert as a sibling immediately before that task.
+ * - If `afterTaskId` is provided, insert as a sibling right after that task's block.
  * - If `parentTaskId` is provided, insert as the last child of that task block.
  * - Else if `sectionPath` is provided, insert under that heading (creating it at EOF if missing).
  * - Else insert at end-of-file.
  *
+ * Note: may append headings to `lines` when the section does not exist yet.
+ */
+function resolvePlacement(lines, plan, placement) {
+    if (placement.beforeTaskId) {
+        const anchor = findTask(plan, placement.beforeTaskId);
+        return { insertAt: anchor.line, indent: anchor.indent };
+    }
+    if (placement.afterTaskId) {
+        const anchor = findTask(plan, placement.afterTaskId);
+        return { insertAt: taskBlockRange(lines, anchor).end + 1, indent: anchor.indent };
+    }
+    if (placement.parentTaskId) {
+        const parent = findTask(plan, placement.parentTaskId);
+        return { insertAt: parent.blockEndLine + 1, indent: parent.indent + 2 };
+    }
+    if (placement.sectionPath && placement.sectionPath.length > 0) {
+        const section = buildSectionIndex(plan).get(placement.sectionPath.join(' / '));
+        const insertAt = section ? section.endLine + 1 : ensureSectionAtEof(lines, placement.sectionPath);
+        return { insertAt, indent: 0 };
+    }
+    return { insertAt: lines.length, indent: 0 };
+}
+/**
+ * Add a new task to the document.
+ *
+ * Placement follows `resolvePlacement()` (before > parent > section > EOF).
+ *
  * The function always returns text ending with a newline to keep documents tidy.
  */
 export function applyAddTask(text, options) {
     const { lines, eol, endsWithNewline } = splitLines(text);
     const originalPlan = parsePlanMarkdown(text);
-    if (options.beforeTaskId &&
-        (options.parentTaskId || (options.sectionPath && options.sectionPath.length > 0))) {
-        throw new Error('beforeTaskId cannot be combined with parentTaskId or sectionPath');
-    }
+    assertPlacementIsUnambiguous(options);
     if (!originalPlan.ok || !originalPlan.plan) {
         // Allow creating into a brand new (or broken) doc only if it can be repaired by adding header + appending.
         // This keeps "success implies parseable" without making risky in-place edits.
@@ -261,34 +432,14 @@ export function applyAddTask(text, options) {
         ensureFormatHeader(lines);
     }
     const plan = originalPlan.plan ?? requireParsedPlan(joinLines(lines, eol, endsWithNewline));
-    const sectionIndex = buildSectionIndex(plan);
-    const taskId = `t_${randomUUID().replaceAll('-', '')}`;
+    assertStatusSupported(plan.formatVersion, options.status);
+    const taskId = generateTaskId();
     if (plan.tasksById.has(taskId)) {
         throw new Error('Generated duplicate task id (unexpected)');
     }
-    let insertAt = lines.length;
-    let indent = 0;
-    if (options.beforeTaskId) {
-        const anchor = findTask(plan, options.beforeTaskId);
-        indent = anchor.indent;
-        insertAt = anchor.line;
-    }
-    else if (options.parentTaskId) {
-        const parent = findTask(plan, options.parentTaskId);
-        indent = parent.indent + 2;
-        insertAt = parent.blockEndLine + 1;
-    }
-    else if (options.sectionPath && options.sectionPath.length > 0) {
-        const key = options.sectionPath.join(' / ');
-        const section = sectionIndex.get(key);
-        if (!section) {
-            insertAt = ensureSectionAtEof(lines, options.sectionPath);
-        }
-        else {
-            insertAt = section.endLine + 1;
-        }
-    }
-    const taskLine = createTaskLine(indent, options.status, options.title, taskId);
+    const { insertAt, indent } = resolvePlacement(lines, plan, options);
+    const metaPairs = options.meta ? applyTaskMetaPatch([], options.meta) : [];
+    const taskLine = createTaskLine(indent, options.status, options.title, taskId, metaPairs);
     const insertLines = [taskLine];
     if (options.bodyMarkdown !== undefined) {
         insertLines.push(...encodeBlockquoteBody(options.bodyMarkdown, indent + 2));
@@ -301,6 +452,191 @@ export function applyAddTask(text, options) {
     }
     return { taskId, newText };
 }
+/**
+ * Collect a task and all of its descendants' ids.
+ *
+ * Used to refuse moves that would place a task inside its own subtree.
+ */
+function collectSubtreeIds(task) {
+    const ids = new Set();
+    const stack = [task];
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (!current)
+            continue;
+        ids.add(current.id);
+        stack.push(...current.children);
+    }
+    return ids;
+}
+/**
+ * Shift the indentation of every non-blank line in a block by `delta` spaces.
+ *
+ * Lines inside a task block are always indented at least as deep as the task
+ * line itself, so a negative delta never strips non-space characters.
+ */
+function reindentBlock(blockLines, delta) {
+    if (delta === 0)
+        return blockLines;
+    return blockLines.map((line) => {
+        if (line.trim() === '')
+            return line;
+        if (delta > 0)
+            return `${' '.repeat(delta)}${line}`;
+        const removable = Math.min(-delta, line.length - line.trimStart().length);
+        return line.slice(removable);
+    });
+}
+/**
+ * Locate the line range of a task block, excluding trailing blank lines.
+ *
+ * Trailing blank lines stay where they are when a block is lifted out so the
+ * surrounding layout does not shift more than necessary.
+ */
+function taskBlockRange(lines, task) {
+    const start = task.line;
+    let end = task.blockEndLine;
+    while (end > start && lines[end]?.trim() === '')
+        end -= 1;
+    if (start < 0 || end < start || end >= lines.length) {
+        throw new Error(`Invalid task block range: ${start}-${end}`);
+    }
+    return { start, end };
+}
+/**
+ * Copy a task block out of a document without modifying it.
+ */
+export function extractTaskBlock(text, taskId) {
+    const plan = requireParsedPlan(text);
+    const task = findTask(plan, taskId);
+    const { lines } = splitLines(text);
+    const { start, end } = taskBlockRange(lines, task);
+    return {
+        lines: lines.slice(start, end + 1),
+        indent: task.indent,
+        taskIds: [...collectSubtreeIds(task)],
+    };
+}
+/**
+ * Replace every task id in a block with a freshly minted one.
+ *
+ * Used when copying tasks so the copy never collides with the original.
+ * Only strict task lines are rewritten; body lines are left untouched.
+ */
+export function remintTaskBlockIds(block) {
+    const idMap = new Map();
+    const lines = block.lines.map((line) => {
+        const parsed = parseTaskLineStrict(line);
+        if (!parsed)
+            return line;
+        const nextId = generateTaskId();
+        idMap.set(parsed.id, nextId);
+        return line.replace(new RegExp(`(<!--\\s*${LONG_TERM_PLAN_TASK_ID_KEY}=)${parsed.id}(?=\\s|-->)`), `$1${nextId}`);
+    });
+    const taskIds = block.taskIds.map((id) => idMap.get(id) ?? id);
+    return { block: { lines, indent: block.indent, taskIds }, idMap };
+}
+/**
+ * Rewrite the `dependsOn` refs of one task line (undefined if none changed).
+ */
+function rewriteLineDependencies(line, mapRef) {
+    const parsed = parseTaskLineStrict(line);
+    const trailer = line.match(TASK_TRAILER_RE);
+    if (!parsed || !trailer || trailer.index === undefined)
+        return undefined;
+    let changed = false;
+    const pairs = parsed.metaPairs.map(([key, value]) => {
+        if (key !== 'dependsOn')
+            return [key, value];
+        const next = value.split(',').map(mapRef).join(',');
+        if (next !== value)
+            changed = true;
+        return [key, next];
+    });
+    if (!changed)
+        return undefined;
+    return `${line.slice(0, trailer.index)}${trailer[1]}${createTaskTrailer(parsed.id, pairs)}${trailer[3]}`;
+}
+/**
+ * Rewrite the `dependsOn` refs (as written) of every task in a detached block.
+ */
+export function rewriteTaskBlockDependencies(block, mapRef) {
+    const lines = block.lines.map((line) => rewriteLineDependencies(line, mapRef) ?? line);
+    return { ...block, lines };
+}
+/**
+ * Rewrite the `dependsOn` refs (as written) of every task in a document.
+ */
+export function applyRewriteDependencies(text, mapRef) {
+    const { lines, eol, endsWithNewline } = splitLines(text);
+    for (let index = 0; index < lines.length; index += 1) {
+        const next = rewriteLineDependencies(lines[index] ?? '', mapRef);
+        if (next !== undefined)
+            lines[index] = next;
+    }
+    const newText = joinLines(lines, eol, endsWithNewline);
+    const validation = validatePlanMarkdown(newText);
+    if (validation.errors.length > 0) {
+        throw new Error(`Edit produced invalid document: ${validation.errors[0]?.message ?? 'unknown error'}`);
+    }
+    return { newText, changed: newText !== text };
+}
+/**
+ * Insert a detached task block into a document.
+ *
+ * Placement follows `resolvePlacement()`. The block is re-indented to fit its
+ * destination, and insertion is refused if any of its task ids already exist.
+ */
+export function applyInsertTaskBlock(text, block, placement) {
+    assertPlacementIsUnambiguous(placement);
+    const plan = requireParsedPlan(text);
+    for (const id of block.taskIds) {
+        if (plan.tasksById.has(id))
+            throw new Error(`Task id already exists in destination: ${id}`);
+    }
+    const { lines, eol, endsWithNewline } = splitLines(text);
+    const { insertAt, indent } = resolvePlacement(lines, plan, placement);
+    lines.splice(insertAt, 0, ...reindentBlock(block.lines, indent - block.indent));
+    const newText = joinLines(lines, eol, endsWithNewline);
+    const validation = validatePlanMarkdown(newText);
+    if (validation.errors.length > 0) {
+        throw new Error(`Insert produced invalid document: ${validation.errors[0]?.message ?? 'unknown error'}`);
+    }
+    return { newText, changed: newText !== text };
+}
+/**
+ * Move a task block (task line + body + subtree) to a new location.
+ *
+ * Targeting uses the same placement semantics as `applyAddTask()`. The task id
+ * (and every descendant id) is preserved; only indentation is adjusted so the
+ * block nests correctly at its destination.
+ */
+export function applyMoveTask(text, options) {
+    assertPlacementIsUnambiguous(options);
+    const plan = requireParsedPlan(text);
+    const task = findTask(plan, options.taskId);
+    const subtreeIds = collectSubtreeIds(task);
+    for (const targetId of [options.parentTaskId, options.beforeTaskId, options.afterTaskId]) {
+        if (targetId === undefined)
+            continue;
+        findTask(plan, targetId);
+        if (subtreeIds.has(targetId)) {
+            throw new Error(`Cannot move task into its own subtree: ${targetId}`);
+        }
+    }
+    const { lines, eol, endsWithNewline } = splitLines(text);
+    const { start, end } = taskBlockRange(lines, task);
+    const blockLines = lines.splice(start, end - start + 1);
+    const remaining = requireParsedPlan(joinLines(lines, eol, endsWithNewline));
+    const { insertAt, indent } = resolvePlacement(lines, remaining, options);
+    lines.splice(insertAt, 0, ...reindentBlock(blockLines, indent - task.indent));
+    const newText = joinLines(lines, eol, endsWithNewline);
+    const validation = validatePlanMarkdown(newText);
+    if (validation.errors.length > 0) {
+        throw new Error(`Move produced invalid document: ${validation.errors[0]?.message ?? 'unknown error'}`);
+    }
+    return { newText, changed: newText !== text };
+}
 /**
  * Replace (or clear) the structured blockquote body for a task.
  *
@@ -387,4 +723,237 @@ export function applySetPlanTitle(text, title) {
     }
     return { newText, changed: newText !== text };
 }
+/**
+ * Switch the document format header between v1 and v2.
+ *
+ * Only the header line changes. Downgrading to v1 fails validation while any
+ * task still uses a v2-only status (`blocked` / `cancelled`).
+ */
+export function applySetFormatVersion(text, version) {
+    const { lines, eol, endsWithNewline } = splitLines(text);
+    const header = findFormatHeader(lines);
+    if (!header)
+        throw new Error('Missing format header');
+    if (header.version === version)
+        return { newText: text, changed: false };
+    const existing = lines[header.line] ?? '';
+    lines[header.line] = existing.replace(formatHeaderFor(header.version), formatHeaderFor(version));
+    const newText = joinLines(lines, eol, endsWithNewline);
+    const validation = validatePlanMarkdown(newText);
+    if (validation.errors.length > 0) {
+        throw new Error(`Edit produced invalid document: ${validation.errors[0]?.message ?? 'unknown error'}`);
+    }
+    return { newText, changed: newText !== text };
+}
+/**
+ * Matches a Markdown ATX heading line (same grammar as the parser).
+ *
+ * Groups: 1 = `#` run, 2 = whitespace after it, 3 = heading text.
+ */
+const SECTION_HEADING_RE = /^(#{1,6})(\s+)(.*)$/;
+/**
+ * Normalize and validate a section (heading) title.
+ *
+ * `/` is reserved because section paths are written as `A/B` on the CLI and in
+ * `section:` filters.
+ */
+function sanitizeSectionTitle(title) {
+    const normalized = title.replace(/\r?\n/g, ' ').trim();
+    if (!normalized)
+        throw new Error('Section title must be non-empty');
+    if (normalized.includes('/'))
+        throw new Error('Section title must not include "/"');
+    return normalized;
+}
+function sectionKey(sectionPath) {
+    return sectionPath.join(' / ');
+}
+function isPathPrefix(prefix, path) {
+    return prefix.length <= path.length && prefix.every((part, index) => part === path[index]);
+}
+/**
+ * Find the heading for a section path (or throw).
+ *
+ * Paths are not guaranteed to be unique in hand-written docs, so duplicates are
+ * rejected instead of guessing which heading was meant.
+ */
+function findSection(plan, sectionPath) {
+    if (sectionPath.length === 0)
+        throw new Error('sectionPath must not be empty');
+    const key = sectionKey(sectionPath);
+    const matches = plan.headings.filter((heading) => heading.level >= 2 && sectionKey(heading.path) === key);
+    const [heading] = matches;
+    if (!heading)
+        throw new Error(`Section not found: ${key}`);
+    if (matches.length > 1)
+        throw new Error(`AMBIGUOUS: section appears more than once: ${key}`);
+    return heading;
+}
+function assertSectionAbsent(plan, sectionPath) {
+    const key = sectionKey(sectionPath);
+    if (plan.headings.some((heading) => heading.level >= 2 && sectionKey(heading.path) === key)) {
+        throw new Error(`Section already exists: ${key}`);
+    }
+}
+/**
+ * Resolve a section placement into an insertion line index and heading level.
+ *
+ * Rules:
+ * - `beforeSectionPath`: insert right before that heading, at its level.
+ * - `parentSectionPath`: append as the last subsection of the parent.
+ * - Neither: append a top-level (`##`) section at end-of-file.
+ */
+function resolveSectionPlacement(lines, plan, placement) {
+    const parentPath = placement.parentSectionPath ?? [];
+    if (placement.beforeSectionPath) {
+        const anchor = findSection(plan, placement.beforeSectionPath);
+        const anchorParent = anchor.path.slice(0, -1);
+        if (placement.parentSectionPath && sectionKey(anchorParent) !== sectionKey(parentPath)) {
+            throw new Error('beforeSectionPath must be a subsection of parentSectionPath');
+        }
+        return { insertAt: anchor.line, level: anchor.level, parentPath: anchorParent };
+    }
+    if (parentPath.length > 0) {
+        const parent = findSection(plan, parentPath);
+        if (parent.level >= 6)
+            throw new Error('Section nesting too deep (max heading level is 6)');
+        return { insertAt: parent.endLine + 1, level: parent.level + 1, parentPath };
+    }
+    return { insertAt: lines.length, level: 2, parentPath };
+}
+/**
+ * Splice a heading block into `lines`, separated from its neighbors by one
+ * blank line (no trailing blank line when appending at end-of-file).
+ */
+function insertSectionBlock(lines, insertAt, blockLines) {
+    const insert = [...blockLines];
+    while (insert.length > 0 && insert[insert.length - 1]?.trim() === '')
+        insert.pop();
+    if (insertAt > 0 && lines[insertAt - 1]?.trim() !== '')
+        insert.unshift('');
+    if (insertAt < lines.length)
+        insert.push('');
+    lines.splice(insertAt, 0, ...insert);
+}
+/**
+ * Cut a section's line range out of `lines` and return it.
+ *
+ * When the section was the last one in the file, the blank lines left in
+ * front of it are trimmed too.
+ */
+function removeSectionBlock(lines, heading) {
+    const removed = lines.splice(heading.startLine, heading.endLine - heading.startLine + 1);
+    if (heading.startLine === lines.length) {
+        while (lines.length > 0 && lines[lines.length - 1]?.trim() === '')
+            lines.pop();
+    }
+    return removed;
+}
+function requireValidSectionEdit(newText, verb) {
+    const validation = validatePlanMarkdown(newText);
+    if (validation.errors.length > 0) {
+        throw new Error(`${verb} produced invalid document: ${validation.errors[0]?.message ?? 'unknown error'}`);
+    }
+}
+/**
+ * Add an empty section heading.
+ *
+ * Only the heading line (plus blank-line padding) is inserted; existing
+ * content is never reshuffled.
+ */
+export function applyAddSection(text, options) {
+    const plan = requireParsedPlan(text);
+    const title = sanitizeSectionTitle(options.sectionPath[options.sectionPath.length - 1] ?? '');
+    const parentSectionPath = options.sectionPath.slice(0, -1);
+    const sectionPath = [...parentSectionPath, title];
+    assertSectionAbsent(plan, sectionPath);
+    const { lines, eol, endsWithNewline } = splitLines(text);
+    const { insertAt, level } = resolveSectionPlacement(lines, plan, {
+        parentSectionPath,
+        beforeSectionPath: options.beforeSectionPath,
+    });
+    insertSectionBlock(lines, insertAt, [`${'#'.repeat(level)} ${title}`]);
+    const newText = joinLines(lines, eol, endsWithNewline);
+    requireValidSectionEdit(newText, 'Add section');
+    return { newText, changed: true };
+}
+/**
+ * Rename a section heading in-place (only the heading line changes).
+ *
+ * Tasks and subsections under it move to the new path implicitly.
+ */
+export function applyRenameSection(text, sectionPath, title) {
+    const plan = requireParsedPlan(text);
+    const heading = findSection(plan, sectionPath);
+    const safeTitle = sanitizeSectionTitle(title);
+    if (safeTitle === heading.text)
+        return { newText: text, changed: false };
+    assertSectionAbsent(plan, [...sectionPath.slice(0, -1), safeTitle]);
+    const { lines, eol, endsWithNewline } = splitLines(text);
+    const match = (lines[heading.line] ?? '').match(SECTION_HEADING_RE);
+    if (!match)
+        throw new Error('Failed to rename section (heading line not in expected format)');
+    lines[heading.line] = `${match[1]}${match[2]}${safeTitle}`;
+    const newText = joinLines(lines, eol, endsWithNewline);
+    requireValidSectionEdit(newText, 'Rename section');
+    return { newText, changed: true };
+}
+/**
+ * Move a section (heading, content, and subsections) to a new position.
+ *
+ * Heading levels inside the block shift by the same amount so the section
+ * nests correctly at its destination. Task lines are copied verbatim, so task
+ * ids are preserved.
+ */
+export function applyMoveSection(text, options) {
+    const plan = requireParsedPlan(text);
+    const heading = findSection(plan, options.sectionPath);
+    for (const target of [options.parentSectionPath, options.beforeSectionPath]) {
+        if (target && isPathPrefix(heading.path, target)) {
+            throw new Error(`Cannot move section into itself: ${sectionKey(target)}`);
+        }
+    }
+    const { lines, eol, endsWithNewline } = splitLines(text);
+    const blockLines = removeSectionBlock(lines, heading);
+    const remaining = requireParsedPlan(joinLines(lines, eol, endsWithNewline));
+    const { insertAt, level, parentPath } = resolveSectionPlacement(lines, remaining, options);
+    assertSectionAbsent(remaining, [...parentPath, heading.text]);
+    const delta = level - heading.level;
+    const moved = blockLines.map((line) => {
+        const match = line.match(SECTION_HEADING_RE);
+        if (!match || delta === 0)
+            return line;
+        const newLevel = (match[1] ?? '').length + delta;
+        if (newLevel > 6)
+            throw new Error('Section nesting too deep (max heading level is 6)');
+        return `${'#'.repeat(newLevel)}${match[2]}${match[3]}`;
+    });
+    insertSectionBlock(lines, insertAt, moved);
+    const newText = joinLines(lines, eol, endsWithNewline);
+    requireValidSectionEdit(newText, 'Move section');
+    return { newText, changed: newText !== text };
+}
+/**
+ * Delete a section heading.
+ *
+ * A section with any content (tasks, notes, or subsections) is refused unless
+ * `cascade` is set, in which case the whole range goes with it.
+ */
+export function applyDeleteSection(text, sectionPath, options = {}) {
+    const plan = requireParsedPlan(text);
+    const heading = findSection(plan, sectionPath);
+    const { lines, eol, endsWithNewline } = splitLines(text);
+    const body = lines.slice(heading.startLine + 1, heading.endLine + 1);
+    if (!options.cascade && body.some((line) => line.trim() !== '')) {
+        throw new Error(`Section is not empty: ${sectionKey(heading.path)} (pass cascade=true to delete its contents)`);
+    }
+    const deletedTaskIds = [...plan.tasksById.values()]
+        .filter((task) => task.line >= heading.startLine && task.line <= heading.endLine)
+        .sort((a, b) => a.line - b.line)
+        .map((task) => task.id);
+    removeSectionBlock(lines, heading);
+    const newText = joinLines(lines, eol, endsWithNewline);
+    requireValidSectionEdit(newText, 'Delete section');
+    return { newText, changed: true, deletedTaskIds };
+}
 //# sourceMappingURL=edit.js.map
\ No newline at end of file
@@ -0,0 +1,28 @@
+import { LONG_TERM_PLAN_FORMAT_HEADER, LONG_TERM_PLAN_FORMAT_HEADER_V2 } from './constants.js';
+/**
+ * Only the first lines are scanned for the header (matches historic behavior).
+ */
+const FORMAT_HEADER_SCAN_LINES = 30;
+/**
+ * Return the header line for a format version.
+ */
+export function formatHeaderFor(version) {
+    return version === 'v2' ? LONG_TERM_PLAN_FORMAT_HEADER_V2 : LONG_TERM_PLAN_FORMAT_HEADER;
+}
+/**
+ * Locate the format header near the top of the document.
+ *
+ * Returns the 0-based line index and version, or undefined if missing.
+ */
+export function findFormatHeader(lines) {
+    const limit = Math.min(lines.length, FORMAT_HEADER_SCAN_LINES);
+    for (let index = 0; index < limit; index += 1) {
+        const line = lines[index] ?? '';
+        if (line.includes(LONG_TERM_PLAN_FORMAT_HEADER))
+            return { line: index, version: 'v1' };
+        if (line.includes(LONG_TERM_PLAN_FORMAT_HEADER_V2))
+            return { line: index, version: 'v2' };
+    }
+    return undefined;
+}
+//# sourceMappingURL=format.js.map
\ No newline at end of file
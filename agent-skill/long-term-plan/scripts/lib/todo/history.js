@@ -0,0 +1,242 @@
+import { execFile } from 'node:child_process';
+import { readFile } from 'node:fs/promises';
+import { relative } from 'node:path';
+import { promisify } from 'node:util';
+import { parsePlanMarkdown } from './parse.js';
+import { assertSafeId, resolvePlanPath } from './storage.js';
+/**
+ * Per-task change history reconstructed from git.
+ *
+ * `git log -p` is run on the plan file (oldest first, following first parents
+ * only) and its patches are replayed to rebuild each committed revision. Every
+ * revision is parsed and the task is located by its stable id, so moves,
+ * re-indents, and edits elsewhere in the file never show up as task changes.
+ *
+ * Only committed history is covered; `planWorkingChanges` reports edits not
+ * committed yet.
+ */
+const execFileAsync = promisify(execFile);
+/**
+ * Separators for `--format`: one record per commit, one unit per field.
+ */
+const RECORD_SEP = '\x1e';
+const FIELD_SEP = '\x1f';
+/**
+ * Run git in `cwd`, turning "not a repository" and "git not installed" into
+ * readable errors.
+ */
+async function runGit(cwd, args) {
+    try {
+        const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 });
+        return stdout;
+    }
+    catch (error) {
+        const err = error;
+        if (err.code === 'ENOENT')
+            throw new Error('git is not available (install git to use task history)');
+        if (/not a git repository/i.test(err.stderr ?? ''))
+            throw new Error(`Not a git repository: ${cwd}`);
+        throw new Error(`git ${args[0] ?? ''} failed: ${(err.stderr ?? err.message).trim()}`);
+    }
+}
+/**
+ * Apply the `-U0` hunks of one file patch to `lines` and return the new lines.
+ *
+ * Throws if a removed line does not match, which means the replay went out of
+ * sync with the repository (it should not happen for first-parent history).
+ */
+function applyPatch(lines, patch) {
+    const out = [];
+    let cursor = 0;
+    let index = 0;
+    while (index < patch.length) {
+        const header = (patch[index] ?? '').match(/^@@ -(\d+)(?:,(\d+))? \+\d+(?:,\d+)? @@/);
+        index += 1;
+        if (!header)
+            continue;
+        const oldStart = Number(header[1]);
+        const oldCount = header[2] === undefined ? 1 : Number(header[2]);
+        const start = oldCount === 0 ? oldStart : oldStart - 1;
+        out.push(...lines.slice(cursor, start));
+        cursor = start;
+        while (index < patch.length && !(patch[index] ?? '').startsWith('@@')) {
+            const line = patch[index] ?? '';
+            index += 1;
+            if (line.startsWith('-')) {
+                if (lines[cursor] !== line.slice(1))
+                    throw new Error('Failed to replay plan history (patch mismatch)');
+                cursor += 1;
+            }
+            else if (line.startsWith('+')) {
+                out.push(line.slice(1));
+            }
+        }
+    }
+    out.push(...lines.slice(cursor));
+    return out;
+}
+/**
+ * Locate a task by id in one revision of the plan text.
+ *
+ * Revisions that do not parse (e.g. a hand edit committed mid-way) return
+ * `undefined` for "unknown" so they are skipped rather than reported as deletes.
+ */
+function snapshotTask(text, taskId) {
+    const parsed = parsePlanMarkdown(text);
+    if (!parsed.ok || !parsed.plan)
+        return undefined;
+    const task = parsed.plan.tasksById.get(taskId);
+    if (!task)
+        return null;
+    return { status: task.status, title: task.title, body: task.bodyMarkdown ?? null };
+}
+/**
+ * Task-level diff between two versions of a plan (`null` = no file).
+ *
+ * Tasks are matched by id and listed in `after` order, then removed tasks in
+ * `before` order. Returns `undefined` if either version does not parse.
+ */
+export function diffPlanTasks(before, after) {
+    const snapshotsOf = (text) => {
+        const snapshots = new Map();
+        if (text === null)
+            return snapshots;
+        const parsed = parsePlanMarkdown(text);
+        if (!parsed.ok || !parsed.plan)
+            return undefined;
+        const tasks = [...parsed.plan.tasksById.values()].sort((a, b) => a.line - b.line);
+        for (const task of tasks) {
+            snapshots.set(task.id, { status: task.status, title: task.title, body: task.bodyMarkdown ?? null });
+        }
+        return snapshots;
+    };
+    const previous = snapshotsOf(before);
+    const current = snapshotsOf(after);
+    if (!previous || !current)
+        return undefined;
+    const diffs = [];
+    for (const taskId of new Set([...current.keys(), ...previous.keys()])) {
+        const changes = diffSnapshots(previous.get(taskId) ?? null, current.get(taskId) ?? null);
+        if (changes.length > 0)
+            diffs.push({ taskId, changes });
+    }
+    return diffs;
+}
+function diffSnapshots(previous, current) {
+    if (!previous && !current)
+        return [];
+    if (!previous && current)
+        return [{ kind: 'added', status: current.status, title: current.title }];
+    if (previous && !current)
+        return [{ kind: 'deleted' }];
+    if (!previous || !current)
+        return [];
+    const changes = [];
+    if (previous.status !== current.status)
+        changes.push({ kind: 'status', from: previous.status, to: current.status });
+    if (previous.title !== current.title)
+        changes.push({ kind: 'title', from: previous.title, to: current.title });
+    if (previous.body !== current.body)
+        changes.push({ kind: 'body', from: previous.body, to: current.body });
+    return changes;
+}
+/**
+ * Replay the committed revisions of a plan file, oldest first.
+ *
+ * `visit` gets each commit with the file content after it (`null` once the
+ * file was deleted). Returns the plan path relative to `config.rootDir`.
+ */
+async function replayPlanRevisions(config, planId, visit) {
+    const absolutePath = resolvePlanPath(config, planId);
+    const path = relative(config.rootDir, absolutePath);
+    await runGit(config.rootDir, ['rev-parse', '--is-inside-work-tree']);
+    const log = await runGit(config.rootDir, [
+        'log',
+        '--reverse',
+        '--first-parent',
+        '-m',
+        '-p',
+        '-U0',
+        '--no-renames',
+        '--no-color',
+        '--no-ext-diff',
+        `--format=${RECORD_SEP}%H${FIELD_SEP}%an${FIELD_SEP}%ae${FIELD_SEP}%aI${FIELD_SEP}%s`,
+        '--',
+        path,
+    ]);
+    let lines = [];
+    for (const record of log.split(RECORD_SEP).slice(1)) {
+        const [header = '', ...patch] = record.split('\n');
+        const [commit = '', author = '', email = '', date = '', subject = ''] = header.split(FIELD_SEP);
+        lines = applyPatch(lines, patch);
+        // An empty revision means the file was deleted in this commit.
+        visit({ commit, author, email, date, subject }, lines.length > 0 ? `${lines.join('\n')}\n` : null);
+    }
+    return path;
+}
+/**
+ * Build the change timeline of one task from the git history of its plan file.
+ */
+export async function taskHistory(config, options) {
+    assertSafeId('taskId', options.taskId);
+    const history = [];
+    let previous = null;
+    const path = await replayPlanRevisions(config, options.planId, (commit, text) => {
+        const current = text === null ? null : snapshotTask(text, options.taskId);
+        if (current === undefined)
+            return;
+        const changes = diffSnapshots(previous, current);
+        previous = current;
+        if (changes.length > 0)
+            history.push({ ...commit, changes });
+    });
+    return { planId: options.planId, taskId: options.taskId, path, history };
+}
+/**
+ * Task changes of every commit to a plan file, optionally only commits
+ * authored at or after `since` (an ISO date or timestamp).
+ *
+ * Revisions that do not parse are skipped; the next parseable one is diffed
+ * against the last parseable one before it.
+ */
+export async function planHistory(config, options) {
+    const since = options.since === undefined ? undefined : Date.parse(options.since);
+    if (since !== undefined && Number.isNaN(since))
+        throw new Error(`Invalid since: ${JSON.stringify(options.since)}`);
+    const history = [];
+    let previous = null;
+    const path = await replayPlanRevisions(config, options.planId, (commit, text) => {
+        const tasks = diffPlanTasks(previous, text);
+        if (!tasks)
+            return;
+        previous = text;
+        if (tasks.length === 0 || (since !== undefined && Date.parse(commit.date) < since))
+            return;
+        history.push({ ...commit, tasks });
+    });
+    return { planId: options.planId, path, history };
+}
+/**
+ * Task changes between the committed (`HEAD`) version of a plan file and the
+ * working tree, i.e. edits that are not committed yet.
+ *
+ * A plan missing from `HEAD` (a new file, or no commits yet) counts as empty,
+ * so all of its tasks are reported as added. Returns undefined if either
+ * version does not parse.
+ */
+export async function planWorkingChanges(config, options) {
+    const absolutePath = resolvePlanPath(config, options.planId);
+    const path = relative(config.rootDir, absolutePath);
+    await runGit(config.rootDir, ['rev-parse', '--is-inside-work-tree']);
+    let committed;
+    try {
+        committed = await runGit(config.rootDir, ['cat-file', 'blob', `HEAD:./${path}`]);
+    }
+    catch (error) {
+        if (!/does not exist in|exists on disk, but not in|invalid object name/.test(error.message))
+            throw error;
+        committed = null;
+    }
+    return diffPlanTasks(committed, await readFile(absolutePath, 'utf8'));
+}
+//# sourceMappingURL=history.js.map
\ No newline at end of file
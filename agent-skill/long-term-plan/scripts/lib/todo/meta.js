@@ -0,0 +1,193 @@
+import { parseDependencyRef } from './deps.js';
+/**
+ * Task metadata stored in the task id trailer.
+ *
+ * Wire format: optional `key=value` pairs after the id, separated by spaces:
+ * `<!-- long-term-plan:id=t_x due=2026-11-01 prio=P1 tags=api,infra owner=alice dependsOn=t_y -->`
+ *
+ * Design notes:
+ * - Values never contain whitespace, `<` or `>`, so a trailer can always be
+ *   split unambiguously and never terminates the HTML comment early.
+ * - Unknown keys are preserved on edits (and only warned about) so files
+ *   written by a newer version stay editable by this one.
+ * - Task lines without metadata are byte-for-byte the v1 shape.
+ */
+/**
+ * Regex source matching zero or more ` key=value` pairs (used inside the
+ * strict task-line regex and the trailer regexes).
+ */
+export const TASK_META_PAIRS_PATTERN = '(?:\\s+[A-Za-z][A-Za-z0-9_-]*=[^\\s<>]+)*';
+const META_PAIR_RE = /([A-Za-z][A-Za-z0-9_-]*)=([^\s<>]+)/g;
+/**
+ * Mapping between JSON field names and on-disk trailer keys.
+ *
+ * The order here is the canonical order used when appending new keys.
+ */
+const META_FIELDS = [
+    { field: 'due', key: 'due' },
+    { field: 'priority', key: 'prio' },
+    { field: 'tags', key: 'tags' },
+    { field: 'owner', key: 'owner' },
+    { field: 'dependsOn', key: 'dependsOn' },
+];
+const DUE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const PRIORITY_RE = /^P[0-3]$/;
+const TAG_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+const OWNER_RE = /^[A-Za-z0-9][A-Za-z0-9_.@-]*$/;
+/**
+ * True if `value` is a real calendar date in `YYYY-MM-DD` form.
+ */
+function isIsoDate(value) {
+    if (!DUE_RE.test(value))
+        return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+/**
+ * Split the raw text between the id and `-->` into pairs.
+ */
+export function parseTaskMetaPairs(raw) {
+    const pairs = [];
+    for (const match of raw.matchAll(META_PAIR_RE)) {
+        pairs.push([match[1] ?? '', match[2] ?? '']);
+    }
+    return pairs;
+}
+/**
+ * Render pairs back into trailer form (leading space included when non-empty).
+ */
+export function formatTaskMetaPairs(pairs) {
+    return pairs.map(([key, value]) => ` ${key}=${value}`).join('');
+}
+/**
+ * Describe why a raw value is invalid for a known key (or undefined if valid).
+ */
+function describeInvalidValue(key, value) {
+    if (key === 'due' && !isIsoDate(value)) {
+        return `Invalid due date: ${JSON.stringify(value)} (expected YYYY-MM-DD)`;
+    }
+    if (key === 'prio' && !PRIORITY_RE.test(value)) {
+        return `Invalid priority: ${JSON.stringify(value)} (expected P0..P3)`;
+    }
+    if (key === 'tags' && !value.split(',').every((tag) => TAG_RE.test(tag))) {
+        return `Invalid tags: ${JSON.stringify(value)} (expected comma-separated [A-Za-z0-9_.-] tokens)`;
+    }
+    if (key === 'owner' && !OWNER_RE.test(value)) {
+        return `Invalid owner: ${JSON.stringify(value)} (expected [A-Za-z0-9_.@-] token)`;
+    }
+    if (key === 'dependsOn' && !value.split(',').every((ref) => parseDependencyRef(ref))) {
+        return `Invalid dependsOn: ${JSON.stringify(value)} (expected comma-separated taskId or planId:taskId refs)`;
+    }
+    return undefined;
+}
+/**
+ * Decode known metadata keys into a `TaskMeta` object.
+ *
+ * Decoding is lenient (it never throws); the validator reports bad values.
+ */
+export function decodeTaskMeta(pairs) {
+    const meta = {};
+    for (const [key, value] of pairs) {
+        if (describeInvalidValue(key, value))
+            continue;
+        if (key === 'due')
+            meta.due = value;
+        else if (key === 'prio')
+            meta.priority = value;
+        else if (key === 'tags')
+            meta.tags = value.split(',');
+        else if (key === 'owner')
+            meta.owner = value;
+        else if (key === 'dependsOn')
+            meta.dependsOn = value.split(',');
+    }
+    return meta;
+}
+/**
+ * Check raw pairs and return error/warning messages.
+ *
+ * - errors: invalid values for known keys, duplicate keys
+ * - warnings: unknown keys (preserved, but not understood by this version)
+ */
+export function checkTaskMetaPairs(pairs) {
+    const errors = [];
+    const warnings = [];
+    const knownKeys = new Set(META_FIELDS.map((f) => f.key));
+    const seen = new Set();
+    for (const [key, value] of pairs) {
+        if (seen.has(key))
+            errors.push(`Duplicate task metadata key: ${key}`);
+        seen.add(key);
+        if (!knownKeys.has(key)) {
+            warnings.push(`Unknown task metadata key: ${key}`);
+            continue;
+        }
+        const problem = describeInvalidValue(key, value);
+        if (problem)
+            errors.push(problem);
+    }
+    return { errors, warnings };
+}
+/**
+ * Encode a JSON metadata value into its on-disk string form (or throw).
+ */
+function encodeFieldValue(field, value) {
+    const entry = META_FIELDS.find((f) => f.field === field);
+    if (!entry)
+        throw new Error(`Unknown task metadata field: ${field}`);
+    const raw = Array.isArray(value) ? value.map((item) => item.trim()).join(',') : value.trim();
+    const problem = describeInvalidValue(entry.key, raw);
+    if (problem || raw.length === 0)
+        throw new Error(problem ?? `Invalid ${field}: value must be non-empty`);
+    return raw;
+}
+/**
+ * Apply a metadata patch to raw pairs, preserving on-disk order.
+ *
+ * Existing keys are updated in place, cleared keys are removed, and new keys
+ * are appended in canonical order. Unknown keys are left untouched.
+ */
+export function applyTaskMetaPatch(pairs, patch) {
+    let next = pairs.map(([key, value]) => [key, value]);
+    for (const { field, key } of META_FIELDS) {
+        const value = patch[field];
+        if (value === undefined)
+            continue;
+        const clear = value === null || (Array.isArray(value) && value.length === 0);
+        if (clear) {
+            next = next.filter(([k]) => k !== key);
+            continue;
+        }
+        const encoded = encodeFieldValue(field, value);
+        const existing = next.find(([k]) => k === key);
+        if (existing)
+            existing[1] = encoded;
+        else
+            next.push([key, encoded]);
+    }
+    return next;
+}
+/**
+ * True if a patch would touch at least one metadata field.
+ */
+export function hasTaskMetaPatch(patch) {
+    if (!patch)
+        return false;
+    return META_FIELDS.some(({ field }) => patch[field] !== undefined);
+}
+/**
+ * Copy set metadata fields onto an output object (JSON views).
+ */
+export function assignTaskMetaFields(target, meta) {
+    if (meta.due !== undefined)
+        target.due = meta.due;
+    if (meta.priority !== undefined)
+        target.priority = meta.priority;
+    if (meta.tags !== undefined)
+        target.tags = meta.tags;
+    if (meta.owner !== undefined)
+        target.owner = meta.owner;
+    if (meta.dependsOn !== undefined)
+        target.dependsOn = meta.dependsOn;
+}
+//# sourceMappingURL=meta.js.map
\ No newline at end of file
@@ -1,14 +1,19 @@
 import { LONG_TERM_PLAN_FORMAT_HEADER } from './constants.js';
+import { findFormatHeader } from './format.js';
 import { errorDiagnostic, warningDiagnostic } from './diagnostics.js';
-import { symbolToStatus } from './status.js';
+import { decodeTaskMeta, parseTaskMetaPairs, TASK_META_PAIRS_PATTERN } from './meta.js';
+import { describeStatusSymbolProblem, symbolToStatus } from './status.js';
 const HEADING_RE = /^(#{1,6})\s+(.*)$/;
-const TASK_LINE_STRICT_RE = /^(\s*)-\s+\[([ *√])\]\s+(.*?)(\s+<!--\s*long-term-plan:id=([A-Za-z0-9_-]+)\s*-->)\s*$/;
+const TASK_LINE_STRICT_RE = new RegExp(`^(\\s*)-\\s+\\[([ *√!-])\\]\\s+(.*?)(\\s+<!--\\s*long-term-plan:id=([A-Za-z0-9_-]+)(${TASK_META_PAIRS_PATTERN})\\s*-->)\\s*$`);
 /**
  * Parse a strict task line.
  *
  * Strict format example:
  * `- [ ] Title <!-- long-term-plan:id=t_abc123 -->`
  *
+ * The trailer may carry metadata pairs after the id (see `meta.ts`):
+ * `- [ ] Title <!-- long-term-plan:id=t_abc123 due=2026-11-01 prio=P1 -->`
+ *
  * Returns `undefined` if the line is not a valid task line.
  */
 export function parseTaskLineStrict(line) {
@@ -19,6 +24,7 @@ export function parseTaskLineStrict(line) {
     const symbol = match[2];
     const titleRaw = match[3] ?? '';
     const id = match[5] ?? '';
+    const metaPairs = parseTaskMetaPairs(match[6] ?? '');
     const title = titleRaw.trim();
     if (!title)
         return undefined;
@@ -26,7 +32,7 @@ export function parseTaskLineStrict(line) {
         return undefined;
     if (title.includes('<!--') || title.includes('-->'))
         return undefined;
-    return { indent, symbol, title, id };
+    return { indent, symbol, title, id, metaPairs };
 }
 function isBlankLine(line) {
     return line.trim().length === 0;
@@ -180,7 +186,8 @@ function buildHeadingPath(frames, includeH1) {
  * Parse a plan markdown document into headings and a task tree.
  *
  * Behavior highlights:
- * - Requires a format header somewhere near the top (first ~30 lines).
+ * - Requires a format header somewhere near the top (first ~30 lines); the
+ *   header version decides whether `[!]` / `[-]` statuses are allowed.
  * - Uses indentation to infer parent/child relationships between tasks.
  * - Computes `blockEndLine` for each task so edit operations can delete blocks.
  */
@@ -191,10 +198,9 @@ export function parsePlanMarkdown(text) {
     if (text.endsWith('\n') && lines.length > 0 && lines[lines.length - 1] === '') {
         lines.pop();
     }
-    const headerLine = lines
-        .slice(0, Math.min(lines.length, 30))
-        .findIndex((line) => line.includes(LONG_TERM_PLAN_FORMAT_HEADER));
-    if (headerLine === -1) {
+    const header = findFormatHeader(lines);
+    const formatVersion = header?.version ?? 'v1';
+    if (!header) {
         errors.push(errorDiagnostic('MISSING_FORMAT_HEADER', `Missing required header: ${LONG_TERM_PLAN_FORMAT_HEADER}`));
     }
     const headings = [];
@@ -235,10 +241,15 @@ export function parsePlanMarkdown(text) {
             closeTasksAtBoundary(openTasks, lineIndex, parsedTask.indent);
             const sectionPath = buildHeadingPath(headingStack, includeH1InSectionPath);
             const status = symbolToStatus(parsedTask.symbol);
+            const symbolProblem = describeStatusSymbolProblem(parsedTask.symbol, formatVersion);
+            if (symbolProblem) {
+                errors.push(errorDiagnostic('INVALID_STATUS_SYMBOL', symbolProblem, lineIndex));
+            }
             const task = {
                 id: parsedTask.id,
                 title: parsedTask.title,
                 status,
+                meta: decodeTaskMeta(parsedTask.metaPairs),
                 hasBody: false,
                 indent: parsedTask.indent,
                 line: lineIndex,
@@ -282,7 +293,7 @@ export function parsePlanMarkdown(text) {
     }
     closeAllTasksAtBoundary(openTasks, lines.length);
     closeHeadingsAtBoundary(headingStack, headingIndexStack, headings, lines.length, 1);
-    if (headerLine !== -1 && tasksById.size === 0) {
+    if (header && tasksById.size === 0) {
         warnings.push(warningDiagnostic('NO_TASKS', 'No tasks found in document.'));
     }
     const planBody = parsePlanBody(lines, firstH1Line);
@@ -291,6 +302,7 @@ export function parsePlanMarkdown(text) {
         ok,
         plan: ok
             ? {
+                formatVersion,
                 title: planTitle,
                 hasBody: planBody.hasBody,
                 bodyMarkdown: planBody.bodyMarkdown,
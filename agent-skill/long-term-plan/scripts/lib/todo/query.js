@@ -0,0 +1,207 @@
+const STATUSES = ['todo', 'doing', 'done', 'blocked', 'cancelled'];
+const HAS_VALUES = ['body', 'children', 'parent', 'due', 'priority', 'tags', 'owner', 'deps'];
+const FIELDS = ['status', 'section', 'under', 'has', 'id', 'title', 'tag', 'owner', 'priority', 'prio'];
+/**
+ * Build a filter syntax error with a caret under the offending column.
+ */
+function syntaxError(source, pos, reason) {
+    const column = Math.min(pos, source.length);
+    return new Error(`Invalid filter: ${reason} at column ${column + 1}\n  ${source}\n  ${' '.repeat(column)}^`);
+}
+/**
+ * Split the source into tokens, keeping quoted values (and `field:"..."`) intact.
+ */
+function tokenize(source) {
+    const tokens = [];
+    let index = 0;
+    while (index < source.length) {
+        const char = source[index] ?? '';
+        if (/\s/.test(char)) {
+            index += 1;
+            continue;
+        }
+        if (char === '(' || char === ')') {
+            tokens.push({ kind: char === '(' ? 'lparen' : 'rparen', value: char, pos: index });
+            index += 1;
+            continue;
+        }
+        const start = index;
+        let raw = '';
+        let quoted = false;
+        while (index < source.length) {
+            const c = source[index] ?? '';
+            if (c === '"') {
+                const close = source.indexOf('"', index + 1);
+                if (close === -1)
+                    throw syntaxError(source, index, 'unterminated quote');
+                raw += source.slice(index, close + 1);
+                quoted = true;
+                index = close + 1;
+                continue;
+            }
+            if (/\s/.test(c) || c === '(' || c === ')')
+                break;
+            raw += c;
+            index += 1;
+        }
+        if (!quoted && (raw === 'AND' || raw === 'OR' || raw === 'NOT')) {
+            tokens.push({ kind: raw === 'AND' ? 'and' : raw === 'OR' ? 'or' : 'not', value: raw, pos: start });
+            continue;
+        }
+        const fieldMatch = raw.match(/^([A-Za-z]+):(.*)$/);
+        const field = fieldMatch ? fieldMatch[1]?.toLowerCase() : undefined;
+        const rawValue = fieldMatch ? (fieldMatch[2] ?? '') : raw;
+        const value = rawValue.replace(/"/g, '');
+        tokens.push({ kind: 'word', field, value, pos: start });
+    }
+    return tokens;
+}
+/**
+ * True if `task` sits (transitively) below the task with id `ancestorId`.
+ */
+function isUnder(task, ancestorId, plan) {
+    let parentId = task.parentId;
+    while (parentId) {
+        if (parentId === ancestorId)
+            return true;
+        parentId = plan.tasksById.get(parentId)?.parentId;
+    }
+    return false;
+}
+/**
+ * Compile a single `field:value` / bare-term word into a predicate.
+ */
+function compileWord(source, token) {
+    const value = token.value;
+    const lower = value.toLowerCase();
+    const field = token.field;
+    if (field === undefined) {
+        if (!lower)
+            throw syntaxError(source, token.pos, 'empty term');
+        return (task) => task.title.toLowerCase().includes(lower);
+    }
+    if (!FIELDS.includes(field)) {
+        throw syntaxError(source, token.pos, `unknown field "${field}" (expected one of: ${FIELDS.join(', ')})`);
+    }
+    if (!value)
+        throw syntaxError(source, token.pos, `missing value for ${field}:`);
+    if (field === 'status') {
+        const status = STATUSES.find((s) => s === lower);
+        if (!status) {
+            throw syntaxError(source, token.pos, `invalid status "${value}" (expected one of: ${STATUSES.join(', ')})`);
+        }
+        return (task) => task.status === status;
+    }
+    if (field === 'section') {
+        const path = lower
+            .split('/')
+            .map((part) => part.trim())
+            .filter(Boolean);
+        return (task) => path.length <= task.sectionPath.length &&
+            path.every((part, index) => task.sectionPath[index]?.toLowerCase() === part);
+    }
+    if (field === 'under')
+        return (task, plan) => isUnder(task, value, plan);
+    if (field === 'id')
+        return (task) => task.id === value;
+    if (field === 'title')
+        return (task) => task.title.toLowerCase().includes(lower);
+    if (field === 'tag')
+        return (task) => (task.meta.tags ?? []).some((tag) => tag.toLowerCase() === lower);
+    if (field === 'owner')
+        return (task) => task.meta.owner?.toLowerCase() === lower;
+    if (field === 'priority' || field === 'prio') {
+        const priority = value.toUpperCase();
+        if (!/^P[0-3]$/.test(priority)) {
+            throw syntaxError(source, token.pos, `invalid priority "${value}" (expected P0..P3)`);
+        }
+        return (task) => task.meta.priority === priority;
+    }
+    // has:<what>
+    if (!HAS_VALUES.includes(lower)) {
+        throw syntaxError(source, token.pos, `invalid has: value "${value}" (expected one of: ${HAS_VALUES.join(', ')})`);
+    }
+    if (lower === 'body')
+        return (task) => task.hasBody;
+    if (lower === 'children')
+        return (task) => task.children.length > 0;
+    if (lower === 'parent')
+        return (task) => task.parentId !== undefined;
+    if (lower === 'due')
+        return (task) => task.meta.due !== undefined;
+    if (lower === 'priority')
+        return (task) => task.meta.priority !== undefined;
+    if (lower === 'tags')
+        return (task) => (task.meta.tags ?? []).length > 0;
+    if (lower === 'owner')
+        return (task) => task.meta.owner !== undefined;
+    return (task) => (task.meta.dependsOn ?? []).length > 0;
+}
+/**
+ * Compile a filter expression into a task predicate (or throw on bad syntax).
+ */
+export function compileTaskFilter(source) {
+    const tokens = tokenize(source);
+    if (tokens.length === 0)
+        throw syntaxError(source, 0, 'empty filter');
+    let index = 0;
+    const peek = () => tokens[index];
+    function parseOr() {
+        let left = parseAnd();
+        while (peek()?.kind === 'or') {
+            index += 1;
+            const right = parseAnd();
+            const l = left;
+            left = (task, plan) => l(task, plan) || right(task, plan);
+        }
+        return left;
+    }
+    function parseAnd() {
+        let left = parseUnary();
+        for (;;) {
+            const next = peek();
+            if (next?.kind === 'and') {
+                index += 1;
+            }
+            else if (!next || next.kind === 'or' || next.kind === 'rparen') {
+                return left;
+            }
+            const right = parseUnary();
+            const l = left;
+            left = (task, plan) => l(task, plan) && right(task, plan);
+        }
+    }
+    function parseUnary() {
+        if (peek()?.kind === 'not') {
+            index += 1;
+            const operand = parseUnary();
+            return (task, plan) => !operand(task, plan);
+        }
+        return parsePrimary();
+    }
+    function parsePrimary() {
+        const token = peek();
+        if (!token)
+            throw syntaxError(source, source.length, 'expected an expression');
+        if (token.kind === 'lparen') {
+            index += 1;
+            const inner = parseOr();
+            const close = peek();
+            if (close?.kind !== 'rparen')
+                throw syntaxError(source, token.pos, 'missing closing parenthesis');
+            index += 1;
+            return inner;
+        }
+        if (token.kind === 'word') {
+            index += 1;
+            return compileWord(source, token);
+        }
+        throw syntaxError(source, token.pos, `unexpected ${token.value}`);
+    }
+    const filter = parseOr();
+    const rest = peek();
+    if (rest)
+        throw syntaxError(source, rest.pos, `unexpected ${rest.value}`);
+    return filter;
+}
+//# sourceMappingURL=query.js.map
\ No newline at end of file
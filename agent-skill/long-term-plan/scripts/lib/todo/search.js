@@ -0,0 +1,90 @@
+/**
+ * Canonical field order (also the order of `matchedIn`).
+ */
+export const SEARCH_FIELDS = ['title', 'body', 'section', 'tags'];
+/**
+ * Maximum characters kept per snippet line (longer lines are cut with `…`).
+ */
+const SNIPPET_LINE_MAX = 160;
+/**
+ * Split a query into lower-cased terms, keeping quoted phrases together.
+ *
+ * An unterminated quote runs to the end of the query.
+ */
+export function parseSearchTerms(query) {
+    const terms = [];
+    const re = /"([^"]*)"?|(\S+)/g;
+    for (const match of query.matchAll(re)) {
+        const term = (match[1] ?? match[2] ?? '').trim().toLowerCase();
+        if (term)
+            terms.push(term);
+    }
+    return terms;
+}
+/**
+ * Return the searchable text of a task for one field.
+ */
+function fieldTexts(task, field) {
+    if (field === 'title')
+        return [task.title];
+    if (field === 'body')
+        return task.bodyMarkdown ? [task.bodyMarkdown] : [];
+    if (field === 'section')
+        return task.sectionPath.length > 0 ? [task.sectionPath.join(' / ')] : [];
+    return task.meta.tags ?? [];
+}
+function truncateLine(line) {
+    const trimmed = line.trim();
+    return trimmed.length > SNIPPET_LINE_MAX ? `${trimmed.slice(0, SNIPPET_LINE_MAX - 1)}…` : trimmed;
+}
+/**
+ * Build a short snippet: the first body line containing a term plus one line
+ * of context on each side.
+ */
+function buildBodySnippet(body, terms) {
+    const lines = body.split('\n');
+    const hitIndex = lines.findIndex((line) => {
+        const lower = line.toLowerCase();
+        return terms.some((term) => lower.includes(term));
+    });
+    if (hitIndex === -1)
+        return undefined;
+    return lines
+        .slice(Math.max(0, hitIndex - 1), hitIndex + 2)
+        .map(truncateLine)
+        .join('\n');
+}
+/**
+ * Match a task against parsed terms within `fields`.
+ *
+ * Returns undefined unless every term matches somewhere.
+ */
+export function matchTask(task, terms, fields) {
+    if (terms.length === 0)
+        return undefined;
+    const lowered = new Map();
+    for (const field of SEARCH_FIELDS) {
+        if (fields.includes(field))
+            lowered.set(field, fieldTexts(task, field).map((t) => t.toLowerCase()));
+    }
+    const matched = new Set();
+    for (const term of terms) {
+        let termMatched = false;
+        for (const [field, texts] of lowered) {
+            if (texts.some((text) => text.includes(term))) {
+                matched.add(field);
+                termMatched = true;
+            }
+        }
+        if (!termMatched)
+            return undefined;
+    }
+    const result = { matchedIn: SEARCH_FIELDS.filter((field) => matched.has(field)) };
+    if (matched.has('body') && task.bodyMarkdown) {
+        const snippet = buildBodySnippet(task.bodyMarkdown, terms);
+        if (snippet)
+            result.snippet = snippet;
+    }
+    return result;
+}
+//# sourceMappingURL=search.js.map
\ No newline at end of file
@@ -1,3 +1,7 @@
+/**
+ * Statuses that can only be written to format v2 documents.
+ */
+const V2_ONLY_STATUSES = new Set(['blocked', 'cancelled']);
 /**
  * Convert a normalized task status to its markdown symbol.
  */
@@ -6,6 +10,10 @@ export function statusToSymbol(status) {
         return ' ';
     if (status === 'doing')
         return '*';
+    if (status === 'blocked')
+        return '!';
+    if (status === 'cancelled')
+        return '-';
     return '√';
 }
 /**
@@ -16,6 +24,45 @@ export function symbolToStatus(symbol) {
         return 'todo';
     if (symbol === '*')
         return 'doing';
+    if (symbol === '!')
+        return 'blocked';
+    if (symbol === '-')
+        return 'cancelled';
     return 'done';
 }
+/**
+ * True if `symbol` is any known status symbol (regardless of format version).
+ */
+export function isStatusSymbol(symbol) {
+    return symbol === ' ' || symbol === '*' || symbol === '√' || symbol === '!' || symbol === '-';
+}
+/**
+ * True if a status needs a format v2 document.
+ */
+export function statusRequiresV2(status) {
+    return V2_ONLY_STATUSES.has(status);
+}
+/**
+ * Describe why `symbol` is not allowed in a document of `version`
+ * (or undefined if it is allowed).
+ */
+export function describeStatusSymbolProblem(symbol, version) {
+    if (!isStatusSymbol(symbol)) {
+        return version === 'v2'
+            ? `Invalid status symbol: ${JSON.stringify(symbol)} (expected ' ', '*', '√', '!', or '-')`
+            : `Invalid status symbol: ${JSON.stringify(symbol)} (expected ' ', '*', or '√')`;
+    }
+    if (version === 'v1' && statusRequiresV2(symbolToStatus(symbol))) {
+        return `Status symbol ${JSON.stringify(symbol)} requires format v2 (<!-- long-term-plan:format=v2 -->)`;
+    }
+    return undefined;
+}
+/**
+ * True for statuses that no longer need work (`done`, `cancelled`).
+ *
+ * Closed tasks never block dependents and are never picked as default targets.
+ */
+export function isClosedStatus(status) {
+    return status === 'done' || status === 'cancelled';
+}
 //# sourceMappingURL=status.js.map
\ No newline at end of file
@@ -1,7 +1,8 @@
 import { createHash, randomUUID } from 'node:crypto';
-import { link, mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
-import { dirname, isAbsolute, relative, resolve, sep } from 'node:path';
+import { access, link, mkdir, readdir, readFile, rename, rm, unlink, writeFile } from 'node:fs/promises';
+import { basename, dirname, isAbsolute, relative, resolve, sep } from 'node:path';
 import { assertSafeId } from './id.js';
+import { rememberPlanText } from './rebase.js';
 export { assertSafeId } from './id.js';
 /**
  * Compute a stable hex-encoded SHA-256 digest.
@@ -57,16 +58,82 @@ export function resolvePlanPath(config, planId) {
     assertPathWithinRoot(resolve(config.rootDir), absolutePath);
     return absolutePath;
 }
+/**
+ * Subfolder of `plansDir` that holds archived plans (hidden from `plan.list`).
+ */
+export const ARCHIVE_DIRNAME = 'archive';
+/**
+ * Resolve the archived location of a plan (`<plansDir>/archive/<planId>.md`).
+ */
+export function resolveArchivedPlanPath(config, planId) {
+    assertSafeId('planId', planId);
+    const absolutePath = resolve(resolvePlansDir(config), ARCHIVE_DIRNAME, `${planId}.md`);
+    assertPathWithinRoot(resolve(config.rootDir), absolutePath);
+    return absolutePath;
+}
+/**
+ * List plan ids for `.md` files directly inside `dir` (sorted).
+ *
+ * Filenames that are not safe ids are skipped.
+ */
+async function listPlanIdsIn(dir) {
+    try {
+        await access(dir);
+    }
+    catch {
+        return [];
+    }
+    const entries = await readdir(dir, { withFileTypes: true });
+    const planIds = [];
+    for (const entry of entries) {
+        if (!entry.isFile())
+            continue;
+        if (!entry.name.endsWith('.md'))
+            continue;
+        const planId = basename(entry.name, '.md');
+        try {
+            assertSafeId('planId', planId);
+        }
+        catch {
+            continue;
+        }
+        planIds.push(planId);
+    }
+    return planIds.sort((a, b) => a.localeCompare(b));
+}
+/**
+ * List plan ids for `.md` files directly inside `config.plansDir`.
+ */
+export async function listPlanIds(config) {
+    return listPlanIdsIn(resolvePlansDir(config));
+}
+/**
+ * List plan ids in the `archive/` subfolder of `config.plansDir`.
+ */
+export async function listArchivedPlanIds(config) {
+    return listPlanIdsIn(resolve(resolvePlansDir(config), ARCHIVE_DIRNAME));
+}
 /**
  * Read a plan file and compute its etag.
  *
  * The etag is derived from file contents (not mtime) to support safe retries and
- * optimistic concurrency for edits.
+ * optimistic concurrency for edits. The version is remembered as a possible
+ * base for `ifMatchMode: 'rebase'`.
  */
 export async function readPlanFile(config, planId) {
     const absolutePath = resolvePlanPath(config, planId);
     const text = await readFile(absolutePath, 'utf8');
-    return { absolutePath, text, etag: sha256Hex(text) };
+    const etag = sha256Hex(text);
+    rememberPlanText(absolutePath, etag, text);
+    return { absolutePath, text, etag };
+}
+/**
+ * Atomically write a plan file, remembering the new version (like
+ * `readPlanFile`) so writes based on the returned etag can be rebased.
+ */
+export async function writePlanFile(absolutePath, text) {
+    await writeFileAtomic(absolutePath, text);
+    rememberPlanText(absolutePath, sha256Hex(text), text);
 }
 /**
  * Write a file via a temporary path and atomic rename.
@@ -91,10 +158,13 @@ export async function writeFileAtomic(absolutePath, text) {
  * - Write a temp file in the same directory as the destination.
  * - Atomically `link()` it into place (fails with EEXIST if dest exists).
  * - Remove the temp path; the destination link remains.
+ *
+ * With `createDir: false`, a missing parent directory fails with ENOENT
+ * instead of being created (used for lockfiles).
  */
-export async function writeFileAtomicExclusive(absolutePath, text) {
-    const dir = dirname(absolutePath);
-    await mkdir(dir, { recursive: true });
+export async function writeFileAtomicExclusive(absolutePath, text, options = {}) {
+    if (options.createDir ?? true)
+        await mkdir(dirname(absolutePath), { recursive: true });
     const tmpPath = `${absolutePath}.tmp.${randomUUID()}`;
     await writeFile(tmpPath, text, 'utf8');
     try {
@@ -109,4 +179,16 @@ export async function writeFileAtomicExclusive(absolutePath, text) {
         }
     }
 }
+/**
+ * Rename a file, failing with EEXIST instead of replacing an existing destination.
+ *
+ * `rename()` silently overwrites, so (as in `writeFileAtomicExclusive`) we
+ * `link()` the new name into place first and only then remove the old name.
+ * Both paths must be on the same filesystem (they always are inside `plansDir`).
+ */
+export async function renameFileExclusive(fromPath, toPath) {
+    await mkdir(dirname(toPath), { recursive: true });
+    await link(fromPath, toPath);
+    await unlink(fromPath);
+}
 //# sourceMappingURL=storage.js.map
\ No newline at end of file
@@ -1,7 +1,11 @@
 import { LONG_TERM_PLAN_FORMAT_HEADER } from './constants.js';
+import { buildLocalDependencyGraph, findDependencyCycles, parseDependencyRef } from './deps.js';
 import { errorDiagnostic, warningDiagnostic } from './diagnostics.js';
+import { findFormatHeader } from './format.js';
 import { isSafeId } from './id.js';
+import { checkTaskMetaPairs, TASK_META_PAIRS_PATTERN } from './meta.js';
 import { parsePlanMarkdown, parseTaskLineStrict } from './parse.js';
+import { describeStatusSymbolProblem } from './status.js';
 /**
  * Validator for long-term-plan markdown documents.
  *
@@ -13,7 +17,7 @@ import { parsePlanMarkdown, parseTaskLineStrict } from './parse.js';
  * errors/warnings, de-duplicated by (severity, code, line, message).
  */
 const TASK_LINE_LOOSE_RE = /^(\s*)-\s+\[([^\]])\]\s+(.*)$/;
-const TASK_ID_TRAILER_RE = /<!--\s*long-term-plan:id=([A-Za-z0-9_-]+)\s*-->\s*$/;
+const TASK_ID_TRAILER_RE = new RegExp(`<!--\\s*long-term-plan:id=([A-Za-z0-9_-]+)${TASK_META_PAIRS_PATTERN}\\s*-->\\s*$`);
 /**
  * Describe the shared "safe id" requirements in a human-friendly way.
  *
@@ -48,10 +52,9 @@ export function validatePlanMarkdown(text) {
         target.push(diagnostic);
     }
     const lines = text.split(/\r?\n/);
-    const headerLine = lines
-        .slice(0, Math.min(lines.length, 30))
-        .findIndex((line) => line.includes(LONG_TERM_PLAN_FORMAT_HEADER));
-    if (headerLine === -1) {
+    const header = findFormatHeader(lines);
+    const formatVersion = header?.version ?? 'v1';
+    if (!header) {
         pushUniqueDiagnostic(errors, errorKeys, errorDiagnostic('MISSING_FORMAT_HEADER', `Missing required header: ${LONG_TERM_PLAN_FORMAT_HEADER}`));
     }
     const seenIds = new Set();
@@ -61,9 +64,9 @@ export function validatePlanMarkdown(text) {
         if (!loose)
             continue;
         const symbol = loose[2] ?? '';
-        const isAllowedSymbol = symbol === ' ' || symbol === '*' || symbol === '√';
-        if (!isAllowedSymbol) {
-            pushUniqueDiagnostic(errors, errorKeys, errorDiagnostic('INVALID_STATUS_SYMBOL', `Invalid status symbol: ${JSON.stringify(symbol)} (expected ' ', '*', or '√')`, lineIndex));
+        const symbolProblem = describeStatusSymbolProblem(symbol, formatVersion);
+        if (symbolProblem) {
+            pushUniqueDiagnostic(errors, errorKeys, errorDiagnostic('INVALID_STATUS_SYMBOL', symbolProblem, lineIndex));
             continue;
         }
         const strict = parseTaskLineStrict(line);
@@ -85,6 +88,13 @@ export function validatePlanMarkdown(text) {
             pushUniqueDiagnostic(errors, errorKeys, errorDiagnostic('INVALID_TASK_ID', `Invalid task id: ${JSON.stringify(strict.id)} (${safeIdExpectationText()})`, lineIndex));
             continue;
         }
+        const meta = checkTaskMetaPairs(strict.metaPairs);
+        for (const message of meta.errors) {
+            pushUniqueDiagnostic(errors, errorKeys, errorDiagnostic('INVALID_TASK_META', message, lineIndex));
+        }
+        for (const message of meta.warnings) {
+            pushUniqueDiagnostic(warnings, warningKeys, warningDiagnostic('UNKNOWN_TASK_META_KEY', message, lineIndex));
+        }
         if (seenIds.has(strict.id)) {
             pushUniqueDiagnostic(errors, errorKeys, errorDiagnostic('DUPLICATE_TASK_ID', `Duplicate task id: ${strict.id}`, lineIndex));
         }
@@ -99,7 +109,22 @@ export function validatePlanMarkdown(text) {
     for (const diagnostic of parse.warnings) {
         pushUniqueDiagnostic(warnings, warningKeys, diagnostic);
     }
-    if (errors.length === 0 && seenIds.size === 0 && headerLine !== -1) {
+    // Same-plan dependency checks; cross-plan refs are resolved by `validatePlanDoc`.
+    if (parse.plan) {
+        const tasksById = parse.plan.tasksById;
+        for (const task of tasksById.values()) {
+            for (const raw of task.meta.dependsOn ?? []) {
+                const ref = parseDependencyRef(raw);
+                if (!ref || ref.planId || tasksById.has(ref.taskId))
+                    continue;
+                pushUniqueDiagnostic(warnings, warningKeys, warningDiagnostic('UNKNOWN_DEPENDENCY', `Unknown dependency target: ${raw}`, task.line));
+            }
+        }
+        for (const cycle of findDependencyCycles(buildLocalDependencyGraph(tasksById.values()))) {
+            pushUniqueDiagnostic(errors, errorKeys, errorDiagnostic('DEPENDENCY_CYCLE', `Dependency cycle: ${cycle.join(' -> ')}`, tasksById.get(cycle[0] ?? '')?.line));
+        }
+    }
+    if (errors.length === 0 && seenIds.size === 0 && header) {
         pushUniqueDiagnostic(warnings, warningKeys, warningDiagnostic('NO_TASKS', 'No tasks found in document.'));
     }
     return { errors, warnings };
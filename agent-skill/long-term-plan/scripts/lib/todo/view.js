@@ -1,5 +1,9 @@
+import { assignTaskMetaFields } from './meta.js';
 /**
  * Convert parsed tasks into a stable, minimal output shape for `plan.get (tree)`.
+ *
+ * When `include` is given, tasks for which it returns false are dropped together
+ * with their subtrees (callers keep ancestors of matches to preserve context).
  */
 export function buildTaskTreeView(rootTasks, options) {
     const out = [];
@@ -16,6 +20,8 @@ export function buildTaskTreeView(rootTasks, options) {
         if (!frame)
             continue;
         const task = frame.task;
+        if (options.include && !options.include(task))
+            continue;
         const node = {
             id: task.id,
             title: task.title,
@@ -25,8 +31,12 @@ export function buildTaskTreeView(rootTasks, options) {
             hasBody: task.hasBody,
             children: [],
         };
+        assignTaskMetaFields(node, task.meta);
         if (options.includeBody && task.hasBody)
             node.bodyMarkdown = task.bodyMarkdown;
+        const rollup = options.rollups?.get(task.id);
+        if (rollup)
+            node.rollup = rollup;
         frame.outArray.push(node);
         // Push children in reverse so traversal preserves the original order.
         for (let index = task.children.length - 1; index >= 0; index -= 1) {
@@ -47,6 +57,7 @@ export function toTaskFlatRow(task, options) {
         parentId: task.parentId,
         hasBody: task.hasBody,
     };
+    assignTaskMetaFields(row, task.meta);
     if (options.includeBody && task.hasBody)
         row.bodyMarkdown = task.bodyMarkdown;
     return row;
@@ -0,0 +1,161 @@
+import { watch } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import { diffPlanTasks } from './history.js';
+import { assertSafeId, listPlanIds, resolvePlansDir, sha256Hex } from './storage.js';
+/**
+ * Change events for plan files edited by anyone (editors, other agents, this
+ * process).
+ *
+ * One `fs.watch` on the plans directory (archived plans are not watched).
+ * Events are debounced per plan and compared against the last version seen, so
+ * an atomic write (temp file + rename) or an editor's save burst produces one
+ * event, and a touch that leaves the content unchanged produces none. Our own
+ * `*.tmp.*` and `*.lock` files never match a plan file name.
+ */
+export const DEFAULT_WATCH_DEBOUNCE_MS = 100;
+/**
+ * How often to check for a plans directory that does not exist yet.
+ */
+const MISSING_DIR_RETRY_MS = 1000;
+/**
+ * Plan id for a file name in the plans directory (undefined for other files).
+ */
+function planIdForFile(filename) {
+    if (!filename.endsWith('.md') || filename.includes('.tmp.'))
+        return undefined;
+    const planId = basename(filename, '.md');
+    try {
+        assertSafeId('planId', planId);
+    }
+    catch {
+        return undefined;
+    }
+    return planId;
+}
+async function readPlanText(path) {
+    try {
+        return await readFile(path, 'utf8');
+    }
+    catch (error) {
+        if (error.code === 'ENOENT')
+            return null;
+        throw error;
+    }
+}
+/**
+ * Start watching the plans directory.
+ *
+ * The current content of the watched plans is read first, so only changes
+ * made after this resolves are reported. A missing plans directory is not
+ * created; it is checked for periodically, and plans found once it appears
+ * are reported as added.
+ */
+export async function watchPlans(config, options) {
+    if (options.planId !== undefined)
+        assertSafeId('planId', options.planId);
+    const plansDir = resolvePlansDir(config);
+    const debounceMs = options.debounceMs ?? DEFAULT_WATCH_DEBOUNCE_MS;
+    const known = new Map();
+    const planIds = options.planId !== undefined ? [options.planId] : await listPlanIds(config);
+    for (const planId of planIds) {
+        const text = await readPlanText(join(plansDir, `${planId}.md`));
+        if (text !== null)
+            known.set(planId, text);
+    }
+    const timers = new Map();
+    let closed = false;
+    // Refreshes run one at a time so events come out in order.
+    let queue = Promise.resolve();
+    const refresh = async (planId) => {
+        const text = await readPlanText(join(plansDir, `${planId}.md`));
+        const previous = known.get(planId) ?? null;
+        if (closed || text === previous)
+            return;
+        if (text === null)
+            known.delete(planId);
+        else
+            known.set(planId, text);
+        const event = {
+            planId,
+            kind: previous === null ? 'added' : text === null ? 'deleted' : 'changed',
+            etag: text === null ? null : sha256Hex(text),
+            previousEtag: previous === null ? null : sha256Hex(previous),
+        };
+        const tasks = diffPlanTasks(previous, text);
+        if (tasks)
+            event.tasks = tasks;
+        options.onChange(event);
+    };
+    const schedule = (planId) => {
+        if (options.planId !== undefined && planId !== options.planId)
+            return;
+        clearTimeout(timers.get(planId));
+        timers.set(planId, setTimeout(() => {
+            timers.delete(planId);
+            queue = queue.then(() => refresh(planId)).catch((error) => options.onError?.(error));
+        }, debounceMs));
+    };
+    let watcher;
+    let retryTimer;
+    /**
+     * Watch `plansDir`; false while it does not exist.
+     */
+    const startWatching = () => {
+        try {
+            watcher = watch(plansDir, (_eventType, filename) => {
+                if (filename === null) {
+                    // Some platforms omit the name; re-check everything we track.
+                    for (const planId of options.planId !== undefined ? [options.planId] : known.keys())
+                        schedule(planId);
+                    return;
+                }
+                const planId = planIdForFile(filename.toString());
+                if (planId)
+                    schedule(planId);
+            });
+        }
+        catch (error) {
+            if (error.code === 'ENOENT')
+                return false;
+            throw error;
+        }
+        watcher.on('error', (error) => options.onError?.(error));
+        return true;
+    };
+    const retry = () => {
+        retryTimer = setTimeout(() => {
+            retryTimer = undefined;
+            if (closed)
+                return;
+            let started;
+            try {
+                started = startWatching();
+            }
+            catch (error) {
+                options.onError?.(error);
+                return;
+            }
+            if (!started) {
+                retry();
+                return;
+            }
+            // Plans written before the watch started produced no events.
+            const found = options.planId !== undefined ? Promise.resolve([options.planId]) : listPlanIds(config);
+            found.then((ids) => ids.forEach(schedule)).catch((error) => options.onError?.(error));
+        }, MISSING_DIR_RETRY_MS);
+    };
+    if (!startWatching())
+        retry();
+    return {
+        close() {
+            closed = true;
+            for (const timer of timers.values())
+                clearTimeout(timer);
+            timers.clear();
+            clearTimeout(retryTimer);
+            watcher?.close();
+        },
+    };
+}
+//# sourceMappingURL=watch.js.map
\ No newline at end of file
@@ -0,0 +1,187 @@
+import { readFile, stat } from 'node:fs/promises';
+import { join, relative } from 'node:path';
+import { parsePlanMarkdown, parseTaskLineStrict } from './parse.js';
+import { symbolToStatus } from './status.js';
+import { listPlanIds, resolvePlanPath, resolvePlansDir, writeFileAtomic } from './storage.js';
+/**
+ * Persistent workspace index (`<plansDir>/index.json`).
+ *
+ * The index is a speed-only cache, never a source of truth: each plan entry is
+ * keyed by the file's `mtimeMs` + `size`, and every load re-stats the plan
+ * files so edits made outside the tool (editors, `git checkout`) are picked up
+ * automatically. Only changed plans are re-read and re-parsed.
+ *
+ * Like git's "racy clean" rule, an entry whose mtime is within
+ * `RACY_WINDOW_MS` of when it was indexed is not trusted: on filesystems with
+ * coarse timestamps a same-size edit in that window keeps the old mtime.
+ *
+ * Writing the index is best-effort; a read-only or missing plans dir just means
+ * the index is rebuilt in memory on every call.
+ */
+export const WORKSPACE_INDEX_FILENAME = 'index.json';
+/**
+ * Bump when the on-disk shape changes; older files are discarded and rebuilt.
+ */
+const WORKSPACE_INDEX_VERSION = 2;
+/**
+ * Entries indexed less than this long after their file's mtime are re-read.
+ */
+const RACY_WINDOW_MS = 2000;
+/**
+ * Best-effort extraction of the plan title from an H1 heading.
+ */
+export function extractTitleFromText(text) {
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(/^#\s+(.*)$/);
+        if (match)
+            return (match[1] ?? '').trim() || undefined;
+    }
+    return undefined;
+}
+/**
+ * Compute basic status counts directly from raw text.
+ *
+ * This is intentionally line-based so we can compute stats even if the document
+ * is not fully parseable.
+ */
+export function computeStats(text) {
+    const stats = { total: 0, todo: 0, doing: 0, done: 0, blocked: 0, cancelled: 0 };
+    for (const line of text.split(/\r?\n/)) {
+        const task = parseTaskLineStrict(line);
+        if (!task)
+            continue;
+        stats.total += 1;
+        stats[symbolToStatus(task.symbol)] += 1;
+    }
+    return stats;
+}
+/**
+ * Build the index entry for one plan file's text.
+ */
+function indexPlanText(planId, text, file) {
+    const entry = {
+        ...file,
+        title: extractTitleFromText(text) ?? planId,
+        stats: computeStats(text),
+        tasks: [],
+    };
+    const parsed = parsePlanMarkdown(text);
+    if (!parsed.ok || !parsed.plan) {
+        const first = parsed.errors[0];
+        entry.parseError = first
+            ? `${first.code}${first.line !== undefined ? `@${first.line + 1}` : ''}: ${first.message}`
+            : 'Failed to parse plan';
+        return entry;
+    }
+    for (const task of parsed.plan.tasksById.values()) {
+        const indexed = {
+            taskId: task.id,
+            line: task.line + 1,
+            title: task.title,
+            status: task.status,
+            sectionPath: task.sectionPath,
+        };
+        if (task.parentId)
+            indexed.parentId = task.parentId;
+        if (task.meta.tags)
+            indexed.tags = task.meta.tags;
+        if (task.meta.dependsOn)
+            indexed.dependsOn = task.meta.dependsOn;
+        entry.tasks.push(indexed);
+    }
+    entry.tasks.sort((a, b) => a.line - b.line);
+    return entry;
+}
+/**
+ * Read `index.json`, returning an empty index if it is missing, corrupt, or
+ * from another index version.
+ */
+async function readIndexFile(indexPath) {
+    try {
+        const raw = JSON.parse(await readFile(indexPath, 'utf8'));
+        if (raw.version === WORKSPACE_INDEX_VERSION && raw.plans && typeof raw.plans === 'object') {
+            return { version: WORKSPACE_INDEX_VERSION, plans: raw.plans };
+        }
+    }
+    catch {
+        // Missing or unreadable index: rebuild from scratch.
+    }
+    return { version: WORKSPACE_INDEX_VERSION, plans: {} };
+}
+/**
+ * Load the workspace index, refreshing entries whose plan file changed.
+ *
+ * Plans are re-indexed when their `mtimeMs` or `size` differ from the cached
+ * entry, or when the entry is racy (see `RACY_WINDOW_MS`); entries for deleted
+ * plans are dropped. The refreshed index is written
+ * back only if something changed.
+ */
+export async function loadWorkspaceIndex(config) {
+    const indexPath = join(resolvePlansDir(config), WORKSPACE_INDEX_FILENAME);
+    const cached = await readIndexFile(indexPath);
+    const index = { version: WORKSPACE_INDEX_VERSION, plans: {} };
+    let dirty = false;
+    const planIds = await listPlanIds(config);
+    for (const planId of planIds) {
+        const absolutePath = resolvePlanPath(config, planId);
+        const path = relative(config.rootDir, absolutePath);
+        let info;
+        try {
+            info = await stat(absolutePath);
+        }
+        catch {
+            // Removed between readdir and stat.
+            dirty = true;
+            continue;
+        }
+        const previous = cached.plans[planId];
+        if (previous &&
+            !previous.readError &&
+            previous.path === path &&
+            previous.mtimeMs === info.mtimeMs &&
+            previous.size === info.size &&
+            info.mtimeMs < previous.indexedAtMs - RACY_WINDOW_MS) {
+            index.plans[planId] = previous;
+            continue;
+        }
+        const file = { path, mtimeMs: info.mtimeMs, size: info.size, indexedAtMs: Date.now() };
+        let entry;
+        try {
+            entry = indexPlanText(planId, await readFile(absolutePath, 'utf8'), file);
+        }
+        catch (error) {
+            // Unreadable files are retried on every load (permission changes do not touch mtime).
+            entry = { ...file, title: planId, stats: computeStats(''), readError: error.message, tasks: [] };
+        }
+        if (JSON.stringify(entry) !== JSON.stringify(previous))
+            dirty = true;
+        index.plans[planId] = entry;
+    }
+    if (Object.keys(cached.plans).some((planId) => !(planId in index.plans)))
+        dirty = true;
+    if (dirty) {
+        try {
+            await writeFileAtomic(indexPath, `${JSON.stringify(index)}\n`);
+        }
+        catch {
+            // Best-effort cache: keep serving the in-memory index.
+        }
+    }
+    return index;
+}
+/**
+ * Find every indexed task with `taskId`, in plan id order.
+ *
+ * Task ids are meant to be globally unique, so more than one result means the
+ * same id was reused across plan files.
+ */
+export function findIndexedTasks(index, taskId) {
+    const out = [];
+    for (const planId of Object.keys(index.plans).sort((a, b) => a.localeCompare(b))) {
+        const task = index.plans[planId]?.tasks.find((candidate) => candidate.taskId === taskId);
+        if (task)
+            out.push({ planId, ...task });
+    }
+    return out;
+}
+//# sourceMappingURL=workspace-index.js.map
\ No newline at end of file
@@ -1,15 +1,15 @@
 #!/usr/bin/env node
 
 /**
- * CLI entrypoint for the stdio MCP server.
+ * CLI entrypoint for the MCP server.
  *
  * This module is intentionally tiny:
- * - Parse CLI flags into a `LongTermPlanConfig`.
- * - Start the server over stdio (the MCP transport).
+ * - Parse CLI flags into a `LongTermPlanConfig` plus transport options.
+ * - Start the server over stdio (default) or Streamable HTTP.
  * - Provide stable `--help` and `--version` output.
  */
 import { createHash } from 'node:crypto';
-import { runStdioServer } from './server.js';
+import { runStdioServer, startHttpServer, type HttpServerOptions } from './server.js';
 import { loadConfigFromArgs } from './config.js';
 
 /**
@@ -20,15 +20,22 @@ import { loadConfigFromArgs } from './config.js';
 function printHelp(): void {
   process.stdout.write(
     [
-      'long-term-plan-mcp (stdio MCP server)',
+      'long-term-plan-mcp (MCP server over stdio or Streamable HTTP)',
       '',
       'Usage:',
-      '  long-term-plan-mcp [--root <dir>] [--plans <dir>]',
+      '  long-term-plan-mcp [--root <dir>] [--plans <dir>] [--lock-timeout <ms>]',
+      '  long-term-plan-mcp --transport http --port <n> [--host <addr>] [--auth-token <token>] [...]',
       '',
       'Options:',
       '  --root   Root directory (default: cwd)',
       '  --plans  Plans directory relative to root (default: .long-term-plan)',
       '  --legacy-doc-tools  Also register legacy `doc.*` tool names',
+      '  --propagate-status  Default task.update propagate=true (roll status up to parent tasks)',
+      '  --lock-timeout <ms>  How long writes wait for a locked plan file (default: 10000)',
+      '  --transport <stdio|http>  Transport (default: stdio)',
+      '  --port <n>  HTTP port (required with --transport http; 0 picks a free port)',
+      '  --host <addr>  HTTP bind address (default: 127.0.0.1)',
+      '  --auth-token <token>  Require `Authorization: Bearer <token>` on HTTP requests',
       '  --help   Show help',
       '',
     ].join('\n')
@@ -62,8 +69,58 @@ function printVersion(): void {
   process.stdout.write(`long-term-plan-mcp 0.1.0+${versionHint}\n`);
 }
 
+interface TransportArgs {
+  /** Undefined for stdio. */
+  http?: HttpServerOptions;
+  /** Remaining args for `loadConfigFromArgs`. */
+  rest: string[];
+}
+
+/**
+ * Split the transport flags (`--transport`, `--port`, `--host`, `--auth-token`)
+ * out of argv.
+ */
+function takeTransportArgs(argv: string[]): TransportArgs {
+  const rest: string[] = [];
+  const values = new Map<string, string>();
+  for (let i = 0; i < argv.length; i += 1) {
+    const flag = argv[i] ?? '';
+    if (!['--transport', '--port', '--host', '--auth-token'].includes(flag)) {
+      rest.push(flag);
+      continue;
+    }
+    const value = argv[i + 1];
+    if (!value) throw new Error(`Missing value for ${flag}`);
+    values.set(flag, value);
+    i += 1;
+  }
+
+  const transport = values.get('--transport') ?? 'stdio';
+  if (transport !== 'stdio' && transport !== 'http') {
+    throw new Error(`Invalid --transport: ${JSON.stringify(transport)}`);
+  }
+  if (transport === 'stdio') {
+    const httpOnly = ['--port', '--host', '--auth-token'].find((flag) => values.has(flag));
+    if (httpOnly) throw new Error(`${httpOnly} requires --transport http`);
+    return { rest };
+  }
+
+  const rawPort = values.get('--port');
+  if (rawPort === undefined) throw new Error('Missing --port (required with --transport http)');
+  const port = Number(rawPort);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`Invalid --port: ${JSON.stringify(rawPort)}`);
+  return { http: { host: values.get('--host') ?? '127.0.0.1', port, authToken: values.get('--auth-token') }, rest };
+}
+
+/**
+ * True for loopback bind addresses (only local processes can connect).
+ */
+function isLoopbackHost(host: string): boolean {
+  return host === 'localhost' || host === '::1' || host.startsWith('127.');
+}
+
 /**
- * Parse args and run the stdio server.
+ * Parse args and run the server.
  *
  * This function is `async` because server startup is async, but it should not
  * perform any long-running work besides starting the transport.
@@ -81,8 +138,23 @@ async function main(): Promise<void> {
     return;
   }
 
-  const config = loadConfigFromArgs(argv, process.cwd());
-  await runStdioServer(config);
+  const { http, rest } = takeTransportArgs(argv);
+  const config = loadConfigFromArgs(rest, process.cwd());
+  if (!http) {
+    await runStdioServer(config);
+    return;
+  }
+
+  if (http.authToken === undefined && !isLoopbackHost(http.host)) {
+    process.stderr.write(`long-term-plan-mcp: warning: serving ${http.host} without --auth-token\n`);
+  }
+  const server = await startHttpServer(config, http);
+  process.stderr.write(`long-term-plan-mcp: listening on ${server.url}\n`);
+  for (const signal of ['SIGINT', 'SIGTERM'] as const) {
+    process.once(signal, () => {
+      void server.close().then(() => process.exit(0));
+    });
+  }
 }
 
 await main();
@@ -1,5 +1,6 @@
 import { resolve } from 'node:path';
 import { DEFAULT_PLANS_DIR } from './todo/constants.js';
+import { parseLockTimeout } from './todo/lock.js';
 
 /**
  * Runtime configuration for locating and managing plan markdown files.
@@ -19,6 +20,19 @@ export interface LongTermPlanConfig {
    * Default is false so `doc.*` tools are not exported.
    */
   exposeLegacyDocTools?: boolean;
+  /**
+   * Default for `task.update` `propagate`: roll status changes up to parent tasks.
+   *
+   * Default is false; individual calls can still opt in or out.
+   */
+  propagateStatus?: boolean;
+  /**
+   * How long a write waits for another writer's plan lock before failing with
+   * `LOCKED: ...` (milliseconds).
+   *
+   * Default is `DEFAULT_LOCK_TIMEOUT_MS` (10s).
+   */
+  lockTimeoutMs?: number;
 }
 
 /**
@@ -28,6 +42,8 @@ export interface LongTermPlanConfig {
  * - `--root <dir>`: filesystem root (defaults to `cwd`).
  * - `--plans <dir>`: plans directory relative to root (defaults to `.long-term-plan`).
  * - `--legacy-doc-tools`: also register legacy `doc.validate` / `doc.repair` tools.
+ * - `--propagate-status`: roll task status changes up to parents by default.
+ * - `--lock-timeout <ms>`: how long writes wait for a plan lock.
  */
 export function loadConfigFromArgs(
   argv: string[],
@@ -38,6 +54,8 @@ export function loadConfigFromArgs(
   let rootDir = cwd;
   let plansDir = DEFAULT_PLANS_DIR;
   let exposeLegacyDocTools = false;
+  let propagateStatus = false;
+  let lockTimeoutMs: number | undefined;
 
   while (args.length > 0) {
     const flag = args.shift();
@@ -62,8 +80,18 @@ export function loadConfigFromArgs(
       continue;
     }
 
+    if (flag === '--propagate-status') {
+      propagateStatus = true;
+      continue;
+    }
+
+    if (flag === '--lock-timeout') {
+      lockTimeoutMs = parseLockTimeout(args.shift());
+      continue;
+    }
+
     throw new Error(`Unknown argument: ${flag}`);
   }
 
-  return { rootDir, plansDir, exposeLegacyDocTools };
+  return { rootDir, plansDir, exposeLegacyDocTools, propagateStatus, lockTimeoutMs };
 }
@@ -0,0 +1,227 @@
+import type { LongTermPlanConfig } from './config.js';
+import { getTask } from './todo/api.js';
+import { planHistory, planWorkingChanges, type TaskDiff } from './todo/history.js';
+import type { ParsedPlan, TaskNode } from './todo/model.js';
+import { parsePlanMarkdown } from './todo/parse.js';
+import { readPlanFile } from './todo/storage.js';
+
+/**
+ * Text builders for the MCP prompts (`plan-next-task`, `break-down-task`,
+ * `weekly-review`).
+ *
+ * Each prompt inlines the plan data it needs (task, body, parent chain,
+ * history) so the conversation can start without extra tool calls, and names
+ * the tool calls to make next.
+ */
+
+/**
+ * The `task.get` fields the prompts use.
+ */
+interface TaskView {
+  id: string;
+  title: string;
+  status: string;
+  sectionPath: string[];
+  blockedBy?: string[];
+  bodyMarkdown?: string;
+}
+
+/**
+ * The body checklist from the skill (`agent-skill/long-term-plan/SKILL.md`).
+ */
+const TASK_BODY_TEMPLATE = [
+  '### Background',
+  '- why this exists; relevant context and links',
+  '',
+  '### Goal',
+  '- the end state in one sentence',
+  '',
+  '### Detailed goals / scope',
+  '- concrete deliverables; non-goals if helpful',
+  '',
+  '### Acceptance / verification',
+  '- Command(s): `...`',
+  '- Expected: `...`',
+  '',
+  '### Constraints / assumptions',
+  '- ...',
+].join('\n');
+
+async function loadPlan(config: LongTermPlanConfig, planId: string): Promise<{ plan: ParsedPlan; etag: string }> {
+  const { text, etag } = await readPlanFile(config, planId);
+  const { plan } = parsePlanMarkdown(text);
+  if (!plan) throw new Error('Failed to parse plan');
+  return { plan, etag };
+}
+
+function requireTask(plan: ParsedPlan, taskId: string): TaskNode {
+  const task = plan.tasksById.get(taskId);
+  if (!task) throw new Error(`Task not found: ${taskId}`);
+  return task;
+}
+
+/**
+ * Ancestors of a task, outermost first.
+ */
+function parentChain(plan: ParsedPlan, task: { parentId?: string }): TaskNode[] {
+  const chain: TaskNode[] = [];
+  for (let id = task.parentId; id !== undefined; id = plan.tasksById.get(id)?.parentId) {
+    const parent = plan.tasksById.get(id);
+    if (!parent) break;
+    chain.unshift(parent);
+  }
+  return chain;
+}
+
+function taskRef(task: { id: string; title: string; status: string }): string {
+  return `"${task.title}" (${task.id}, ${task.status})`;
+}
+
+function bulletList(items: string[], empty = '- (none)'): string[] {
+  return items.length > 0 ? items.map((item) => `- ${item}`) : [empty];
+}
+
+function bodyBlock(body: string | undefined): string[] {
+  return body ? ['Body:', body] : ['Body: (none)'];
+}
+
+/**
+ * `plan-next-task`: the task `task.get` picks (or `taskId`), with its body
+ * and parent chain.
+ */
+export async function planNextTaskPrompt(
+  config: LongTermPlanConfig,
+  options: { planId: string; taskId?: string }
+): Promise<string> {
+  const { task: raw, etag } = await getTask(config, { planId: options.planId, taskId: options.taskId, includeBody: true });
+  const task = raw as TaskView & { parentId?: string };
+  const { plan } = await loadPlan(config, options.planId);
+  const chain = parentChain(plan, task);
+  const start =
+    task.status === 'doing'
+      ? '1. It is already in progress; continue where it left off.'
+      : `1. Mark it in progress: task.update { planId: "${options.planId}", taskId: "${task.id}", status: "doing", ifMatch: "${etag}" }.`;
+
+  return [
+    `Work on the next task of plan "${options.planId}" (${plan.title}).`,
+    '',
+    `Task: ${taskRef(task)}`,
+    ...(task.sectionPath.length > 0 ? [`Section: ${task.sectionPath.join(' / ')}`] : []),
+    ...(task.blockedBy && task.blockedBy.length > 0 ? [`Blocked by: ${task.blockedBy.join(', ')}`] : []),
+    '',
+    'Parent chain (outermost first):',
+    ...bulletList(chain.map(taskRef)),
+    '',
+    ...bodyBlock(task.bodyMarkdown),
+    '',
+    'Steps:',
+    start,
+    '2. Do the work; the acceptance / verification notes in the body (if any) define done.',
+    '3. Mark it done with task.update status "done", passing the etag returned by the previous write.',
+  ].join('\n');
+}
+
+/**
+ * `break-down-task`: scaffold subtasks whose bodies follow the skill's checklist.
+ */
+export async function breakDownTaskPrompt(
+  config: LongTermPlanConfig,
+  options: { planId: string; taskId: string }
+): Promise<string> {
+  const { plan, etag } = await loadPlan(config, options.planId);
+  const task = requireTask(plan, options.taskId);
+
+  return [
+    `Break down task ${taskRef(task)} of plan "${options.planId}" (${plan.title}) into subtasks.`,
+    '',
+    'Parent chain (outermost first):',
+    ...bulletList(parentChain(plan, task).map(taskRef)),
+    '',
+    ...bodyBlock(task.bodyMarkdown),
+    '',
+    'Existing subtasks:',
+    ...bulletList(task.children.map(taskRef)),
+    '',
+    `Add 3-7 subtasks in execution order with task.add { planId: "${options.planId}", parentTaskId: "${task.id}", title, bodyMarkdown } (ifMatch: "${etag}" on the first write, then the etag each write returns).`,
+    'Skip work the existing subtasks already cover. Each subtask should be finishable in one sitting and executable out of context, so give every one a body with this checklist:',
+    '',
+    TASK_BODY_TEMPLATE,
+  ].join('\n');
+}
+
+/**
+ * Format a date as `YYYY-MM-DD` (UTC).
+ */
+function isoDate(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * `weekly-review`: in-progress tasks plus task changes committed since `since`
+ * (default: 7 days before `now`) and changes not committed yet.
+ *
+ * Completion dates come from git; outside a repository the prompt lists the
+ * currently done tasks in the working tree instead and says why.
+ */
+export async function weeklyReviewPrompt(
+  config: LongTermPlanConfig,
+  options: { planId: string; since?: string },
+  now: Date = new Date()
+): Promise<string> {
+  const since = options.since ?? isoDate(new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000));
+  const { plan } = await loadPlan(config, options.planId);
+  const tasks = [...plan.tasksById.values()].sort((a, b) => a.line - b.line);
+  const titleOf = (taskId: string) => plan.tasksById.get(taskId)?.title ?? '(deleted)';
+
+  const finished: string[] = [];
+  const added: string[] = [];
+  const otherChanges: string[] = [];
+  const collect = (tasks: TaskDiff[], when: string): void => {
+    for (const { taskId, changes } of tasks) {
+      for (const change of changes) {
+        const ref = `"${titleOf(taskId)}" (${taskId})`;
+        if (change.kind === 'added') added.push(`${ref} as ${change.status} (${when})`);
+        if (change.kind === 'status' && change.to === 'done') finished.push(`${ref} (${when})`);
+        else if (change.kind === 'status') otherChanges.push(`${ref}: ${change.from} -> ${change.to} (${when})`);
+      }
+    }
+  };
+  let changesSection: string[];
+  try {
+    const { history } = await planHistory(config, { planId: options.planId, since });
+    for (const entry of history) {
+      collect(entry.tasks, `${entry.date.slice(0, 10)}, ${entry.commit.slice(0, 7)} "${entry.subject}"`);
+    }
+    // Edits since the last commit are part of this week too.
+    collect((await planWorkingChanges(config, { planId: options.planId })) ?? [], 'uncommitted');
+    changesSection = [
+      `Finished since ${since} (from git history):`,
+      ...bulletList(finished),
+      '',
+      `Added since ${since}:`,
+      ...bulletList(added),
+      '',
+      'Other status changes:',
+      ...bulletList(otherChanges),
+    ];
+  } catch (error) {
+    changesSection = [
+      `Completion dates are unavailable (${(error as Error).message}); tasks currently done:`,
+      ...bulletList(tasks.filter((task) => task.status === 'done').map(taskRef)),
+    ];
+  }
+
+  return [
+    `Write a weekly review of plan "${options.planId}" (${plan.title}) covering ${since} to ${isoDate(now)}.`,
+    '',
+    'In progress:',
+    ...bulletList(tasks.filter((task) => task.status === 'doing').map(taskRef)),
+    '',
+    'Blocked:',
+    ...bulletList(tasks.filter((task) => task.status === 'blocked').map(taskRef)),
+    '',
+    ...changesSection,
+    '',
+    'Summarize what got done, what is in flight, and what is blocked or at risk, then suggest the focus for next week. Keep it short and cite task ids.',
+  ].join('\n');
+}
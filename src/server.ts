@@ -1,24 +1,93 @@
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { randomUUID, timingSafeEqual } from 'node:crypto';
+import { createServer, type IncomingMessage, type ServerResponse } from 'node:http';
+import { isIP, type AddressInfo } from 'node:net';
+import { completable } from '@modelcontextprotocol/sdk/server/completable.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import * as z from 'zod';
 import type { LongTermPlanConfig } from './config.js';
+import { breakDownTaskPrompt, planNextTaskPrompt, weeklyReviewPrompt } from './prompts.js';
 import { SAFE_ID_RE } from './todo/id.js';
 import {
   createPlan,
   getPlan,
   getTask,
   listPlans,
+  listPlansPage,
+  locateTask,
+  planArchive,
+  planBatch,
+  planDelete,
+  planRename,
   planUpdate,
   repairPlanDoc,
   searchTasks,
+  sectionAdd,
+  sectionDelete,
+  sectionList,
+  sectionMove,
+  sectionRename,
   taskAdd,
   taskDelete,
+  taskHistory,
+  taskMove,
+  taskTransfer,
   taskUpdate,
   validatePlanDoc,
+  type PlanBatchOp,
 } from './todo/api.js';
+import { extractTaskBlock } from './todo/edit.js';
+import { parsePlanMarkdown } from './todo/parse.js';
+import { readPlanFile } from './todo/storage.js';
+import { watchPlans, type PlanWatcher } from './todo/watch.js';
 
 const planIdSchema = z.string().regex(SAFE_ID_RE, 'Invalid planId');
 const taskIdSchema = z.string().regex(SAFE_ID_RE, 'Invalid taskId');
+/**
+ * Task statuses; `blocked` / `cancelled` are only writable to format v2 plans.
+ */
+const statusSchema = z.enum(['todo', 'doing', 'done', 'blocked', 'cancelled']);
+const formatVersionSchema = z.enum(['v1', 'v2']);
+const searchFieldSchema = z.enum(['title', 'body', 'section', 'tags']);
+/**
+ * `rebase` lets a task write with a stale `ifMatch` through when only other tasks changed.
+ */
+const ifMatchModeSchema = z.enum(['strict', 'rebase']);
+/**
+ * Page size for `plan.list` / `plan.get` (`cursor` pages keep the size they were issued with).
+ */
+const pageLimitSchema = z.number().int().min(1).max(500);
+/**
+ * Path of an existing or new section (heading texts below the H1, outermost first).
+ */
+const sectionPathSchema = z.array(z.string()).min(1, 'sectionPath must not be empty');
+
+/**
+ * Task metadata fields (stored in the id trailer; see `src/todo/meta.ts`).
+ *
+ * Value grammar is enforced again by the edit layer; the schemas here give
+ * agents early, field-specific errors.
+ */
+const dueSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid due (expected YYYY-MM-DD)');
+const prioritySchema = z.enum(['P0', 'P1', 'P2', 'P3']);
+const tagsSchema = z.array(z.string());
+const ownerSchema = z.string();
+const dependsOnSchema = z
+  .array(z.string().regex(/^(?:[A-Za-z0-9][A-Za-z0-9_-]{0,127}:)?[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/, 'Invalid dependsOn ref (expected taskId or planId:taskId)'));
+/**
+ * `plan.batch` task references: a task id or `$alias` of a task added earlier in the batch.
+ */
+const batchTaskRefSchema = z.string().regex(/^\$?[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/, 'Invalid task ref (expected taskId or $alias)');
+const batchDependsOnSchema = z.array(
+  z
+    .string()
+    .regex(
+      /^(?:\$|[A-Za-z0-9][A-Za-z0-9_-]{0,127}:)?[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/,
+      'Invalid dependsOn ref (expected taskId, planId:taskId, or $alias)'
+    )
+);
 
 /**
  * MCP server entrypoint for long-term-plan tools.
@@ -37,9 +106,13 @@ function registerPlanListTool(server: McpServer, config: LongTermPlanConfig): vo
     'plan.list',
     {
       title: 'List plan files',
-      description: 'List todo plan markdown files under the plans directory.',
+      description:
+        'List todo plan markdown files under the plans directory. Archived plans (archive/ subfolder) are hidden unless includeArchived=true. Pass limit to page the list; pass the returned nextCursor as cursor (with the same query/includeArchived) for the next page. A cursor fails with STALE_CURSOR once a plan is created, deleted, or archived.',
       inputSchema: {
         query: z.string().optional(),
+        includeArchived: z.boolean().optional(),
+        limit: pageLimitSchema.optional(),
+        cursor: z.string().min(1).optional(),
       },
       outputSchema: {
         plans: z.array(
@@ -52,16 +125,20 @@ function registerPlanListTool(server: McpServer, config: LongTermPlanConfig): vo
               todo: z.number(),
               doing: z.number(),
               done: z.number(),
+              blocked: z.number(),
+              cancelled: z.number(),
             }),
+            archived: z.boolean().optional(),
           })
         ),
+        nextCursor: z.string().optional(),
       },
     },
-    async ({ query }) => {
-      const plans = await listPlans(config, { query });
+    async ({ query, includeArchived, limit, cursor }) => {
+      const result = await listPlansPage(config, { query, includeArchived, limit, cursor });
       return {
-        content: [{ type: 'text', text: JSON.stringify({ plans }, null, 2) }],
-        structuredContent: { plans },
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
       };
     }
   );
@@ -78,28 +155,35 @@ function registerPlanGetTool(server: McpServer, config: LongTermPlanConfig): voi
     {
       title: 'Get a plan',
       description:
-        'Read and parse a plan markdown file. Returns tasks in tree or flat view; optional flags can include plan/task blockquote bodies.',
+        'Read and parse a plan markdown file. Returns tasks in tree or flat view; optional flags can include plan/task blockquote bodies. filter narrows tasks with a query such as `status:doing section:"Milestones/Sprint 1" under:t_abc has:body` (AND/OR/NOT, parentheses); the tree view keeps ancestors of matches and matchedTaskIds lists the matches. Progress rollups (counts + percentDone) are included per section (plan.sections) and on tree nodes with children (rollup). Pass limit to page plan.tasks (root subtrees in the tree view, rows in the flat view); pass the returned nextCursor as cursor (with the same view/filter) for the next page; matchedTaskIds then covers only the current page. The cursor is bound to the etag: after any edit it fails with STALE_CURSOR, so restart from the first page.',
       inputSchema: {
         planId: planIdSchema,
         view: z.enum(['tree', 'flat']).optional(),
         includeTaskBodies: z.boolean().optional(),
         includePlanBody: z.boolean().optional(),
+        filter: z.string().min(1).optional(),
+        limit: pageLimitSchema.optional(),
+        cursor: z.string().min(1).optional(),
       },
       outputSchema: {
         plan: z.any(),
         etag: z.string(),
+        nextCursor: z.string().optional(),
       },
     },
-    async ({ planId, view, includeTaskBodies, includePlanBody }) => {
-      const { plan, etag } = await getPlan(config, {
+    async ({ planId, view, includeTaskBodies, includePlanBody, filter, limit, cursor }) => {
+      const result = await getPlan(config, {
         planId,
         view,
         includeTaskBodies,
         includePlanBody,
+        filter,
+        limit,
+        cursor,
       });
       return {
-        content: [{ type: 'text', text: JSON.stringify({ plan, etag }, null, 2) }],
-        structuredContent: { plan, etag },
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
       };
     }
   );
@@ -116,11 +200,13 @@ function registerPlanCreateTool(server: McpServer, config: LongTermPlanConfig):
     'plan.create',
     {
       title: 'Create a new plan file',
-      description: 'Create a new plan markdown file in the plans directory (optionally with a plan body).',
+      description:
+        'Create a new plan markdown file in the plans directory (optionally with a plan body). format="v2" enables the blocked/cancelled task statuses.',
       inputSchema: {
         planId: planIdSchema,
         title: z.string(),
         template: z.enum(['empty', 'basic']).optional(),
+        format: formatVersionSchema.optional(),
         bodyMarkdown: z.string().optional(),
       },
       outputSchema: {
@@ -128,8 +214,8 @@ function registerPlanCreateTool(server: McpServer, config: LongTermPlanConfig):
         path: z.string(),
       },
     },
-    async ({ planId, title, template, bodyMarkdown }) => {
-      const created = await createPlan(config, { planId, title, template, bodyMarkdown });
+    async ({ planId, title, template, format, bodyMarkdown }) => {
+      const created = await createPlan(config, { planId, title, template, format, bodyMarkdown });
       return {
         content: [{ type: 'text', text: JSON.stringify(created, null, 2) }],
         structuredContent: created,
@@ -149,27 +235,33 @@ function registerPlanUpdateTool(server: McpServer, config: LongTermPlanConfig):
     {
       title: 'Update a plan',
       description:
-        'Update a plan title and/or plan-level blockquote body. For safe writes in concurrent environments, pass ifMatch (etag).',
+        'Update a plan title, plan-level blockquote body, and/or format version (format="v2" enables blocked/cancelled statuses). For safe writes in concurrent environments, pass ifMatch (etag).',
       inputSchema: z
         .object({
           planId: planIdSchema,
           title: z.string().optional(),
           bodyMarkdown: z.string().optional(),
           clearBody: z.boolean().optional(),
+          format: formatVersionSchema.optional(),
           ifMatch: z.string().optional(),
         })
         .refine((value) => !(value.bodyMarkdown !== undefined && value.clearBody), {
           message: 'bodyMarkdown cannot be combined with clearBody',
         })
-        .refine((value) => value.title !== undefined || value.bodyMarkdown !== undefined || value.clearBody, {
-          message: 'At least one of title, bodyMarkdown, or clearBody is required',
-        }),
+        .refine(
+          (value) =>
+            value.title !== undefined ||
+            value.bodyMarkdown !== undefined ||
+            value.clearBody ||
+            value.format !== undefined,
+          { message: 'At least one of title, bodyMarkdown, clearBody, or format is required' }
+        ),
       outputSchema: {
         etag: z.string(),
       },
     },
-    async ({ planId, title, bodyMarkdown, clearBody, ifMatch }) => {
-      const { etag } = await planUpdate(config, { planId, title, bodyMarkdown, clearBody, ifMatch });
+    async ({ planId, title, bodyMarkdown, clearBody, format, ifMatch }) => {
+      const { etag } = await planUpdate(config, { planId, title, bodyMarkdown, clearBody, format, ifMatch });
       return {
         content: [{ type: 'text', text: JSON.stringify({ etag }, null, 2) }],
         structuredContent: { etag },
@@ -178,6 +270,172 @@ function registerPlanUpdateTool(server: McpServer, config: LongTermPlanConfig):
   );
 }
 
+function registerPlanBatchTool(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register `plan.batch`.
+   *
+   * Metadata fields are flat on each op (like `task.add` / `task.update`) and
+   * are folded into a `meta` patch before calling `planBatch()`.
+   */
+  const metaFields = {
+    due: dueSchema.nullable().optional(),
+    priority: prioritySchema.nullable().optional(),
+    tags: tagsSchema.nullable().optional(),
+    owner: ownerSchema.nullable().optional(),
+    dependsOn: batchDependsOnSchema.nullable().optional(),
+  };
+  const opSchema = z.discriminatedUnion('op', [
+    z.object({
+      op: z.literal('add'),
+      alias: z.string().regex(SAFE_ID_RE, 'Invalid alias').optional(),
+      title: z.string(),
+      bodyMarkdown: z.string().optional(),
+      status: statusSchema.optional(),
+      sectionPath: z.array(z.string()).optional(),
+      parentTaskId: batchTaskRefSchema.optional(),
+      beforeTaskId: batchTaskRefSchema.optional(),
+      ...metaFields,
+    }),
+    z.object({
+      op: z.literal('update'),
+      taskId: batchTaskRefSchema,
+      status: statusSchema.optional(),
+      title: z.string().optional(),
+      bodyMarkdown: z.string().optional(),
+      clearBody: z.boolean().optional(),
+      ...metaFields,
+    }),
+    z.object({ op: z.literal('delete'), taskId: batchTaskRefSchema }),
+    z.object({
+      op: z.literal('move'),
+      taskId: batchTaskRefSchema,
+      sectionPath: z.array(z.string()).optional(),
+      parentTaskId: batchTaskRefSchema.optional(),
+      beforeTaskId: batchTaskRefSchema.optional(),
+    }),
+  ]);
+
+  server.registerTool(
+    'plan.batch',
+    {
+      title: 'Apply several task edits at once',
+      description:
+        'Apply a sequence of task ops (add, update, delete, move) to one plan with a single read and a single atomic write; if any op fails, nothing is written. An add op may declare alias="x"; later ops can then use "$x" wherever a task id is expected (taskId, parentTaskId, beforeTaskId, dependsOn). Returns the new etag, alias -> taskId map, and the task id each op touched.',
+      inputSchema: {
+        planId: planIdSchema,
+        ops: z.array(opSchema).min(1).max(200),
+        ifMatch: z.string().optional(),
+      },
+      outputSchema: {
+        etag: z.string(),
+        aliases: z.record(z.string()),
+        results: z.array(z.object({ op: z.enum(['add', 'update', 'delete', 'move']), taskId: z.string() })),
+      },
+    },
+    async ({ planId, ops, ifMatch }) => {
+      const result = await planBatch(config, {
+        planId,
+        ifMatch,
+        ops: ops.map((op): PlanBatchOp => {
+          if (op.op === 'delete' || op.op === 'move') return op;
+          const { due, priority, tags, owner, dependsOn, ...rest } = op;
+          return { ...rest, meta: { due, priority, tags, owner, dependsOn } };
+        }),
+      });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
+      };
+    }
+  );
+}
+
+function registerPlanDeleteTool(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register `plan.delete`.
+   *
+   * `ifMatch` is required here (unlike most writes) because the whole file goes away.
+   */
+  server.registerTool(
+    'plan.delete',
+    {
+      title: 'Delete a plan file',
+      description:
+        'Delete a plan markdown file. Requires ifMatch (the etag from a fresh plan.get) so a plan is never deleted based on stale content. Consider plan.archive to keep history instead.',
+      inputSchema: {
+        planId: planIdSchema,
+        ifMatch: z.string(),
+      },
+      outputSchema: { planId: z.string() },
+    },
+    async ({ planId, ifMatch }) => {
+      const result = await planDelete(config, { planId, ifMatch });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
+      };
+    }
+  );
+}
+
+function registerPlanRenameTool(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register `plan.rename`.
+   *
+   * Only the file name changes, so the returned etag equals the old one.
+   */
+  server.registerTool(
+    'plan.rename',
+    {
+      title: 'Rename a plan',
+      description:
+        'Rename a plan (its planId / file name) inside the plans directory. Refuses to overwrite an existing plan. Content and etag are unchanged; planId:taskId dependency refs in other plans are not rewritten.',
+      inputSchema: {
+        planId: planIdSchema,
+        newPlanId: planIdSchema,
+        ifMatch: z.string().optional(),
+      },
+      outputSchema: { planId: z.string(), path: z.string(), etag: z.string() },
+    },
+    async ({ planId, newPlanId, ifMatch }) => {
+      const result = await planRename(config, { planId, newPlanId, ifMatch });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
+      };
+    }
+  );
+}
+
+function registerPlanArchiveTool(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register `plan.archive`.
+   *
+   * Archiving is a move into `archive/`; `restore=true` moves the plan back.
+   */
+  server.registerTool(
+    'plan.archive',
+    {
+      title: 'Archive a plan',
+      description:
+        'Move a plan into the archive/ subfolder of the plans directory (hidden from plan.list and other plan tools), or back out with restore=true. Never overwrites an existing file.',
+      inputSchema: {
+        planId: planIdSchema,
+        restore: z.boolean().optional(),
+        ifMatch: z.string().optional(),
+      },
+      outputSchema: { planId: z.string(), path: z.string(), archived: z.boolean(), etag: z.string() },
+    },
+    async ({ planId, restore, ifMatch }) => {
+      const result = await planArchive(config, { planId, restore, ifMatch });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
+      };
+    }
+  );
+}
+
 function registerPlanTools(server: McpServer, config: LongTermPlanConfig): void {
   /**
    * Register all `plan.*` tools.
@@ -189,6 +447,10 @@ function registerPlanTools(server: McpServer, config: LongTermPlanConfig): void
   registerPlanGetTool(server, config);
   registerPlanCreateTool(server, config);
   registerPlanUpdateTool(server, config);
+  registerPlanBatchTool(server, config);
+  registerPlanDeleteTool(server, config);
+  registerPlanRenameTool(server, config);
+  registerPlanArchiveTool(server, config);
 }
 
 function registerTaskGetTool(server: McpServer, config: LongTermPlanConfig): void {
@@ -224,6 +486,70 @@ function registerTaskGetTool(server: McpServer, config: LongTermPlanConfig): voi
   );
 }
 
+function registerTaskLocateTool(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register `task.locate`.
+   *
+   * The one `task.*` tool that takes no `planId`: it resolves the owning plan
+   * from the workspace index.
+   */
+  server.registerTool(
+    'task.locate',
+    {
+      title: 'Locate a task',
+      description:
+        'Find which plan holds a task id and return the task (same shape as task.get) with its planId, 1-based line, and the plan etag. Fails if the id is unknown or appears in more than one plan.',
+      inputSchema: {
+        taskId: taskIdSchema,
+        includeBody: z.boolean().optional(),
+      },
+      outputSchema: {
+        planId: z.string(),
+        line: z.number(),
+        task: z.any(),
+        etag: z.string(),
+      },
+    },
+    async ({ taskId, includeBody }) => {
+      const result = await locateTask(config, { taskId, includeBody });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
+      };
+    }
+  );
+}
+
+function registerTaskHistoryTool(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register `task.history`.
+   *
+   * Read-only; shells out to the local `git` binary.
+   */
+  server.registerTool(
+    'task.history',
+    {
+      title: 'Get task history',
+      description:
+        'Timeline of a task\'s committed changes (added/deleted, status, title, body) with commit, author, and date, reconstructed from `git log -p` of the plan file. The task is matched by id in every revision. Fails if the root is not inside a git repository.',
+      inputSchema: { planId: planIdSchema, taskId: taskIdSchema },
+      outputSchema: {
+        planId: z.string(),
+        taskId: z.string(),
+        path: z.string(),
+        history: z.array(z.any()),
+      },
+    },
+    async ({ planId, taskId }) => {
+      const result = await taskHistory(config, { planId, taskId });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
+      };
+    }
+  );
+}
+
 function registerTaskAddTool(server: McpServer, config: LongTermPlanConfig): void {
   /**
    * Register `task.add`.
@@ -235,17 +561,23 @@ function registerTaskAddTool(server: McpServer, config: LongTermPlanConfig): voi
     {
       title: 'Add a task',
       description:
-        'Add a task to a plan (optionally under a section, under a parent task, or before another task). Can also write a blockquote body.',
+        'Add a task to a plan (optionally under a section, under a parent task, or before another task). Can also write a blockquote body and metadata (due, priority, tags, owner, dependsOn as taskId or planId:taskId refs). With ifMatchMode="rebase", a stale ifMatch is accepted (and rebased=true returned) when the parent/before tasks are unchanged.',
       inputSchema: z
         .object({
           planId: planIdSchema,
           title: z.string(),
           bodyMarkdown: z.string().optional(),
-          status: z.enum(['todo', 'doing', 'done']).optional(),
+          status: statusSchema.optional(),
           sectionPath: z.array(z.string()).optional(),
           parentTaskId: taskIdSchema.optional(),
           beforeTaskId: taskIdSchema.optional(),
+          due: dueSchema.optional(),
+          priority: prioritySchema.optional(),
+          tags: tagsSchema.optional(),
+          owner: ownerSchema.optional(),
+          dependsOn: dependsOnSchema.optional(),
           ifMatch: z.string().optional(),
+          ifMatchMode: ifMatchModeSchema.optional(),
         })
         .refine(
           (value) =>
@@ -258,10 +590,26 @@ function registerTaskAddTool(server: McpServer, config: LongTermPlanConfig): voi
       outputSchema: {
         taskId: z.string(),
         etag: z.string(),
+        rebased: z.boolean().optional(),
       },
     },
-    async ({ planId, title, bodyMarkdown, status, sectionPath, parentTaskId, beforeTaskId, ifMatch }) => {
-      const { taskId, etag } = await taskAdd(config, {
+    async ({
+      planId,
+      title,
+      bodyMarkdown,
+      status,
+      sectionPath,
+      parentTaskId,
+      beforeTaskId,
+      due,
+      priority,
+      tags,
+      owner,
+      dependsOn,
+      ifMatch,
+      ifMatchMode,
+    }) => {
+      const result = await taskAdd(config, {
         planId,
         title,
         bodyMarkdown,
@@ -269,11 +617,13 @@ function registerTaskAddTool(server: McpServer, config: LongTermPlanConfig): voi
         sectionPath,
         parentTaskId,
         beforeTaskId,
+        meta: { due, priority, tags, owner, dependsOn },
         ifMatch,
+        ifMatchMode,
       });
       return {
-        content: [{ type: 'text', text: JSON.stringify({ taskId, etag }, null, 2) }],
-        structuredContent: { taskId, etag },
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
       };
     }
   );
@@ -291,49 +641,91 @@ function registerTaskUpdateTool(server: McpServer, config: LongTermPlanConfig):
     {
       title: 'Update a task',
       description:
-        'Update a task in-place (minimal diff). You can update status/title and/or its decoded bodyMarkdown (stored on disk as an indented blockquote). If taskId is omitted, you must set allowDefaultTarget=true and provide ifMatch; the server will target the current doing task, else the first unfinished task.',
+        'Update a task in-place (minimal diff). You can update status/title, its decoded bodyMarkdown (stored on disk as an indented blockquote), and/or metadata (due, priority, tags, owner, dependsOn; pass null to clear). If taskId is omitted, you must set allowDefaultTarget=true and provide ifMatch; the server will target the current doing task, else the first unfinished task (tasks blocked by unfinished dependencies are skipped). propagate=true rolls a status change up the parent chain in the same write (all children done → parent done; any child doing → parent doing) and returns changedTaskIds. cascade="descendants" applies the status to the whole subtree too; onlyFrom limits which descendant statuses are changed (e.g. ["todo"] to never touch doing tasks). With ifMatchMode="rebase" (and an explicit taskId), a stale ifMatch is accepted when this task (its subtree with cascade) is unchanged since that etag; the edit is applied to the current text and rebased=true is returned.',
       inputSchema: z
         .object({
           planId: planIdSchema,
           taskId: taskIdSchema.optional(),
-          status: z.enum(['todo', 'doing', 'done']).optional(),
+          status: statusSchema.optional(),
           title: z.string().optional(),
           bodyMarkdown: z.string().optional(),
           clearBody: z.boolean().optional(),
+          due: dueSchema.nullable().optional(),
+          priority: prioritySchema.nullable().optional(),
+          tags: tagsSchema.nullable().optional(),
+          owner: ownerSchema.nullable().optional(),
+          dependsOn: dependsOnSchema.nullable().optional(),
           allowDefaultTarget: z.boolean().optional(),
+          propagate: z.boolean().optional(),
+          cascade: z.enum(['descendants']).optional(),
+          onlyFrom: z.array(statusSchema).min(1).optional(),
           ifMatch: z.string().optional(),
+          ifMatchMode: ifMatchModeSchema.optional(),
         })
         .refine((value) => !(value.bodyMarkdown !== undefined && value.clearBody), {
           message: 'bodyMarkdown cannot be combined with clearBody',
         })
+        .refine((value) => !(value.cascade && value.status === undefined), { message: 'cascade requires status' })
+        .refine((value) => !(value.onlyFrom && !value.cascade), { message: 'onlyFrom requires cascade' })
         .refine(
           (value) =>
             value.status !== undefined ||
             value.title !== undefined ||
             value.bodyMarkdown !== undefined ||
-            value.clearBody,
+            value.clearBody ||
+            value.due !== undefined ||
+            value.priority !== undefined ||
+            value.tags !== undefined ||
+            value.owner !== undefined ||
+            value.dependsOn !== undefined,
           {
-            message: 'At least one of status, title, bodyMarkdown, or clearBody is required',
+            message: 'At least one of status, title, bodyMarkdown, clearBody, or meta is required',
           }
         ),
-      outputSchema: { etag: z.string(), taskId: z.string() },
+      outputSchema: {
+        etag: z.string(),
+        taskId: z.string(),
+        changedTaskIds: z.array(z.string()).optional(),
+        rebased: z.boolean().optional(),
+      },
     },
-    async ({ planId, taskId, status, title, bodyMarkdown, clearBody, allowDefaultTarget, ifMatch }) => {
-      const { taskId: resolvedTaskId, etag } = await taskUpdate(config, {
+    async ({
+      planId,
+      taskId,
+      status,
+      title,
+      bodyMarkdown,
+      clearBody,
+      due,
+      priority,
+      tags,
+      owner,
+      dependsOn,
+      allowDefaultTarget,
+      propagate,
+      cascade,
+      onlyFrom,
+      ifMatch,
+      ifMatchMode,
+    }) => {
+      const result = await taskUpdate(config, {
         planId,
         taskId,
         status,
         title,
         bodyMarkdown,
         clearBody,
+        meta: { due, priority, tags, owner, dependsOn },
         allowDefaultTarget,
+        propagate,
+        cascade,
+        onlyFrom,
         ifMatch,
+        ifMatchMode,
       });
       return {
-        content: [
-          { type: 'text', text: JSON.stringify({ taskId: resolvedTaskId, etag }, null, 2) },
-        ],
-        structuredContent: { taskId: resolvedTaskId, etag },
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
       };
     }
   );
@@ -349,19 +741,120 @@ function registerTaskDeleteTool(server: McpServer, config: LongTermPlanConfig):
     'task.delete',
     {
       title: 'Delete a task',
-      description: 'Delete a task (and its indented block) from a plan.',
+      description:
+        'Delete a task (and its indented block) from a plan. With ifMatchMode="rebase", a stale ifMatch is accepted (and rebased=true returned) when the task block is unchanged.',
       inputSchema: {
         planId: planIdSchema,
         taskId: taskIdSchema,
         ifMatch: z.string().optional(),
+        ifMatchMode: ifMatchModeSchema.optional(),
       },
-      outputSchema: { etag: z.string() },
+      outputSchema: { etag: z.string(), rebased: z.boolean().optional() },
     },
-    async ({ planId, taskId, ifMatch }) => {
-      const { etag } = await taskDelete(config, { planId, taskId, ifMatch });
+    async ({ planId, taskId, ifMatch, ifMatchMode }) => {
+      const result = await taskDelete(config, { planId, taskId, ifMatch, ifMatchMode });
       return {
-        content: [{ type: 'text', text: JSON.stringify({ etag }, null, 2) }],
-        structuredContent: { etag },
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
+      };
+    }
+  );
+}
+
+function registerTaskMoveTool(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register `task.move`.
+   *
+   * Moves keep the task id stable, so agents should prefer this over delete + add.
+   */
+  server.registerTool(
+    'task.move',
+    {
+      title: 'Move a task',
+      description:
+        'Move a task (with its body and subtasks) under a section, under a parent task, or before another task. Task ids are preserved. For safe writes in concurrent environments, pass ifMatch (etag); with ifMatchMode="rebase", a stale ifMatch is accepted (and rebased=true returned) when the moved block and the parent/before tasks are unchanged.',
+      inputSchema: z
+        .object({
+          planId: planIdSchema,
+          taskId: taskIdSchema,
+          sectionPath: z.array(z.string()).optional(),
+          parentTaskId: taskIdSchema.optional(),
+          beforeTaskId: taskIdSchema.optional(),
+          ifMatch: z.string().optional(),
+          ifMatchMode: ifMatchModeSchema.optional(),
+        })
+        .refine(
+          (value) =>
+            !(
+              value.beforeTaskId &&
+              (value.parentTaskId || (value.sectionPath && value.sectionPath.length > 0))
+            ),
+          { message: 'beforeTaskId cannot be combined with parentTaskId or sectionPath' }
+        ),
+      outputSchema: { taskId: z.string(), etag: z.string(), rebased: z.boolean().optional() },
+    },
+    async ({ planId, taskId, sectionPath, parentTaskId, beforeTaskId, ifMatch, ifMatchMode }) => {
+      const moved = await taskMove(config, {
+        planId,
+        taskId,
+        sectionPath,
+        parentTaskId,
+        beforeTaskId,
+        ifMatch,
+        ifMatchMode,
+      });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(moved, null, 2) }],
+        structuredContent: moved,
+      };
+    }
+  );
+}
+
+function registerTaskTransferTool(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register `task.transfer`.
+   *
+   * Cross-plan writes touch two files, so both etags are required.
+   */
+  server.registerTool(
+    'task.transfer',
+    {
+      title: 'Move or copy a task to another plan',
+      description:
+        'Move or copy a task subtree (with bodies) from one plan to another. move keeps task ids; copy mints fresh t_ ids. dependsOn refs are rewritten (e.g. to fromPlanId:taskId) so they keep their targets; a transfer that would close a dependency cycle fails. Requires fromIfMatch and toIfMatch (etags of both plans).',
+      inputSchema: z
+        .object({
+          fromPlanId: planIdSchema,
+          toPlanId: planIdSchema,
+          taskId: taskIdSchema,
+          mode: z.enum(['move', 'copy']),
+          sectionPath: z.array(z.string()).optional(),
+          parentTaskId: taskIdSchema.optional(),
+          beforeTaskId: taskIdSchema.optional(),
+          fromIfMatch: z.string(),
+          toIfMatch: z.string(),
+        })
+        .refine(
+          (value) =>
+            !(
+              value.beforeTaskId &&
+              (value.parentTaskId || (value.sectionPath && value.sectionPath.length > 0))
+            ),
+          { message: 'beforeTaskId cannot be combined with parentTaskId or sectionPath' }
+        ),
+      outputSchema: {
+        taskId: z.string(),
+        idMap: z.record(z.string()),
+        fromEtag: z.string(),
+        toEtag: z.string(),
+      },
+    },
+    async (args) => {
+      const transferred = await taskTransfer(config, args);
+      return {
+        content: [{ type: 'text', text: JSON.stringify(transferred, null, 2) }],
+        structuredContent: { ...transferred },
       };
     }
   );
@@ -371,36 +864,53 @@ function registerTaskSearchTool(server: McpServer, config: LongTermPlanConfig):
   /**
    * Register `task.search`.
    *
-   * Search is title-only (case-insensitive) and returns a flat hit list.
+   * Search is case-insensitive (title-only unless `fields` says otherwise) and
+   * returns a flat hit list. It can target one plan (`planId`), several
+   * (`planIds`), or the whole workspace (neither); unparseable plans are
+   * reported in `skippedPlans`.
    */
   server.registerTool(
     'task.search',
     {
       title: 'Search tasks',
-      description: 'Search tasks by title substring (case-insensitive) within a plan.',
-      inputSchema: {
-        planId: planIdSchema,
-        query: z.string(),
-        status: z.enum(['todo', 'doing', 'done']).optional(),
-        limit: z.number().int().min(1).max(500).optional(),
-      },
+      description:
+        'Search tasks (case-insensitive substring). Query terms are AND-ed; use double quotes for phrases. fields selects what to match: title (default), body, section, tags; each hit reports matchedIn and, for body matches, a short snippet. Pass planId for one plan, planIds for several, or omit both to search every plan. limit applies across all plans; hits are ordered by planId, then document order. Plans that fail to parse are listed in skippedPlans. filter adds a structured query (e.g. `status:todo tag:infra NOT has:deps`); with filter alone, every matching task is a hit.',
+      inputSchema: z
+        .object({
+          planId: planIdSchema.optional(),
+          planIds: z.array(planIdSchema).min(1).optional(),
+          query: z.string().optional(),
+          filter: z.string().min(1).optional(),
+          fields: z.array(searchFieldSchema).min(1).optional(),
+          status: statusSchema.optional(),
+          limit: z.number().int().min(1).max(500).optional(),
+        })
+        .refine((value) => !(value.planId !== undefined && value.planIds !== undefined), {
+          message: 'planId cannot be combined with planIds',
+        })
+        .refine((value) => value.query !== undefined || value.filter !== undefined, {
+          message: 'query or filter is required',
+        }),
       outputSchema: {
         hits: z.array(
           z.object({
             planId: z.string(),
             taskId: z.string(),
             title: z.string(),
-            status: z.enum(['todo', 'doing', 'done']),
+            status: statusSchema,
             sectionPath: z.array(z.string()),
+            matchedIn: z.array(searchFieldSchema),
+            snippet: z.string().optional(),
           })
         ),
+        skippedPlans: z.array(z.object({ planId: z.string(), message: z.string() })),
       },
     },
-    async ({ planId, query, status, limit }) => {
-      const hits = await searchTasks(config, { planId, query, status, limit });
+    async ({ planId, planIds, query, filter, fields, status, limit }) => {
+      const result = await searchTasks(config, { planId, planIds, query, filter, fields, status, limit });
       return {
-        content: [{ type: 'text', text: JSON.stringify({ hits }, null, 2) }],
-        structuredContent: { hits },
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
       };
     }
   );
@@ -413,12 +923,176 @@ function registerTaskTools(server: McpServer, config: LongTermPlanConfig): void
    * Grouped here so `createMcpServer()` stays small and easy to scan.
    */
   registerTaskGetTool(server, config);
+  registerTaskLocateTool(server, config);
+  registerTaskHistoryTool(server, config);
   registerTaskAddTool(server, config);
   registerTaskUpdateTool(server, config);
   registerTaskDeleteTool(server, config);
+  registerTaskMoveTool(server, config);
+  registerTaskTransferTool(server, config);
   registerTaskSearchTool(server, config);
 }
 
+function registerSectionListTool(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register `section.list`.
+   */
+  server.registerTool(
+    'section.list',
+    {
+      title: 'List sections',
+      description:
+        'List the sections (H2+ headings) of a plan in document order with their path, heading level, 1-based line, and task count.',
+      inputSchema: { planId: planIdSchema },
+      outputSchema: {
+        planId: z.string(),
+        sections: z.array(
+          z.object({ path: z.array(z.string()), level: z.number(), line: z.number(), taskCount: z.number() })
+        ),
+        etag: z.string(),
+      },
+    },
+    async ({ planId }) => {
+      const result = await sectionList(config, { planId });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
+      };
+    }
+  );
+}
+
+function registerSectionAddTool(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register `section.add`.
+   *
+   * `task.add` still creates missing sections implicitly (at EOF); this tool is
+   * for placing an empty section deliberately.
+   */
+  server.registerTool(
+    'section.add',
+    {
+      title: 'Add a section',
+      description:
+        'Add an empty section heading. sectionPath is the full path of the new section (its parent must exist); it is appended to its parent unless beforeSectionPath names a sibling to insert before. For safe writes in concurrent environments, pass ifMatch (etag).',
+      inputSchema: {
+        planId: planIdSchema,
+        sectionPath: sectionPathSchema,
+        beforeSectionPath: sectionPathSchema.optional(),
+        ifMatch: z.string().optional(),
+      },
+      outputSchema: { sectionPath: z.array(z.string()), etag: z.string() },
+    },
+    async ({ planId, sectionPath, beforeSectionPath, ifMatch }) => {
+      const result = await sectionAdd(config, { planId, sectionPath, beforeSectionPath, ifMatch });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
+      };
+    }
+  );
+}
+
+function registerSectionRenameTool(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register `section.rename`.
+   */
+  server.registerTool(
+    'section.rename',
+    {
+      title: 'Rename a section',
+      description:
+        'Change the heading text of a section (only the heading line changes). Tasks and subsections move to the new path with it. For safe writes in concurrent environments, pass ifMatch (etag).',
+      inputSchema: {
+        planId: planIdSchema,
+        sectionPath: sectionPathSchema,
+        title: z.string(),
+        ifMatch: z.string().optional(),
+      },
+      outputSchema: { sectionPath: z.array(z.string()), etag: z.string() },
+    },
+    async ({ planId, sectionPath, title, ifMatch }) => {
+      const result = await sectionRename(config, { planId, sectionPath, title, ifMatch });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
+      };
+    }
+  );
+}
+
+function registerSectionMoveTool(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register `section.move`.
+   *
+   * Heading levels inside the moved block are shifted to fit the destination.
+   */
+  server.registerTool(
+    'section.move',
+    {
+      title: 'Move a section',
+      description:
+        'Move a section with its content and subsections: under parentSectionPath (appended), before the sibling beforeSectionPath, or to the end of the plan as a top-level section when neither is given. Task ids are preserved. For safe writes in concurrent environments, pass ifMatch (etag).',
+      inputSchema: {
+        planId: planIdSchema,
+        sectionPath: sectionPathSchema,
+        parentSectionPath: z.array(z.string()).optional(),
+        beforeSectionPath: sectionPathSchema.optional(),
+        ifMatch: z.string().optional(),
+      },
+      outputSchema: { sectionPath: z.array(z.string()), etag: z.string() },
+    },
+    async ({ planId, sectionPath, parentSectionPath, beforeSectionPath, ifMatch }) => {
+      const result = await sectionMove(config, { planId, sectionPath, parentSectionPath, beforeSectionPath, ifMatch });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
+      };
+    }
+  );
+}
+
+function registerSectionDeleteTool(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register `section.delete`.
+   *
+   * Refusing non-empty sections by default keeps a stray call from dropping tasks.
+   */
+  server.registerTool(
+    'section.delete',
+    {
+      title: 'Delete a section',
+      description:
+        'Delete a section heading. Fails if the section has any content (tasks, notes, subsections) unless cascade=true, which deletes the content too and returns deletedTaskIds. For safe writes in concurrent environments, pass ifMatch (etag).',
+      inputSchema: {
+        planId: planIdSchema,
+        sectionPath: sectionPathSchema,
+        cascade: z.boolean().optional(),
+        ifMatch: z.string().optional(),
+      },
+      outputSchema: { deletedTaskIds: z.array(z.string()), etag: z.string() },
+    },
+    async ({ planId, sectionPath, cascade, ifMatch }) => {
+      const result = await sectionDelete(config, { planId, sectionPath, cascade, ifMatch });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: { ...result },
+      };
+    }
+  );
+}
+
+function registerSectionTools(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register all `section.*` tools.
+   */
+  registerSectionListTool(server, config);
+  registerSectionAddTool(server, config);
+  registerSectionRenameTool(server, config);
+  registerSectionMoveTool(server, config);
+  registerSectionDeleteTool(server, config);
+}
+
 function registerValidateTool(server: McpServer, config: LongTermPlanConfig, name: string): void {
   /**
    * Register a validator tool (currently exposed as `doc.validate`).
@@ -513,11 +1187,196 @@ function registerLegacyDocTools(server: McpServer, config: LongTermPlanConfig):
 }
 
 /**
- * Create an MCP server instance and register all tools.
+ * MCP resource URI of a plan document (or, with `taskId`, of one task).
+ */
+export function planResourceUri(planId: string, taskId?: string): string {
+  return taskId === undefined ? `long-term-plan://plans/${planId}` : `long-term-plan://plans/${planId}/tasks/${taskId}`;
+}
+
+/**
+ * Inverse of `planResourceUri` (also accepts the `/json` variants).
+ */
+function parsePlanResourceUri(uri: string): { planId: string; taskId?: string } | undefined {
+  const match = uri.match(/^long-term-plan:\/\/plans\/([^/]+)(?:\/tasks\/([^/]+))?(?:\/json)?$/);
+  if (!match?.[1]) return undefined;
+  return match[2] === undefined ? { planId: match[1] } : { planId: match[1], taskId: match[2] };
+}
+
+/**
+ * Template variables arrive as `string | string[]`; ids are always single values.
+ */
+function templateVariable(value: string | string[] | undefined): string {
+  return (Array.isArray(value) ? value[0] : value) ?? '';
+}
+
+async function completePlanId(config: LongTermPlanConfig, value: string): Promise<string[]> {
+  return (await listPlans(config, {})).map((plan) => plan.planId).filter((planId) => planId.startsWith(value));
+}
+
+async function completeTaskId(
+  config: LongTermPlanConfig,
+  value: string,
+  context?: { arguments?: Record<string, string> }
+): Promise<string[]> {
+  const planId = context?.arguments?.planId;
+  if (!planId) return [];
+  try {
+    const plan = parsePlanMarkdown((await readPlanFile(config, planId)).text).plan;
+    return [...(plan?.tasksById.keys() ?? [])].filter((taskId) => taskId.startsWith(value));
+  } catch {
+    return [];
+  }
+}
+
+function registerPlanResources(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register plans and tasks as resource templates, so hosts can attach them
+   * to context without a tool call.
+   *
+   * - `long-term-plan://plans/{planId}`: the raw Markdown (listed).
+   * - `long-term-plan://plans/{planId}/json`: the `plan.get` tree view, with bodies.
+   * - `long-term-plan://plans/{planId}/tasks/{taskId}`: the task block (line, body, subtasks).
+   * - `long-term-plan://plans/{planId}/tasks/{taskId}/json`: the `task.get` view.
+   */
+  const complete = {
+    planId: (value: string) => completePlanId(config, value),
+    taskId: (value: string, context?: { arguments?: Record<string, string> }) => completeTaskId(config, value, context),
+  };
+
+  server.registerResource(
+    'plan',
+    new ResourceTemplate('long-term-plan://plans/{planId}', {
+      list: async () => {
+        const plans = await listPlans(config, {});
+        return {
+          resources: plans.map((plan) => ({ uri: planResourceUri(plan.planId), name: plan.planId, title: plan.title })),
+        };
+      },
+      complete,
+    }),
+    { title: 'Plan (Markdown)', description: 'A plan document as stored on disk.', mimeType: 'text/markdown' },
+    async (uri, variables) => {
+      const { text } = await readPlanFile(config, templateVariable(variables.planId));
+      return { contents: [{ uri: uri.href, mimeType: 'text/markdown', text }] };
+    }
+  );
+
+  server.registerResource(
+    'plan-json',
+    new ResourceTemplate('long-term-plan://plans/{planId}/json', { list: undefined, complete }),
+    { title: 'Plan (JSON)', description: 'The plan.get tree view, including plan and task bodies.', mimeType: 'application/json' },
+    async (uri, variables) => {
+      const result = await getPlan(config, {
+        planId: templateVariable(variables.planId),
+        view: 'tree',
+        includeTaskBodies: true,
+        includePlanBody: true,
+      });
+      return { contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
+  server.registerResource(
+    'task',
+    new ResourceTemplate('long-term-plan://plans/{planId}/tasks/{taskId}', { list: undefined, complete }),
+    { title: 'Task (Markdown)', description: 'A task line with its body and subtasks.', mimeType: 'text/markdown' },
+    async (uri, variables) => {
+      const { text } = await readPlanFile(config, templateVariable(variables.planId));
+      const block = extractTaskBlock(text, templateVariable(variables.taskId));
+      const indent = ' '.repeat(block.indent);
+      const lines = block.lines.map((line) => (line.startsWith(indent) ? line.slice(block.indent) : line));
+      return { contents: [{ uri: uri.href, mimeType: 'text/markdown', text: `${lines.join('\n')}\n` }] };
+    }
+  );
+
+  server.registerResource(
+    'task-json',
+    new ResourceTemplate('long-term-plan://plans/{planId}/tasks/{taskId}/json', { list: undefined, complete }),
+    { title: 'Task (JSON)', description: 'The task.get view, including the body.', mimeType: 'application/json' },
+    async (uri, variables) => {
+      const result = await getTask(config, {
+        planId: templateVariable(variables.planId),
+        taskId: templateVariable(variables.taskId),
+        includeBody: true,
+      });
+      return { contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+}
+
+/**
+ * Wrap a prompt's text as a single user message.
+ */
+function userPrompt(description: string, text: string) {
+  return { description, messages: [{ role: 'user' as const, content: { type: 'text' as const, text } }] };
+}
+
+function registerPrompts(server: McpServer, config: LongTermPlanConfig): void {
+  /**
+   * Register prompts for common planning workflows.
+   *
+   * `planId` / `taskId` arguments complete from `plan.list` and the parsed
+   * plan (`taskId` needs `planId` in the completion context).
+   */
+  // `completable` tags the schema it is given, so every argument gets a fresh one. Optional arguments wrap an
+  // optional schema: `.optional()` on top of a completable would hide the completer.
+  const planIdArg = () =>
+    completable(z.string().regex(SAFE_ID_RE, 'Invalid planId'), (value) => completePlanId(config, value));
+  const taskIdArg = () =>
+    completable(z.string().regex(SAFE_ID_RE, 'Invalid taskId'), (value, context) =>
+      completeTaskId(config, value, context)
+    );
+  const optionalTaskIdArg = () =>
+    completable(z.string().regex(SAFE_ID_RE, 'Invalid taskId').optional(), (value, context) =>
+      completeTaskId(config, value ?? '', context)
+    );
+
+  server.registerPrompt(
+    'plan-next-task',
+    {
+      title: 'Work on the next task',
+      description:
+        'Frame the next task of a plan (the one task.get picks when taskId is omitted) with its body and parent chain, plus the status updates to make.',
+      argsSchema: { planId: planIdArg(), taskId: optionalTaskIdArg() },
+    },
+    async ({ planId, taskId }) =>
+      userPrompt('Work on the next task', await planNextTaskPrompt(config, { planId, taskId }))
+  );
+
+  server.registerPrompt(
+    'break-down-task',
+    {
+      title: 'Break a task down into subtasks',
+      description:
+        'Scaffold subtasks for a task; each subtask body follows the Background / Goal / Scope / Acceptance checklist.',
+      argsSchema: { planId: planIdArg(), taskId: taskIdArg() },
+    },
+    async ({ planId, taskId }) =>
+      userPrompt('Break a task down into subtasks', await breakDownTaskPrompt(config, { planId, taskId }))
+  );
+
+  server.registerPrompt(
+    'weekly-review',
+    {
+      title: 'Weekly review',
+      description:
+        'Summarize in-progress work and tasks finished, added, or changed since a date (default: 7 days ago; read from git history plus uncommitted edits).',
+      argsSchema: {
+        planId: planIdArg(),
+        since: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid since (expected YYYY-MM-DD)').optional(),
+      },
+    },
+    async ({ planId, since }) => userPrompt('Weekly review', await weeklyReviewPrompt(config, { planId, since }))
+  );
+}
+
+/**
+ * Create an MCP server instance and register all tools, resources, and prompts.
  *
  * Tool naming convention:
  * - `plan.*` operates on plan documents (list/get/create/update).
  * - `task.*` operates on tasks within a plan.
+ * - `section.*` operates on headings within a plan.
  *
  * Compatibility:
  * - Legacy `doc.*` tools can be enabled via `config.exposeLegacyDocTools`.
@@ -527,11 +1386,55 @@ export function createMcpServer(config: LongTermPlanConfig): McpServer {
 
   registerPlanTools(server, config);
   registerTaskTools(server, config);
+  registerSectionTools(server, config);
   if (config.exposeLegacyDocTools) registerLegacyDocTools(server, config);
+  registerPlanResources(server, config);
+  registerPrompts(server, config);
 
   return server;
 }
 
+/**
+ * Forward plan file changes (from any writer, including editors) to the
+ * client as MCP resource notifications.
+ *
+ * - `resources/updated` goes to subscribed plan resources whenever the plan's
+ *   etag changes, and to subscribed task resources when that task changed (or
+ *   the plan stopped parsing).
+ * - `resources/list_changed` is sent when a plan appears or disappears.
+ *
+ * Must be called before `connect()`, since it declares the subscribe capability.
+ */
+export async function attachPlanWatcher(server: McpServer, config: LongTermPlanConfig): Promise<PlanWatcher> {
+  const subscriptions = new Set<string>();
+  server.server.registerCapabilities({ resources: { listChanged: true, subscribe: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  return watchPlans(config, {
+    onChange: (event) => {
+      if (!server.isConnected()) return;
+      if (event.kind !== 'changed') server.sendResourceListChanged();
+      for (const uri of subscriptions) {
+        const target = parsePlanResourceUri(uri);
+        if (target?.planId !== event.planId) continue;
+        if (target.taskId !== undefined && event.tasks?.every((task) => task.taskId !== target.taskId)) continue;
+        // The client may disconnect between the check and the send.
+        server.server.sendResourceUpdated({ uri }).catch(() => undefined);
+      }
+    },
+    onError: (error) => {
+      process.stderr.write(`long-term-plan-mcp: plan watcher error: ${error.message}\n`);
+    },
+  });
+}
+
 /**
  * Connect the MCP server to stdio transport and start serving requests.
  *
@@ -539,6 +1442,214 @@ export function createMcpServer(config: LongTermPlanConfig): McpServer {
  */
 export async function runStdioServer(config: LongTermPlanConfig): Promise<void> {
   const server = createMcpServer(config);
+  const watcher = await attachPlanWatcher(server, config);
+  server.server.onclose = () => watcher.close();
   const transport = new StdioServerTransport();
   await server.connect(transport);
 }
+
+/**
+ * Path the Streamable HTTP transport is served on.
+ */
+export const MCP_HTTP_PATH = '/mcp';
+
+/**
+ * How long an HTTP session may go without requests or an open stream before
+ * it is closed (30 minutes).
+ */
+export const DEFAULT_HTTP_SESSION_IDLE_MS = 30 * 60_000;
+
+export interface HttpServerOptions {
+  host: string;
+  /** `0` picks a free port (see `HttpMcpServer.url`). */
+  port: number;
+  /** When set, every request must send `Authorization: Bearer <authToken>`. */
+  authToken?: string;
+  /** Idle time after which a session is closed (default `DEFAULT_HTTP_SESSION_IDLE_MS`). */
+  sessionIdleMs?: number;
+}
+
+export interface HttpMcpServer {
+  /** Endpoint URL, e.g. `http://127.0.0.1:3000/mcp`. */
+  url: string;
+  /** Close every session and stop listening. */
+  close(): Promise<void>;
+}
+
+interface HttpSession {
+  server: McpServer;
+  transport: StreamableHTTPServerTransport;
+  watcher: PlanWatcher;
+  closed: boolean;
+  /** Requests (including open SSE streams) still in flight. */
+  active: number;
+  idleTimer?: NodeJS.Timeout;
+}
+
+function sendJsonRpcError(res: ServerResponse, status: number, message: string): void {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+/**
+ * Host name from a `Host` header or `Origin` URL host, without IPv6 brackets.
+ */
+function hostnameOf(host: string): string | undefined {
+  try {
+    return new URL(`http://${host}`).hostname.replace(/^\[(.*)\]$/, '$1');
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * DNS-rebinding guard.
+ *
+ * A page on another site can point its own DNS name at this machine and make
+ * the browser send requests here, but it cannot change the `Host` header. So
+ * `Host` must be an IP literal, `localhost`, or the bind host, and a browser
+ * `Origin` (when sent) must be that same host.
+ */
+function isAllowedHost(req: IncomingMessage, bindHost: string): boolean {
+  const host = req.headers.host;
+  const hostname = host === undefined ? undefined : hostnameOf(host);
+  if (!hostname || !(isIP(hostname) !== 0 || hostname === 'localhost' || hostname === bindHost)) return false;
+  const origin = req.headers.origin;
+  if (origin === undefined) return true;
+  try {
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+}
+
+function isAuthorized(req: IncomingMessage, authToken: string): boolean {
+  const expected = Buffer.from(`Bearer ${authToken}`);
+  const actual = Buffer.from(req.headers.authorization ?? '');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Serve MCP over Streamable HTTP (POST for requests, GET for the SSE
+ * notification stream, DELETE to end a session) at `MCP_HTTP_PATH`.
+ *
+ * Every session gets its own `createMcpServer(config)` and plan watcher, so
+ * tools, resources, prompts, and notifications behave exactly as over stdio.
+ * Several agents (or a browser UI) can share one process; writes still go
+ * through the plan lockfiles and etags.
+ *
+ * Requests whose `Host` or `Origin` could come from DNS rebinding get `403`
+ * (see `isAllowedHost`). Sessions with no request or open stream for
+ * `sessionIdleMs` are closed along with their plan watcher.
+ */
+export async function startHttpServer(config: LongTermPlanConfig, options: HttpServerOptions): Promise<HttpMcpServer> {
+  const sessions = new Map<string, HttpSession>();
+  const sessionIdleMs = options.sessionIdleMs ?? DEFAULT_HTTP_SESSION_IDLE_MS;
+
+  // Runs on DELETE, transport close, and shutdown; `server.close()` re-enters it via `onclose`.
+  const closeSession = async (session: HttpSession): Promise<void> => {
+    if (session.closed) return;
+    session.closed = true;
+    clearTimeout(session.idleTimer);
+    if (session.transport.sessionId) sessions.delete(session.transport.sessionId);
+    session.watcher.close();
+    await session.server.close();
+  };
+
+  const openSession = async (): Promise<HttpSession> => {
+    const server = createMcpServer(config);
+    const watcher = await attachPlanWatcher(server, config);
+    const session: HttpSession = {
+      server,
+      watcher,
+      closed: false,
+      active: 0,
+      transport: new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (sessionId) => {
+          sessions.set(sessionId, session);
+        },
+      }),
+    };
+    server.server.onclose = () => {
+      void closeSession(session);
+    };
+    await server.connect(session.transport);
+    return session;
+  };
+
+  // The idle clock only runs while nothing is in flight, so an open SSE stream keeps its session.
+  const trackActivity = (session: HttpSession, res: ServerResponse): void => {
+    session.active += 1;
+    clearTimeout(session.idleTimer);
+    res.once('close', () => {
+      session.active -= 1;
+      if (session.active > 0 || session.closed) return;
+      session.idleTimer = setTimeout(() => void closeSession(session), sessionIdleMs);
+      session.idleTimer.unref();
+    });
+  };
+
+  const handle = async (req: IncomingMessage, res: ServerResponse): Promise<void> => {
+    if (new URL(req.url ?? '/', 'http://localhost').pathname !== MCP_HTTP_PATH) {
+      sendJsonRpcError(res, 404, `Not found (the MCP endpoint is ${MCP_HTTP_PATH})`);
+      return;
+    }
+    if (!isAllowedHost(req, options.host)) {
+      sendJsonRpcError(res, 403, 'Forbidden: Host or Origin header not allowed');
+      return;
+    }
+    if (options.authToken !== undefined && !isAuthorized(req, options.authToken)) {
+      res.setHeader('www-authenticate', 'Bearer');
+      sendJsonRpcError(res, 401, 'Unauthorized');
+      return;
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    if (typeof sessionId === 'string') {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        sendJsonRpcError(res, 404, 'Session not found');
+        return;
+      }
+      trackActivity(session, res);
+      await session.transport.handleRequest(req, res);
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJsonRpcError(res, 400, 'Missing mcp-session-id header');
+      return;
+    }
+
+    // A new session starts with `initialize`; the transport rejects anything else.
+    const session = await openSession();
+    trackActivity(session, res);
+    await session.transport.handleRequest(req, res);
+    if (!session.transport.sessionId) await closeSession(session);
+  };
+
+  const httpServer = createServer((req, res) => {
+    handle(req, res).catch((error: Error) => {
+      if (!res.headersSent) sendJsonRpcError(res, 500, error.message);
+      else res.end();
+    });
+  });
+  await new Promise<void>((resolvePromise, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(options.port, options.host, () => {
+      httpServer.off('error', reject);
+      resolvePromise();
+    });
+  });
+
+  const { port } = httpServer.address() as AddressInfo;
+  const host = options.host.includes(':') ? `[${options.host}]` : options.host;
+  return {
+    url: `http://${host}:${port}${MCP_HTTP_PATH}`,
+    async close() {
+      await Promise.all([...sessions.values()].map((session) => closeSession(session)));
+      httpServer.closeAllConnections();
+      await new Promise<void>((resolvePromise) => httpServer.close(() => resolvePromise()));
+    },
+  };
+}
@@ -1,30 +1,82 @@
-import { access, mkdir, readdir, readFile } from 'node:fs/promises';
-import { basename, relative } from 'node:path';
+import { mkdir, readFile, unlink } from 'node:fs/promises';
+import { relative } from 'node:path';
 import type { LongTermPlanConfig } from '../config.js';
-import type { TaskNode, TaskStatus } from './model.js';
-import { parsePlanMarkdown, parseTaskLineStrict } from './parse.js';
+import type { ParsedPlan, TaskNode, TaskStatus } from './model.js';
+import { parsePlanMarkdown } from './parse.js';
 import {
+  applyAddSection,
   applyAddTask,
   applyDelete,
+  applyDeleteSection,
+  applyInsertTaskBlock,
+  applyMoveSection,
+  applyMoveTask,
+  applyPropagateStatusUp,
   applyRename,
+  applyRenameSection,
+  applyRewriteDependencies,
+  applySetFormatVersion,
   applySetPlanBody,
   applySetPlanTitle,
   applySetStatus,
+  applySetStatusDescendants,
   applySetTaskBody,
+  applySetTaskMeta,
+  extractTaskBlock,
+  remintTaskBlockIds,
+  rewriteTaskBlockDependencies,
+  type EditResult,
 } from './edit.js';
 import { validatePlanMarkdown } from './validate.js';
 import { repairPlanMarkdown, type RepairAction } from './repair.js';
-import { LONG_TERM_PLAN_FORMAT_HEADER } from './constants.js';
+import { formatHeaderFor, type PlanFormatVersion } from './format.js';
+import { isClosedStatus } from './status.js';
+import { errorDiagnostic, warningDiagnostic } from './diagnostics.js';
 import {
   assertSafeId,
+  listArchivedPlanIds,
   readPlanFile,
+  renameFileExclusive,
+  resolveArchivedPlanPath,
   resolvePlanPath,
   resolvePlansDir,
   sha256Hex,
-  writeFileAtomic,
   writeFileAtomicExclusive,
+  writePlanFile,
+  type ReadPlanFileResult,
 } from './storage.js';
-import { buildTaskTreeView, toTaskFlatRow } from './view.js';
+import { buildTaskTreeView, toTaskFlatRow, type TaskFlatRow, type TaskTreeViewNode } from './view.js';
+import { matchTask, parseSearchTerms, type SearchableTask, type SearchField } from './search.js';
+import { compileTaskFilter } from './query.js';
+import {
+  computeParentRollups,
+  computeSectionRollups,
+  computeTaskRollups,
+  toRollup,
+  type ParentRollup,
+  type Rollup,
+  type SectionRollup,
+} from './rollup.js';
+import {
+  computeStats,
+  extractTitleFromText,
+  findIndexedTasks,
+  loadWorkspaceIndex,
+  type PlanStats,
+} from './workspace-index.js';
+import { assignTaskMetaFields, hasTaskMetaPatch, type TaskMetaPatch } from './meta.js';
+import { withFileLocks } from './lock.js';
+import { paginate, type PageOptions } from './cursor.js';
+import { findRebaseBlocker, recallPlanText, type IfMatchMode, type TouchedTask } from './rebase.js';
+import {
+  buildWorkspaceDependencyGraph,
+  displayDependencyKey,
+  findDependencyCycles,
+  findDependents,
+  findTaskByKey,
+  parseDependencyRef,
+  unfinishedDependencies,
+} from './deps.js';
 
 /**
  * Public API for plan/task operations.
@@ -37,13 +89,14 @@ import { buildTaskTreeView, toTaskFlatRow } from './view.js';
  * Concurrency model:
  * - Most mutating operations accept `ifMatch` (etag) for optimistic concurrency.
  * - The etag is a SHA-256 of the full document content.
+ * - Task add/update/delete/move also accept `ifMatchMode: 'rebase'`, which
+ *   replays the edit on the current text when a stale `ifMatch` only missed
+ *   changes to other tasks (see `rebase.ts`).
+ * - Every mutating operation holds the plan's lockfile (`lock.ts`) from read
+ *   to write, so the etag check and the write are atomic across processes.
  */
-export interface PlanStats {
-  total: number;
-  todo: number;
-  doing: number;
-  done: number;
-}
+export type { PlanStats };
+export { taskHistory, type TaskHistoryResult } from './history.js';
 
 /**
  * Metadata returned by `listPlans()`.
@@ -53,10 +106,14 @@ export interface PlanSummary {
   title: string;
   path: string;
   stats: PlanStats;
+  /** Set for plans in the `archive/` subfolder (only listed with `includeArchived`). */
+  archived?: boolean;
 }
 
 export interface ListPlansOptions {
   query?: string;
+  /** Also list archived plans (default false). */
+  includeArchived?: boolean;
 }
 
 /**
@@ -67,37 +124,6 @@ function normalizeQuery(query: string | undefined): string | undefined {
   return q ? q.toLowerCase() : undefined;
 }
 
-/**
- * Best-effort extraction of the plan title from an H1 heading.
- */
-function extractTitleFromText(text: string): string | undefined {
-  for (const line of text.split(/\r?\n/)) {
-    const match = line.match(/^#\s+(.*)$/);
-    if (match) return (match[1] ?? '').trim() || undefined;
-  }
-  return undefined;
-}
-
-/**
- * Compute basic status counts directly from raw text.
- *
- * This is intentionally line-based so we can compute stats even if the document
- * is not fully parseable.
- */
-function computeStats(text: string): PlanStats {
-  const stats: PlanStats = { total: 0, todo: 0, doing: 0, done: 0 };
-  for (const line of text.split(/\r?\n/)) {
-    const task = parseTaskLineStrict(line);
-    if (!task) continue;
-    stats.total += 1;
-    const symbol = task.symbol;
-    if (symbol === ' ') stats.todo += 1;
-    else if (symbol === '*') stats.doing += 1;
-    else stats.done += 1;
-  }
-  return stats;
-}
-
 /**
  * Flatten a task tree into a stable traversal order.
  *
@@ -120,13 +146,24 @@ function flattenTasks(rootTasks: TaskNode[]): TaskNode[] {
 
 type DefaultTaskReason = 'doing' | 'unfinished';
 
+/**
+ * Pick the task that "no taskId" reads/writes should target.
+ *
+ * Only `todo` / `doing` tasks are candidates; `blocked` tasks and tasks for
+ * which `isBlocked` returns true (unfinished dependencies) are skipped, so the
+ * default target is always something that can be worked on.
+ */
 function selectDefaultTaskId(
   rootTasks: TaskNode[],
-  options: { mode: 'read' | 'write' }
+  options: { mode: 'read' | 'write'; isBlocked?: (task: TaskNode) => boolean }
 ): { taskId: string; reason: DefaultTaskReason } {
   const ordered = flattenTasks(rootTasks);
+  const isBlocked = options.isBlocked ?? (() => false);
+  const candidates = ordered.filter(
+    (task) => (task.status === 'todo' || task.status === 'doing') && !isBlocked(task)
+  );
 
-  const doingTasks = ordered.filter((task) => task.status === 'doing');
+  const doingTasks = candidates.filter((task) => task.status === 'doing');
   if (options.mode === 'write' && doingTasks.length > 1) {
     throw new Error('AMBIGUOUS: multiple doing tasks; provide taskId');
   }
@@ -134,54 +171,106 @@ function selectDefaultTaskId(
     return { taskId: doingTasks[0].id, reason: 'doing' };
   }
 
-  const firstUnfinished = ordered.find((task) => task.status !== 'done');
+  const firstUnfinished = candidates[0];
   if (firstUnfinished) return { taskId: firstUnfinished.id, reason: 'unfinished' };
 
+  if (ordered.some((task) => !isClosedStatus(task.status))) {
+    throw new Error('No unblocked unfinished tasks in plan');
+  }
   throw new Error('No unfinished tasks in plan');
 }
 
+/**
+ * Load the plans needed to resolve dependencies of `plan` (keyed by plan id).
+ *
+ * - `scope: 'referenced'` loads only plans named in `planId:taskId` refs.
+ * - `scope: 'workspace'` also loads every plan the workspace index lists with
+ *   `dependsOn` refs (needed to find dependents and cross-plan cycles; plans
+ *   without refs cannot contribute either).
+ *
+ * Unreadable/unparseable plans are skipped; their targets resolve as unknown.
+ */
+async function loadDependencyPlans(
+  config: LongTermPlanConfig,
+  planId: string,
+  plan: ParsedPlan,
+  scope: 'referenced' | 'workspace'
+): Promise<Map<string, ParsedPlan>> {
+  const plans = new Map<string, ParsedPlan>([[planId, plan]]);
+  const planIds: string[] = [];
+  for (const task of plan.tasksById.values()) {
+    for (const raw of task.meta.dependsOn ?? []) {
+      const ref = parseDependencyRef(raw);
+      if (ref?.planId) planIds.push(ref.planId);
+    }
+  }
+  if (scope === 'workspace') {
+    const index = await loadWorkspaceIndex(config);
+    for (const [otherPlanId, entry] of Object.entries(index.plans)) {
+      if (entry.tasks.some((task) => task.dependsOn !== undefined)) planIds.push(otherPlanId);
+    }
+  }
+
+  for (const otherPlanId of planIds) {
+    if (plans.has(otherPlanId)) continue;
+    try {
+      const { text } = await readPlanFile(config, otherPlanId);
+      const parsed = parsePlanMarkdown(text);
+      if (parsed.ok && parsed.plan) plans.set(otherPlanId, parsed.plan);
+    } catch {
+      // Missing or unreadable plan: its targets stay unknown.
+    }
+  }
+  return plans;
+}
+
+/**
+ * Reject writes that would close a dependency cycle through another plan.
+ *
+ * Same-plan cycles are already rejected by the validator on every edit.
+ * `otherTexts` replaces the on-disk text of plans written in the same call.
+ */
+async function assertNoWorkspaceDependencyCycle(
+  config: LongTermPlanConfig,
+  planId: string,
+  newText: string,
+  otherTexts: Record<string, string> = {}
+): Promise<void> {
+  const parsed = parsePlanMarkdown(newText);
+  if (!parsed.ok || !parsed.plan) return;
+  const plans = await loadDependencyPlans(config, planId, parsed.plan, 'workspace');
+  for (const [otherPlanId, text] of Object.entries(otherTexts)) {
+    const other = parsePlanMarkdown(text);
+    if (other.ok && other.plan) plans.set(otherPlanId, other.plan);
+  }
+  for (const cycle of findDependencyCycles(buildWorkspaceDependencyGraph(plans))) {
+    if (cycle.some((key) => key.startsWith(`${planId}:`))) {
+      throw new Error(`Dependency cycle: ${cycle.map((key) => displayDependencyKey(key, planId)).join(' -> ')}`);
+    }
+  }
+}
+
 /**
  * List plan markdown files within `config.plansDir`.
  *
  * - Only files ending in `.md` are considered.
  * - Plan ids are derived from filename (basename) and validated for safety.
+ * - Titles and stats come from the workspace index (`workspace-index.ts`), so
+ *   only plans changed since the last call are re-read.
+ * - Archived plans (`archive/` subfolder) are hidden unless `includeArchived`.
  */
 export async function listPlans(
   config: LongTermPlanConfig,
   options: ListPlansOptions
 ): Promise<PlanSummary[]> {
-  const plansDir = resolvePlansDir(config);
-  try {
-    await access(plansDir);
-  } catch {
-    return [];
-  }
-
   const query = normalizeQuery(options.query);
-  const entries = await readdir(plansDir, { withFileTypes: true });
   const summaries: PlanSummary[] = [];
 
-  for (const entry of entries) {
-    if (!entry.isFile()) continue;
-    if (!entry.name.endsWith('.md')) continue;
-    const planId = basename(entry.name, '.md');
-    try {
-      assertSafeId('planId', planId);
-    } catch {
-      continue;
-    }
-
-    const absolutePath = resolvePlanPath(config, planId);
-    let text: string;
-    try {
-      text = await readFile(absolutePath, 'utf8');
-    } catch {
-      // Best-effort: a single unreadable plan file should not break `plan.list`.
-      continue;
-    }
-    const title = extractTitleFromText(text) ?? planId;
-    const stats = computeStats(text);
-    const path = relative(config.rootDir, absolutePath);
+  const index = await loadWorkspaceIndex(config);
+  for (const [planId, entry] of Object.entries(index.plans)) {
+    // Best-effort: a single unreadable plan file should not break `plan.list`.
+    if (entry.readError) continue;
+    const { title, stats, path } = entry;
 
     if (query) {
       const haystack = `${planId}\n${title}`.toLowerCase();
@@ -191,15 +280,56 @@ export async function listPlans(
     summaries.push({ planId, title, path, stats });
   }
 
-  summaries.sort((a, b) => a.planId.localeCompare(b.planId));
+  if (options.includeArchived) {
+    // Archived plans are not indexed; reading them directly is fine for this rare call.
+    for (const planId of await listArchivedPlanIds(config)) {
+      const absolutePath = resolveArchivedPlanPath(config, planId);
+      let text: string;
+      try {
+        text = await readFile(absolutePath, 'utf8');
+      } catch {
+        continue;
+      }
+      const title = extractTitleFromText(text) ?? planId;
+      if (query && !`${planId}\n${title}`.toLowerCase().includes(query)) continue;
+      const path = relative(config.rootDir, absolutePath);
+      summaries.push({ planId, title, path, stats: computeStats(text), archived: true });
+    }
+  }
+
+  summaries.sort((a, b) => a.planId.localeCompare(b.planId) || Number(a.archived ?? false) - Number(b.archived ?? false));
   return summaries;
 }
 
-export interface GetPlanOptions {
+/**
+ * `listPlans` one page at a time (`limit` / `cursor`, see `cursor.ts`).
+ *
+ * The cursor is bound to the set of listed plan ids: creating, deleting, or
+ * archiving a plan makes it stale, while task edits (which only change titles
+ * and stats) do not.
+ */
+export async function listPlansPage(
+  config: LongTermPlanConfig,
+  options: ListPlansOptions & PageOptions
+): Promise<{ plans: PlanSummary[]; nextCursor?: string }> {
+  const plans = await listPlans(config, options);
+  const etag = sha256Hex(plans.map((plan) => `${plan.planId}${plan.archived ? ' (archived)' : ''}`).join('\n'));
+  const page = paginate(plans, options, {
+    scope: 'plan.list',
+    etag,
+    args: { query: normalizeQuery(options.query), includeArchived: options.includeArchived ?? false },
+    subject: 'the plan list',
+  });
+  return page.nextCursor ? { plans: page.items, nextCursor: page.nextCursor } : { plans: page.items };
+}
+
+export interface GetPlanOptions extends PageOptions {
   planId: string;
   view?: 'tree' | 'flat';
   includeTaskBodies?: boolean;
   includePlanBody?: boolean;
+  /** Filter expression (see `query.ts`), e.g. `status:doing under:t_abc`. */
+  filter?: string;
 }
 
 /**
@@ -208,11 +338,23 @@ export interface GetPlanOptions {
  * The `view` option controls the shape of the returned task list:
  * - `tree`: nested tasks with children
  * - `flat`: a simplified list of task summaries
+ *
+ * With `filter`, the flat view only lists matching tasks; the tree view keeps
+ * matching tasks plus their ancestors, and `matchedTaskIds` tells them apart.
+ *
+ * Progress rollups (see `rollup.ts`) are always computed over the whole plan:
+ * `sections` lists every heading with its rollup, and tree nodes with children
+ * carry a `rollup` of their descendants.
+ *
+ * With `limit` / `cursor`, `tasks` is one page: whole root subtrees in the
+ * tree view, rows in the flat view. The cursor is bound to the plan's etag.
+ * `matchedTaskIds` only lists the matches on the current page; every other
+ * field describes the whole plan on every page.
  */
 export async function getPlan(
   config: LongTermPlanConfig,
   options: GetPlanOptions
-): Promise<{ plan: unknown; etag: string }> {
+): Promise<{ plan: unknown; etag: string; nextCursor?: string }> {
   const { text, etag } = await readPlanFile(config, options.planId);
   const parsed = parsePlanMarkdown(text);
   if (!parsed.ok || !parsed.plan) {
@@ -227,31 +369,96 @@ export async function getPlan(
   const view = options.view ?? 'tree';
   const includeTaskBodies = options.includeTaskBodies ?? false;
   const includePlanBody = options.includePlanBody ?? false;
-  const tasks =
+  const filter = options.filter?.trim() ? compileTaskFilter(options.filter) : undefined;
+  const plan = parsed.plan;
+  const matched = filter ? flattenTasks(plan.rootTasks).filter((task) => filter(task, plan)) : undefined;
+
+  let include: ((task: TaskNode) => boolean) | undefined;
+  if (matched) {
+    const visible = new Set<string>();
+    for (const task of matched) {
+      let current: TaskNode | undefined = task;
+      while (current && !visible.has(current.id)) {
+        visible.add(current.id);
+        current = current.parentId ? plan.tasksById.get(current.parentId) : undefined;
+      }
+    }
+    include = (task) => visible.has(task.id);
+  }
+
+  const allTasks: (TaskTreeViewNode | TaskFlatRow)[] =
     view === 'tree'
-      ? buildTaskTreeView(parsed.plan.rootTasks, { includeBody: includeTaskBodies })
-      : flattenTasks(parsed.plan.rootTasks).map((task) =>
+      ? buildTaskTreeView(plan.rootTasks, {
+          includeBody: includeTaskBodies,
+          include,
+          rollups: computeTaskRollups(plan),
+        })
+      : (matched ?? flattenTasks(plan.rootTasks)).map((task) =>
           toTaskFlatRow(task, { includeBody: includeTaskBodies })
         );
+  const page = paginate(allTasks, options, {
+    scope: `plan.get:${options.planId}`,
+    etag,
+    args: { view, filter: options.filter?.trim() || undefined },
+    subject: `plan "${options.planId}"`,
+  });
 
-  const plan: Record<string, unknown> = {
+  const out: Record<string, unknown> = {
     planId: options.planId,
-    title: parsed.plan.title,
-    format: { name: 'long-term-plan-md', version: 'v1' },
+    title: plan.title,
+    format: { name: 'long-term-plan-md', version: plan.formatVersion },
     stats,
     view,
-    hasBody: parsed.plan.hasBody,
-    tasks,
+    hasBody: plan.hasBody,
+    sections: computeSectionRollups(plan),
+    tasks: page.items,
   };
-  if (includePlanBody && parsed.plan.hasBody) plan.bodyMarkdown = parsed.plan.bodyMarkdown;
+  if (matched) {
+    const onPage = new Set<string>();
+    const stack = [...page.items];
+    for (let item = stack.pop(); item; item = stack.pop()) {
+      onPage.add(item.id);
+      if ('children' in item) stack.push(...item.children);
+    }
+    out.matchedTaskIds = matched.filter((task) => onPage.has(task.id)).map((task) => task.id);
+  }
+  if (includePlanBody && plan.hasBody) out.bodyMarkdown = plan.bodyMarkdown;
+
+  return page.nextCursor ? { plan: out, etag, nextCursor: page.nextCursor } : { plan: out, etag };
+}
 
-  return { plan, etag };
+export interface PlanStatsOptions {
+  planId: string;
+  /** Group by section heading (default) or by parent task. */
+  by?: 'section' | 'parent';
+}
+
+export type PlanStatsResult =
+  | { planId: string; by: 'section'; rollup: Rollup; groups: SectionRollup[]; etag: string }
+  | { planId: string; by: 'parent'; rollup: Rollup; groups: ParentRollup[]; etag: string };
+
+/**
+ * Progress breakdown for a plan: the whole-plan rollup plus one rollup per
+ * section or per parent task.
+ */
+export async function planStats(config: LongTermPlanConfig, options: PlanStatsOptions): Promise<PlanStatsResult> {
+  const { text, etag } = await readPlanFile(config, options.planId);
+  const parsed = parsePlanMarkdown(text);
+  if (!parsed.ok || !parsed.plan) throw new Error('Failed to parse plan');
+
+  const rollup = toRollup(computeStats(text));
+  if (options.by === 'parent') {
+    return { planId: options.planId, by: 'parent', rollup, groups: computeParentRollups(parsed.plan), etag };
+  }
+  return { planId: options.planId, by: 'section', rollup, groups: computeSectionRollups(parsed.plan), etag };
 }
 
 export interface CreatePlanOptions {
   planId: string;
   title: string;
   template?: 'empty' | 'basic';
+  /** Defaults to `v1`; `v2` enables the `blocked` / `cancelled` statuses. */
+  format?: PlanFormatVersion;
   bodyMarkdown?: string;
 }
 
@@ -262,35 +469,37 @@ export async function createPlan(
   config: LongTermPlanConfig,
   options: CreatePlanOptions
 ): Promise<{ planId: string; path: string }> {
-  const planId = options.planId;
-  assertSafeId('planId', planId);
-
-  const absolutePath = resolvePlanPath(config, planId);
-  const plansDir = resolvePlansDir(config);
-  await mkdir(plansDir, { recursive: true });
-
-  const title = options.title.trim() || planId;
-  const template = options.template ?? 'basic';
-  const parts: string[] = [LONG_TERM_PLAN_FORMAT_HEADER, '', `# ${title}`, ''];
-  if (template === 'basic') {
-    parts.push('## Inbox', '');
-  }
-
-  let text = `${parts.join('\n')}\n`;
-  if (options.bodyMarkdown !== undefined) {
-    text = applySetPlanBody(text, options.bodyMarkdown).newText;
-  }
-  try {
-    await writeFileAtomicExclusive(absolutePath, text);
-  } catch (error) {
-    const code = (error as NodeJS.ErrnoException | undefined)?.code;
-    if (code === 'EEXIST' || code === 'EISDIR') {
-      throw new Error(`Plan already exists: ${planId}`);
+  assertSafeId('planId', options.planId);
+  // Locks are only taken in existing directories, so create the plans dir first.
+  await mkdir(resolvePlansDir(config), { recursive: true });
+
+  return withPlanLocks(config, [options.planId], async () => {
+    const planId = options.planId;
+    const absolutePath = resolvePlanPath(config, planId);
+
+    const title = options.title.trim() || planId;
+    const template = options.template ?? 'basic';
+    const parts: string[] = [formatHeaderFor(options.format ?? 'v1'), '', `# ${title}`, ''];
+    if (template === 'basic') {
+      parts.push('## Inbox', '');
     }
-    throw error;
-  }
 
-  return { planId, path: relative(config.rootDir, absolutePath) };
+    let text = `${parts.join('\n')}\n`;
+    if (options.bodyMarkdown !== undefined) {
+      text = applySetPlanBody(text, options.bodyMarkdown).newText;
+    }
+    try {
+      await writeFileAtomicExclusive(absolutePath, text);
+    } catch (error) {
+      const code = (error as NodeJS.ErrnoException | undefined)?.code;
+      if (code === 'EEXIST' || code === 'EISDIR') {
+        throw new Error(`Plan already exists: ${planId}`);
+      }
+      throw error;
+    }
+
+    return { planId, path: relative(config.rootDir, absolutePath) };
+  });
 }
 
 export interface GetTaskOptions {
@@ -305,6 +514,10 @@ export interface GetTaskOptions {
  * If `taskId` is omitted, we select a default task:
  * - Prefer the first `doing` task (top-to-bottom order).
  * - Otherwise, pick the first unfinished task.
+ * - Tasks with unfinished dependencies are skipped.
+ *
+ * The result includes `blockedBy` (unfinished dependencies) and `blocks`
+ * (unfinished tasks, in any plan, that depend on this one).
  */
 export async function getTask(
   config: LongTermPlanConfig,
@@ -315,13 +528,17 @@ export async function getTask(
   if (!parsed.ok || !parsed.plan) throw new Error('Failed to parse plan');
 
   const includeBody = options.includeBody ?? true;
+  const plans = await loadDependencyPlans(config, options.planId, parsed.plan, 'workspace');
   let task: TaskNode | undefined;
   if (options.taskId) {
     assertSafeId('taskId', options.taskId);
     task = parsed.plan.tasksById.get(options.taskId);
     if (!task) throw new Error(`Task not found: ${options.taskId}`);
   } else {
-    const { taskId } = selectDefaultTaskId(parsed.plan.rootTasks, { mode: 'read' });
+    const { taskId } = selectDefaultTaskId(parsed.plan.rootTasks, {
+      mode: 'read',
+      isBlocked: (candidate) => unfinishedDependencies(candidate, options.planId, plans).length > 0,
+    });
     task = parsed.plan.tasksById.get(taskId);
     if (!task) throw new Error(`Task not found: ${taskId}`);
   }
@@ -335,11 +552,64 @@ export async function getTask(
     childrenCount: task.children.length,
     hasBody: task.hasBody,
   };
+  assignTaskMetaFields(outTask, task.meta);
+  outTask.blockedBy = unfinishedDependencies(task, options.planId, plans);
+  outTask.blocks =
+    isClosedStatus(task.status)
+      ? []
+      : findDependents(plans, `${options.planId}:${task.id}`).map((key) =>
+          displayDependencyKey(key, options.planId)
+        );
   if (includeBody && task.hasBody) outTask.bodyMarkdown = task.bodyMarkdown;
 
   return { task: outTask, etag };
 }
 
+export interface LocateTaskOptions {
+  taskId: string;
+  includeBody?: boolean;
+}
+
+/**
+ * Find the plan that holds `taskId` and return the task as `getTask` would,
+ * plus its `planId` and 1-based `line`.
+ *
+ * Resolution goes through the workspace index, so tasks in unparseable plans
+ * are not found. An id that exists in several plans is rejected as ambiguous.
+ */
+export async function locateTask(
+  config: LongTermPlanConfig,
+  options: LocateTaskOptions
+): Promise<{ planId: string; line: number; task: unknown; etag: string }> {
+  assertSafeId('taskId', options.taskId);
+  const matches = findIndexedTasks(await loadWorkspaceIndex(config), options.taskId);
+  const first = matches[0];
+  if (!first) throw new Error(`Task not found: ${options.taskId}`);
+  if (matches.length > 1) {
+    throw new Error(
+      `AMBIGUOUS: task id ${options.taskId} exists in multiple plans (${matches.map((m) => m.planId).join(', ')})`
+    );
+  }
+
+  const { task, etag } = await getTask(config, {
+    planId: first.planId,
+    taskId: options.taskId,
+    includeBody: options.includeBody,
+  });
+  return { planId: first.planId, line: first.line, task, etag };
+}
+
+/**
+ * Run a mutating operation while holding the write locks of `planIds`.
+ */
+function withPlanLocks<T>(config: LongTermPlanConfig, planIds: string[], fn: () => Promise<T>): Promise<T> {
+  return withFileLocks(
+    config,
+    planIds.map((planId) => resolvePlanPath(config, planId)),
+    fn
+  );
+}
+
 /**
  * Enforce optimistic concurrency when an `ifMatch` etag is provided.
  */
@@ -350,6 +620,36 @@ function requireIfMatch(currentEtag: string, ifMatch: string | undefined): void
   }
 }
 
+/**
+ * `ifMatch` check for task-level writes that support `ifMatchMode`.
+ *
+ * `strict` (the default) behaves like `requireIfMatch`. With `rebase`, a stale
+ * `ifMatch` is accepted when the version it names is still cached and every
+ * touched task reads the same there and in the current text; the caller then
+ * applies its edit to the current text and reports `rebased: true`.
+ */
+function resolveIfMatch(
+  current: ReadPlanFileResult,
+  options: { ifMatch?: string; ifMatchMode?: IfMatchMode },
+  touched: TouchedTask[]
+): { rebased?: true } {
+  const { ifMatch } = options;
+  if (!ifMatch || ifMatch === current.etag) return {};
+  if (options.ifMatchMode !== 'rebase') {
+    requireIfMatch(current.etag, ifMatch);
+    return {};
+  }
+  const baseText = recallPlanText(current.absolutePath, ifMatch);
+  const blocker =
+    baseText === undefined
+      ? 'the ifMatch version is not cached for this plan'
+      : findRebaseBlocker(baseText, current.text, touched);
+  if (blocker) {
+    throw new Error(`CONFLICT: etag mismatch (current=${current.etag}, ifMatch=${ifMatch}); cannot rebase: ${blocker}`);
+  }
+  return { rebased: true };
+}
+
 export interface TaskAddOptions {
   planId: string;
   title: string;
@@ -358,7 +658,20 @@ export interface TaskAddOptions {
   sectionPath?: string[];
   parentTaskId?: string;
   beforeTaskId?: string;
+  /** Optional trailer metadata (`due`, `priority`, `tags`, `owner`). */
+  meta?: TaskMetaPatch;
   ifMatch?: string;
+  /** `rebase`: accept a stale `ifMatch` if the parent/before anchors are unchanged. */
+  ifMatchMode?: IfMatchMode;
+}
+
+/**
+ * Touched-task list for a placement (its anchors).
+ */
+function placementAnchors(placement: { parentTaskId?: string; beforeTaskId?: string }): TouchedTask[] {
+  return [placement.parentTaskId, placement.beforeTaskId]
+    .filter((taskId): taskId is string => taskId !== undefined)
+    .map((taskId) => ({ taskId, scope: 'task' }));
 }
 
 /**
@@ -367,21 +680,26 @@ export interface TaskAddOptions {
 export async function taskAdd(
   config: LongTermPlanConfig,
   options: TaskAddOptions
-): Promise<{ taskId: string; etag: string }> {
-  const { absolutePath, text, etag } = await readPlanFile(config, options.planId);
-  requireIfMatch(etag, options.ifMatch);
-
-  const { taskId, newText } = applyAddTask(text, {
-    title: options.title,
-    bodyMarkdown: options.bodyMarkdown,
-    status: options.status ?? 'todo',
-    sectionPath: options.sectionPath,
-    parentTaskId: options.parentTaskId,
-    beforeTaskId: options.beforeTaskId,
-  });
+): Promise<{ taskId: string; etag: string; rebased?: true }> {
+  return withPlanLocks(config, [options.planId], async () => {
+    const current = await readPlanFile(config, options.planId);
+    const { absolutePath, text } = current;
+    const rebase = resolveIfMatch(current, options, placementAnchors(options));
+
+    const { taskId, newText } = applyAddTask(text, {
+      title: options.title,
+      bodyMarkdown: options.bodyMarkdown,
+      status: options.status ?? 'todo',
+      sectionPath: options.sectionPath,
+      parentTaskId: options.parentTaskId,
+      beforeTaskId: options.beforeTaskId,
+      meta: options.meta,
+    });
+    if (options.meta?.dependsOn) await assertNoWorkspaceDependencyCycle(config, options.planId, newText);
 
-  await writeFileAtomic(absolutePath, newText);
-  return { taskId, etag: sha256Hex(newText) };
+    await writePlanFile(absolutePath, newText);
+    return { taskId, etag: sha256Hex(newText), ...rebase };
+  });
 }
 
 export interface TaskUpdateOptions {
@@ -391,79 +709,162 @@ export interface TaskUpdateOptions {
   status?: TaskStatus;
   bodyMarkdown?: string;
   clearBody?: boolean;
+  /** Metadata patch: a value sets a field, `null` clears it. */
+  meta?: TaskMetaPatch;
   ifMatch?: string;
   allowDefaultTarget?: boolean;
+  /**
+   * After a status change, roll status up to ancestors (see
+   * `applyPropagateStatusUp`). Defaults to `config.propagateStatus`.
+   */
+  propagate?: boolean;
+  /** `descendants`: apply `status` to the task's whole subtree as well. */
+  cascade?: 'descendants';
+  /** With `cascade`, only change descendants currently in one of these statuses. */
+  onlyFrom?: TaskStatus[];
+  /**
+   * `rebase`: accept a stale `ifMatch` if the task (its subtree with `cascade`)
+   * is unchanged. Default targeting (no `taskId`) is always strict.
+   */
+  ifMatchMode?: IfMatchMode;
 }
 
 /**
- * Update a task in-place and return the new etag.
- *
- * - `status` and `title` are both optional, but at least one must be provided.
- * - If `taskId` is omitted, callers must set `allowDefaultTarget=true` and provide `ifMatch`.
- * - Default targeting prefers the current `doing` task, else the first unfinished task.
+ * Task fields that `task.update` (and `plan.batch` update ops) can change.
  */
-export async function taskUpdate(
-  config: LongTermPlanConfig,
-  options: TaskUpdateOptions
-): Promise<{ taskId: string; etag: string }> {
-  if (options.bodyMarkdown !== undefined && options.clearBody) {
+type TaskUpdateFields = Pick<TaskUpdateOptions, 'title' | 'status' | 'bodyMarkdown' | 'clearBody' | 'meta'>;
+
+/**
+ * Reject empty or contradictory task updates.
+ */
+function assertTaskUpdateFields(fields: TaskUpdateFields): void {
+  if (fields.bodyMarkdown !== undefined && fields.clearBody) {
     throw new Error('bodyMarkdown cannot be combined with clearBody');
   }
   if (
-    options.status === undefined &&
-    options.title === undefined &&
-    options.bodyMarkdown === undefined &&
-    !options.clearBody
+    fields.status === undefined &&
+    fields.title === undefined &&
+    fields.bodyMarkdown === undefined &&
+    !fields.clearBody &&
+    !hasTaskMetaPatch(fields.meta)
   ) {
-    throw new Error('At least one of status, title, bodyMarkdown, or clearBody is required');
-  }
-  if (!options.taskId && !options.allowDefaultTarget) {
-    throw new Error('taskId is required unless allowDefaultTarget=true');
-  }
-  if (!options.taskId && !options.ifMatch) {
-    throw new Error('ifMatch is required when taskId is omitted');
-  }
-
-  const { absolutePath, text, etag } = await readPlanFile(config, options.planId);
-  requireIfMatch(etag, options.ifMatch);
-
-  let taskId = options.taskId;
-  if (taskId) {
-    assertSafeId('taskId', taskId);
-  } else {
-    const parsed = parsePlanMarkdown(text);
-    if (!parsed.ok || !parsed.plan) throw new Error('Failed to parse plan');
-    taskId = selectDefaultTaskId(parsed.plan.rootTasks, { mode: 'write' }).taskId;
+    throw new Error('At least one of status, title, bodyMarkdown, clearBody, or meta is required');
   }
+}
 
+/**
+ * Apply a task update to in-memory text (status, title, body, then metadata).
+ */
+function applyTaskFieldEdits(text: string, taskId: string, fields: TaskUpdateFields): EditResult {
   let newText = text;
   let changed = false;
 
-  if (options.status !== undefined) {
-    const edit = applySetStatus(newText, taskId, options.status);
+  if (fields.status !== undefined) {
+    const edit = applySetStatus(newText, taskId, fields.status);
     newText = edit.newText;
     changed = changed || edit.changed;
   }
 
-  if (options.title !== undefined) {
-    const edit = applyRename(newText, taskId, options.title);
+  if (fields.title !== undefined) {
+    const edit = applyRename(newText, taskId, fields.title);
     newText = edit.newText;
     changed = changed || edit.changed;
   }
 
-  if (options.clearBody) {
+  if (fields.clearBody) {
     const edit = applySetTaskBody(newText, taskId, null);
     newText = edit.newText;
     changed = changed || edit.changed;
-  } else if (options.bodyMarkdown !== undefined) {
-    const edit = applySetTaskBody(newText, taskId, options.bodyMarkdown);
+  } else if (fields.bodyMarkdown !== undefined) {
+    const edit = applySetTaskBody(newText, taskId, fields.bodyMarkdown);
     newText = edit.newText;
     changed = changed || edit.changed;
   }
 
-  if (!changed) return { taskId, etag };
-  await writeFileAtomic(absolutePath, newText);
-  return { taskId, etag: sha256Hex(newText) };
+  if (fields.meta) {
+    const edit = applySetTaskMeta(newText, taskId, fields.meta);
+    newText = edit.newText;
+    changed = changed || edit.changed;
+  }
+
+  return { newText, changed };
+}
+
+/**
+ * Update a task in-place and return the new etag.
+ *
+ * - All fields are optional, but at least one change must be requested.
+ * - Metadata updates only rewrite the id trailer comment.
+ * - If `taskId` is omitted, callers must set `allowDefaultTarget=true` and provide `ifMatch`.
+ * - Default targeting prefers the current `doing` task, else the first unfinished task.
+ * - `cascade: 'descendants'` applies the status to the subtree too (optionally
+ *   only from the `onlyFrom` statuses).
+ * - With cascade or propagation on, `changedTaskIds` lists every task whose
+ *   status changed (the target, its descendants in document order, then
+ *   ancestors nearest first), all in the same write.
+ */
+export async function taskUpdate(
+  config: LongTermPlanConfig,
+  options: TaskUpdateOptions
+): Promise<{ taskId: string; etag: string; changedTaskIds?: string[]; rebased?: true }> {
+  assertTaskUpdateFields(options);
+  if (options.cascade && options.status === undefined) throw new Error('cascade requires status');
+  if (options.onlyFrom && !options.cascade) throw new Error('onlyFrom requires cascade');
+  if (!options.taskId && !options.allowDefaultTarget) {
+    throw new Error('taskId is required unless allowDefaultTarget=true');
+  }
+  if (!options.taskId && !options.ifMatch) {
+    throw new Error('ifMatch is required when taskId is omitted');
+  }
+
+  return withPlanLocks(config, [options.planId], async () => {
+    const current = await readPlanFile(config, options.planId);
+    const { absolutePath, text, etag } = current;
+    const rebase = resolveIfMatch(
+      current,
+      { ifMatch: options.ifMatch, ifMatchMode: options.taskId ? options.ifMatchMode : 'strict' },
+      options.taskId ? [{ taskId: options.taskId, scope: options.cascade ? 'block' : 'task' }] : []
+    );
+
+    let taskId = options.taskId;
+    if (taskId) {
+      assertSafeId('taskId', taskId);
+    } else {
+      const parsed = parsePlanMarkdown(text);
+      if (!parsed.ok || !parsed.plan) throw new Error('Failed to parse plan');
+      const plans = await loadDependencyPlans(config, options.planId, parsed.plan, 'referenced');
+      taskId = selectDefaultTaskId(parsed.plan.rootTasks, {
+        mode: 'write',
+        isBlocked: (candidate) => unfinishedDependencies(candidate, options.planId, plans).length > 0,
+      }).taskId;
+    }
+
+    let { newText, changed } = applyTaskFieldEdits(text, taskId, options);
+    let changedTaskIds: string[] | undefined;
+    const propagate = options.propagate ?? config.propagateStatus ?? false;
+    if (options.status !== undefined && (options.cascade || propagate)) {
+      const previousStatus = parsePlanMarkdown(text).plan?.tasksById.get(taskId)?.status;
+      changedTaskIds = previousStatus !== options.status ? [taskId] : [];
+      if (options.cascade === 'descendants') {
+        const cascaded = applySetStatusDescendants(newText, taskId, options.status, { onlyFrom: options.onlyFrom });
+        changedTaskIds.push(...cascaded.changedTaskIds);
+        newText = cascaded.newText;
+        changed = changed || cascaded.changed;
+      }
+      if (propagate) {
+        const propagated = applyPropagateStatusUp(newText, taskId);
+        changedTaskIds.push(...propagated.changedTaskIds);
+        newText = propagated.newText;
+        changed = changed || propagated.changed;
+      }
+    }
+
+    const extra = { ...(changedTaskIds ? { changedTaskIds } : {}), ...rebase };
+    if (!changed) return { taskId, etag, ...extra };
+    if (options.meta?.dependsOn) await assertNoWorkspaceDependencyCycle(config, options.planId, newText);
+    await writePlanFile(absolutePath, newText);
+    return { taskId, etag: sha256Hex(newText), ...extra };
+  });
 }
 
 export interface PlanUpdateOptions {
@@ -471,11 +872,13 @@ export interface PlanUpdateOptions {
   title?: string;
   bodyMarkdown?: string;
   clearBody?: boolean;
+  /** Switch the format header (downgrading to v1 fails while v2 statuses remain). */
+  format?: PlanFormatVersion;
   ifMatch?: string;
 }
 
 /**
- * Update a plan title and/or plan-level body blockquote.
+ * Update a plan title, plan-level body blockquote, and/or format version.
  */
 export async function planUpdate(
   config: LongTermPlanConfig,
@@ -484,41 +887,159 @@ export async function planUpdate(
   if (options.bodyMarkdown !== undefined && options.clearBody) {
     throw new Error('bodyMarkdown cannot be combined with clearBody');
   }
-  if (options.title === undefined && options.bodyMarkdown === undefined && !options.clearBody) {
-    throw new Error('At least one of title, bodyMarkdown, or clearBody is required');
+  if (
+    options.title === undefined &&
+    options.bodyMarkdown === undefined &&
+    !options.clearBody &&
+    options.format === undefined
+  ) {
+    throw new Error('At least one of title, bodyMarkdown, clearBody, or format is required');
   }
 
-  const { absolutePath, text, etag } = await readPlanFile(config, options.planId);
-  requireIfMatch(etag, options.ifMatch);
+  return withPlanLocks(config, [options.planId], async () => {
+    const { absolutePath, text, etag } = await readPlanFile(config, options.planId);
+    requireIfMatch(etag, options.ifMatch);
 
-  let newText = text;
-  let changed = false;
+    let newText = text;
+    let changed = false;
 
-  if (options.title !== undefined) {
-    const edit = applySetPlanTitle(newText, options.title);
-    newText = edit.newText;
-    changed = changed || edit.changed;
-  }
+    // Upgrade first so later edits in the same call already see v2.
+    if (options.format !== undefined) {
+      const edit = applySetFormatVersion(newText, options.format);
+      newText = edit.newText;
+      changed = changed || edit.changed;
+    }
 
-  if (options.clearBody) {
-    const edit = applySetPlanBody(newText, null);
-    newText = edit.newText;
-    changed = changed || edit.changed;
-  } else if (options.bodyMarkdown !== undefined) {
-    const edit = applySetPlanBody(newText, options.bodyMarkdown);
-    newText = edit.newText;
-    changed = changed || edit.changed;
-  }
+    if (options.title !== undefined) {
+      const edit = applySetPlanTitle(newText, options.title);
+      newText = edit.newText;
+      changed = changed || edit.changed;
+    }
+
+    if (options.clearBody) {
+      const edit = applySetPlanBody(newText, null);
+      newText = edit.newText;
+      changed = changed || edit.changed;
+    } else if (options.bodyMarkdown !== undefined) {
+      const edit = applySetPlanBody(newText, options.bodyMarkdown);
+      newText = edit.newText;
+      changed = changed || edit.changed;
+    }
+
+    if (!changed) return { etag };
+    await writePlanFile(absolutePath, newText);
+    return { etag: sha256Hex(newText) };
+  });
+}
 
-  if (!changed) return { etag };
-  await writeFileAtomic(absolutePath, newText);
-  return { etag: sha256Hex(newText) };
+export interface PlanDeleteOptions {
+  planId: string;
+  /** Required: deleting a whole plan must be based on a fresh read. */
+  ifMatch: string;
+}
+
+/**
+ * Delete a plan file.
+ *
+ * `ifMatch` is mandatory so a plan is never deleted based on stale content.
+ */
+export async function planDelete(
+  config: LongTermPlanConfig,
+  options: PlanDeleteOptions
+): Promise<{ planId: string }> {
+  return withPlanLocks(config, [options.planId], async () => {
+    const { absolutePath, etag } = await readPlanFile(config, options.planId);
+    requireIfMatch(etag, options.ifMatch);
+    await unlink(absolutePath);
+    return { planId: options.planId };
+  });
+}
+
+export interface PlanRenameOptions {
+  planId: string;
+  newPlanId: string;
+  ifMatch?: string;
+}
+
+/**
+ * Rename a plan (its file name / planId) within the plans directory.
+ *
+ * The rename never overwrites an existing plan. File content (and so the
+ * etag) is unchanged. `planId:taskId` dependency refs in other plans are not
+ * rewritten; `doc.validate` reports them as unknown targets.
+ */
+export async function planRename(
+  config: LongTermPlanConfig,
+  options: PlanRenameOptions
+): Promise<{ planId: string; path: string; etag: string }> {
+  assertSafeId('planId', options.newPlanId);
+  if (options.newPlanId === options.planId) throw new Error('newPlanId must differ from planId');
+
+  return withPlanLocks(config, [options.planId, options.newPlanId], async () => {
+    const { absolutePath, etag } = await readPlanFile(config, options.planId);
+    requireIfMatch(etag, options.ifMatch);
+
+    const targetPath = resolvePlanPath(config, options.newPlanId);
+    try {
+      await renameFileExclusive(absolutePath, targetPath);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException | undefined)?.code === 'EEXIST') {
+        throw new Error(`Plan already exists: ${options.newPlanId}`);
+      }
+      throw error;
+    }
+    return { planId: options.newPlanId, path: relative(config.rootDir, targetPath), etag };
+  });
+}
+
+export interface PlanArchiveOptions {
+  planId: string;
+  /** Move the plan back out of `archive/` instead. */
+  restore?: boolean;
+  ifMatch?: string;
+}
+
+/**
+ * Move a plan into (or, with `restore`, out of) the `archive/` subfolder.
+ *
+ * Archived plans keep their content and planId but are hidden from
+ * `plan.list` (unless `includeArchived`), search, and other plan tools until
+ * restored. Neither direction overwrites an existing file.
+ */
+export async function planArchive(
+  config: LongTermPlanConfig,
+  options: PlanArchiveOptions
+): Promise<{ planId: string; path: string; archived: boolean; etag: string }> {
+  const activePath = resolvePlanPath(config, options.planId);
+  const archivedPath = resolveArchivedPlanPath(config, options.planId);
+  const [fromPath, toPath] = options.restore ? [archivedPath, activePath] : [activePath, archivedPath];
+
+  // Every archive or restore of this plan id locks the active path, which also
+  // keeps `archive/` from being created just to hold a lockfile.
+  return withFileLocks(config, [activePath], async () => {
+    const text = await readFile(fromPath, 'utf8');
+    const etag = sha256Hex(text);
+    requireIfMatch(etag, options.ifMatch);
+    try {
+      await renameFileExclusive(fromPath, toPath);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException | undefined)?.code === 'EEXIST') {
+        throw new Error(
+          options.restore ? `Plan already exists: ${options.planId}` : `Archived plan already exists: ${options.planId}`
+        );
+      }
+      throw error;
+    }
+    return { planId: options.planId, path: relative(config.rootDir, toPath), archived: !options.restore, etag };
+  });
 }
 
 export interface TaskDeleteOptions {
   planId: string;
   taskId: string;
   ifMatch?: string;
+  /** `rebase`: accept a stale `ifMatch` if the task's whole block is unchanged. */
+  ifMatchMode?: IfMatchMode;
 }
 
 /**
@@ -527,69 +1048,593 @@ export interface TaskDeleteOptions {
 export async function taskDelete(
   config: LongTermPlanConfig,
   options: TaskDeleteOptions
-): Promise<{ etag: string }> {
+): Promise<{ etag: string; rebased?: true }> {
   assertSafeId('taskId', options.taskId);
-  const { absolutePath, text, etag } = await readPlanFile(config, options.planId);
-  requireIfMatch(etag, options.ifMatch);
+  return withPlanLocks(config, [options.planId], async () => {
+    const current = await readPlanFile(config, options.planId);
+    const { absolutePath, text, etag } = current;
+    const rebase = resolveIfMatch(current, options, [{ taskId: options.taskId, scope: 'block' }]);
+
+    const edit = applyDelete(text, options.taskId);
+    if (!edit.changed) return { etag, ...rebase };
+    await writePlanFile(absolutePath, edit.newText);
+    return { etag: sha256Hex(edit.newText), ...rebase };
+  });
+}
 
-  const edit = applyDelete(text, options.taskId);
-  if (!edit.changed) return { etag };
-  await writeFileAtomic(absolutePath, edit.newText);
-  return { etag: sha256Hex(edit.newText) };
+export interface TaskMoveOptions {
+  planId: string;
+  taskId: string;
+  sectionPath?: string[];
+  parentTaskId?: string;
+  beforeTaskId?: string;
+  ifMatch?: string;
+  /** `rebase`: accept a stale `ifMatch` if the moved block and its anchors are unchanged. */
+  ifMatchMode?: IfMatchMode;
 }
 
-export interface SearchTasksOptions {
+/**
+ * Move a task (with its body and subtree) within a plan document.
+ *
+ * Unlike delete + add, this keeps the task id (and all descendant ids) stable.
+ */
+export async function taskMove(
+  config: LongTermPlanConfig,
+  options: TaskMoveOptions
+): Promise<{ taskId: string; etag: string; rebased?: true }> {
+  assertSafeId('taskId', options.taskId);
+  return withPlanLocks(config, [options.planId], async () => {
+    const current = await readPlanFile(config, options.planId);
+    const { absolutePath, text, etag } = current;
+    const rebase = resolveIfMatch(current, options, [
+      { taskId: options.taskId, scope: 'block' },
+      ...placementAnchors(options),
+    ]);
+
+    const edit = applyMoveTask(text, {
+      taskId: options.taskId,
+      sectionPath: options.sectionPath,
+      parentTaskId: options.parentTaskId,
+      beforeTaskId: options.beforeTaskId,
+    });
+    if (!edit.changed) return { taskId: options.taskId, etag, ...rebase };
+    await writePlanFile(absolutePath, edit.newText);
+    return { taskId: options.taskId, etag: sha256Hex(edit.newText), ...rebase };
+  });
+}
+
+/**
+ * `$name` references a task added earlier in the same `plan.batch` call.
+ */
+const BATCH_ALIAS_RE = /^\$([A-Za-z0-9][A-Za-z0-9_-]{0,127})$/;
+
+/**
+ * One `plan.batch` operation.
+ *
+ * Task references (`taskId`, `parentTaskId`, `beforeTaskId`, `dependsOn`
+ * entries) may be `$alias` to target a task created by an earlier `add` op
+ * that declared `alias`.
+ */
+export type PlanBatchOp =
+  | ({ op: 'add'; alias?: string } & Omit<TaskAddOptions, 'planId' | 'ifMatch'>)
+  | ({ op: 'update'; taskId: string } & TaskUpdateFields)
+  | { op: 'delete'; taskId: string }
+  | ({ op: 'move' } & Omit<TaskMoveOptions, 'planId' | 'ifMatch'>);
+
+export interface PlanBatchOptions {
   planId: string;
-  query: string;
+  ops: PlanBatchOp[];
+  ifMatch?: string;
+}
+
+export interface PlanBatchResult {
+  etag: string;
+  /** Alias (without `$`) -> generated task id. */
+  aliases: Record<string, string>;
+  /** One entry per op, in order: the (resolved) task id each op touched. */
+  results: { op: PlanBatchOp['op']; taskId: string }[];
+}
+
+/**
+ * Apply several task edits to one plan with a single read and a single write.
+ *
+ * Ops run in order against the in-memory text using the same `apply*`
+ * functions as the single-task APIs, so each op sees the result of the
+ * previous ones. The batch is all-or-nothing: if any op fails, nothing is
+ * written and the error names the failing op.
+ */
+export async function planBatch(
+  config: LongTermPlanConfig,
+  options: PlanBatchOptions
+): Promise<PlanBatchResult> {
+  if (options.ops.length === 0) throw new Error('ops must not be empty');
+
+  return withPlanLocks(config, [options.planId], async () => {
+    const { absolutePath, text, etag } = await readPlanFile(config, options.planId);
+    requireIfMatch(etag, options.ifMatch);
+
+    const aliases: Record<string, string> = {};
+    const resolve = (ref: string): string => {
+      const match = ref.match(BATCH_ALIAS_RE);
+      if (!match) return ref;
+      const taskId = aliases[match[1] ?? ''];
+      if (!taskId) throw new Error(`Unknown alias: ${ref}`);
+      return taskId;
+    };
+    const resolveOptional = (ref: string | undefined): string | undefined =>
+      ref === undefined ? undefined : resolve(ref);
+    const resolveMeta = (meta: TaskMetaPatch | undefined): TaskMetaPatch | undefined =>
+      meta?.dependsOn ? { ...meta, dependsOn: meta.dependsOn.map(resolve) } : meta;
+
+    let newText = text;
+    let changed = false;
+    let touchesDependencies = false;
+    const results: PlanBatchResult['results'] = [];
+
+    for (const [index, op] of options.ops.entries()) {
+      try {
+        if (op.op === 'add') {
+          if (op.alias !== undefined) {
+            if (!BATCH_ALIAS_RE.test(`$${op.alias}`)) throw new Error(`Invalid alias: ${JSON.stringify(op.alias)}`);
+            if (aliases[op.alias]) throw new Error(`Duplicate alias: ${op.alias}`);
+          }
+          const added = applyAddTask(newText, {
+            title: op.title,
+            bodyMarkdown: op.bodyMarkdown,
+            status: op.status ?? 'todo',
+            sectionPath: op.sectionPath,
+            parentTaskId: resolveOptional(op.parentTaskId),
+            beforeTaskId: resolveOptional(op.beforeTaskId),
+            meta: resolveMeta(op.meta),
+          });
+          if (op.alias !== undefined) aliases[op.alias] = added.taskId;
+          newText = added.newText;
+          changed = true;
+          touchesDependencies = touchesDependencies || Boolean(op.meta?.dependsOn);
+          results.push({ op: op.op, taskId: added.taskId });
+          continue;
+        }
+
+        const taskId = resolve(op.taskId);
+        assertSafeId('taskId', taskId);
+        let edit: EditResult;
+        if (op.op === 'update') {
+          assertTaskUpdateFields(op);
+          edit = applyTaskFieldEdits(newText, taskId, { ...op, meta: resolveMeta(op.meta) });
+          touchesDependencies = touchesDependencies || Boolean(op.meta?.dependsOn);
+        } else if (op.op === 'delete') {
+          edit = applyDelete(newText, taskId);
+        } else {
+          edit = applyMoveTask(newText, {
+            taskId,
+            sectionPath: op.sectionPath,
+            parentTaskId: resolveOptional(op.parentTaskId),
+            beforeTaskId: resolveOptional(op.beforeTaskId),
+          });
+        }
+        newText = edit.newText;
+        changed = changed || edit.changed;
+        results.push({ op: op.op, taskId });
+      } catch (error) {
+        throw new Error(`ops[${index}] (${op.op}) failed: ${(error as Error).message}`);
+      }
+    }
+
+    if (!changed || newText === text) return { etag, aliases, results };
+    if (touchesDependencies) await assertNoWorkspaceDependencyCycle(config, options.planId, newText);
+    await writePlanFile(absolutePath, newText);
+    return { etag: sha256Hex(newText), aliases, results };
+  });
+}
+
+export interface TaskTransferOptions {
+  fromPlanId: string;
+  toPlanId: string;
+  taskId: string;
+  /** `move` keeps ids and removes the source block; `copy` mints fresh ids. */
+  mode: 'move' | 'copy';
+  sectionPath?: string[];
+  parentTaskId?: string;
+  beforeTaskId?: string;
+  fromIfMatch: string;
+  toIfMatch: string;
+}
+
+export interface TaskTransferResult {
+  /** Id of the transferred top task in the destination plan. */
+  taskId: string;
+  /** Source task id -> destination task id (identity for `move`). */
+  idMap: Record<string, string>;
+  fromEtag: string;
+  toEtag: string;
+}
+
+/**
+ * Move or copy a task subtree (with bodies) from one plan file to another.
+ *
+ * Both files are guarded by their own etag. The destination is written first;
+ * if the source write then fails (move only), the destination is restored so
+ * the task never ends up duplicated or lost.
+ *
+ * `dependsOn` refs keep pointing at the same tasks: a bare ref from the block
+ * to a task left in the source plan becomes `fromPlanId:taskId` (copies also
+ * follow reminted ids inside the block), and on move, source refs to moved
+ * tasks become `toPlanId:taskId`. Refs from other plans are not rewritten.
+ * The result must not close a dependency cycle across plans.
+ */
+export async function taskTransfer(
+  config: LongTermPlanConfig,
+  options: TaskTransferOptions
+): Promise<TaskTransferResult> {
+  assertSafeId('taskId', options.taskId);
+  if (options.fromPlanId === options.toPlanId) {
+    throw new Error('fromPlanId and toPlanId must differ (use task.move within a plan)');
+  }
+
+  return withPlanLocks(config, [options.fromPlanId, options.toPlanId], async () => {
+    const source = await readPlanFile(config, options.fromPlanId);
+    requireIfMatch(source.etag, options.fromIfMatch);
+    const dest = await readPlanFile(config, options.toPlanId);
+    requireIfMatch(dest.etag, options.toIfMatch);
+
+    let block = extractTaskBlock(source.text, options.taskId);
+    const idMap: Record<string, string> = {};
+    if (options.mode === 'copy') {
+      const reminted = remintTaskBlockIds(block);
+      block = reminted.block;
+      for (const [from, to] of reminted.idMap) idMap[from] = to;
+    } else {
+      for (const id of block.taskIds) idMap[id] = id;
+    }
+
+    const sourceTaskIds = new Set(parsePlanMarkdown(source.text).plan?.tasksById.keys() ?? []);
+    const blockIds = new Map(Object.entries(idMap));
+    const moving = options.mode === 'move';
+    block = rewriteTaskBlockDependencies(block, (raw) => {
+      const ref = parseDependencyRef(raw);
+      if (!ref) return raw;
+      if (ref.planId === undefined) {
+        const inBlock = blockIds.get(ref.taskId);
+        if (inBlock !== undefined) return inBlock;
+        return sourceTaskIds.has(ref.taskId) ? `${options.fromPlanId}:${ref.taskId}` : raw;
+      }
+      return moving && ref.planId === options.fromPlanId && blockIds.has(ref.taskId) ? ref.taskId : raw;
+    });
+
+    const destEdit = applyInsertTaskBlock(dest.text, block, {
+      sectionPath: options.sectionPath,
+      parentTaskId: options.parentTaskId,
+      beforeTaskId: options.beforeTaskId,
+    });
+    const sourceEdit = moving
+      ? applyRewriteDependencies(applyDelete(source.text, options.taskId).newText, (raw) => {
+          const ref = parseDependencyRef(raw);
+          return ref && ref.planId === undefined && blockIds.has(ref.taskId)
+            ? `${options.toPlanId}:${ref.taskId}`
+            : raw;
+        })
+      : undefined;
+    await assertNoWorkspaceDependencyCycle(
+      config,
+      options.toPlanId,
+      destEdit.newText,
+      sourceEdit ? { [options.fromPlanId]: sourceEdit.newText } : {}
+    );
+
+    await writePlanFile(dest.absolutePath, destEdit.newText);
+    if (sourceEdit) {
+      try {
+        await writePlanFile(source.absolutePath, sourceEdit.newText);
+      } catch (error) {
+        // Roll back so the task is not left in both plans.
+        await writePlanFile(dest.absolutePath, dest.text);
+        throw error;
+      }
+    }
+
+    return {
+      taskId: idMap[options.taskId] ?? options.taskId,
+      idMap,
+      fromEtag: sourceEdit ? sha256Hex(sourceEdit.newText) : source.etag,
+      toEtag: sha256Hex(destEdit.newText),
+    };
+  });
+}
+
+export interface SectionSummary {
+  /** Heading path (H2 and below; the H1 plan title is not a section). */
+  path: string[];
+  /** Markdown heading level (2..6). */
+  level: number;
+  /** 1-based line of the heading. */
+  line: number;
+  /** Tasks anywhere under the section, including subsections. */
+  taskCount: number;
+}
+
+/**
+ * List the sections (H2+ headings) of a plan in document order.
+ */
+export async function sectionList(
+  config: LongTermPlanConfig,
+  options: { planId: string }
+): Promise<{ planId: string; sections: SectionSummary[]; etag: string }> {
+  const { text, etag } = await readPlanFile(config, options.planId);
+  const parsed = parsePlanMarkdown(text);
+  if (!parsed.ok || !parsed.plan) throw new Error('Failed to parse plan');
+
+  const tasks = [...parsed.plan.tasksById.values()];
+  const sections = parsed.plan.headings
+    .filter((heading) => heading.level >= 2)
+    .map((heading) => ({
+      path: heading.path,
+      level: heading.level,
+      line: heading.line + 1,
+      taskCount: tasks.filter((task) => task.line > heading.startLine && task.line <= heading.endLine).length,
+    }));
+  return { planId: options.planId, sections, etag };
+}
+
+export interface SectionAddOptions {
+  planId: string;
+  /** Full path of the new section; its parent section must already exist. */
+  sectionPath: string[];
+  /** Insert before this sibling section instead of appending to the parent. */
+  beforeSectionPath?: string[];
+  ifMatch?: string;
+}
+
+/**
+ * Add an empty section heading at a chosen position.
+ */
+export async function sectionAdd(
+  config: LongTermPlanConfig,
+  options: SectionAddOptions
+): Promise<{ sectionPath: string[]; etag: string }> {
+  return withPlanLocks(config, [options.planId], async () => {
+    const { absolutePath, text, etag } = await readPlanFile(config, options.planId);
+    requireIfMatch(etag, options.ifMatch);
+
+    const edit = applyAddSection(text, {
+      sectionPath: options.sectionPath,
+      beforeSectionPath: options.beforeSectionPath,
+    });
+    await writePlanFile(absolutePath, edit.newText);
+    return { sectionPath: options.sectionPath.map((part) => part.trim()), etag: sha256Hex(edit.newText) };
+  });
+}
+
+export interface SectionRenameOptions {
+  planId: string;
+  sectionPath: string[];
+  /** New heading text for the last path segment. */
+  title: string;
+  ifMatch?: string;
+}
+
+/**
+ * Rename a section heading; tasks and subsections follow it.
+ */
+export async function sectionRename(
+  config: LongTermPlanConfig,
+  options: SectionRenameOptions
+): Promise<{ sectionPath: string[]; etag: string }> {
+  return withPlanLocks(config, [options.planId], async () => {
+    const { absolutePath, text, etag } = await readPlanFile(config, options.planId);
+    requireIfMatch(etag, options.ifMatch);
+
+    const edit = applyRenameSection(text, options.sectionPath, options.title);
+    const sectionPath = [...options.sectionPath.slice(0, -1), options.title.trim()];
+    if (!edit.changed) return { sectionPath, etag };
+    await writePlanFile(absolutePath, edit.newText);
+    return { sectionPath, etag: sha256Hex(edit.newText) };
+  });
+}
+
+export interface SectionMoveOptions {
+  planId: string;
+  sectionPath: string[];
+  /** New parent section; omit for top level. */
+  parentSectionPath?: string[];
+  /** Place before this section (its parent becomes the new parent). */
+  beforeSectionPath?: string[];
+  ifMatch?: string;
+}
+
+/**
+ * Move a section with all of its content and subsections.
+ */
+export async function sectionMove(
+  config: LongTermPlanConfig,
+  options: SectionMoveOptions
+): Promise<{ sectionPath: string[]; etag: string }> {
+  return withPlanLocks(config, [options.planId], async () => {
+    const { absolutePath, text, etag } = await readPlanFile(config, options.planId);
+    requireIfMatch(etag, options.ifMatch);
+
+    const edit = applyMoveSection(text, {
+      sectionPath: options.sectionPath,
+      parentSectionPath: options.parentSectionPath,
+      beforeSectionPath: options.beforeSectionPath,
+    });
+    const parentPath = options.beforeSectionPath
+      ? options.beforeSectionPath.slice(0, -1)
+      : (options.parentSectionPath ?? []);
+    const sectionPath = [...parentPath, ...options.sectionPath.slice(-1)];
+    if (!edit.changed) return { sectionPath, etag };
+    await writePlanFile(absolutePath, edit.newText);
+    return { sectionPath, etag: sha256Hex(edit.newText) };
+  });
+}
+
+export interface SectionDeleteOptions {
+  planId: string;
+  sectionPath: string[];
+  /** Also delete tasks, notes, and subsections under the heading. */
+  cascade?: boolean;
+  ifMatch?: string;
+}
+
+/**
+ * Delete a section heading.
+ *
+ * Non-empty sections are refused unless `cascade` is set. `deletedTaskIds`
+ * lists the tasks removed with the section.
+ */
+export async function sectionDelete(
+  config: LongTermPlanConfig,
+  options: SectionDeleteOptions
+): Promise<{ deletedTaskIds: string[]; etag: string }> {
+  return withPlanLocks(config, [options.planId], async () => {
+    const { absolutePath, text, etag } = await readPlanFile(config, options.planId);
+    requireIfMatch(etag, options.ifMatch);
+
+    const edit = applyDeleteSection(text, options.sectionPath, { cascade: options.cascade });
+    await writePlanFile(absolutePath, edit.newText);
+    return { deletedTaskIds: edit.deletedTaskIds, etag: sha256Hex(edit.newText) };
+  });
+}
+
+export interface SearchTasksOptions {
+  /** Search a single plan. */
+  planId?: string;
+  /** Search these plans (in the given order). */
+  planIds?: string[];
+  /** Terms are AND-ed; double quotes group a phrase (see `search.ts`). */
+  query?: string;
+  /** Filter expression (see `query.ts`); with no `query`, every matching task is a hit. */
+  filter?: string;
+  /** Fields to match against (default: `['title']`). */
+  fields?: SearchField[];
   status?: TaskStatus;
+  /** Global hit limit across all searched plans (default 50, clamped to 1..500). */
   limit?: number;
 }
 
+export interface SearchTaskHit {
+  planId: string;
+  taskId: string;
+  title: string;
+  status: TaskStatus;
+  sectionPath: string[];
+  /** Fields in which at least one query term matched. */
+  matchedIn: SearchField[];
+  /** Body lines around the first body match (when the body matched). */
+  snippet?: string;
+}
+
+export interface SearchTasksResult {
+  hits: SearchTaskHit[];
+  /** Plans that could not be searched (unreadable or unparseable), with the reason. */
+  skippedPlans: { planId: string; message: string }[];
+}
+
 /**
- * Search tasks by substring match on title (case-insensitive).
+ * Search tasks by case-insensitive substring match.
+ *
+ * By default only titles are searched; `fields` can add task bodies, section
+ * headings, and tags. Every query term must match in one of those fields.
+ * A structured `filter` narrows hits further, or selects tasks on its own when
+ * `query` is empty.
+ *
+ * Scope:
+ * - `planId`: one plan
+ * - `planIds`: the listed plans, in order
+ * - neither: every plan in the workspace (sorted by plan id)
+ *
+ * Hits are ordered by plan, then document order, and `limit` applies across
+ * all plans. Plans that cannot be parsed are reported in `skippedPlans`
+ * instead of failing the whole search; explicitly named plans that do not
+ * exist still throw.
  */
 export async function searchTasks(
   config: LongTermPlanConfig,
   options: SearchTasksOptions
-): Promise<
-  {
-    planId: string;
-    taskId: string;
-    title: string;
-    status: TaskStatus;
-    sectionPath: string[];
-  }[]
-> {
-  const query = options.query.trim().toLowerCase();
-  if (!query) return [];
+): Promise<SearchTasksResult> {
+  if (options.planId !== undefined && options.planIds !== undefined) {
+    throw new Error('planId cannot be combined with planIds');
+  }
+  const result: SearchTasksResult = { hits: [], skippedPlans: [] };
+  const terms = parseSearchTerms(options.query ?? '');
+  const filter = options.filter?.trim() ? compileTaskFilter(options.filter) : undefined;
+  if (terms.length === 0 && !filter) return result;
+  const fields = options.fields && options.fields.length > 0 ? options.fields : ['title' as const];
 
   const limit = Math.max(1, Math.min(500, options.limit ?? 50));
-
-  const hits: {
-    planId: string;
-    taskId: string;
-    title: string;
-    status: TaskStatus;
-    sectionPath: string[];
-  }[] = [];
-
-  const { text } = await readPlanFile(config, options.planId);
-  const parsed = parsePlanMarkdown(text);
-  if (!parsed.ok || !parsed.plan) return [];
-  for (const task of parsed.plan.tasksById.values()) {
-    if (hits.length >= limit) return hits;
-    if (options.status && task.status !== options.status) continue;
-    if (!task.title.toLowerCase().includes(query)) continue;
-    hits.push({
-      planId: options.planId,
+  const explicit = options.planId !== undefined || options.planIds !== undefined;
+  const index = await loadWorkspaceIndex(config);
+  const planIds = options.planId !== undefined ? [options.planId] : options.planIds ?? Object.keys(index.plans);
+  // Title/section/tag matches need no bodies or tree, so the index can answer them.
+  const indexOnly = !filter && !fields.includes('body');
+
+  const pushHit = (planId: string, task: SearchableTask & { id: string; status: TaskStatus }): void => {
+    if (options.status && task.status !== options.status) return;
+    const match = terms.length > 0 ? matchTask(task, terms, fields) : { matchedIn: [] };
+    if (!match) return;
+    const hit: SearchTaskHit = {
+      planId,
       taskId: task.id,
       title: task.title,
       status: task.status,
       sectionPath: task.sectionPath,
-    });
+      matchedIn: match.matchedIn,
+    };
+    if (match.snippet !== undefined) hit.snippet = match.snippet;
+    result.hits.push(hit);
+  };
+
+  for (const planId of planIds) {
+    if (result.hits.length >= limit) break;
+
+    const entry = index.plans[planId];
+    if (entry?.parseError) {
+      result.skippedPlans.push({ planId, message: entry.parseError });
+      continue;
+    }
+    if (entry && !entry.readError && indexOnly) {
+      for (const task of entry.tasks) {
+        if (result.hits.length >= limit) break;
+        pushHit(planId, {
+          id: task.taskId,
+          title: task.title,
+          status: task.status,
+          sectionPath: task.sectionPath,
+          meta: { tags: task.tags },
+        });
+      }
+      continue;
+    }
+
+    let text: string;
+    try {
+      ({ text } = await readPlanFile(config, planId));
+    } catch (error) {
+      if (explicit) throw error;
+      result.skippedPlans.push({ planId, message: (error as Error).message });
+      continue;
+    }
+
+    const parsed = parsePlanMarkdown(text);
+    if (!parsed.ok || !parsed.plan) {
+      const first = parsed.errors[0];
+      result.skippedPlans.push({
+        planId,
+        message: first
+          ? `${first.code}${first.line !== undefined ? `@${first.line + 1}` : ''}: ${first.message}`
+          : 'Failed to parse plan',
+      });
+      continue;
+    }
+
+    const plan = parsed.plan;
+    for (const task of plan.tasksById.values()) {
+      if (result.hits.length >= limit) break;
+      if (filter && !filter(task, plan)) continue;
+      pushHit(planId, task);
+    }
   }
 
-  return hits;
+  return result;
 }
 
 /**
@@ -604,13 +1649,54 @@ export async function validatePlanDoc(
 ): Promise<{ errors: { code: string; message: string; line?: number }[]; warnings: { code: string; message: string; line?: number }[] }> {
   const { text } = await readPlanFile(config, options.planId);
   const result = validatePlanMarkdown(text);
+  const errors = [...result.errors];
+  const warnings = [...result.warnings];
+
+  // Cross-plan checks (dependencies, duplicate ids) need the rest of the workspace.
+  const parsed = parsePlanMarkdown(text);
+  if (parsed.ok && parsed.plan) {
+    const index = await loadWorkspaceIndex(config);
+    for (const task of parsed.plan.tasksById.values()) {
+      const others = findIndexedTasks(index, task.id).filter((m) => m.planId !== options.planId);
+      if (others.length === 0) continue;
+      errors.push(
+        errorDiagnostic(
+          'DUPLICATE_TASK_ID',
+          `Duplicate task id across plans: ${task.id} (also in ${others.map((m) => m.planId).join(', ')})`,
+          task.line
+        )
+      );
+    }
+
+    const plans = await loadDependencyPlans(config, options.planId, parsed.plan, 'workspace');
+    for (const task of parsed.plan.tasksById.values()) {
+      for (const raw of task.meta.dependsOn ?? []) {
+        const ref = parseDependencyRef(raw);
+        if (!ref?.planId || findTaskByKey(plans, `${ref.planId}:${ref.taskId}`)) continue;
+        warnings.push(warningDiagnostic('UNKNOWN_DEPENDENCY', `Unknown dependency target: ${raw}`, task.line));
+      }
+    }
+    for (const cycle of findDependencyCycles(buildWorkspaceDependencyGraph(plans))) {
+      const localKey = cycle.find((key) => key.startsWith(`${options.planId}:`));
+      const crossesPlans = cycle.some((key) => !key.startsWith(`${options.planId}:`));
+      if (!localKey || !crossesPlans) continue;
+      errors.push(
+        errorDiagnostic(
+          'DEPENDENCY_CYCLE',
+          `Dependency cycle: ${cycle.map((key) => displayDependencyKey(key, options.planId)).join(' -> ')}`,
+          findTaskByKey(plans, localKey)?.line
+        )
+      );
+    }
+  }
+
   return {
-    errors: result.errors.map((d) => ({
+    errors: errors.map((d) => ({
       code: d.code,
       message: d.message,
       line: d.line !== undefined ? d.line + 1 : undefined,
     })),
-    warnings: result.warnings.map((d) => ({
+    warnings: warnings.map((d) => ({
       code: d.code,
       message: d.message,
       line: d.line !== undefined ? d.line + 1 : undefined,
@@ -633,13 +1719,15 @@ export async function repairPlanDoc(
     ifMatch?: string;
   }
 ): Promise<{ etag: string; applied: { addFormatHeader: boolean; addMissingIds: number } }> {
-  const { absolutePath, text, etag } = await readPlanFile(config, options.planId);
-  requireIfMatch(etag, options.ifMatch);
+  return withPlanLocks(config, [options.planId], async () => {
+    const { absolutePath, text, etag } = await readPlanFile(config, options.planId);
+    requireIfMatch(etag, options.ifMatch);
 
-  const repaired = repairPlanMarkdown(text, options.actions);
-  if (!options.dryRun) {
-    await writeFileAtomic(absolutePath, repaired.newText);
-  }
+    const repaired = repairPlanMarkdown(text, options.actions);
+    if (!options.dryRun) {
+      await writePlanFile(absolutePath, repaired.newText);
+    }
 
-  return { etag: sha256Hex(repaired.newText), applied: repaired.applied };
+    return { etag: sha256Hex(repaired.newText), applied: repaired.applied };
+  });
 }
@@ -0,0 +1,117 @@
+import { sha256Hex } from './storage.js';
+
+/**
+ * Opaque pagination cursors for `plan.list` and `plan.get`.
+ *
+ * A cursor records where the next page starts plus what it was computed from:
+ * the listing it pages (`scope`), the etag of that listing, and a fingerprint
+ * of the arguments that shape it (view, filter, query). Offsets are only
+ * meaningful against the exact same content, so a cursor whose etag no longer
+ * matches fails with `STALE_CURSOR` instead of silently skipping or repeating
+ * items; restart from the first page.
+ *
+ * Cursors are base64url JSON. They are not signed: a hand-edited cursor can
+ * only select a different page of data the caller may read anyway.
+ */
+export interface PageOptions {
+  /** Page size; with only `cursor`, the size the cursor was issued with. */
+  limit?: number;
+  /** `nextCursor` from the previous page. */
+  cursor?: string;
+}
+
+export interface Page<T> {
+  items: T[];
+  /** Set when more items follow. */
+  nextCursor?: string;
+}
+
+/**
+ * What a cursor is bound to.
+ */
+export interface CursorBinding {
+  /** Which listing is paged, e.g. `plan.get:roadmap`. */
+  scope: string;
+  /** Etag of the listing; a different value makes old cursors stale. */
+  etag: string;
+  /** Arguments that shape the listing (compared by fingerprint). */
+  args: Record<string, unknown>;
+  /** Human-readable listing name for `STALE_CURSOR` messages, e.g. `plan "roadmap"`. */
+  subject: string;
+}
+
+interface CursorPayload {
+  v: 1;
+  scope: string;
+  etag: string;
+  args: string;
+  offset: number;
+  limit: number;
+}
+
+function fingerprintArgs(args: Record<string, unknown>): string {
+  const normalized = Object.keys(args)
+    .sort()
+    .filter((key) => args[key] !== undefined)
+    .map((key) => [key, args[key]]);
+  return sha256Hex(JSON.stringify(normalized)).slice(0, 16);
+}
+
+function encodeCursor(payload: CursorPayload): string {
+  return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+}
+
+function isIntegerAtLeast(value: unknown, min: number): value is number {
+  return Number.isInteger(value) && (value as number) >= min;
+}
+
+function decodeCursor(cursor: string): CursorPayload {
+  let payload: Partial<CursorPayload> | undefined;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) as Partial<CursorPayload>;
+  } catch {
+    payload = undefined;
+  }
+  if (
+    !payload ||
+    payload.v !== 1 ||
+    typeof payload.scope !== 'string' ||
+    typeof payload.etag !== 'string' ||
+    typeof payload.args !== 'string' ||
+    !isIntegerAtLeast(payload.offset, 0) ||
+    !isIntegerAtLeast(payload.limit, 1)
+  ) {
+    throw new Error('Invalid cursor');
+  }
+  return payload as CursorPayload;
+}
+
+/**
+ * Slice one page out of `items`.
+ *
+ * Without `limit` and `cursor`, all items are returned and no cursor is issued.
+ */
+export function paginate<T>(items: T[], options: PageOptions, binding: CursorBinding): Page<T> {
+  const { limit, cursor } = options;
+  if (limit !== undefined && !isIntegerAtLeast(limit, 1)) {
+    throw new Error(`Invalid limit: ${JSON.stringify(limit)}`);
+  }
+  if (limit === undefined && cursor === undefined) return { items };
+
+  const args = fingerprintArgs(binding.args);
+  const payload = cursor === undefined ? undefined : decodeCursor(cursor);
+  if (payload && (payload.scope !== binding.scope || payload.args !== args)) {
+    throw new Error(`Invalid cursor: it was issued for a different ${binding.scope.split(':')[0]} call`);
+  }
+  if (payload && payload.etag !== binding.etag) {
+    throw new Error(`STALE_CURSOR: ${binding.subject} changed since the cursor was issued; restart without cursor`);
+  }
+
+  const offset = payload?.offset ?? 0;
+  const size = limit ?? payload?.limit ?? items.length;
+  const page: Page<T> = { items: items.slice(offset, offset + size) };
+  if (offset + size < items.length) {
+    page.nextCursor = encodeCursor({ v: 1, scope: binding.scope, etag: binding.etag, args, offset: offset + size, limit: size });
+  }
+  return page;
+}
@@ -1,7 +1,15 @@
 import { randomUUID } from 'node:crypto';
-import type { ParsedPlan, TaskNode, TaskStatus } from './model.js';
+import type { Heading, ParsedPlan, TaskNode, TaskStatus } from './model.js';
 import { parsePlanMarkdown, parseTaskLineStrict } from './parse.js';
-import { statusToSymbol } from './status.js';
+import { isClosedStatus, statusRequiresV2, statusToSymbol } from './status.js';
+import { findFormatHeader, formatHeaderFor, type PlanFormatVersion } from './format.js';
+import {
+  applyTaskMetaPatch,
+  formatTaskMetaPairs,
+  hasTaskMetaPatch,
+  TASK_META_PAIRS_PATTERN,
+} from './meta.js';
+import type { TaskMetaPair, TaskMetaPatch } from './meta.js';
 import { validatePlanMarkdown } from './validate.js';
 import {
   LONG_TERM_PLAN_FORMAT_HEADER,
@@ -116,15 +124,31 @@ function findFirstH1Line(lines: string[]): number {
 }
 
 /**
- * Update the `[ ]` / `[*]` / `[√]` symbol portion of a task line.
+ * Update the status symbol (`[ ]`, `[*]`, `[√]`, `[!]`, `[-]`) of a task line.
  */
 function updateLineStatus(line: string, status: TaskStatus): string {
   const symbol = statusToSymbol(status);
-  const updated = line.replace(/^(\s*-\s+\[)[ *√](\]\s+)/, `$1${symbol}$2`);
+  const updated = line.replace(/^(\s*-\s+\[)[ *√!-](\]\s+)/, `$1${symbol}$2`);
   if (updated === line) throw new Error('Failed to update status (task line not in expected format)');
   return updated;
 }
 
+/**
+ * Matches the id trailer (with optional metadata) at the end of a task line.
+ *
+ * Groups: 1 = whitespace before `<!--`, 2 = the comment, 3 = trailing whitespace.
+ */
+const TASK_TRAILER_RE = new RegExp(
+  `(\\s+)(<!--\\s*${LONG_TERM_PLAN_TASK_ID_KEY}=[A-Za-z0-9_-]+${TASK_META_PAIRS_PATTERN}\\s*-->)(\\s*)$`
+);
+
+/**
+ * Build the id trailer comment for a task.
+ */
+function createTaskTrailer(taskId: string, metaPairs: TaskMetaPair[]): string {
+  return `<!-- ${LONG_TERM_PLAN_TASK_ID_KEY}=${taskId}${formatTaskMetaPairs(metaPairs)} -->`;
+}
+
 /**
  * Update the title portion of a strict task line while preserving the id trailer.
  */
@@ -133,23 +157,18 @@ function updateLineTitle(line: string, title: string): string {
   const task = parseTaskLineStrict(line);
   if (!task) throw new Error('Failed to rename (task line not in expected format)');
 
-  const prefixMatch = line.match(/^(\s*-\s+\[[ *√]\]\s+)/);
-  const suffixMatch = line.match(
-    /(\s+<!--\s*long-term-plan:id=[A-Za-z0-9_-]+\s*-->\s*)$/
-  );
+  const prefixMatch = line.match(/^(\s*-\s+\[[ *√!-]\]\s+)/);
+  const suffixMatch = line.match(TASK_TRAILER_RE);
   if (!prefixMatch || !suffixMatch) throw new Error('Failed to rename (could not locate title region)');
 
-  return `${prefixMatch[1]}${safeTitle}${suffixMatch[1]}`;
+  return `${prefixMatch[1]}${safeTitle}${suffixMatch[0]}`;
 }
 
 /**
  * Ensure the required format header exists near the top of the document.
  */
 function ensureFormatHeader(lines: string[]): void {
-  const hasHeader = lines
-    .slice(0, Math.min(lines.length, 30))
-    .some((l) => l.includes(LONG_TERM_PLAN_FORMAT_HEADER));
-  if (hasHeader) return;
+  if (findFormatHeader(lines)) return;
   lines.unshift(LONG_TERM_PLAN_FORMAT_HEADER, '');
 }
 
@@ -176,13 +195,26 @@ function ensureSectionAtEof(lines: string[], sectionPath: string[]): number {
   return lines.length;
 }
 
+/**
+ * Mint a fresh task id (`t_` + 32 hex chars).
+ */
+function generateTaskId(): string {
+  return `t_${randomUUID().replaceAll('-', '')}`;
+}
+
 /**
  * Build a strict task line at a given indentation level.
  */
-function createTaskLine(indent: number, status: TaskStatus, title: string, taskId: string): string {
+function createTaskLine(
+  indent: number,
+  status: TaskStatus,
+  title: string,
+  taskId: string,
+  metaPairs: TaskMetaPair[] = []
+): string {
   const safeTitle = sanitizeTitle(title);
   const prefix = `${' '.repeat(indent)}- [${statusToSymbol(status)}] `;
-  return `${prefix}${safeTitle} <!-- ${LONG_TERM_PLAN_TASK_ID_KEY}=${taskId} -->`;
+  return `${prefix}${safeTitle} ${createTaskTrailer(taskId, metaPairs)}`;
 }
 
 /**
@@ -199,6 +231,15 @@ function buildSectionIndex(plan: ParsedPlan): Map<string, { startLine: number; e
   return map;
 }
 
+/**
+ * Reject `blocked` / `cancelled` on v1 documents with an actionable message.
+ */
+function assertStatusSupported(version: PlanFormatVersion, status: TaskStatus): void {
+  if (version !== 'v2' && statusRequiresV2(status)) {
+    throw new Error(`Status ${status} requires format v2 (upgrade the plan with format=v2 first)`);
+  }
+}
+
 /**
  * Update a task status in-place.
  *
@@ -207,6 +248,7 @@ function buildSectionIndex(plan: ParsedPlan): Map<string, { startLine: number; e
 export function applySetStatus(text: string, taskId: string, status: TaskStatus): EditResult {
   const plan = requireParsedPlan(text);
   const task = findTask(plan, taskId);
+  assertStatusSupported(plan.formatVersion, status);
 
   const { lines, eol, endsWithNewline } = splitLines(text);
   const lineIndex = task.line;
@@ -222,6 +264,85 @@ export function applySetStatus(text: string, taskId: string, status: TaskStatus)
   return { newText, changed: newText !== text };
 }
 
+/**
+ * Apply a status to every descendant of a task (not the task itself).
+ *
+ * With `onlyFrom`, only descendants currently in one of those statuses are
+ * touched (e.g. `['todo']` closes open work but leaves `doing` alone). Only the
+ * affected status symbols change; `changedTaskIds` is in document order.
+ */
+export function applySetStatusDescendants(
+  text: string,
+  taskId: string,
+  status: TaskStatus,
+  options: { onlyFrom?: TaskStatus[] } = {}
+): EditResult & { changedTaskIds: string[] } {
+  const plan = requireParsedPlan(text);
+  const task = findTask(plan, taskId);
+  assertStatusSupported(plan.formatVersion, status);
+
+  const { lines, eol, endsWithNewline } = splitLines(text);
+  const changedTaskIds: string[] = [];
+  const stack = [...task.children].reverse();
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (!current) continue;
+    for (let index = current.children.length - 1; index >= 0; index -= 1) {
+      const child = current.children[index];
+      if (child) stack.push(child);
+    }
+    if (current.status === status) continue;
+    if (options.onlyFrom && !options.onlyFrom.includes(current.status)) continue;
+    lines[current.line] = updateLineStatus(lines[current.line] ?? '', status);
+    changedTaskIds.push(current.id);
+  }
+  if (changedTaskIds.length === 0) return { newText: text, changed: false, changedTaskIds };
+
+  const newText = joinLines(lines, eol, endsWithNewline);
+  const validation = validatePlanMarkdown(newText);
+  if (validation.errors.length > 0) {
+    throw new Error(`Edit produced invalid document: ${validation.errors[0]?.message ?? 'unknown error'}`);
+  }
+  return { newText, changed: true, changedTaskIds };
+}
+
+/**
+ * Propagate status up the `parentId` chain after `taskId` changed.
+ *
+ * Starting at the task's parent:
+ * - every child closed (`done` / `cancelled`) and at least one `done` → parent `done`
+ * - otherwise, any child `doing` → parent `doing`
+ *
+ * The walk stops at the first parent that needs no change, and `blocked` /
+ * `cancelled` parents are never overridden. `changedTaskIds` lists updated
+ * parents, nearest first.
+ */
+export function applyPropagateStatusUp(text: string, taskId: string): EditResult & { changedTaskIds: string[] } {
+  let newText = text;
+  const changedTaskIds: string[] = [];
+  let currentId = taskId;
+
+  for (;;) {
+    const plan = requireParsedPlan(newText);
+    const parentId = findTask(plan, currentId).parentId;
+    if (!parentId) break;
+    const parent = findTask(plan, parentId);
+    if (parent.status === 'blocked' || parent.status === 'cancelled') break;
+
+    const allClosed = parent.children.every((child) => isClosedStatus(child.status));
+    const anyDone = parent.children.some((child) => child.status === 'done');
+    const anyDoing = parent.children.some((child) => child.status === 'doing');
+    const target: TaskStatus | undefined = allClosed && anyDone ? 'done' : anyDoing ? 'doing' : undefined;
+    if (!target || target === parent.status) break;
+
+    newText = applySetStatus(newText, parentId, target).newText;
+    changedTaskIds.push(parentId);
+    currentId = parentId;
+  }
+
+  return { newText, changed: newText !== text, changedTaskIds };
+}
+
 /**
  * Rename a task in-place.
  *
@@ -245,6 +366,41 @@ export function applyRename(text: string, taskId: string, title: string): EditRe
   return { newText, changed: newText !== text };
 }
 
+/**
+ * Set or clear task metadata (`due`, `prio`, `tags`, `owner`) in-place.
+ *
+ * Only the id trailer comment is rewritten: existing keys keep their position,
+ * new keys are appended, and unknown keys are preserved.
+ */
+export function applySetTaskMeta(text: string, taskId: string, patch: TaskMetaPatch): EditResult {
+  if (!hasTaskMetaPatch(patch)) return { newText: text, changed: false };
+  const plan = requireParsedPlan(text);
+  const task = findTask(plan, taskId);
+
+  const { lines, eol, endsWithNewline } = splitLines(text);
+  const existing = lines[task.line];
+  if (existing === undefined) throw new Error(`Invalid task line index: ${task.line}`);
+  const parsed = parseTaskLineStrict(existing);
+  const trailer = existing.match(TASK_TRAILER_RE);
+  if (!parsed || !trailer || trailer.index === undefined) {
+    throw new Error('Failed to update metadata (task line not in expected format)');
+  }
+
+  const nextPairs = applyTaskMetaPatch(parsed.metaPairs, patch);
+  if (formatTaskMetaPairs(nextPairs) === formatTaskMetaPairs(parsed.metaPairs)) {
+    return { newText: text, changed: false };
+  }
+  lines[task.line] =
+    `${existing.slice(0, trailer.index)}${trailer[1]}${createTaskTrailer(parsed.id, nextPairs)}${trailer[3]}`;
+
+  const newText = joinLines(lines, eol, endsWithNewline);
+  const validation = validatePlanMarkdown(newText);
+  if (validation.errors.length > 0) {
+    throw new Error(`Edit produced invalid document: ${validation.errors[0]?.message ?? 'unknown error'}`);
+  }
+  return { newText, changed: newText !== text };
+}
+
 /**
  * Delete a task and its entire indented block (children, grandchildren, ...).
  */
@@ -269,36 +425,91 @@ export function applyDelete(text: string, taskId: string): EditResult {
   return { newText, changed: newText !== text };
 }
 
-export interface AddTaskOptions {
-  title: string;
-  status: TaskStatus;
-  bodyMarkdown?: string;
+/**
+ * Where to place a task block (shared by add and move).
+ */
+export interface TaskPlacement {
   sectionPath?: string[];
   parentTaskId?: string;
   beforeTaskId?: string;
+  /** Insert as the sibling right after this task's block (not exposed by the tools; used by merges). */
+  afterTaskId?: string;
+}
+
+export interface AddTaskOptions extends TaskPlacement {
+  title: string;
+  status: TaskStatus;
+  bodyMarkdown?: string;
+  meta?: TaskMetaPatch;
 }
 
 /**
- * Add a new task to the document.
+ * Reject placement combinations that have no single obvious meaning.
+ */
+function assertPlacementIsUnambiguous(placement: TaskPlacement): void {
+  if (
+    placement.beforeTaskId &&
+    (placement.parentTaskId || (placement.sectionPath && placement.sectionPath.length > 0))
+  ) {
+    throw new Error('beforeTaskId cannot be combined with parentTaskId or sectionPath');
+  }
+  if (
+    placement.afterTaskId &&
+    (placement.beforeTaskId || placement.parentTaskId || (placement.sectionPath && placement.sectionPath.length > 0))
+  ) {
+    throw new Error('afterTaskId cannot be combined with other placement options');
+  }
+}
+
+/**
+ * Resolve a placement into an insertion line index and indentation.
  *
  * Insertion rules (highest priority first):
  * - If `beforeTaskId` is provided, insert as a sibling immediately before that task.
+ * - If `afterTaskId` is provided, insert as a sibling right after that task's block.
  * - If `parentTaskId` is provided, insert as the last child of that task block.
  * - Else if `sectionPath` is provided, insert under that heading (creating it at EOF if missing).
  * - Else insert at end-of-file.
  *
+ * Note: may append headings to `lines` when the section does not exist yet.
+ */
+function resolvePlacement(
+  lines: string[],
+  plan: ParsedPlan,
+  placement: TaskPlacement
+): { insertAt: number; indent: number } {
+  if (placement.beforeTaskId) {
+    const anchor = findTask(plan, placement.beforeTaskId);
+    return { insertAt: anchor.line, indent: anchor.indent };
+  }
+  if (placement.afterTaskId) {
+    const anchor = findTask(plan, placement.afterTaskId);
+    return { insertAt: taskBlockRange(lines, anchor).end + 1, indent: anchor.indent };
+  }
+  if (placement.parentTaskId) {
+    const parent = findTask(plan, placement.parentTaskId);
+    return { insertAt: parent.blockEndLine + 1, indent: parent.indent + 2 };
+  }
+  if (placement.sectionPath && placement.sectionPath.length > 0) {
+    const section = buildSectionIndex(plan).get(placement.sectionPath.join(' / '));
+    const insertAt = section ? section.endLine + 1 : ensureSectionAtEof(lines, placement.sectionPath);
+    return { insertAt, indent: 0 };
+  }
+  return { insertAt: lines.length, indent: 0 };
+}
+
+/**
+ * Add a new task to the document.
+ *
+ * Placement follows `resolvePlacement()` (before > parent > section > EOF).
+ *
  * The function always returns text ending with a newline to keep documents tidy.
  */
 export function applyAddTask(text: string, options: AddTaskOptions): { taskId: string; newText: string } {
   const { lines, eol, endsWithNewline } = splitLines(text);
   const originalPlan = parsePlanMarkdown(text);
 
-  if (
-    options.beforeTaskId &&
-    (options.parentTaskId || (options.sectionPath && options.sectionPath.length > 0))
-  ) {
-    throw new Error('beforeTaskId cannot be combined with parentTaskId or sectionPath');
-  }
+  assertPlacementIsUnambiguous(options);
 
   if (!originalPlan.ok || !originalPlan.plan) {
     // Allow creating into a brand new (or broken) doc only if it can be repaired by adding header + appending.
@@ -315,35 +526,17 @@ export function applyAddTask(text: string, options: AddTaskOptions): { taskId: s
   }
 
   const plan = originalPlan.plan ?? requireParsedPlan(joinLines(lines, eol, endsWithNewline));
-  const sectionIndex = buildSectionIndex(plan);
+  assertStatusSupported(plan.formatVersion, options.status);
 
-  const taskId = `t_${randomUUID().replaceAll('-', '')}`;
+  const taskId = generateTaskId();
   if (plan.tasksById.has(taskId)) {
     throw new Error('Generated duplicate task id (unexpected)');
   }
 
-  let insertAt = lines.length;
-  let indent = 0;
-
-  if (options.beforeTaskId) {
-    const anchor = findTask(plan, options.beforeTaskId);
-    indent = anchor.indent;
-    insertAt = anchor.line;
-  } else if (options.parentTaskId) {
-    const parent = findTask(plan, options.parentTaskId);
-    indent = parent.indent + 2;
-    insertAt = parent.blockEndLine + 1;
-  } else if (options.sectionPath && options.sectionPath.length > 0) {
-    const key = options.sectionPath.join(' / ');
-    const section = sectionIndex.get(key);
-    if (!section) {
-      insertAt = ensureSectionAtEof(lines, options.sectionPath);
-    } else {
-      insertAt = section.endLine + 1;
-    }
-  }
+  const { insertAt, indent } = resolvePlacement(lines, plan, options);
 
-  const taskLine = createTaskLine(indent, options.status, options.title, taskId);
+  const metaPairs = options.meta ? applyTaskMetaPatch([], options.meta) : [];
+  const taskLine = createTaskLine(indent, options.status, options.title, taskId, metaPairs);
   const insertLines: string[] = [taskLine];
   if (options.bodyMarkdown !== undefined) {
     insertLines.push(...encodeBlockquoteBody(options.bodyMarkdown, indent + 2));
@@ -359,6 +552,212 @@ export function applyAddTask(text: string, options: AddTaskOptions): { taskId: s
   return { taskId, newText };
 }
 
+/**
+ * Collect a task and all of its descendants' ids.
+ *
+ * Used to refuse moves that would place a task inside its own subtree.
+ */
+function collectSubtreeIds(task: TaskNode): Set<string> {
+  const ids = new Set<string>();
+  const stack: TaskNode[] = [task];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (!current) continue;
+    ids.add(current.id);
+    stack.push(...current.children);
+  }
+  return ids;
+}
+
+/**
+ * Shift the indentation of every non-blank line in a block by `delta` spaces.
+ *
+ * Lines inside a task block are always indented at least as deep as the task
+ * line itself, so a negative delta never strips non-space characters.
+ */
+function reindentBlock(blockLines: string[], delta: number): string[] {
+  if (delta === 0) return blockLines;
+  return blockLines.map((line) => {
+    if (line.trim() === '') return line;
+    if (delta > 0) return `${' '.repeat(delta)}${line}`;
+    const removable = Math.min(-delta, line.length - line.trimStart().length);
+    return line.slice(removable);
+  });
+}
+
+/**
+ * Locate the line range of a task block, excluding trailing blank lines.
+ *
+ * Trailing blank lines stay where they are when a block is lifted out so the
+ * surrounding layout does not shift more than necessary.
+ */
+function taskBlockRange(lines: string[], task: TaskNode): { start: number; end: number } {
+  const start = task.line;
+  let end = task.blockEndLine;
+  while (end > start && lines[end]?.trim() === '') end -= 1;
+  if (start < 0 || end < start || end >= lines.length) {
+    throw new Error(`Invalid task block range: ${start}-${end}`);
+  }
+  return { start, end };
+}
+
+/**
+ * A detached task block (task line + body + subtree) in on-disk form.
+ */
+export interface TaskBlock {
+  /** Raw block lines (no EOL characters). */
+  lines: string[];
+  /** Indent of the block's top task line. */
+  indent: number;
+  /** Ids of every task in the block, top task first. */
+  taskIds: string[];
+}
+
+/**
+ * Copy a task block out of a document without modifying it.
+ */
+export function extractTaskBlock(text: string, taskId: string): TaskBlock {
+  const plan = requireParsedPlan(text);
+  const task = findTask(plan, taskId);
+  const { lines } = splitLines(text);
+  const { start, end } = taskBlockRange(lines, task);
+  return {
+    lines: lines.slice(start, end + 1),
+    indent: task.indent,
+    taskIds: [...collectSubtreeIds(task)],
+  };
+}
+
+/**
+ * Replace every task id in a block with a freshly minted one.
+ *
+ * Used when copying tasks so the copy never collides with the original.
+ * Only strict task lines are rewritten; body lines are left untouched.
+ */
+export function remintTaskBlockIds(block: TaskBlock): { block: TaskBlock; idMap: Map<string, string> } {
+  const idMap = new Map<string, string>();
+  const lines = block.lines.map((line) => {
+    const parsed = parseTaskLineStrict(line);
+    if (!parsed) return line;
+    const nextId = generateTaskId();
+    idMap.set(parsed.id, nextId);
+    return line.replace(
+      new RegExp(`(<!--\\s*${LONG_TERM_PLAN_TASK_ID_KEY}=)${parsed.id}(?=\\s|-->)`),
+      `$1${nextId}`
+    );
+  });
+  const taskIds = block.taskIds.map((id) => idMap.get(id) ?? id);
+  return { block: { lines, indent: block.indent, taskIds }, idMap };
+}
+
+/**
+ * Rewrite the `dependsOn` refs of one task line (undefined if none changed).
+ */
+function rewriteLineDependencies(line: string, mapRef: (ref: string) => string): string | undefined {
+  const parsed = parseTaskLineStrict(line);
+  const trailer = line.match(TASK_TRAILER_RE);
+  if (!parsed || !trailer || trailer.index === undefined) return undefined;
+  let changed = false;
+  const pairs = parsed.metaPairs.map(([key, value]): TaskMetaPair => {
+    if (key !== 'dependsOn') return [key, value];
+    const next = value.split(',').map(mapRef).join(',');
+    if (next !== value) changed = true;
+    return [key, next];
+  });
+  if (!changed) return undefined;
+  return `${line.slice(0, trailer.index)}${trailer[1]}${createTaskTrailer(parsed.id, pairs)}${trailer[3]}`;
+}
+
+/**
+ * Rewrite the `dependsOn` refs (as written) of every task in a detached block.
+ */
+export function rewriteTaskBlockDependencies(block: TaskBlock, mapRef: (ref: string) => string): TaskBlock {
+  const lines = block.lines.map((line) => rewriteLineDependencies(line, mapRef) ?? line);
+  return { ...block, lines };
+}
+
+/**
+ * Rewrite the `dependsOn` refs (as written) of every task in a document.
+ */
+export function applyRewriteDependencies(text: string, mapRef: (ref: string) => string): EditResult {
+  const { lines, eol, endsWithNewline } = splitLines(text);
+  for (let index = 0; index < lines.length; index += 1) {
+    const next = rewriteLineDependencies(lines[index] ?? '', mapRef);
+    if (next !== undefined) lines[index] = next;
+  }
+  const newText = joinLines(lines, eol, endsWithNewline);
+  const validation = validatePlanMarkdown(newText);
+  if (validation.errors.length > 0) {
+    throw new Error(`Edit produced invalid document: ${validation.errors[0]?.message ?? 'unknown error'}`);
+  }
+  return { newText, changed: newText !== text };
+}
+
+/**
+ * Insert a detached task block into a document.
+ *
+ * Placement follows `resolvePlacement()`. The block is re-indented to fit its
+ * destination, and insertion is refused if any of its task ids already exist.
+ */
+export function applyInsertTaskBlock(text: string, block: TaskBlock, placement: TaskPlacement): EditResult {
+  assertPlacementIsUnambiguous(placement);
+  const plan = requireParsedPlan(text);
+  for (const id of block.taskIds) {
+    if (plan.tasksById.has(id)) throw new Error(`Task id already exists in destination: ${id}`);
+  }
+
+  const { lines, eol, endsWithNewline } = splitLines(text);
+  const { insertAt, indent } = resolvePlacement(lines, plan, placement);
+  lines.splice(insertAt, 0, ...reindentBlock(block.lines, indent - block.indent));
+
+  const newText = joinLines(lines, eol, endsWithNewline);
+  const validation = validatePlanMarkdown(newText);
+  if (validation.errors.length > 0) {
+    throw new Error(`Insert produced invalid document: ${validation.errors[0]?.message ?? 'unknown error'}`);
+  }
+  return { newText, changed: newText !== text };
+}
+
+export interface MoveTaskOptions extends TaskPlacement {
+  taskId: string;
+}
+
+/**
+ * Move a task block (task line + body + subtree) to a new location.
+ *
+ * Targeting uses the same placement semantics as `applyAddTask()`. The task id
+ * (and every descendant id) is preserved; only indentation is adjusted so the
+ * block nests correctly at its destination.
+ */
+export function applyMoveTask(text: string, options: MoveTaskOptions): EditResult {
+  assertPlacementIsUnambiguous(options);
+  const plan = requireParsedPlan(text);
+  const task = findTask(plan, options.taskId);
+
+  const subtreeIds = collectSubtreeIds(task);
+  for (const targetId of [options.parentTaskId, options.beforeTaskId, options.afterTaskId]) {
+    if (targetId === undefined) continue;
+    findTask(plan, targetId);
+    if (subtreeIds.has(targetId)) {
+      throw new Error(`Cannot move task into its own subtree: ${targetId}`);
+    }
+  }
+
+  const { lines, eol, endsWithNewline } = splitLines(text);
+  const { start, end } = taskBlockRange(lines, task);
+  const blockLines = lines.splice(start, end - start + 1);
+  const remaining = requireParsedPlan(joinLines(lines, eol, endsWithNewline));
+  const { insertAt, indent } = resolvePlacement(lines, remaining, options);
+  lines.splice(insertAt, 0, ...reindentBlock(blockLines, indent - task.indent));
+
+  const newText = joinLines(lines, eol, endsWithNewline);
+  const validation = validatePlanMarkdown(newText);
+  if (validation.errors.length > 0) {
+    throw new Error(`Move produced invalid document: ${validation.errors[0]?.message ?? 'unknown error'}`);
+  }
+  return { newText, changed: newText !== text };
+}
+
 /**
  * Replace (or clear) the structured blockquote body for a task.
  *
@@ -447,3 +846,272 @@ export function applySetPlanTitle(text: string, title: string): EditResult {
   }
   return { newText, changed: newText !== text };
 }
+
+/**
+ * Switch the document format header between v1 and v2.
+ *
+ * Only the header line changes. Downgrading to v1 fails validation while any
+ * task still uses a v2-only status (`blocked` / `cancelled`).
+ */
+export function applySetFormatVersion(text: string, version: PlanFormatVersion): EditResult {
+  const { lines, eol, endsWithNewline } = splitLines(text);
+  const header = findFormatHeader(lines);
+  if (!header) throw new Error('Missing format header');
+  if (header.version === version) return { newText: text, changed: false };
+
+  const existing = lines[header.line] ?? '';
+  lines[header.line] = existing.replace(formatHeaderFor(header.version), formatHeaderFor(version));
+
+  const newText = joinLines(lines, eol, endsWithNewline);
+  const validation = validatePlanMarkdown(newText);
+  if (validation.errors.length > 0) {
+    throw new Error(`Edit produced invalid document: ${validation.errors[0]?.message ?? 'unknown error'}`);
+  }
+  return { newText, changed: newText !== text };
+}
+
+/**
+ * Matches a Markdown ATX heading line (same grammar as the parser).
+ *
+ * Groups: 1 = `#` run, 2 = whitespace after it, 3 = heading text.
+ */
+const SECTION_HEADING_RE = /^(#{1,6})(\s+)(.*)$/;
+
+/**
+ * Normalize and validate a section (heading) title.
+ *
+ * `/` is reserved because section paths are written as `A/B` on the CLI and in
+ * `section:` filters.
+ */
+function sanitizeSectionTitle(title: string): string {
+  const normalized = title.replace(/\r?\n/g, ' ').trim();
+  if (!normalized) throw new Error('Section title must be non-empty');
+  if (normalized.includes('/')) throw new Error('Section title must not include "/"');
+  return normalized;
+}
+
+function sectionKey(sectionPath: string[]): string {
+  return sectionPath.join(' / ');
+}
+
+function isPathPrefix(prefix: string[], path: string[]): boolean {
+  return prefix.length <= path.length && prefix.every((part, index) => part === path[index]);
+}
+
+/**
+ * Find the heading for a section path (or throw).
+ *
+ * Paths are not guaranteed to be unique in hand-written docs, so duplicates are
+ * rejected instead of guessing which heading was meant.
+ */
+function findSection(plan: ParsedPlan, sectionPath: string[]): Heading {
+  if (sectionPath.length === 0) throw new Error('sectionPath must not be empty');
+  const key = sectionKey(sectionPath);
+  const matches = plan.headings.filter((heading) => heading.level >= 2 && sectionKey(heading.path) === key);
+  const [heading] = matches;
+  if (!heading) throw new Error(`Section not found: ${key}`);
+  if (matches.length > 1) throw new Error(`AMBIGUOUS: section appears more than once: ${key}`);
+  return heading;
+}
+
+function assertSectionAbsent(plan: ParsedPlan, sectionPath: string[]): void {
+  const key = sectionKey(sectionPath);
+  if (plan.headings.some((heading) => heading.level >= 2 && sectionKey(heading.path) === key)) {
+    throw new Error(`Section already exists: ${key}`);
+  }
+}
+
+export interface SectionPlacement {
+  /** Parent section; omit (or `[]`) for a top-level section. */
+  parentSectionPath?: string[];
+  /** Insert immediately before this sibling section. */
+  beforeSectionPath?: string[];
+}
+
+/**
+ * Resolve a section placement into an insertion line index and heading level.
+ *
+ * Rules:
+ * - `beforeSectionPath`: insert right before that heading, at its level.
+ * - `parentSectionPath`: append as the last subsection of the parent.
+ * - Neither: append a top-level (`##`) section at end-of-file.
+ */
+function resolveSectionPlacement(
+  lines: string[],
+  plan: ParsedPlan,
+  placement: SectionPlacement
+): { insertAt: number; level: number; parentPath: string[] } {
+  const parentPath = placement.parentSectionPath ?? [];
+  if (placement.beforeSectionPath) {
+    const anchor = findSection(plan, placement.beforeSectionPath);
+    const anchorParent = anchor.path.slice(0, -1);
+    if (placement.parentSectionPath && sectionKey(anchorParent) !== sectionKey(parentPath)) {
+      throw new Error('beforeSectionPath must be a subsection of parentSectionPath');
+    }
+    return { insertAt: anchor.line, level: anchor.level, parentPath: anchorParent };
+  }
+  if (parentPath.length > 0) {
+    const parent = findSection(plan, parentPath);
+    if (parent.level >= 6) throw new Error('Section nesting too deep (max heading level is 6)');
+    return { insertAt: parent.endLine + 1, level: parent.level + 1, parentPath };
+  }
+  return { insertAt: lines.length, level: 2, parentPath };
+}
+
+/**
+ * Splice a heading block into `lines`, separated from its neighbors by one
+ * blank line (no trailing blank line when appending at end-of-file).
+ */
+function insertSectionBlock(lines: string[], insertAt: number, blockLines: string[]): void {
+  const insert = [...blockLines];
+  while (insert.length > 0 && insert[insert.length - 1]?.trim() === '') insert.pop();
+  if (insertAt > 0 && lines[insertAt - 1]?.trim() !== '') insert.unshift('');
+  if (insertAt < lines.length) insert.push('');
+  lines.splice(insertAt, 0, ...insert);
+}
+
+/**
+ * Cut a section's line range out of `lines` and return it.
+ *
+ * When the section was the last one in the file, the blank lines left in
+ * front of it are trimmed too.
+ */
+function removeSectionBlock(lines: string[], heading: Heading): string[] {
+  const removed = lines.splice(heading.startLine, heading.endLine - heading.startLine + 1);
+  if (heading.startLine === lines.length) {
+    while (lines.length > 0 && lines[lines.length - 1]?.trim() === '') lines.pop();
+  }
+  return removed;
+}
+
+function requireValidSectionEdit(newText: string, verb: string): void {
+  const validation = validatePlanMarkdown(newText);
+  if (validation.errors.length > 0) {
+    throw new Error(`${verb} produced invalid document: ${validation.errors[0]?.message ?? 'unknown error'}`);
+  }
+}
+
+export interface AddSectionOptions {
+  /** Full path of the new section; all but the last segment must already exist. */
+  sectionPath: string[];
+  /** Insert before this sibling section instead of appending. */
+  beforeSectionPath?: string[];
+}
+
+/**
+ * Add an empty section heading.
+ *
+ * Only the heading line (plus blank-line padding) is inserted; existing
+ * content is never reshuffled.
+ */
+export function applyAddSection(text: string, options: AddSectionOptions): EditResult {
+  const plan = requireParsedPlan(text);
+  const title = sanitizeSectionTitle(options.sectionPath[options.sectionPath.length - 1] ?? '');
+  const parentSectionPath = options.sectionPath.slice(0, -1);
+  const sectionPath = [...parentSectionPath, title];
+  assertSectionAbsent(plan, sectionPath);
+
+  const { lines, eol, endsWithNewline } = splitLines(text);
+  const { insertAt, level } = resolveSectionPlacement(lines, plan, {
+    parentSectionPath,
+    beforeSectionPath: options.beforeSectionPath,
+  });
+  insertSectionBlock(lines, insertAt, [`${'#'.repeat(level)} ${title}`]);
+
+  const newText = joinLines(lines, eol, endsWithNewline);
+  requireValidSectionEdit(newText, 'Add section');
+  return { newText, changed: true };
+}
+
+/**
+ * Rename a section heading in-place (only the heading line changes).
+ *
+ * Tasks and subsections under it move to the new path implicitly.
+ */
+export function applyRenameSection(text: string, sectionPath: string[], title: string): EditResult {
+  const plan = requireParsedPlan(text);
+  const heading = findSection(plan, sectionPath);
+  const safeTitle = sanitizeSectionTitle(title);
+  if (safeTitle === heading.text) return { newText: text, changed: false };
+  assertSectionAbsent(plan, [...sectionPath.slice(0, -1), safeTitle]);
+
+  const { lines, eol, endsWithNewline } = splitLines(text);
+  const match = (lines[heading.line] ?? '').match(SECTION_HEADING_RE);
+  if (!match) throw new Error('Failed to rename section (heading line not in expected format)');
+  lines[heading.line] = `${match[1]}${match[2]}${safeTitle}`;
+
+  const newText = joinLines(lines, eol, endsWithNewline);
+  requireValidSectionEdit(newText, 'Rename section');
+  return { newText, changed: true };
+}
+
+export interface MoveSectionOptions extends SectionPlacement {
+  sectionPath: string[];
+}
+
+/**
+ * Move a section (heading, content, and subsections) to a new position.
+ *
+ * Heading levels inside the block shift by the same amount so the section
+ * nests correctly at its destination. Task lines are copied verbatim, so task
+ * ids are preserved.
+ */
+export function applyMoveSection(text: string, options: MoveSectionOptions): EditResult {
+  const plan = requireParsedPlan(text);
+  const heading = findSection(plan, options.sectionPath);
+  for (const target of [options.parentSectionPath, options.beforeSectionPath]) {
+    if (target && isPathPrefix(heading.path, target)) {
+      throw new Error(`Cannot move section into itself: ${sectionKey(target)}`);
+    }
+  }
+
+  const { lines, eol, endsWithNewline } = splitLines(text);
+  const blockLines = removeSectionBlock(lines, heading);
+  const remaining = requireParsedPlan(joinLines(lines, eol, endsWithNewline));
+  const { insertAt, level, parentPath } = resolveSectionPlacement(lines, remaining, options);
+  assertSectionAbsent(remaining, [...parentPath, heading.text]);
+
+  const delta = level - heading.level;
+  const moved = blockLines.map((line) => {
+    const match = line.match(SECTION_HEADING_RE);
+    if (!match || delta === 0) return line;
+    const newLevel = (match[1] ?? '').length + delta;
+    if (newLevel > 6) throw new Error('Section nesting too deep (max heading level is 6)');
+    return `${'#'.repeat(newLevel)}${match[2]}${match[3]}`;
+  });
+  insertSectionBlock(lines, insertAt, moved);
+
+  const newText = joinLines(lines, eol, endsWithNewline);
+  requireValidSectionEdit(newText, 'Move section');
+  return { newText, changed: newText !== text };
+}
+
+/**
+ * Delete a section heading.
+ *
+ * A section with any content (tasks, notes, or subsections) is refused unless
+ * `cascade` is set, in which case the whole range goes with it.
+ */
+export function applyDeleteSection(
+  text: string,
+  sectionPath: string[],
+  options: { cascade?: boolean } = {}
+): EditResult & { deletedTaskIds: string[] } {
+  const plan = requireParsedPlan(text);
+  const heading = findSection(plan, sectionPath);
+
+  const { lines, eol, endsWithNewline } = splitLines(text);
+  const body = lines.slice(heading.startLine + 1, heading.endLine + 1);
+  if (!options.cascade && body.some((line) => line.trim() !== '')) {
+    throw new Error(`Section is not empty: ${sectionKey(heading.path)} (pass cascade=true to delete its contents)`);
+  }
+  const deletedTaskIds = [...plan.tasksById.values()]
+    .filter((task) => task.line >= heading.startLine && task.line <= heading.endLine)
+    .sort((a, b) => a.line - b.line)
+    .map((task) => task.id);
+  removeSectionBlock(lines, heading);
+
+  const newText = joinLines(lines, eol, endsWithNewline);
+  requireValidSectionEdit(newText, 'Delete section');
+  return { newText, changed: true, deletedTaskIds };
+}
@@ -0,0 +1,177 @@
+import { randomUUID } from 'node:crypto';
+import { readFile, rm } from 'node:fs/promises';
+import { hostname } from 'node:os';
+import { relative } from 'node:path';
+import { setTimeout as delay } from 'node:timers/promises';
+import type { LongTermPlanConfig } from '../config.js';
+import { writeFileAtomicExclusive } from './storage.js';
+
+/**
+ * Advisory cross-process locks for plan writes.
+ *
+ * A writer holds `<plan>.md.lock` (JSON: pid, host, acquiredAt, token) from
+ * the etag check until its rename, so MCP servers and CLI runs sharing a plans
+ * directory cannot interleave read-check-write cycles. The lockfile is created
+ * with the same temp-file + `link()` trick as `plan.create`, so it is either
+ * absent or complete.
+ *
+ * A lock is considered stale (and is removed) when its process is gone (same
+ * host only) or it is older than `LOCK_STALE_MS`; plan writes take
+ * milliseconds, so an old lock means a crashed writer, not a slow one.
+ */
+export const DEFAULT_LOCK_TIMEOUT_MS = 10_000;
+
+/**
+ * Age after which a lock is broken even if its pid still looks alive
+ * (pids are reused, and other hosts cannot be checked).
+ */
+const LOCK_STALE_MS = 30_000;
+
+const LOCK_RETRY_MS = 25;
+
+/**
+ * Validate a `--lock-timeout` value (non-negative integer milliseconds).
+ *
+ * Shared by the MCP server and CLI flag parsers.
+ */
+export function parseLockTimeout(value: string | undefined): number {
+  if (!value) throw new Error('Missing value for --lock-timeout');
+  const ms = Number(value);
+  if (!Number.isInteger(ms) || ms < 0) throw new Error(`Invalid --lock-timeout: ${JSON.stringify(value)}`);
+  return ms;
+}
+
+interface LockInfo {
+  pid: number;
+  host: string;
+  acquiredAt: string;
+  token: string;
+}
+
+function lockPathFor(absolutePath: string): string {
+  return `${absolutePath}.lock`;
+}
+
+function parseLockInfo(raw: string): LockInfo | undefined {
+  try {
+    const value = JSON.parse(raw) as Partial<LockInfo>;
+    if (typeof value.pid !== 'number' || typeof value.acquiredAt !== 'string') return undefined;
+    return { pid: value.pid, host: String(value.host ?? ''), acquiredAt: value.acquiredAt, token: String(value.token ?? '') };
+  } catch {
+    return undefined;
+  }
+}
+
+function isProcessAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user.
+    return (error as NodeJS.ErrnoException).code === 'EPERM';
+  }
+}
+
+function isStale(info: LockInfo | undefined): boolean {
+  // Unreadable content cannot come from a live writer (locks are written atomically).
+  if (!info) return true;
+  const age = Date.now() - Date.parse(info.acquiredAt);
+  if (!Number.isFinite(age) || age > LOCK_STALE_MS) return true;
+  return info.host === hostname() && !isProcessAlive(info.pid);
+}
+
+async function readLockFile(lockPath: string): Promise<string | undefined> {
+  try {
+    return await readFile(lockPath, 'utf8');
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return undefined;
+    throw error;
+  }
+}
+
+/**
+ * The error reading `absolutePath` would give when its directory is missing,
+ * so locked writes fail the same way as reads of a missing plan.
+ */
+function missingFileError(absolutePath: string): NodeJS.ErrnoException {
+  const error: NodeJS.ErrnoException = new Error(`ENOENT: no such file or directory, open '${absolutePath}'`);
+  error.code = 'ENOENT';
+  error.syscall = 'open';
+  error.path = absolutePath;
+  return error;
+}
+
+/**
+ * Take the lock for one file, waiting (and breaking stale locks) until
+ * `deadline`. Returns a release function.
+ */
+async function acquireFileLock(
+  config: LongTermPlanConfig,
+  absolutePath: string,
+  deadline: number,
+  timeoutMs: number
+): Promise<() => Promise<void>> {
+  const lockPath = lockPathFor(absolutePath);
+  const info: LockInfo = { pid: process.pid, host: hostname(), acquiredAt: '', token: randomUUID() };
+
+  for (;;) {
+    info.acquiredAt = new Date().toISOString();
+    try {
+      // Never create directories here: a lock on a missing plan must not leave them behind.
+      await writeFileAtomicExclusive(lockPath, `${JSON.stringify(info)}\n`, { createDir: false });
+      break;
+    } catch (error) {
+      const code = (error as NodeJS.ErrnoException).code;
+      if (code === 'ENOENT') throw missingFileError(absolutePath);
+      if (code !== 'EEXIST') throw error;
+    }
+
+    const raw = await readLockFile(lockPath);
+    if (raw === undefined) continue;
+    const holder = parseLockInfo(raw);
+    if (isStale(holder)) {
+      // Re-read right before removing so a lock that was just replaced is kept.
+      if ((await readLockFile(lockPath)) === raw) await rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      const who = holder ? `pid ${holder.pid} since ${holder.acquiredAt}` : 'another writer';
+      throw new Error(
+        `LOCKED: ${relative(config.rootDir, absolutePath)} is locked by ${who} (waited ${timeoutMs}ms)`
+      );
+    }
+    await delay(LOCK_RETRY_MS);
+  }
+
+  return async () => {
+    // Only remove our own lock (it may have been broken as stale meanwhile).
+    const raw = await readLockFile(lockPath);
+    if (raw !== undefined && parseLockInfo(raw)?.token === info.token) await rm(lockPath, { force: true });
+  };
+}
+
+/**
+ * Run `fn` while holding the write locks of `absolutePaths`.
+ *
+ * Paths are locked in sorted order so two writers touching the same pair of
+ * plans (e.g. `task.transfer` in both directions) cannot deadlock. Waiting is
+ * bounded by `config.lockTimeoutMs` (default `DEFAULT_LOCK_TIMEOUT_MS`);
+ * after that the call fails with `LOCKED: ...`.
+ */
+export async function withFileLocks<T>(
+  config: LongTermPlanConfig,
+  absolutePaths: string[],
+  fn: () => Promise<T>
+): Promise<T> {
+  const timeoutMs = config.lockTimeoutMs ?? DEFAULT_LOCK_TIMEOUT_MS;
+  const deadline = Date.now() + timeoutMs;
+  const releases: (() => Promise<void>)[] = [];
+  try {
+    for (const absolutePath of [...new Set(absolutePaths)].sort()) {
+      releases.push(await acquireFileLock(config, absolutePath, deadline, timeoutMs));
+    }
+    return await fn();
+  } finally {
+    for (const release of releases.reverse()) await release();
+  }
+}
@@ -0,0 +1,472 @@
+import { execFile } from 'node:child_process';
+import { readFile, writeFile } from 'node:fs/promises';
+import { promisify } from 'node:util';
+import {
+  applyDelete,
+  applyInsertTaskBlock,
+  applyRename,
+  applySetFormatVersion,
+  applySetPlanBody,
+  applySetPlanTitle,
+  applySetStatus,
+  applySetTaskBody,
+  applySetTaskMeta,
+  extractTaskBlock,
+  type TaskPlacement,
+} from './edit.js';
+import { findFormatHeader } from './format.js';
+import type { ParsedPlan, TaskMeta, TaskNode, TaskStatus } from './model.js';
+import type { TaskMetaPatch } from './meta.js';
+import { parsePlanMarkdown } from './parse.js';
+
+/**
+ * Id-aware three-way merge of plan documents (the git `merge-driver` command).
+ *
+ * The merge starts from "ours" and replays what "theirs" changed relative to
+ * the common base, matching tasks by id instead of by line:
+ * - status, title, body, and each metadata field merge independently
+ * - tasks added on either side are kept; theirs are placed before the same
+ *   sibling they precede in theirs, or after the last sibling in ours
+ * - a delete wins when the other side left the task's subtree untouched
+ *
+ * Conflict markers are written only around a task (or the plan title/body)
+ * that both sides changed differently, or that one side deleted while the
+ * other changed it. Structural edits on theirs' side (moved tasks, edited
+ * headings or free text) are not modelled; those merges report `ok: false` so
+ * the caller can fall back to a line-based merge.
+ */
+const execFileAsync = promisify(execFile);
+
+/**
+ * Git's default conflict marker length.
+ */
+export const DEFAULT_MARKER_SIZE = 7;
+
+export type TaskMergeField = 'status' | 'title' | 'body' | keyof TaskMeta;
+
+/**
+ * Task fields in merge order (status first: later fields never depend on it).
+ */
+const TASK_FIELDS: TaskMergeField[] = ['status', 'title', 'body', 'due', 'priority', 'tags', 'owner', 'dependsOn'];
+
+export type PlanMergeConflict =
+  | { kind: 'plan'; fields: ('title' | 'body')[] }
+  | { kind: 'task'; taskId: string; fields: TaskMergeField[] }
+  | { kind: 'deleted'; taskId: string; deletedBy: 'ours' | 'theirs' };
+
+export type PlanMergeOutcome =
+  | { ok: true; text: string; conflicts: PlanMergeConflict[] }
+  | { ok: false; reason: string };
+
+export interface PlanMergeOptions {
+  /** Conflict marker length (git's `%L`). */
+  markerSize?: number;
+}
+
+/**
+ * A conflict hunk in the merged (pre-marker) lines: `[start, end)` holds one
+ * side, `other` the other side.
+ */
+interface ConflictRegion {
+  start: number;
+  end: number;
+  other: string[];
+  mergedIsOurs: boolean;
+}
+
+function sameValue(a: unknown, b: unknown): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function toLines(text: string): string[] {
+  const lines = text.split(/\r?\n/);
+  if (text.endsWith('\n')) lines.pop();
+  return lines;
+}
+
+function tasksInOrder(plan: ParsedPlan): TaskNode[] {
+  return [...plan.tasksById.values()].sort((a, b) => a.line - b.line);
+}
+
+function readField(task: TaskNode, field: TaskMergeField): unknown {
+  if (field === 'status') return task.status;
+  if (field === 'title') return task.title;
+  if (field === 'body') return task.bodyMarkdown ?? null;
+  return task.meta[field];
+}
+
+function applyField(text: string, taskId: string, field: TaskMergeField, value: unknown): string {
+  if (field === 'status') return applySetStatus(text, taskId, value as TaskStatus).newText;
+  if (field === 'title') return applyRename(text, taskId, value as string).newText;
+  if (field === 'body') return applySetTaskBody(text, taskId, value as string | null).newText;
+  return applySetTaskMeta(text, taskId, { [field]: value ?? null } as TaskMetaPatch).newText;
+}
+
+/**
+ * Three-way decision for one value: `take` theirs when only theirs changed it,
+ * `conflict` when both changed it differently, otherwise keep ours.
+ *
+ * Without a base (the same id was added on both sides) any difference conflicts.
+ */
+function mergeValue(
+  base: { value: unknown } | undefined,
+  ours: unknown,
+  theirs: unknown
+): 'keep' | 'take' | 'conflict' {
+  if (sameValue(ours, theirs)) return 'keep';
+  if (base && sameValue(base.value, theirs)) return 'keep';
+  if (base && sameValue(base.value, ours)) return 'take';
+  return 'conflict';
+}
+
+/**
+ * Fingerprint a task and its descendants (ids, nesting, and every merged field).
+ *
+ * The top task's own position is left out, so a subtree that was only moved
+ * still counts as untouched.
+ */
+function subtreeFingerprint(task: TaskNode): string {
+  const rows: unknown[] = [];
+  const visit = (node: TaskNode, parentId: string | null) => {
+    rows.push([node.id, parentId, ...TASK_FIELDS.map((field) => readField(node, field))]);
+    for (const child of node.children) visit(child, node.id);
+  };
+  visit(task, null);
+  return JSON.stringify(rows);
+}
+
+/**
+ * Lines the merge does not model: everything except task lines and bodies, the
+ * plan title and body, the format header, and blank lines.
+ */
+function structuralLines(text: string, plan: ParsedPlan): string[] {
+  const lines = toLines(text);
+  const skip = new Set<number>();
+  const skipRange = (start: number, end: number) => {
+    for (let line = start; line <= end; line += 1) skip.add(line);
+  };
+  for (const task of plan.tasksById.values()) skipRange(task.line, task.bodyRange?.endLine ?? task.line);
+  if (plan.bodyRange) skipRange(plan.bodyRange.startLine, plan.bodyRange.endLine);
+  const h1 = plan.headings.find((heading) => heading.level === 1 && heading.text);
+  if (h1) skip.add(h1.line);
+  const header = findFormatHeader(lines);
+  if (header) skip.add(header.line);
+  return lines.filter((line, index) => !skip.has(index) && line.trim() !== '');
+}
+
+/**
+ * Position of every task in `ids`: document order, parent, and section.
+ */
+function taskLayout(plan: ParsedPlan, ids: Set<string>): string[] {
+  return tasksInOrder(plan)
+    .filter((task) => ids.has(task.id))
+    .map((task) => JSON.stringify([task.id, task.parentId ?? null, task.sectionPath]));
+}
+
+/**
+ * Explain why theirs cannot be replayed task by task (or undefined if it can).
+ */
+function describeStructuralChanges(
+  baseText: string,
+  base: ParsedPlan,
+  theirsText: string,
+  theirs: ParsedPlan
+): string | undefined {
+  if (!sameValue(structuralLines(baseText, base), structuralLines(theirsText, theirs))) {
+    return 'theirs changed headings or text outside tasks';
+  }
+  const shared = new Set([...base.tasksById.keys()].filter((id) => theirs.tasksById.has(id)));
+  if (!sameValue(taskLayout(base, shared), taskLayout(theirs, shared))) {
+    return 'theirs moved or reordered tasks';
+  }
+  return undefined;
+}
+
+function requirePlan(text: string): ParsedPlan {
+  const plan = parsePlanMarkdown(text).plan;
+  if (!plan) throw new Error('Merge produced an invalid document');
+  return plan;
+}
+
+/**
+ * Where to insert a task taken from `side` so it lands next to the same
+ * neighbours: before its next sibling that also exists in `merged`, otherwise
+ * after the last sibling already in `merged` (or into the empty parent/section).
+ */
+function placementFor(task: TaskNode, side: ParsedPlan, merged: ParsedPlan): TaskPlacement {
+  const isSibling = (candidate: TaskNode) =>
+    candidate.parentId === task.parentId && sameValue(candidate.sectionPath, task.sectionPath);
+  const siblings = task.parentId
+    ? (side.tasksById.get(task.parentId)?.children ?? [])
+    : side.rootTasks.filter(isSibling);
+  for (const sibling of siblings.slice(siblings.indexOf(task) + 1)) {
+    const anchor = merged.tasksById.get(sibling.id);
+    if (anchor && isSibling(anchor)) return { beforeTaskId: sibling.id };
+  }
+
+  if (task.parentId && !merged.tasksById.has(task.parentId)) {
+    throw new Error(`Cannot place task ${task.id}: parent ${task.parentId} is missing`);
+  }
+  const mergedSiblings = task.parentId
+    ? (merged.tasksById.get(task.parentId)?.children ?? [])
+    : merged.rootTasks.filter(isSibling);
+  const last = mergedSiblings[mergedSiblings.length - 1];
+  if (last) return { afterTaskId: last.id };
+  if (task.parentId) return { parentTaskId: task.parentId };
+  if (task.sectionPath.length === 0) throw new Error(`Cannot place task ${task.id} outside a section`);
+  return { sectionPath: task.sectionPath };
+}
+
+/**
+ * Hunk between the merged text and a variant with one conflict resolved the
+ * other way (common prefix and suffix trimmed).
+ */
+function diffRegion(mergedLines: string[], variantText: string, mergedIsOurs: boolean): ConflictRegion {
+  const variant = toLines(variantText);
+  let prefix = 0;
+  while (prefix < mergedLines.length && prefix < variant.length && mergedLines[prefix] === variant[prefix]) {
+    prefix += 1;
+  }
+  let suffix = 0;
+  while (
+    suffix < mergedLines.length - prefix &&
+    suffix < variant.length - prefix &&
+    mergedLines[mergedLines.length - 1 - suffix] === variant[variant.length - 1 - suffix]
+  ) {
+    suffix += 1;
+  }
+  return {
+    start: prefix,
+    end: mergedLines.length - suffix,
+    other: variant.slice(prefix, variant.length - suffix),
+    mergedIsOurs,
+  };
+}
+
+/**
+ * Locate each conflict in the merged text.
+ */
+function conflictRegions(text: string, conflicts: PlanMergeConflict[], theirs: ParsedPlan): ConflictRegion[] {
+  const lines = toLines(text);
+  const plan = requirePlan(text);
+  return conflicts.map((conflict) => {
+    if (conflict.kind === 'deleted') {
+      const start = plan.tasksById.get(conflict.taskId)?.line ?? 0;
+      const end = start + extractTaskBlock(text, conflict.taskId).lines.length;
+      return { start, end, other: [], mergedIsOurs: conflict.deletedBy === 'theirs' };
+    }
+    let variant = text;
+    if (conflict.kind === 'plan') {
+      if (conflict.fields.includes('title')) variant = applySetPlanTitle(variant, theirs.title).newText;
+      if (conflict.fields.includes('body')) variant = applySetPlanBody(variant, theirs.bodyMarkdown ?? null).newText;
+    } else {
+      const task = theirs.tasksById.get(conflict.taskId) as TaskNode;
+      for (const field of conflict.fields) variant = applyField(variant, task.id, field, readField(task, field));
+    }
+    return diffRegion(lines, variant, true);
+  });
+}
+
+/**
+ * Replace each region with git-style conflict markers.
+ */
+function renderConflicts(text: string, regions: ConflictRegion[], markerSize: number): string {
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = toLines(text);
+  const sorted = [...regions].sort((a, b) => a.start - b.start);
+  for (let index = 1; index < sorted.length; index += 1) {
+    if ((sorted[index]?.start ?? 0) < (sorted[index - 1]?.end ?? 0)) throw new Error('Conflicts overlap');
+  }
+  for (const region of sorted.reverse()) {
+    const merged = lines.slice(region.start, region.end);
+    const ours = region.mergedIsOurs ? merged : region.other;
+    const theirs = region.mergedIsOurs ? region.other : merged;
+    lines.splice(
+      region.start,
+      region.end - region.start,
+      `${'<'.repeat(markerSize)} ours`,
+      ...ours,
+      '='.repeat(markerSize),
+      ...theirs,
+      `${'>'.repeat(markerSize)} theirs`
+    );
+  }
+  const joined = lines.join(eol);
+  return text.endsWith('\n') ? `${joined}${eol}` : joined;
+}
+
+/**
+ * Replay theirs' changes onto ours (see the module comment for the rules).
+ */
+function mergeParsedPlans(
+  base: ParsedPlan,
+  oursText: string,
+  ours: ParsedPlan,
+  theirsText: string,
+  theirs: ParsedPlan
+): { text: string; conflicts: PlanMergeConflict[] } {
+  let merged = oursText;
+  const conflicts: PlanMergeConflict[] = [];
+
+  // v2 only adds statuses, so take theirs' version first: later status edits may need it.
+  if (theirs.formatVersion !== base.formatVersion && ours.formatVersion === base.formatVersion) {
+    merged = applySetFormatVersion(merged, theirs.formatVersion).newText;
+  }
+
+  const planFields: ('title' | 'body')[] = [];
+  const titleDecision = mergeValue({ value: base.title }, ours.title, theirs.title);
+  if (titleDecision === 'take') merged = applySetPlanTitle(merged, theirs.title).newText;
+  if (titleDecision === 'conflict') planFields.push('title');
+  const theirsBody = theirs.bodyMarkdown ?? null;
+  const bodyDecision = mergeValue({ value: base.bodyMarkdown ?? null }, ours.bodyMarkdown ?? null, theirsBody);
+  if (bodyDecision === 'take') merged = applySetPlanBody(merged, theirsBody).newText;
+  if (bodyDecision === 'conflict') planFields.push('body');
+  if (planFields.length > 0) conflicts.push({ kind: 'plan', fields: planFields });
+
+  const mergeFields = (taskId: string, baseTask: TaskNode | undefined, oursTask: TaskNode, theirsTask: TaskNode) => {
+    const fields: TaskMergeField[] = [];
+    for (const field of TASK_FIELDS) {
+      const theirsValue = readField(theirsTask, field);
+      const decision = mergeValue(
+        baseTask ? { value: readField(baseTask, field) } : undefined,
+        readField(oursTask, field),
+        theirsValue
+      );
+      if (decision === 'take') merged = applyField(merged, taskId, field, theirsValue);
+      if (decision === 'conflict') fields.push(field);
+    }
+    if (fields.length > 0) conflicts.push({ kind: 'task', taskId, fields });
+  };
+
+  const insertFromTheirs = (task: TaskNode) => {
+    const placement = placementFor(task, theirs, requirePlan(merged));
+    merged = applyInsertTaskBlock(merged, extractTaskBlock(theirsText, task.id), placement).newText;
+  };
+
+  for (const baseTask of tasksInOrder(base)) {
+    const oursTask = ours.tasksById.get(baseTask.id);
+    const theirsTask = theirs.tasksById.get(baseTask.id);
+    if (oursTask && theirsTask) {
+      mergeFields(baseTask.id, baseTask, oursTask, theirsTask);
+    } else if (oursTask && !theirsTask) {
+      // Deleted by theirs; a deleted ancestor already decided for the whole subtree.
+      if (baseTask.parentId && !theirs.tasksById.has(baseTask.parentId)) continue;
+      if (subtreeFingerprint(oursTask) === subtreeFingerprint(baseTask)) {
+        merged = applyDelete(merged, baseTask.id).newText;
+      } else {
+        conflicts.push({ kind: 'deleted', taskId: baseTask.id, deletedBy: 'theirs' });
+      }
+    } else if (!oursTask && theirsTask) {
+      if (baseTask.parentId && !ours.tasksById.has(baseTask.parentId)) continue;
+      if (subtreeFingerprint(theirsTask) !== subtreeFingerprint(baseTask)) {
+        insertFromTheirs(theirsTask);
+        conflicts.push({ kind: 'deleted', taskId: baseTask.id, deletedBy: 'ours' });
+      }
+    }
+  }
+
+  for (const theirsTask of tasksInOrder(theirs)) {
+    if (base.tasksById.has(theirsTask.id)) continue;
+    const oursTask = ours.tasksById.get(theirsTask.id);
+    if (oursTask) {
+      mergeFields(theirsTask.id, undefined, oursTask, theirsTask);
+    } else if (!requirePlan(merged).tasksById.has(theirsTask.id)) {
+      insertFromTheirs(theirsTask);
+    }
+  }
+
+  return { text: merged, conflicts };
+}
+
+/**
+ * Merge two plan revisions against their common base.
+ *
+ * Returns the merged text (with conflict markers when `conflicts` is not
+ * empty), or `ok: false` with a reason when the id-aware merge does not apply.
+ */
+export function mergePlanMarkdown(
+  baseText: string,
+  oursText: string,
+  theirsText: string,
+  options: PlanMergeOptions = {}
+): PlanMergeOutcome {
+  if (theirsText === baseText || theirsText === oursText) return { ok: true, text: oursText, conflicts: [] };
+  if (oursText === baseText) return { ok: true, text: theirsText, conflicts: [] };
+
+  const sides = { base: baseText, ours: oursText, theirs: theirsText };
+  const plans: Partial<Record<keyof typeof sides, ParsedPlan>> = {};
+  for (const side of Object.keys(sides) as (keyof typeof sides)[]) {
+    const parsed = parsePlanMarkdown(sides[side]);
+    if (!parsed.ok || !parsed.plan) return { ok: false, reason: `${side} is not a valid plan document` };
+    plans[side] = parsed.plan;
+  }
+  const base = plans.base as ParsedPlan;
+  const ours = plans.ours as ParsedPlan;
+  const theirs = plans.theirs as ParsedPlan;
+
+  const structural = describeStructuralChanges(baseText, base, theirsText, theirs);
+  if (structural) return { ok: false, reason: structural };
+
+  try {
+    const { text, conflicts } = mergeParsedPlans(base, oursText, ours, theirsText, theirs);
+    if (conflicts.length === 0) return { ok: true, text, conflicts };
+    const regions = conflictRegions(text, conflicts, theirs);
+    return { ok: true, text: renderConflicts(text, regions, options.markerSize ?? DEFAULT_MARKER_SIZE), conflicts };
+  } catch (error) {
+    return { ok: false, reason: (error as Error).message };
+  }
+}
+
+export interface MergeDriverResult {
+  /** `text` when the id-aware merge did not apply and `git merge-file` was used. */
+  strategy: 'id-aware' | 'text';
+  /** Number of conflicts written to the result (0 for a clean merge). */
+  conflicts: number;
+  /** Why the id-aware merge did not apply (`text` strategy only). */
+  reason?: string;
+}
+
+/**
+ * Run `git merge-file` (git's own line-based merge), writing into `ours`.
+ *
+ * Returns the number of conflicts (git's exit status).
+ */
+async function gitMergeFile(
+  paths: { base: string; ours: string; theirs: string },
+  markerSize: number
+): Promise<number> {
+  const args = ['merge-file', `--marker-size=${markerSize}`, '-L', 'ours', '-L', 'base', '-L', 'theirs'];
+  try {
+    await execFileAsync('git', [...args, paths.ours, paths.base, paths.theirs]);
+    return 0;
+  } catch (error) {
+    const err = error as Omit<NodeJS.ErrnoException, 'code'> & { code?: number | string; stderr?: string };
+    if (typeof err.code === 'number' && err.code > 0 && err.code < 128) return err.code;
+    if (err.code === 'ENOENT') throw new Error('git is not available (needed for the line-based fallback merge)');
+    throw new Error(`git merge-file failed: ${(err.stderr ?? err.message).trim()}`);
+  }
+}
+
+/**
+ * Git merge driver entry point (`%O %A %B`): merge into the `ours` file.
+ *
+ * Falls back to `git merge-file` when the id-aware merge does not apply, so
+ * the driver is never worse than git's default merge.
+ */
+export async function runMergeDriver(
+  paths: { base: string; ours: string; theirs: string },
+  options: PlanMergeOptions = {}
+): Promise<MergeDriverResult> {
+  const [baseText, oursText, theirsText] = await Promise.all([
+    readFile(paths.base, 'utf8'),
+    readFile(paths.ours, 'utf8'),
+    readFile(paths.theirs, 'utf8'),
+  ]);
+  const outcome = mergePlanMarkdown(baseText, oursText, theirsText, options);
+  if (outcome.ok) {
+    if (outcome.text !== oursText) await writeFile(paths.ours, outcome.text, 'utf8');
+    return { strategy: 'id-aware', conflicts: outcome.conflicts.length };
+  }
+  const conflicts = await gitMergeFile(paths, options.markerSize ?? DEFAULT_MARKER_SIZE);
+  return { strategy: 'text', conflicts, reason: outcome.reason };
+}
@@ -1,11 +1,40 @@
+import type { PlanFormatVersion } from './format.js';
+
 /**
  * Parsed representation of a long-term-plan markdown document.
  *
  * Notes:
  * - Line numbers are 0-based to match typical array indexing in JS/TS.
  * - `indent` is measured in leading spaces (tabs are not supported in task lines).
+ * - `blocked` / `cancelled` only appear in format v2 documents.
  */
-export type TaskStatus = 'todo' | 'doing' | 'done';
+export type TaskStatus = 'todo' | 'doing' | 'done' | 'blocked' | 'cancelled';
+
+/**
+ * Task priority (`prio=` in the id trailer); P0 is the most urgent.
+ */
+export type TaskPriority = 'P0' | 'P1' | 'P2' | 'P3';
+
+/**
+ * Structured task metadata decoded from the id trailer comment.
+ *
+ * All fields are optional; plans without metadata decode to `{}`.
+ */
+export interface TaskMeta {
+  /** Due date (`due=YYYY-MM-DD`). */
+  due?: string;
+  /** Priority (`prio=P0..P3`). */
+  priority?: TaskPriority;
+  /** Tags (`tags=a,b`). */
+  tags?: string[];
+  /** Assignee (`owner=name`). */
+  owner?: string;
+  /**
+   * Prerequisite task refs (`dependsOn=a,b`): a bare `taskId` (same plan) or
+   * `planId:taskId` (another plan).
+   */
+  dependsOn?: string[];
+}
 
 export interface Heading {
   /** Markdown heading level (1..6). */
@@ -29,6 +58,8 @@ export interface TaskNode {
   title: string;
   /** Normalized task status. */
   status: TaskStatus;
+  /** Metadata decoded from the id trailer (`due`, `prio`, `tags`, `owner`, `dependsOn`). */
+  meta: TaskMeta;
   /** True if the task has a structured blockquote body immediately after its task line. */
   hasBody: boolean;
   /** Optional decoded task body (raw Markdown, without `>` prefixes). */
@@ -50,6 +81,8 @@ export interface TaskNode {
 }
 
 export interface ParsedPlan {
+  /** Format version from the header (`v2` enables `blocked` / `cancelled`). */
+  formatVersion: PlanFormatVersion;
   /** Title derived from the first H1 heading (or a fallback). */
   title: string;
   /** True if the plan has a structured blockquote body under the first H1. */
@@ -1,9 +1,12 @@
 import { LONG_TERM_PLAN_FORMAT_HEADER } from './constants.js';
+import { findFormatHeader } from './format.js';
 import { errorDiagnostic, warningDiagnostic } from './diagnostics.js';
 import type { Diagnostic } from './diagnostics.js';
 import type { Heading, ParsedPlan, TaskNode } from './model.js';
+import { decodeTaskMeta, parseTaskMetaPairs, TASK_META_PAIRS_PATTERN } from './meta.js';
+import type { TaskMetaPair } from './meta.js';
 import type { TaskStatusSymbol } from './status.js';
-import { symbolToStatus } from './status.js';
+import { describeStatusSymbolProblem, symbolToStatus } from './status.js';
 
 /**
  * Markdown parser for long-term-plan documents.
@@ -37,11 +40,14 @@ interface ParsedTaskLine {
   symbol: TaskStatusSymbol;
   title: string;
   id: string;
+  /** Raw `key=value` metadata pairs following the id, in on-disk order. */
+  metaPairs: TaskMetaPair[];
 }
 
 const HEADING_RE = /^(#{1,6})\s+(.*)$/;
-const TASK_LINE_STRICT_RE =
-  /^(\s*)-\s+\[([ *√])\]\s+(.*?)(\s+<!--\s*long-term-plan:id=([A-Za-z0-9_-]+)\s*-->)\s*$/;
+const TASK_LINE_STRICT_RE = new RegExp(
+  `^(\\s*)-\\s+\\[([ *√!-])\\]\\s+(.*?)(\\s+<!--\\s*long-term-plan:id=([A-Za-z0-9_-]+)(${TASK_META_PAIRS_PATTERN})\\s*-->)\\s*$`
+);
 
 /**
  * Parse a strict task line.
@@ -49,6 +55,9 @@ const TASK_LINE_STRICT_RE =
  * Strict format example:
  * `- [ ] Title <!-- long-term-plan:id=t_abc123 -->`
  *
+ * The trailer may carry metadata pairs after the id (see `meta.ts`):
+ * `- [ ] Title <!-- long-term-plan:id=t_abc123 due=2026-11-01 prio=P1 -->`
+ *
  * Returns `undefined` if the line is not a valid task line.
  */
 export function parseTaskLineStrict(line: string): ParsedTaskLine | undefined {
@@ -59,13 +68,14 @@ export function parseTaskLineStrict(line: string): ParsedTaskLine | undefined {
   const symbol = match[2] as TaskStatusSymbol;
   const titleRaw = match[3] ?? '';
   const id = match[5] ?? '';
+  const metaPairs = parseTaskMetaPairs(match[6] ?? '');
 
   const title = titleRaw.trim();
   if (!title) return undefined;
   if (!id) return undefined;
   if (title.includes('<!--') || title.includes('-->')) return undefined;
 
-  return { indent, symbol, title, id };
+  return { indent, symbol, title, id, metaPairs };
 }
 
 function isBlankLine(line: string): boolean {
@@ -240,7 +250,8 @@ function buildHeadingPath(frames: HeadingFrame[], includeH1: boolean): string[]
  * Parse a plan markdown document into headings and a task tree.
  *
  * Behavior highlights:
- * - Requires a format header somewhere near the top (first ~30 lines).
+ * - Requires a format header somewhere near the top (first ~30 lines); the
+ *   header version decides whether `[!]` / `[-]` statuses are allowed.
  * - Uses indentation to infer parent/child relationships between tasks.
  * - Computes `blockEndLine` for each task so edit operations can delete blocks.
  */
@@ -252,10 +263,9 @@ export function parsePlanMarkdown(text: string): ParsePlanResult {
   if (text.endsWith('\n') && lines.length > 0 && lines[lines.length - 1] === '') {
     lines.pop();
   }
-  const headerLine = lines
-    .slice(0, Math.min(lines.length, 30))
-    .findIndex((line) => line.includes(LONG_TERM_PLAN_FORMAT_HEADER));
-  if (headerLine === -1) {
+  const header = findFormatHeader(lines);
+  const formatVersion = header?.version ?? 'v1';
+  if (!header) {
     errors.push(
       errorDiagnostic(
         'MISSING_FORMAT_HEADER',
@@ -311,11 +321,16 @@ export function parsePlanMarkdown(text: string): ParsePlanResult {
 
       const sectionPath = buildHeadingPath(headingStack, includeH1InSectionPath);
       const status = symbolToStatus(parsedTask.symbol);
+      const symbolProblem = describeStatusSymbolProblem(parsedTask.symbol, formatVersion);
+      if (symbolProblem) {
+        errors.push(errorDiagnostic('INVALID_STATUS_SYMBOL', symbolProblem, lineIndex));
+      }
 
       const task: TaskNode = {
         id: parsedTask.id,
         title: parsedTask.title,
         status,
+        meta: decodeTaskMeta(parsedTask.metaPairs),
         hasBody: false,
         indent: parsedTask.indent,
         line: lineIndex,
@@ -370,7 +385,7 @@ export function parsePlanMarkdown(text: string): ParsePlanResult {
   closeAllTasksAtBoundary(openTasks, lines.length);
   closeHeadingsAtBoundary(headingStack, headingIndexStack, headings, lines.length, 1);
 
-  if (headerLine !== -1 && tasksById.size === 0) {
+  if (header && tasksById.size === 0) {
     warnings.push(warningDiagnostic('NO_TASKS', 'No tasks found in document.'));
   }
 
@@ -381,6 +396,7 @@ export function parsePlanMarkdown(text: string): ParsePlanResult {
     ok,
     plan: ok
       ? {
+          formatVersion,
           title: planTitle,
           hasBody: planBody.hasBody,
           bodyMarkdown: planBody.bodyMarkdown,
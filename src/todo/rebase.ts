@@ -0,0 +1,105 @@
+import { extractTaskBlock } from './edit.js';
+import { parsePlanMarkdown } from './parse.js';
+
+/**
+ * Stale-`ifMatch` rebasing (`ifMatchMode: 'rebase'`).
+ *
+ * Every plan text this process reads or writes is kept for a short while,
+ * keyed by its file path and etag (so an etag of another plan is never a
+ * base). When a write arrives with an older etag, the text it was based on is
+ * looked up here; if the tasks the write touches read the same in that
+ * version and in the current file, the edit is recomputed against the current
+ * text instead of failing with `CONFLICT`.
+ *
+ * The cache is in-memory and per process, so rebasing helps long-running
+ * servers; a fresh CLI process has nothing cached.
+ */
+export type IfMatchMode = 'strict' | 'rebase';
+
+/**
+ * How long a version stays available as a rebase base.
+ */
+const PLAN_TEXT_CACHE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Upper bound on cached versions (oldest are evicted first).
+ */
+const PLAN_TEXT_CACHE_MAX_ENTRIES = 64;
+
+const planTextCache = new Map<string, { text: string; storedAt: number }>();
+
+function cacheKey(absolutePath: string, etag: string): string {
+  return `${absolutePath}\0${etag}`;
+}
+
+/**
+ * Remember a version of the plan at `absolutePath` so later writes based on
+ * `etag` can be rebased.
+ */
+export function rememberPlanText(absolutePath: string, etag: string, text: string): void {
+  const key = cacheKey(absolutePath, etag);
+  planTextCache.delete(key);
+  planTextCache.set(key, { text, storedAt: Date.now() });
+  while (planTextCache.size > PLAN_TEXT_CACHE_MAX_ENTRIES) {
+    const oldest = planTextCache.keys().next().value;
+    if (oldest === undefined) break;
+    planTextCache.delete(oldest);
+  }
+}
+
+/**
+ * Look up a remembered version of the plan at `absolutePath` (undefined if
+ * unknown, expired, or remembered for another plan).
+ */
+export function recallPlanText(absolutePath: string, etag: string): string | undefined {
+  const key = cacheKey(absolutePath, etag);
+  const entry = planTextCache.get(key);
+  if (!entry) return undefined;
+  if (Date.now() - entry.storedAt > PLAN_TEXT_CACHE_TTL_MS) {
+    planTextCache.delete(key);
+    return undefined;
+  }
+  return entry.text;
+}
+
+/**
+ * A task a write depends on.
+ *
+ * `task` compares the task line and its body; `block` also includes the
+ * subtree, for writes that act on descendants (delete, move, cascade).
+ */
+export interface TouchedTask {
+  taskId: string;
+  scope: 'task' | 'block';
+}
+
+function touchedLines(text: string, touched: TouchedTask): string[] | undefined {
+  const plan = parsePlanMarkdown(text).plan;
+  const task = plan?.tasksById.get(touched.taskId);
+  if (!task) return undefined;
+  if (touched.scope === 'block') return extractTaskBlock(text, touched.taskId).lines;
+  return text.split(/\r?\n/).slice(task.line, (task.bodyRange?.endLine ?? task.line) + 1);
+}
+
+/**
+ * Explain why a write based on `baseText` cannot be replayed on `currentText`
+ * (or undefined if every touched task is unchanged).
+ *
+ * Only content is compared: a task that merely shifted to another line number
+ * (because something above it changed) still counts as unchanged.
+ */
+export function findRebaseBlocker(
+  baseText: string,
+  currentText: string,
+  touched: TouchedTask[]
+): string | undefined {
+  for (const item of touched) {
+    const base = touchedLines(baseText, item);
+    if (!base) return `task ${item.taskId} is missing from the ifMatch version`;
+    const current = touchedLines(currentText, item);
+    if (!current || base.join('\n') !== current.join('\n')) {
+      return `task ${item.taskId} changed since the ifMatch version`;
+    }
+  }
+  return undefined;
+}
@@ -1,5 +1,7 @@
 import { randomUUID } from 'node:crypto';
 import { LONG_TERM_PLAN_FORMAT_HEADER } from './constants.js';
+import { findFormatHeader } from './format.js';
+import { TASK_META_PAIRS_PATTERN } from './meta.js';
 import { validatePlanMarkdown } from './validate.js';
 
 /**
@@ -20,9 +22,10 @@ export interface RepairResult {
   };
 }
 
-const TASK_LINE_MISSING_ID_RE = /^(\s*-\s+\[([ *√])\]\s+.*?)(\s*)$/;
-const TASK_ID_TRAILER_RE =
-  /<!--\s*long-term-plan:id=([A-Za-z0-9_-]+)\s*-->\s*$/;
+const TASK_LINE_MISSING_ID_RE = /^(\s*-\s+\[([ *√!-])\]\s+.*?)(\s*)$/;
+const TASK_ID_TRAILER_RE = new RegExp(
+  `<!--\\s*long-term-plan:id=([A-Za-z0-9_-]+)${TASK_META_PAIRS_PATTERN}\\s*-->\\s*$`
+);
 
 function detectEol(text: string): '\n' | '\r\n' {
   return text.includes('\r\n') ? '\r\n' : '\n';
@@ -44,10 +47,7 @@ function joinLines(lines: string[], eol: '\n' | '\r\n', endsWithNewline: boolean
 }
 
 function addFormatHeader(lines: string[]): boolean {
-  const hasHeader = lines
-    .slice(0, Math.min(lines.length, 30))
-    .some((l) => l.includes(LONG_TERM_PLAN_FORMAT_HEADER));
-  if (hasHeader) return false;
+  if (findFormatHeader(lines)) return false;
   lines.unshift(LONG_TERM_PLAN_FORMAT_HEADER, '');
   return true;
 }
@@ -0,0 +1,108 @@
+import type { ParsedPlan, TaskNode, TaskStatus } from './model.js';
+import type { PlanStats } from './workspace-index.js';
+
+/**
+ * Progress rollups for sections and parent tasks.
+ *
+ * A rollup counts the tasks *under* something (a heading's range, or a task's
+ * descendants at any depth); the task itself is not included. `percentDone`
+ * excludes cancelled tasks, so dropping scope does not hold progress back.
+ */
+export interface Rollup extends PlanStats {
+  /** `done / (total - cancelled)`, rounded to an integer percent (0 when nothing counts). */
+  percentDone: number;
+}
+
+export interface SectionRollup {
+  /** Heading path (H2 and below). */
+  path: string[];
+  level: number;
+  /** 1-based line of the heading. */
+  line: number;
+  rollup: Rollup;
+}
+
+export interface ParentRollup {
+  taskId: string;
+  title: string;
+  status: TaskStatus;
+  sectionPath: string[];
+  rollup: Rollup;
+}
+
+function emptyCounts(): PlanStats {
+  return { total: 0, todo: 0, doing: 0, done: 0, blocked: 0, cancelled: 0 };
+}
+
+/**
+ * Add `percentDone` to a set of counts.
+ */
+export function toRollup(counts: PlanStats): Rollup {
+  const countable = counts.total - counts.cancelled;
+  const percentDone = countable > 0 ? Math.round((counts.done / countable) * 100) : 0;
+  return { ...counts, percentDone };
+}
+
+/**
+ * Compute descendant rollups for every task that has children.
+ *
+ * Tasks are visited bottom-up (by descending line), so each child's counts are
+ * final before they are folded into its parent; no recursion is needed.
+ */
+export function computeTaskRollups(plan: ParsedPlan): Map<string, Rollup> {
+  const counts = new Map<string, PlanStats>();
+  const tasks = [...plan.tasksById.values()].sort((a, b) => b.line - a.line);
+  for (const task of tasks) {
+    if (task.children.length === 0) continue;
+    const own = emptyCounts();
+    for (const child of task.children) {
+      own.total += 1;
+      own[child.status] += 1;
+      const nested = counts.get(child.id);
+      if (!nested) continue;
+      for (const key of Object.keys(own) as (keyof PlanStats)[]) own[key] += nested[key];
+    }
+    counts.set(task.id, own);
+  }
+
+  const out = new Map<string, Rollup>();
+  for (const [taskId, own] of counts) out.set(taskId, toRollup(own));
+  return out;
+}
+
+/**
+ * Rollups for every section (H2+ heading), in document order.
+ *
+ * A section counts every task inside its line range, including subsections.
+ */
+export function computeSectionRollups(plan: ParsedPlan): SectionRollup[] {
+  const tasks = [...plan.tasksById.values()];
+  return plan.headings
+    .filter((heading) => heading.level >= 2)
+    .map((heading) => {
+      const own = emptyCounts();
+      for (const task of tasks) {
+        if (task.line <= heading.startLine || task.line > heading.endLine) continue;
+        own.total += 1;
+        own[task.status] += 1;
+      }
+      return { path: heading.path, level: heading.level, line: heading.line + 1, rollup: toRollup(own) };
+    });
+}
+
+/**
+ * Rollups for every task with children, in document order.
+ */
+export function computeParentRollups(plan: ParsedPlan): ParentRollup[] {
+  const rollups = computeTaskRollups(plan);
+  const parents: TaskNode[] = [...plan.tasksById.values()]
+    .filter((task) => rollups.has(task.id))
+    .sort((a, b) => a.line - b.line);
+  return parents.map((task) => ({
+    taskId: task.id,
+    title: task.title,
+    status: task.status,
+    sectionPath: task.sectionPath,
+    rollup: rollups.get(task.id) as Rollup,
+  }));
+}
@@ -1,3 +1,4 @@
+import type { PlanFormatVersion } from './format.js';
 import type { TaskStatus } from './model.js';
 
 /**
@@ -7,8 +8,15 @@ import type { TaskStatus } from './model.js';
  * - ` ` (space) => todo
  * - `*`         => doing
  * - `√`         => done
+ * - `!`         => blocked   (format v2 only)
+ * - `-`         => cancelled (format v2 only)
  */
-export type TaskStatusSymbol = ' ' | '*' | '√';
+export type TaskStatusSymbol = ' ' | '*' | '√' | '!' | '-';
+
+/**
+ * Statuses that can only be written to format v2 documents.
+ */
+const V2_ONLY_STATUSES: ReadonlySet<TaskStatus> = new Set<TaskStatus>(['blocked', 'cancelled']);
 
 /**
  * Convert a normalized task status to its markdown symbol.
@@ -16,6 +24,8 @@ export type TaskStatusSymbol = ' ' | '*' | '√';
 export function statusToSymbol(status: TaskStatus): TaskStatusSymbol {
   if (status === 'todo') return ' ';
   if (status === 'doing') return '*';
+  if (status === 'blocked') return '!';
+  if (status === 'cancelled') return '-';
   return '√';
 }
 
@@ -25,5 +35,46 @@ export function statusToSymbol(status: TaskStatus): TaskStatusSymbol {
 export function symbolToStatus(symbol: TaskStatusSymbol): TaskStatus {
   if (symbol === ' ') return 'todo';
   if (symbol === '*') return 'doing';
+  if (symbol === '!') return 'blocked';
+  if (symbol === '-') return 'cancelled';
   return 'done';
 }
+
+/**
+ * True if `symbol` is any known status symbol (regardless of format version).
+ */
+export function isStatusSymbol(symbol: string): symbol is TaskStatusSymbol {
+  return symbol === ' ' || symbol === '*' || symbol === '√' || symbol === '!' || symbol === '-';
+}
+
+/**
+ * True if a status needs a format v2 document.
+ */
+export function statusRequiresV2(status: TaskStatus): boolean {
+  return V2_ONLY_STATUSES.has(status);
+}
+
+/**
+ * Describe why `symbol` is not allowed in a document of `version`
+ * (or undefined if it is allowed).
+ */
+export function describeStatusSymbolProblem(symbol: string, version: PlanFormatVersion): string | undefined {
+  if (!isStatusSymbol(symbol)) {
+    return version === 'v2'
+      ? `Invalid status symbol: ${JSON.stringify(symbol)} (expected ' ', '*', '√', '!', or '-')`
+      : `Invalid status symbol: ${JSON.stringify(symbol)} (expected ' ', '*', or '√')`;
+  }
+  if (version === 'v1' && statusRequiresV2(symbolToStatus(symbol))) {
+    return `Status symbol ${JSON.stringify(symbol)} requires format v2 (<!-- long-term-plan:format=v2 -->)`;
+  }
+  return undefined;
+}
+
+/**
+ * True for statuses that no longer need work (`done`, `cancelled`).
+ *
+ * Closed tasks never block dependents and are never picked as default targets.
+ */
+export function isClosedStatus(status: TaskStatus): boolean {
+  return status === 'done' || status === 'cancelled';
+}
@@ -1,8 +1,9 @@
 import { createHash, randomUUID } from 'node:crypto';
-import { link, mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
-import { dirname, isAbsolute, relative, resolve, sep } from 'node:path';
+import { access, link, mkdir, readdir, readFile, rename, rm, unlink, writeFile } from 'node:fs/promises';
+import { basename, dirname, isAbsolute, relative, resolve, sep } from 'node:path';
 import type { LongTermPlanConfig } from '../config.js';
 import { assertSafeId } from './id.js';
+import { rememberPlanText } from './rebase.js';
 
 export { assertSafeId } from './id.js';
 
@@ -82,11 +83,72 @@ export function resolvePlanPath(
   return absolutePath;
 }
 
+/**
+ * Subfolder of `plansDir` that holds archived plans (hidden from `plan.list`).
+ */
+export const ARCHIVE_DIRNAME = 'archive';
+
+/**
+ * Resolve the archived location of a plan (`<plansDir>/archive/<planId>.md`).
+ */
+export function resolveArchivedPlanPath(
+  config: LongTermPlanConfig,
+  planId: string
+): string {
+  assertSafeId('planId', planId);
+  const absolutePath = resolve(resolvePlansDir(config), ARCHIVE_DIRNAME, `${planId}.md`);
+  assertPathWithinRoot(resolve(config.rootDir), absolutePath);
+  return absolutePath;
+}
+
+/**
+ * List plan ids for `.md` files directly inside `dir` (sorted).
+ *
+ * Filenames that are not safe ids are skipped.
+ */
+async function listPlanIdsIn(dir: string): Promise<string[]> {
+  try {
+    await access(dir);
+  } catch {
+    return [];
+  }
+
+  const entries = await readdir(dir, { withFileTypes: true });
+  const planIds: string[] = [];
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    if (!entry.name.endsWith('.md')) continue;
+    const planId = basename(entry.name, '.md');
+    try {
+      assertSafeId('planId', planId);
+    } catch {
+      continue;
+    }
+    planIds.push(planId);
+  }
+  return planIds.sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * List plan ids for `.md` files directly inside `config.plansDir`.
+ */
+export async function listPlanIds(config: LongTermPlanConfig): Promise<string[]> {
+  return listPlanIdsIn(resolvePlansDir(config));
+}
+
+/**
+ * List plan ids in the `archive/` subfolder of `config.plansDir`.
+ */
+export async function listArchivedPlanIds(config: LongTermPlanConfig): Promise<string[]> {
+  return listPlanIdsIn(resolve(resolvePlansDir(config), ARCHIVE_DIRNAME));
+}
+
 /**
  * Read a plan file and compute its etag.
  *
  * The etag is derived from file contents (not mtime) to support safe retries and
- * optimistic concurrency for edits.
+ * optimistic concurrency for edits. The version is remembered as a possible
+ * base for `ifMatchMode: 'rebase'`.
  */
 export async function readPlanFile(
   config: LongTermPlanConfig,
@@ -94,7 +156,18 @@ export async function readPlanFile(
 ): Promise<ReadPlanFileResult> {
   const absolutePath = resolvePlanPath(config, planId);
   const text = await readFile(absolutePath, 'utf8');
-  return { absolutePath, text, etag: sha256Hex(text) };
+  const etag = sha256Hex(text);
+  rememberPlanText(absolutePath, etag, text);
+  return { absolutePath, text, etag };
+}
+
+/**
+ * Atomically write a plan file, remembering the new version (like
+ * `readPlanFile`) so writes based on the returned etag can be rebased.
+ */
+export async function writePlanFile(absolutePath: string, text: string): Promise<void> {
+  await writeFileAtomic(absolutePath, text);
+  rememberPlanText(absolutePath, sha256Hex(text), text);
 }
 
 /**
@@ -124,13 +197,16 @@ export async function writeFileAtomic(
  * - Write a temp file in the same directory as the destination.
  * - Atomically `link()` it into place (fails with EEXIST if dest exists).
  * - Remove the temp path; the destination link remains.
+ *
+ * With `createDir: false`, a missing parent directory fails with ENOENT
+ * instead of being created (used for lockfiles).
  */
 export async function writeFileAtomicExclusive(
   absolutePath: string,
-  text: string
+  text: string,
+  options: { createDir?: boolean } = {}
 ): Promise<void> {
-  const dir = dirname(absolutePath);
-  await mkdir(dir, { recursive: true });
+  if (options.createDir ?? true) await mkdir(dirname(absolutePath), { recursive: true });
 
   const tmpPath = `${absolutePath}.tmp.${randomUUID()}`;
   await writeFile(tmpPath, text, 'utf8');
@@ -144,3 +220,19 @@ export async function writeFileAtomicExclusive(
     }
   }
 }
+
+/**
+ * Rename a file, failing with EEXIST instead of replacing an existing destination.
+ *
+ * `rename()` silently overwrites, so (as in `writeFileAtomicExclusive`) we
+ * `link()` the new name into place first and only then remove the old name.
+ * Both paths must be on the same filesystem (they always are inside `plansDir`).
+ */
+export async function renameFileExclusive(
+  fromPath: string,
+  toPath: string
+): Promise<void> {
+  await mkdir(dirname(toPath), { recursive: true });
+  await link(fromPath, toPath);
+  await unlink(fromPath);
+}
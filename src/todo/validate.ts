@@ -1,8 +1,12 @@
 import { LONG_TERM_PLAN_FORMAT_HEADER } from './constants.js';
+import { buildLocalDependencyGraph, findDependencyCycles, parseDependencyRef } from './deps.js';
 import type { Diagnostic } from './diagnostics.js';
 import { errorDiagnostic, warningDiagnostic } from './diagnostics.js';
+import { findFormatHeader } from './format.js';
 import { isSafeId } from './id.js';
+import { checkTaskMetaPairs, TASK_META_PAIRS_PATTERN } from './meta.js';
 import { parsePlanMarkdown, parseTaskLineStrict } from './parse.js';
+import { describeStatusSymbolProblem } from './status.js';
 
 /**
  * Validator for long-term-plan markdown documents.
@@ -15,8 +19,9 @@ import { parsePlanMarkdown, parseTaskLineStrict } from './parse.js';
  * errors/warnings, de-duplicated by (severity, code, line, message).
  */
 const TASK_LINE_LOOSE_RE = /^(\s*)-\s+\[([^\]])\]\s+(.*)$/;
-const TASK_ID_TRAILER_RE =
-  /<!--\s*long-term-plan:id=([A-Za-z0-9_-]+)\s*-->\s*$/;
+const TASK_ID_TRAILER_RE = new RegExp(
+  `<!--\\s*long-term-plan:id=([A-Za-z0-9_-]+)${TASK_META_PAIRS_PATTERN}\\s*-->\\s*$`
+);
 
 export interface ValidatePlanResult {
   errors: Diagnostic[];
@@ -65,10 +70,9 @@ export function validatePlanMarkdown(text: string): ValidatePlanResult {
   }
 
   const lines = text.split(/\r?\n/);
-  const headerLine = lines
-    .slice(0, Math.min(lines.length, 30))
-    .findIndex((line) => line.includes(LONG_TERM_PLAN_FORMAT_HEADER));
-  if (headerLine === -1) {
+  const header = findFormatHeader(lines);
+  const formatVersion = header?.version ?? 'v1';
+  if (!header) {
     pushUniqueDiagnostic(
       errors,
       errorKeys,
@@ -88,16 +92,12 @@ export function validatePlanMarkdown(text: string): ValidatePlanResult {
     if (!loose) continue;
 
     const symbol = loose[2] ?? '';
-    const isAllowedSymbol = symbol === ' ' || symbol === '*' || symbol === '√';
-    if (!isAllowedSymbol) {
+    const symbolProblem = describeStatusSymbolProblem(symbol, formatVersion);
+    if (symbolProblem) {
       pushUniqueDiagnostic(
         errors,
         errorKeys,
-        errorDiagnostic(
-          'INVALID_STATUS_SYMBOL',
-          `Invalid status symbol: ${JSON.stringify(symbol)} (expected ' ', '*', or '√')`,
-          lineIndex
-        )
+        errorDiagnostic('INVALID_STATUS_SYMBOL', symbolProblem, lineIndex)
       );
       continue;
     }
@@ -157,6 +157,18 @@ export function validatePlanMarkdown(text: string): ValidatePlanResult {
       continue;
     }
 
+    const meta = checkTaskMetaPairs(strict.metaPairs);
+    for (const message of meta.errors) {
+      pushUniqueDiagnostic(errors, errorKeys, errorDiagnostic('INVALID_TASK_META', message, lineIndex));
+    }
+    for (const message of meta.warnings) {
+      pushUniqueDiagnostic(
+        warnings,
+        warningKeys,
+        warningDiagnostic('UNKNOWN_TASK_META_KEY', message, lineIndex)
+      );
+    }
+
     if (seenIds.has(strict.id)) {
       pushUniqueDiagnostic(
         errors,
@@ -180,7 +192,34 @@ export function validatePlanMarkdown(text: string): ValidatePlanResult {
     pushUniqueDiagnostic(warnings, warningKeys, diagnostic);
   }
 
-  if (errors.length === 0 && seenIds.size === 0 && headerLine !== -1) {
+  // Same-plan dependency checks; cross-plan refs are resolved by `validatePlanDoc`.
+  if (parse.plan) {
+    const tasksById = parse.plan.tasksById;
+    for (const task of tasksById.values()) {
+      for (const raw of task.meta.dependsOn ?? []) {
+        const ref = parseDependencyRef(raw);
+        if (!ref || ref.planId || tasksById.has(ref.taskId)) continue;
+        pushUniqueDiagnostic(
+          warnings,
+          warningKeys,
+          warningDiagnostic('UNKNOWN_DEPENDENCY', `Unknown dependency target: ${raw}`, task.line)
+        );
+      }
+    }
+    for (const cycle of findDependencyCycles(buildLocalDependencyGraph(tasksById.values()))) {
+      pushUniqueDiagnostic(
+        errors,
+        errorKeys,
+        errorDiagnostic(
+          'DEPENDENCY_CYCLE',
+          `Dependency cycle: ${cycle.join(' -> ')}`,
+          tasksById.get(cycle[0] ?? '')?.line
+        )
+      );
+    }
+  }
+
+  if (errors.length === 0 && seenIds.size === 0 && header) {
     pushUniqueDiagnostic(
       warnings,
       warningKeys,
@@ -1,4 +1,6 @@
-import type { TaskNode, TaskStatus } from './model.js';
+import type { TaskMeta, TaskNode, TaskStatus } from './model.js';
+import { assignTaskMetaFields } from './meta.js';
+import type { Rollup } from './rollup.js';
 
 /**
  * View/presentation helpers for todo plans.
@@ -10,9 +12,11 @@ import type { TaskNode, TaskStatus } from './model.js';
  * Notes:
  * - Uses explicit stacks to avoid recursion depth issues on deeply nested plans.
  * - Includes `hasBody` always; includes `bodyMarkdown` only when explicitly requested.
+ * - Metadata fields (`due`, `priority`, `tags`, `owner`, `dependsOn`) appear only when set.
+ * - Tree nodes with children carry a `rollup` of their descendants when rollups are passed in.
  */
 
-export type TaskTreeViewNode = {
+export type TaskTreeViewNode = TaskMeta & {
   id: string;
   title: string;
   status: TaskStatus;
@@ -20,10 +24,11 @@ export type TaskTreeViewNode = {
   parentId?: string;
   hasBody: boolean;
   bodyMarkdown?: string;
+  rollup?: Rollup;
   children: TaskTreeViewNode[];
 };
 
-export type TaskFlatRow = {
+export type TaskFlatRow = TaskMeta & {
   id: string;
   title: string;
   status: TaskStatus;
@@ -35,10 +40,13 @@ export type TaskFlatRow = {
 
 /**
  * Convert parsed tasks into a stable, minimal output shape for `plan.get (tree)`.
+ *
+ * When `include` is given, tasks for which it returns false are dropped together
+ * with their subtrees (callers keep ancestors of matches to preserve context).
  */
 export function buildTaskTreeView(
   rootTasks: TaskNode[],
-  options: { includeBody: boolean }
+  options: { includeBody: boolean; include?: (task: TaskNode) => boolean; rollups?: Map<string, Rollup> }
 ): TaskTreeViewNode[] {
   const out: TaskTreeViewNode[] = [];
   const stack: { task: TaskNode; outArray: TaskTreeViewNode[] }[] = [];
@@ -55,6 +63,7 @@ export function buildTaskTreeView(
     if (!frame) continue;
 
     const task = frame.task;
+    if (options.include && !options.include(task)) continue;
     const node: TaskTreeViewNode = {
       id: task.id,
       title: task.title,
@@ -64,7 +73,10 @@ export function buildTaskTreeView(
       hasBody: task.hasBody,
       children: [],
     };
+    assignTaskMetaFields(node, task.meta);
     if (options.includeBody && task.hasBody) node.bodyMarkdown = task.bodyMarkdown;
+    const rollup = options.rollups?.get(task.id);
+    if (rollup) node.rollup = rollup;
 
     frame.outArray.push(node);
 
@@ -88,6 +100,7 @@ export function toTaskFlatRow(task: TaskNode, options: { includeBody: boolean })
     parentId: task.parentId,
     hasBody: task.hasBody,
   };
+  assignTaskMetaFields(row, task.meta);
   if (options.includeBody && task.hasBody) row.bodyMarkdown = task.bodyMarkdown;
   return row;
 }
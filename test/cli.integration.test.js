@@ -22,8 +22,9 @@
  *
  * Test harness details:
  * - `createTempRoot()` allocates a unique `--root` directory per test run.
- * - `createCapturedIo()` provides in-memory stdout/stderr sinks so the CLI can
- *   be called as a pure function (argv in, exit code + captured output out).
+ * - `createCapturedIo()` (shared, see `helpers/captured-io.js`) provides
+ *   in-memory stdout/stderr sinks so the CLI can be called as a pure function
+ *   (argv in, exit code + captured output out).
  * - `runCliJson()` asserts exit code 0, empty stderr, and parses stdout as JSON.
  * - `runCliFail()` captures non-zero exit codes and returns raw stderr/stdout.
  *
@@ -35,13 +36,13 @@
 import assert from 'node:assert/strict';
 import { mkdtemp, readFile, rm } from 'node:fs/promises';
 import { join } from 'node:path';
-import { Writable } from 'node:stream';
 import test from 'node:test';
 
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
 import { createMcpServer } from '../dist/server.js';
 import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { createCapturedIo } from './helpers/captured-io.js';
 
 async function createTempRoot() {
   const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
@@ -53,31 +54,6 @@ async function createTempRoot() {
   };
 }
 
-function createCapturedIo() {
-  let stdoutText = '';
-  let stderrText = '';
-
-  const stdout = new Writable({
-    write(chunk, _encoding, callback) {
-      stdoutText += chunk?.toString?.() ?? String(chunk);
-      callback();
-    },
-  });
-
-  const stderr = new Writable({
-    write(chunk, _encoding, callback) {
-      stderrText += chunk?.toString?.() ?? String(chunk);
-      callback();
-    },
-  });
-
-  return {
-    io: { stdout, stderr },
-    getStdout: () => stdoutText,
-    getStderr: () => stderrText,
-  };
-}
-
 async function runCliJson(args) {
   const captured = createCapturedIo();
   const code = await runLongTermPlanCli(args, captured.io);
@@ -0,0 +1,33 @@
+/**
+ * Shared test helper: in-memory stdout/stderr sinks for `runLongTermPlanCli`.
+ *
+ * The CLI takes its output streams as an argument, so tests can call it as a
+ * pure function (argv in, exit code + captured output out) without patching
+ * `process.stdout`.
+ */
+import { Writable } from 'node:stream';
+
+export function createCapturedIo() {
+  let stdoutText = '';
+  let stderrText = '';
+
+  const stdout = new Writable({
+    write(chunk, _encoding, callback) {
+      stdoutText += chunk?.toString?.() ?? String(chunk);
+      callback();
+    },
+  });
+
+  const stderr = new Writable({
+    write(chunk, _encoding, callback) {
+      stderrText += chunk?.toString?.() ?? String(chunk);
+      callback();
+    },
+  });
+
+  return {
+    io: { stdout, stderr },
+    getStdout: () => stdoutText,
+    getStderr: () => stderrText,
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * Streamable HTTP transport: sessions, bearer-token auth, and parity with stdio tools.
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { request } from 'node:http';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+import { createMcpServer, startHttpServer } from '../dist/server.js';
+
+const PLAN = [
+  '<!-- long-term-plan:format=v1 -->',
+  '',
+  '# P',
+  '',
+  '- [ ] A <!-- long-term-plan:id=t_a -->',
+  '',
+].join('\n');
+
+async function setup(options = {}) {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  await writeFile(join(plansDir, 'p.md'), PLAN, 'utf8');
+  const config = { rootDir, plansDir: '.long-term-plan' };
+  const http = await startHttpServer(config, { host: '127.0.0.1', port: 0, ...options });
+  const clients = [];
+  return {
+    config,
+    url: http.url,
+    connect: async (headers = {}) => {
+      const client = new Client({ name: 'long-term-plan-test-client', version: '0.0.0' });
+      const transport = new StreamableHTTPClientTransport(new URL(http.url), { requestInit: { headers } });
+      await client.connect(transport);
+      clients.push(client);
+      return { client, transport };
+    },
+    cleanup: async () => {
+      for (const client of clients) await client.close();
+      await http.close();
+      await rm(rootDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// The in-memory transport hands over objects as-is; compare what goes over the wire.
+const wire = (value) => JSON.parse(JSON.stringify(value));
+const callJson = async (client, name, args) => JSON.parse((await client.callTool({ name, arguments: args })).content[0].text);
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'curl', version: '0' } },
+};
+
+test('HTTP sessions expose the same tools as stdio and share plan files', async () => {
+  const { config, url, connect, cleanup } = await setup();
+  const local = createMcpServer(config);
+  const localClient = new Client({ name: 'long-term-plan-test-client', version: '0.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await local.connect(serverTransport);
+  await localClient.connect(clientTransport);
+  try {
+    const first = await connect();
+    const second = await connect();
+    assert.ok(first.transport.sessionId);
+    assert.notEqual(first.transport.sessionId, second.transport.sessionId);
+    assert.deepEqual(wire(await first.client.listTools()), wire(await localClient.listTools()));
+    assert.deepEqual(wire(await first.client.listPrompts()), wire(await localClient.listPrompts()));
+
+    await callJson(first.client, 'task.update', { planId: 'p', taskId: 't_a', status: 'done' });
+    const viaHttp = await callJson(second.client, 'task.get', { planId: 'p', taskId: 't_a' });
+    assert.equal(viaHttp.task.status, 'done');
+    assert.deepEqual(viaHttp, await callJson(localClient, 'task.get', { planId: 'p', taskId: 't_a' }));
+
+    const stale = await first.client.callTool({
+      name: 'task.update',
+      arguments: { planId: 'p', taskId: 't_a', status: 'todo', ifMatch: 'stale' },
+    });
+    assert.equal(stale.isError, true);
+    assert.match(stale.content[0].text, /CONFLICT/);
+
+    const { sessionId } = first.transport;
+    await first.transport.terminateSession();
+    const gone = await fetch(url, { method: 'GET', headers: { 'mcp-session-id': sessionId, accept: 'text/event-stream' } });
+    assert.equal(gone.status, 404);
+  } finally {
+    await localClient.close();
+    await local.close();
+    await cleanup();
+  }
+});
+
+test('HTTP requests need the bearer token when one is configured', async () => {
+  const { url, connect, cleanup } = await setup({ authToken: 'secret' });
+  try {
+    for (const authorization of [undefined, 'Bearer wrong', 'secret']) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          accept: 'application/json, text/event-stream',
+          ...(authorization ? { authorization } : {}),
+        },
+        body: JSON.stringify(INITIALIZE),
+      });
+      assert.equal(res.status, 401, String(authorization));
+      assert.equal(res.headers.get('www-authenticate'), 'Bearer');
+    }
+
+    const { client } = await connect({ Authorization: 'Bearer secret' });
+    const plans = await callJson(client, 'plan.list', {});
+    assert.deepEqual(plans.plans.map((plan) => plan.planId), ['p']);
+
+    await assert.rejects(() => connect({ Authorization: 'Bearer nope' }), /401|Unauthorized/);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('HTTP server rejects unknown paths, unknown sessions, and sessionless GETs', async () => {
+  const { url, cleanup } = await setup();
+  try {
+    assert.equal((await fetch(new URL('/other', url))).status, 404);
+    const unknown = await fetch(url, { method: 'GET', headers: { 'mcp-session-id': 'nope', accept: 'text/event-stream' } });
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).error.message, 'Session not found');
+    assert.equal((await fetch(url, { method: 'GET', headers: { accept: 'text/event-stream' } })).status, 400);
+
+    // A first request that is not `initialize` does not leave a session behind.
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.headers.get('mcp-session-id'), null);
+  } finally {
+    await cleanup();
+  }
+});
+
+/**
+ * Send `initialize` with raw `http.request` (fetch does not let callers set `Host`).
+ */
+function postInitialize(url, headers) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify(INITIALIZE);
+    const req = request(
+      url,
+      {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream', ...headers },
+      },
+      (res) => {
+        res.resume();
+        res.on('end', () => resolve(res));
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('HTTP server rejects foreign Host and Origin headers (DNS rebinding)', async () => {
+  const { url, cleanup } = await setup();
+  try {
+    const { port } = new URL(url);
+    assert.equal((await postInitialize(url, { host: `evil.example:${port}` })).statusCode, 403);
+    assert.equal((await postInitialize(url, { origin: 'http://evil.example' })).statusCode, 403);
+    assert.equal((await postInitialize(url, { host: `localhost:${port}`, origin: 'http://evil.example' })).statusCode, 403);
+
+    assert.equal((await postInitialize(url, {})).statusCode, 200);
+    assert.equal((await postInitialize(url, { host: `localhost:${port}`, origin: `http://localhost:${port}` })).statusCode, 200);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('idle HTTP sessions are closed', async () => {
+  const { url, cleanup } = await setup({ sessionIdleMs: 50 });
+  try {
+    const res = await postInitialize(url, {});
+    const sessionId = res.headers['mcp-session-id'];
+    assert.equal(typeof sessionId, 'string');
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    const gone = await fetch(url, { method: 'GET', headers: { 'mcp-session-id': sessionId, accept: 'text/event-stream' } });
+    assert.equal(gone.status, 404);
+  } finally {
+    await cleanup();
+  }
+});
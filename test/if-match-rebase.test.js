@@ -0,0 +1,145 @@
+/**
+ * `ifMatchMode: 'rebase'` for task writes with a stale `ifMatch`.
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { getPlan, taskAdd, taskDelete, taskMove, taskUpdate } from '../dist/todo/api.js';
+import { createMcpServer } from '../dist/server.js';
+
+const PLAN = [
+  '<!-- long-term-plan:format=v1 -->',
+  '',
+  '# P',
+  '',
+  '- [ ] A <!-- long-term-plan:id=t_a -->',
+  '  - [ ] A1 <!-- long-term-plan:id=t_a1 -->',
+  '- [ ] B <!-- long-term-plan:id=t_b -->',
+  '  > B notes.',
+  '- [ ] C <!-- long-term-plan:id=t_c -->',
+  '',
+].join('\n');
+
+async function setup() {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  const path = join(plansDir, 'p.md');
+  await writeFile(path, PLAN, 'utf8');
+  return {
+    config: { rootDir, plansDir: '.long-term-plan' },
+    read: () => readFile(path, 'utf8'),
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+/**
+ * Read the plan (so its etag is remembered), then let another writer change `t_c`.
+ */
+async function staleEtag(config) {
+  const { etag } = await getPlan(config, { planId: 'p', view: 'flat' });
+  await taskUpdate(config, { planId: 'p', taskId: 't_c', status: 'done' });
+  return etag;
+}
+
+test('rebase applies an update when only other tasks changed', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const ifMatch = await staleEtag(config);
+    const result = await taskUpdate(config, { planId: 'p', taskId: 't_b', status: 'doing', ifMatch, ifMatchMode: 'rebase' });
+    assert.equal(result.rebased, true);
+    assert.equal(await read(), PLAN.replace('[ ] B', '[*] B').replace('[ ] C', '[√] C'));
+
+    const fresh = await taskUpdate(config, { planId: 'p', taskId: 't_b', title: 'B2', ifMatch: result.etag, ifMatchMode: 'rebase' });
+    assert.equal(fresh.rebased, undefined);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('rebase still conflicts when the touched task changed', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    const ifMatch = await staleEtag(config);
+    await assert.rejects(
+      () => taskUpdate(config, { planId: 'p', taskId: 't_c', title: 'C2', ifMatch, ifMatchMode: 'rebase' }),
+      /^Error: CONFLICT: etag mismatch .*; cannot rebase: task t_c changed since the ifMatch version$/
+    );
+    await assert.rejects(
+      () => taskUpdate(config, { planId: 'p', taskId: 't_b', status: 'doing', ifMatch }),
+      /^Error: CONFLICT: etag mismatch \(current=[0-9a-f]+, ifMatch=[0-9a-f]+\)$/
+    );
+    await assert.rejects(
+      () => taskUpdate(config, { planId: 'p', taskId: 't_b', status: 'doing', ifMatch: 'f'.repeat(64), ifMatchMode: 'rebase' }),
+      /cannot rebase: the ifMatch version is not cached for this plan/
+    );
+  } finally {
+    await cleanup();
+  }
+});
+
+test('rebase never uses an etag of another plan as the base', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    await writeFile(join(config.rootDir, '.long-term-plan', 'q.md'), PLAN.replace('# P', '# Q'), 'utf8');
+    const { etag: otherEtag } = await getPlan(config, { planId: 'q' });
+    await getPlan(config, { planId: 'p' });
+    await assert.rejects(
+      () => taskAdd(config, { planId: 'p', title: 'X', ifMatch: otherEtag, ifMatchMode: 'rebase' }),
+      /^Error: CONFLICT: etag mismatch .*; cannot rebase: the ifMatch version is not cached for this plan$/
+    );
+  } finally {
+    await cleanup();
+  }
+});
+
+test('delete, move, and cascade compare the whole subtree; anchors only their own line', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const { etag: ifMatch } = await getPlan(config, { planId: 'p', view: 'flat' });
+    await taskUpdate(config, { planId: 'p', taskId: 't_a1', status: 'done' });
+
+    await assert.rejects(
+      () => taskDelete(config, { planId: 'p', taskId: 't_a', ifMatch, ifMatchMode: 'rebase' }),
+      /cannot rebase: task t_a changed since the ifMatch version/
+    );
+    await assert.rejects(
+      () => taskUpdate(config, { planId: 'p', taskId: 't_a', status: 'done', cascade: 'descendants', ifMatch, ifMatchMode: 'rebase' }),
+      /cannot rebase: task t_a changed/
+    );
+    await assert.rejects(
+      () => taskMove(config, { planId: 'p', taskId: 't_c', beforeTaskId: 't_a1', ifMatch, ifMatchMode: 'rebase' }),
+      /cannot rebase: task t_a1 changed/
+    );
+
+    const moved = await taskMove(config, { planId: 'p', taskId: 't_c', parentTaskId: 't_b', ifMatch, ifMatchMode: 'rebase' });
+    assert.equal(moved.rebased, true);
+    const added = await taskAdd(config, { planId: 'p', title: 'D', ifMatch, ifMatchMode: 'rebase' });
+    assert.equal(added.rebased, true);
+    const deleted = await taskDelete(config, { planId: 'p', taskId: 't_b', ifMatch: moved.etag, ifMatchMode: 'rebase' });
+    assert.equal(deleted.rebased, true);
+    assert.doesNotMatch(await read(), /id=t_[bc] /);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('task tools accept ifMatchMode and report rebased', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    const tools = createMcpServer(config)._registeredTools;
+    for (const name of ['task.add', 'task.update', 'task.delete', 'task.move']) {
+      const parsed = tools[name].inputSchema.safeParse({ planId: 'p', taskId: 't_a', title: 'x', ifMatchMode: 'merge' });
+      assert.equal(parsed.success, false, name);
+    }
+
+    const ifMatch = await staleEtag(config);
+    const result = await tools['task.delete'].handler({ planId: 'p', taskId: 't_b', ifMatch, ifMatchMode: 'rebase' });
+    assert.equal(result.structuredContent.rebased, true);
+    assert.equal(typeof result.structuredContent.etag, 'string');
+  } finally {
+    await cleanup();
+  }
+});
@@ -12,39 +12,14 @@ import assert from 'node:assert/strict';
 import test from 'node:test';
 import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
 import { dirname, join, relative } from 'node:path';
-import { Writable } from 'node:stream';
 
 import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { createCapturedIo } from './helpers/captured-io.js';
 
 async function createTempDir(prefix) {
   return mkdtemp(join(process.cwd(), prefix));
 }
 
-function createCapturedIo() {
-  let stdoutText = '';
-  let stderrText = '';
-
-  const stdout = new Writable({
-    write(chunk, _encoding, callback) {
-      stdoutText += chunk?.toString?.() ?? String(chunk);
-      callback();
-    },
-  });
-
-  const stderr = new Writable({
-    write(chunk, _encoding, callback) {
-      stderrText += chunk?.toString?.() ?? String(chunk);
-      callback();
-    },
-  });
-
-  return {
-    io: { stdout, stderr },
-    getStdout: () => stdoutText,
-    getStderr: () => stderrText,
-  };
-}
-
 async function runCliJson(args) {
   const captured = createCapturedIo();
   const code = await runLongTermPlanCli(args, captured.io);
@@ -8,34 +8,9 @@
  */
 import assert from 'node:assert/strict';
 import test from 'node:test';
-import { Writable } from 'node:stream';
 
 import { runLongTermPlanCli } from '../dist/long-term-plan.js';
-
-function createCapturedIo() {
-  let stdoutText = '';
-  let stderrText = '';
-
-  const stdout = new Writable({
-    write(chunk, _encoding, callback) {
-      stdoutText += chunk?.toString?.() ?? String(chunk);
-      callback();
-    },
-  });
-
-  const stderr = new Writable({
-    write(chunk, _encoding, callback) {
-      stderrText += chunk?.toString?.() ?? String(chunk);
-      callback();
-    },
-  });
-
-  return {
-    io: { stdout, stderr },
-    getStdout: () => stdoutText,
-    getStderr: () => stderrText,
-  };
-}
+import { createCapturedIo } from './helpers/captured-io.js';
 
 test('long-term-plan --help documents --body-file as relative to cwd', async () => {
   const captured = createCapturedIo();
@@ -0,0 +1,265 @@
+/**
+ * Git merge driver tests: id-aware three-way merge of plan files.
+ *
+ * Scope:
+ * - independent edits on both sides merge without markers
+ * - markers only around a task both sides changed (or delete vs. modify)
+ * - structural edits on theirs' side fall back to a line-based merge
+ * - end-to-end `git merge` with the driver installed via `.gitattributes`
+ */
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+import test from 'node:test';
+
+import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { mergePlanMarkdown } from '../dist/todo/merge.js';
+import { parsePlanMarkdown } from '../dist/todo/parse.js';
+import { createCapturedIo } from './helpers/captured-io.js';
+
+const BASE = [
+  '<!-- long-term-plan:format=v1 -->',
+  '',
+  '# Plan',
+  '',
+  '## Inbox',
+  '',
+  '- [ ] Alpha <!-- long-term-plan:id=t_a -->',
+  '- [ ] Beta <!-- long-term-plan:id=t_b -->',
+  '  - [ ] Beta child <!-- long-term-plan:id=t_bc -->',
+  '- [ ] Gamma <!-- long-term-plan:id=t_c -->',
+  '',
+  '## Later',
+  '',
+  '- [ ] Delta <!-- long-term-plan:id=t_d -->',
+  '',
+].join('\n');
+
+const edit = (text, from, to) => {
+  assert.ok(text.includes(from), `missing: ${from}`);
+  return text.replace(from, to);
+};
+
+const GAMMA = '- [ ] Gamma <!-- long-term-plan:id=t_c -->';
+const appendToInbox = (text, ...lines) => edit(text, GAMMA, [GAMMA, ...lines].join('\n'));
+
+function tasks(text) {
+  const parsed = parsePlanMarkdown(text);
+  assert.equal(parsed.ok, true, JSON.stringify(parsed.errors));
+  return [...parsed.plan.tasksById.values()]
+    .sort((a, b) => a.line - b.line)
+    .map((task) => `${task.id}:${task.status}:${task.title}`);
+}
+
+test('tasks appended to the same section on both sides merge cleanly', () => {
+  const ours = appendToInbox(BASE, '- [ ] Ours new <!-- long-term-plan:id=t_o -->');
+  const theirs = appendToInbox(BASE, '- [ ] Theirs new <!-- long-term-plan:id=t_t -->', '  > Details.');
+
+  const result = mergePlanMarkdown(BASE, ours, theirs);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.conflicts, []);
+  assert.deepEqual(tasks(result.text), [
+    't_a:todo:Alpha',
+    't_b:todo:Beta',
+    't_bc:todo:Beta child',
+    't_c:todo:Gamma',
+    't_o:todo:Ours new',
+    't_t:todo:Theirs new',
+    't_d:todo:Delta',
+  ]);
+  assert.match(result.text, /Theirs new <!-- long-term-plan:id=t_t -->\n {2}> Details\.\n\n## Later/);
+});
+
+test('independent status, title, body, and metadata edits merge field by field', () => {
+  let ours = edit(BASE, '- [ ] Alpha', '- [*] Alpha');
+  ours = edit(ours, 'id=t_c -->', 'id=t_c prio=P1 -->');
+  let theirs = edit(BASE, '- [ ] Alpha <!--', '- [ ] Alpha renamed <!--');
+  theirs = edit(theirs, '- [ ] Beta child', '- [√] Beta child');
+  theirs = edit(theirs, 'id=t_c -->', 'id=t_c -->\n  > Note');
+  // Inserted between Alpha and Beta on theirs' side.
+  theirs = edit(theirs, '- [ ] Beta <!--', '- [ ] Inserted <!-- long-term-plan:id=t_i -->\n- [ ] Beta <!--');
+
+  const result = mergePlanMarkdown(BASE, ours, theirs);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.conflicts, []);
+  assert.deepEqual(tasks(result.text), [
+    't_a:doing:Alpha renamed',
+    't_i:todo:Inserted',
+    't_b:todo:Beta',
+    't_bc:done:Beta child',
+    't_c:todo:Gamma',
+    't_d:todo:Delta',
+  ]);
+  assert.match(result.text, /Gamma <!-- long-term-plan:id=t_c prio=P1 -->\n {2}> Note\n/);
+});
+
+test('only the task changed differently on both sides gets conflict markers', () => {
+  let ours = edit(BASE, '- [ ] Alpha', '- [√] Alpha');
+  ours = edit(ours, '- [ ] Delta', '- [*] Delta');
+  let theirs = edit(BASE, '- [ ] Alpha <!--', '- [*] Alpha v2 <!--');
+  theirs = edit(theirs, '- [ ] Gamma', '- [√] Gamma');
+
+  const result = mergePlanMarkdown(BASE, ours, theirs, { markerSize: 9 });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.conflicts, [{ kind: 'task', taskId: 't_a', fields: ['status'] }]);
+  assert.ok(
+    result.text.includes(
+      [
+        '<<<<<<<<< ours',
+        '- [√] Alpha v2 <!-- long-term-plan:id=t_a -->',
+        '=========',
+        '- [*] Alpha v2 <!-- long-term-plan:id=t_a -->',
+        '>>>>>>>>> theirs',
+        '- [ ] Beta <!-- long-term-plan:id=t_b -->',
+      ].join('\n')
+    )
+  );
+  assert.match(result.text, /- \[√\] Gamma/);
+  assert.match(result.text, /- \[\*\] Delta/);
+  assert.equal((result.text.match(/^<{9} ours$/gm) ?? []).length, 1);
+});
+
+test('deletes win over untouched subtrees and conflict with edits', () => {
+  const clean = mergePlanMarkdown(
+    BASE,
+    edit(BASE, '- [ ] Alpha', '- [*] Alpha'),
+    edit(BASE, '- [ ] Beta <!-- long-term-plan:id=t_b -->\n  - [ ] Beta child <!-- long-term-plan:id=t_bc -->\n', '')
+  );
+  assert.equal(clean.ok, true);
+  assert.deepEqual(clean.conflicts, []);
+  assert.deepEqual(tasks(clean.text), ['t_a:doing:Alpha', 't_c:todo:Gamma', 't_d:todo:Delta']);
+
+  // Theirs deletes Beta while ours finishes its child.
+  const modified = mergePlanMarkdown(
+    BASE,
+    edit(BASE, '- [ ] Beta child', '- [√] Beta child'),
+    edit(BASE, '- [ ] Beta <!-- long-term-plan:id=t_b -->\n  - [ ] Beta child <!-- long-term-plan:id=t_bc -->\n', '')
+  );
+  assert.equal(modified.ok, true);
+  assert.deepEqual(modified.conflicts, [{ kind: 'deleted', taskId: 't_b', deletedBy: 'theirs' }]);
+  assert.match(
+    modified.text,
+    /<{7} ours\n- \[ \] Beta <!-- long-term-plan:id=t_b -->\n {2}- \[√\] Beta child <!-- long-term-plan:id=t_bc -->\n={7}\n>{7} theirs\n/
+  );
+
+  // Ours deletes Delta while theirs renames it: theirs' version comes back inside markers.
+  const restored = mergePlanMarkdown(
+    BASE,
+    edit(BASE, '- [ ] Delta <!-- long-term-plan:id=t_d -->\n', ''),
+    edit(BASE, '- [ ] Delta <!--', '- [ ] Delta v2 <!--')
+  );
+  assert.equal(restored.ok, true);
+  assert.deepEqual(restored.conflicts, [{ kind: 'deleted', taskId: 't_d', deletedBy: 'ours' }]);
+  assert.match(restored.text, /<{7} ours\n={7}\n- \[ \] Delta v2 <!-- long-term-plan:id=t_d -->\n>{7} theirs\n/);
+});
+
+test('structural edits on theirs side are reported instead of merged', () => {
+  const ours = edit(BASE, '- [ ] Alpha', '- [*] Alpha');
+  const renamedSection = mergePlanMarkdown(BASE, ours, edit(BASE, '## Later', '## Someday'));
+  assert.deepEqual(renamedSection, { ok: false, reason: 'theirs changed headings or text outside tasks' });
+
+  const moved = edit(
+    edit(BASE, '- [ ] Delta <!-- long-term-plan:id=t_d -->\n', ''),
+    '- [ ] Alpha <!--',
+    '- [ ] Delta <!-- long-term-plan:id=t_d -->\n- [ ] Alpha <!--'
+  );
+  assert.deepEqual(mergePlanMarkdown(BASE, ours, moved), { ok: false, reason: 'theirs moved or reordered tasks' });
+
+  assert.deepEqual(mergePlanMarkdown(BASE, ours, 'not a plan\n'), {
+    ok: false,
+    reason: 'theirs is not a valid plan document',
+  });
+});
+
+test('CLI merge-driver writes into <ours> and falls back to a line-based merge', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'long-term-plan-merge-'));
+  try {
+    const paths = ['base', 'ours', 'theirs'].map((name) => join(dir, name));
+    const run = async (ours, theirs, extra = []) => {
+      await writeFile(paths[0], BASE);
+      await writeFile(paths[1], ours);
+      await writeFile(paths[2], theirs);
+      const captured = createCapturedIo();
+      const code = await runLongTermPlanCli(['merge-driver', ...paths, ...extra], captured.io);
+      return { code, text: await readFile(paths[1], 'utf8'), stderr: captured.getStderr() };
+    };
+
+    const clean = await run(edit(BASE, '- [ ] Alpha', '- [*] Alpha'), edit(BASE, '- [ ] Gamma', '- [√] Gamma'));
+    assert.equal(clean.code, 0);
+    assert.deepEqual(tasks(clean.text).slice(0, 4), [
+      't_a:doing:Alpha',
+      't_b:todo:Beta',
+      't_bc:todo:Beta child',
+      't_c:done:Gamma',
+    ]);
+    assert.equal(clean.stderr, '');
+
+    // A heading rename is not modelled; git merge-file still merges the disjoint hunks.
+    const fallback = await run(edit(BASE, '- [ ] Alpha', '- [*] Alpha'), edit(BASE, '## Later', '## Someday'));
+    assert.equal(fallback.code, 0);
+    assert.match(fallback.stderr, /theirs changed headings or text outside tasks; used a line-based merge instead/);
+    assert.match(fallback.text, /- \[\*\] Alpha[\s\S]*## Someday/);
+
+    const invalid = await run(BASE, BASE, ['--marker-size', '0']);
+    assert.equal(invalid.code, 1);
+    assert.match(invalid.stderr, /Invalid --marker-size: "0"/);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+function git(cwd, args) {
+  return execFileSync('git', ['-c', 'commit.gpgsign=false', ...args], {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Ada',
+      GIT_AUTHOR_EMAIL: 'ada@example.com',
+      GIT_COMMITTER_NAME: 'Ada',
+      GIT_COMMITTER_EMAIL: 'ada@example.com',
+    },
+  });
+}
+
+test('git merge uses the driver from .gitattributes', async () => {
+  const rootDir = await mkdtemp(join(tmpdir(), 'long-term-plan-merge-'));
+  const planPath = join(rootDir, '.long-term-plan', 'p.md');
+  const cli = resolve('dist/long-term-plan.js');
+  try {
+    git(rootDir, ['init', '-q', '-b', 'main']);
+    const driver = `"${process.execPath}" "${cli}" merge-driver %O %A %B --marker-size %L`;
+    git(rootDir, ['config', 'merge.long-term-plan.driver', driver]);
+    await writeFile(join(rootDir, '.gitattributes'), '.long-term-plan/*.md merge=long-term-plan\n');
+    await mkdir(join(rootDir, '.long-term-plan'));
+    await writeFile(planPath, BASE);
+    git(rootDir, ['add', '-A']);
+    git(rootDir, ['commit', '-q', '-m', 'base']);
+
+    git(rootDir, ['checkout', '-q', '-b', 'feature']);
+    const feature = appendToInbox(BASE, '- [ ] Feature task <!-- long-term-plan:id=t_f -->');
+    await writeFile(planPath, edit(feature, '- [ ] Alpha', '- [√] Alpha'));
+    git(rootDir, ['commit', '-q', '-am', 'feature']);
+
+    git(rootDir, ['checkout', '-q', 'main']);
+    const main = appendToInbox(BASE, '- [ ] Main task <!-- long-term-plan:id=t_m -->');
+    await writeFile(planPath, edit(main, '- [ ] Beta <!--', '- [*] Beta <!--'));
+    git(rootDir, ['commit', '-q', '-am', 'main']);
+
+    git(rootDir, ['merge', '-q', '--no-edit', 'feature']);
+    assert.deepEqual(tasks(await readFile(planPath, 'utf8')), [
+      't_a:done:Alpha',
+      't_b:doing:Beta',
+      't_bc:todo:Beta child',
+      't_c:todo:Gamma',
+      't_m:todo:Main task',
+      't_f:todo:Feature task',
+      't_d:todo:Delta',
+    ]);
+  } finally {
+    await rm(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,117 @@
+/**
+ * `applyMoveTask` / `task.move` tests.
+ *
+ * Moves must keep task ids stable and carry the full task block (body +
+ * subtree) to the destination, re-indenting it to fit the new nesting level.
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { applyMoveTask } from '../dist/todo/edit.js';
+import { createMcpServer } from '../dist/server.js';
+
+const BASE = [
+  '<!-- long-term-plan:format=v1 -->',
+  '',
+  '# Title',
+  '',
+  '## Inbox',
+  '',
+  '- [ ] Epic <!-- long-term-plan:id=t_epic -->',
+  '  > epic body',
+  '  - [*] Child <!-- long-term-plan:id=t_child -->',
+  '    > child body',
+  '    - [ ] Grandchild <!-- long-term-plan:id=t_grand -->',
+  '- [ ] Other <!-- long-term-plan:id=t_other -->',
+  '',
+  '## Later',
+  '',
+  '- [ ] Parked <!-- long-term-plan:id=t_parked -->',
+  '',
+].join('\n');
+
+test('applyMoveTask moves a subtree under a new parent and re-indents it', () => {
+  const { newText, changed } = applyMoveTask(BASE, { taskId: 't_child', parentTaskId: 't_parked' });
+  assert.equal(changed, true);
+  assert.equal(
+    newText,
+    [
+      '<!-- long-term-plan:format=v1 -->',
+      '',
+      '# Title',
+      '',
+      '## Inbox',
+      '',
+      '- [ ] Epic <!-- long-term-plan:id=t_epic -->',
+      '  > epic body',
+      '- [ ] Other <!-- long-term-plan:id=t_other -->',
+      '',
+      '## Later',
+      '',
+      '- [ ] Parked <!-- long-term-plan:id=t_parked -->',
+      '  - [*] Child <!-- long-term-plan:id=t_child -->',
+      '    > child body',
+      '    - [ ] Grandchild <!-- long-term-plan:id=t_grand -->',
+      '',
+    ].join('\n')
+  );
+});
+
+test('applyMoveTask outdents a nested task when moved before a root task', () => {
+  const { newText } = applyMoveTask(BASE, { taskId: 't_grand', beforeTaskId: 't_other' });
+  const lines = newText.split('\n');
+  const moved = lines.indexOf('- [ ] Grandchild <!-- long-term-plan:id=t_grand -->');
+  assert.ok(moved > 0);
+  assert.equal(lines[moved + 1], '- [ ] Other <!-- long-term-plan:id=t_other -->');
+});
+
+test('applyMoveTask appends to a section, creating it when missing', () => {
+  const { newText } = applyMoveTask(BASE, { taskId: 't_other', sectionPath: ['Done', 'Archive'] });
+  assert.ok(newText.endsWith(['## Done', '### Archive', '', '- [ ] Other <!-- long-term-plan:id=t_other -->', ''].join('\n')));
+  assert.equal(newText.match(/t_other/g)?.length, 1);
+});
+
+test('applyMoveTask refuses to move a task into its own subtree', () => {
+  assert.throws(
+    () => applyMoveTask(BASE, { taskId: 't_epic', parentTaskId: 't_grand' }),
+    /Cannot move task into its own subtree: t_grand/
+  );
+  assert.throws(
+    () => applyMoveTask(BASE, { taskId: 't_epic', beforeTaskId: 't_epic' }),
+    /Cannot move task into its own subtree: t_epic/
+  );
+});
+
+test('applyMoveTask reports unchanged when the task is already in place', () => {
+  const noop = applyMoveTask(BASE, { taskId: 't_epic', beforeTaskId: 't_other' });
+  assert.equal(noop.changed, false);
+  assert.equal(noop.newText, BASE);
+});
+
+test('task.move keeps ids stable and honors ifMatch', async () => {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  try {
+    const plansDir = join(rootDir, '.long-term-plan');
+    await mkdir(plansDir, { recursive: true });
+    await writeFile(join(plansDir, 'demo.md'), BASE, 'utf8');
+
+    const server = createMcpServer({ rootDir, plansDir: '.long-term-plan' });
+    const tool = server._registeredTools['task.move'];
+    assert.ok(tool);
+
+    await assert.rejects(
+      () => tool.handler({ planId: 'demo', taskId: 't_other', parentTaskId: 't_epic', ifMatch: 'stale' }),
+      /CONFLICT: etag mismatch/
+    );
+
+    const result = await tool.handler({ planId: 'demo', taskId: 't_other', parentTaskId: 't_epic' });
+    assert.equal(result.structuredContent.taskId, 't_other');
+
+    const text = await readFile(join(plansDir, 'demo.md'), 'utf8');
+    assert.ok(text.includes('  - [ ] Other <!-- long-term-plan:id=t_other -->'));
+  } finally {
+    await rm(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,155 @@
+/**
+ * Cursor pagination for `plan.list` and `plan.get` (API, MCP, and CLI).
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { createPlan, getPlan, listPlansPage, planArchive, taskUpdate } from '../dist/todo/api.js';
+import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { createMcpServer } from '../dist/server.js';
+import { createCapturedIo } from './helpers/captured-io.js';
+
+const PLAN = [
+  '<!-- long-term-plan:format=v1 -->',
+  '',
+  '# P',
+  '',
+  '- [ ] A <!-- long-term-plan:id=t_a -->',
+  '  - [ ] A1 <!-- long-term-plan:id=t_a1 -->',
+  '- [ ] B <!-- long-term-plan:id=t_b -->',
+  '- [√] C <!-- long-term-plan:id=t_c -->',
+  '  - [ ] C1 <!-- long-term-plan:id=t_c1 -->',
+  '',
+].join('\n');
+
+async function setup() {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  await writeFile(join(plansDir, 'p.md'), PLAN, 'utf8');
+  return {
+    config: { rootDir, plansDir: '.long-term-plan' },
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+test('plan.get pages root subtrees (tree) and rows (flat)', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    const whole = await getPlan(config, { planId: 'p' });
+    assert.equal(whole.nextCursor, undefined);
+
+    const first = await getPlan(config, { planId: 'p', limit: 2 });
+    assert.deepEqual(first.plan.tasks.map((task) => [task.id, task.children.map((child) => child.id)]), [
+      ['t_a', ['t_a1']],
+      ['t_b', []],
+    ]);
+    assert.equal(first.plan.stats.total, 5);
+    // The cursor keeps the page size; the last page has no cursor.
+    const second = await getPlan(config, { planId: 'p', cursor: first.nextCursor });
+    assert.deepEqual(second.plan.tasks.map((task) => task.id), ['t_c']);
+    assert.equal(second.nextCursor, undefined);
+
+    const rows = [];
+    let cursor;
+    do {
+      const page = await getPlan(config, { planId: 'p', view: 'flat', limit: 2, cursor });
+      rows.push(page.plan.tasks.map((task) => task.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+    assert.deepEqual(rows, [['t_a', 't_a1'], ['t_b', 't_c'], ['t_c1']]);
+
+    const filtered = await getPlan(config, { planId: 'p', view: 'flat', filter: 'status:todo', limit: 3 });
+    assert.deepEqual(filtered.plan.tasks.map((task) => task.id), ['t_a', 't_a1', 't_b']);
+    assert.deepEqual(filtered.plan.matchedTaskIds, ['t_a', 't_a1', 't_b']);
+    const rest = await getPlan(config, { planId: 'p', view: 'flat', filter: 'status:todo', cursor: filtered.nextCursor });
+    assert.deepEqual(rest.plan.tasks.map((task) => task.id), ['t_c1']);
+    assert.deepEqual(rest.plan.matchedTaskIds, ['t_c1']);
+
+    // In the tree view, matches nested under a paged root subtree count as on the page.
+    const treeFirst = await getPlan(config, { planId: 'p', filter: 'status:todo', limit: 2 });
+    assert.deepEqual(treeFirst.plan.matchedTaskIds, ['t_a', 't_a1', 't_b']);
+    const treeRest = await getPlan(config, { planId: 'p', filter: 'status:todo', cursor: treeFirst.nextCursor });
+    assert.deepEqual(treeRest.plan.tasks.map((task) => task.id), ['t_c']);
+    assert.deepEqual(treeRest.plan.matchedTaskIds, ['t_c1']);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('plan.get cursors are bound to the etag and the call that issued them', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    const { nextCursor, etag } = await getPlan(config, { planId: 'p', limit: 1 });
+    await assert.rejects(
+      () => getPlan(config, { planId: 'p', view: 'flat', cursor: nextCursor }),
+      /^Error: Invalid cursor: it was issued for a different plan.get call$/
+    );
+    await assert.rejects(() => getPlan(config, { planId: 'p', cursor: 'garbage' }), /^Error: Invalid cursor$/);
+    await assert.rejects(() => getPlan(config, { planId: 'p', limit: 0 }), /^Error: Invalid limit: 0$/);
+
+    await taskUpdate(config, { planId: 'p', taskId: 't_b', status: 'done', ifMatch: etag });
+    await assert.rejects(
+      () => getPlan(config, { planId: 'p', cursor: nextCursor }),
+      /^Error: STALE_CURSOR: plan "p" changed since the cursor was issued; restart without cursor$/
+    );
+  } finally {
+    await cleanup();
+  }
+});
+
+test('plan.list pages plans and only goes stale when the set of plans changes', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    await createPlan(config, { planId: 'q', title: 'Q' });
+    await createPlan(config, { planId: 'r', title: 'R' });
+
+    const first = await listPlansPage(config, { limit: 2 });
+    assert.deepEqual(first.plans.map((plan) => plan.planId), ['p', 'q']);
+    await taskUpdate(config, { planId: 'p', taskId: 't_a', status: 'doing' });
+    const second = await listPlansPage(config, { cursor: first.nextCursor });
+    assert.deepEqual(second, { plans: [(await listPlansPage(config, {})).plans[2]] });
+
+    await assert.rejects(
+      () => listPlansPage(config, { query: 'q', cursor: first.nextCursor }),
+      /Invalid cursor: it was issued for a different plan.list call/
+    );
+    await planArchive(config, { planId: 'r' });
+    await assert.rejects(() => listPlansPage(config, { cursor: first.nextCursor }), /^Error: STALE_CURSOR: the plan list changed/);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('MCP and CLI accept limit / cursor and return nextCursor', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    const server = createMcpServer(config);
+    const get = server._registeredTools['plan.get'];
+    const page = await get.handler({ planId: 'p', view: 'flat', limit: 4 });
+    assert.deepEqual(page.structuredContent.plan.tasks.map((task) => task.id), ['t_a', 't_a1', 't_b', 't_c']);
+    assert.equal(typeof page.structuredContent.nextCursor, 'string');
+    const last = await get.handler({ planId: 'p', view: 'flat', cursor: page.structuredContent.nextCursor });
+    assert.deepEqual(JSON.parse(last.content[0].text).plan.tasks.map((task) => task.id), ['t_c1']);
+
+    await createPlan(config, { planId: 'q', title: 'Q' });
+    const list = await server._registeredTools['plan.list'].handler({ limit: 1 });
+    assert.deepEqual(list.structuredContent.plans.map((plan) => plan.planId), ['p']);
+
+    const run = async (...args) => {
+      const captured = createCapturedIo();
+      assert.equal(await runLongTermPlanCli(['--root', config.rootDir, ...args], captured.io), 0);
+      return JSON.parse(captured.getStdout());
+    };
+    const cliList = await run('plan', 'list', '--limit', '1', '--cursor', list.structuredContent.nextCursor);
+    assert.deepEqual(cliList.plans.map((plan) => plan.planId), ['q']);
+    assert.equal(cliList.nextCursor, undefined);
+    const cliGet = await run('plan', 'get', 'p', '--limit', '2');
+    assert.deepEqual(cliGet.plan.tasks.map((task) => task.id), ['t_a', 't_b']);
+    assert.equal(typeof cliGet.nextCursor, 'string');
+  } finally {
+    await cleanup();
+  }
+});
@@ -0,0 +1,141 @@
+/**
+ * `plan.batch` tests: several task edits applied with one read and one write.
+ *
+ * Scope:
+ * - `$alias` references to tasks added earlier in the same batch
+ * - all-or-nothing behavior (a failing op leaves the file untouched)
+ * - etag guard and tool-level metadata folding
+ */
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { createPlan, getPlan, planBatch, taskAdd } from '../dist/todo/api.js';
+import { createMcpServer } from '../dist/server.js';
+
+async function setup() {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const config = { rootDir, plansDir: '.long-term-plan' };
+  await createPlan(config, { planId: 'p', title: 'P', template: 'empty' });
+  const { taskId, etag } = await taskAdd(config, { planId: 'p', title: 'Existing' });
+  return {
+    config,
+    existingId: taskId,
+    etag,
+    read: () => readFile(join(rootDir, '.long-term-plan', 'p.md'), 'utf8'),
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+test('planBatch applies ops in order and resolves $aliases', async () => {
+  const { config, existingId, etag, cleanup } = await setup();
+  try {
+    const result = await planBatch(config, {
+      planId: 'p',
+      ifMatch: etag,
+      ops: [
+        { op: 'add', alias: 'epic', title: 'Epic' },
+        { op: 'add', alias: 'one', title: 'One', parentTaskId: '$epic' },
+        { op: 'add', title: 'Two', parentTaskId: '$epic', meta: { dependsOn: ['$one'] } },
+        { op: 'update', taskId: '$one', status: 'doing', bodyMarkdown: 'Start here.' },
+        { op: 'move', taskId: existingId, parentTaskId: '$epic' },
+        { op: 'update', taskId: existingId, status: 'done' },
+      ],
+    });
+
+    assert.deepEqual(Object.keys(result.aliases), ['epic', 'one']);
+    assert.deepEqual(
+      result.results.map((r) => r.op),
+      ['add', 'add', 'add', 'update', 'move', 'update']
+    );
+    assert.equal(result.results[3].taskId, result.aliases.one);
+
+    const { plan, etag: currentEtag } = await getPlan(config, { planId: 'p', view: 'tree' });
+    assert.equal(currentEtag, result.etag);
+    const [epic] = plan.tasks;
+    assert.equal(epic.id, result.aliases.epic);
+    assert.deepEqual(
+      epic.children.map((t) => [t.title, t.status]),
+      [
+        ['One', 'doing'],
+        ['Two', 'todo'],
+        ['Existing', 'done'],
+      ]
+    );
+    assert.deepEqual(epic.children[1].dependsOn, [result.aliases.one]);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('planBatch is all-or-nothing and reports the failing op', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const before = await read();
+    await assert.rejects(
+      () =>
+        planBatch(config, {
+          planId: 'p',
+          ops: [
+            { op: 'add', alias: 'a', title: 'A' },
+            { op: 'delete', taskId: '$missing' },
+          ],
+        }),
+      /^Error: ops\[1\] \(delete\) failed: Unknown alias: \$missing$/
+    );
+    await assert.rejects(
+      () => planBatch(config, { planId: 'p', ops: [{ op: 'update', taskId: 't_nope', title: 'x' }] }),
+      /ops\[0\] \(update\) failed: Task not found: t_nope/
+    );
+    await assert.rejects(
+      () =>
+        planBatch(config, {
+          planId: 'p',
+          ops: [
+            { op: 'add', alias: 'a', title: 'A' },
+            { op: 'add', alias: 'a', title: 'B' },
+          ],
+        }),
+      /Duplicate alias: a/
+    );
+    await assert.rejects(
+      () => planBatch(config, { planId: 'p', ifMatch: 'stale', ops: [{ op: 'add', title: 'A' }] }),
+      /^Error: CONFLICT: etag mismatch/
+    );
+    assert.equal(await read(), before);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('plan.batch tool folds flat metadata fields and validates refs', async () => {
+  const { config, etag, cleanup } = await setup();
+  try {
+    const server = createMcpServer(config);
+    const tool = server._registeredTools['plan.batch'];
+    assert.equal(tool.inputSchema.safeParse({ planId: 'p', ops: [] }).success, false);
+    assert.equal(
+      tool.inputSchema.safeParse({ planId: 'p', ops: [{ op: 'delete', taskId: '$bad alias' }] }).success,
+      false
+    );
+    assert.equal(tool.inputSchema.safeParse({ planId: 'p', ops: [{ op: 'rename', taskId: 't_a' }] }).success, false);
+
+    const result = await tool.handler({
+      planId: 'p',
+      ifMatch: etag,
+      ops: [
+        { op: 'add', alias: 'x', title: 'Tagged', tags: ['infra'], priority: 'P1' },
+        { op: 'update', taskId: '$x', priority: null, owner: 'kim' },
+      ],
+    });
+    const taskId = result.structuredContent.aliases.x;
+    const { plan } = await getPlan(config, { planId: 'p', view: 'flat' });
+    const row = plan.tasks.find((t) => t.id === taskId);
+    assert.deepEqual(row.tags, ['infra']);
+    assert.equal(row.priority, undefined);
+    assert.equal(row.owner, 'kim');
+  } finally {
+    await cleanup();
+  }
+});
@@ -0,0 +1,129 @@
+/**
+ * Plan lifecycle tests: `plan.delete`, `plan.rename`, `plan.archive`.
+ *
+ * All three move or remove whole files, so the focus is on the guards:
+ * etag checks, never overwriting an existing plan, and archive visibility.
+ */
+import assert from 'node:assert/strict';
+import { access, mkdtemp, readFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { createPlan, getPlan, listPlans, planArchive, planDelete, planRename } from '../dist/todo/api.js';
+import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { createMcpServer } from '../dist/server.js';
+import { createCapturedIo } from './helpers/captured-io.js';
+
+async function setup() {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const config = { rootDir, plansDir: '.long-term-plan' };
+  await createPlan(config, { planId: 'alpha', title: 'Alpha' });
+  await createPlan(config, { planId: 'beta', title: 'Beta' });
+  return {
+    config,
+    plansDir: join(rootDir, '.long-term-plan'),
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+const exists = (path) =>
+  access(path).then(
+    () => true,
+    () => false
+  );
+
+test('planDelete requires a matching etag', async () => {
+  const { config, plansDir, cleanup } = await setup();
+  try {
+    await assert.rejects(() => planDelete(config, { planId: 'alpha', ifMatch: 'stale' }), /^Error: CONFLICT/);
+    const { etag } = await getPlan(config, { planId: 'alpha' });
+    assert.deepEqual(await planDelete(config, { planId: 'alpha', ifMatch: etag }), { planId: 'alpha' });
+    assert.equal(await exists(join(plansDir, 'alpha.md')), false);
+    assert.deepEqual((await listPlans(config, {})).map((p) => p.planId), ['beta']);
+
+    const tool = createMcpServer(config)._registeredTools['plan.delete'];
+    assert.equal(tool.inputSchema.safeParse({ planId: 'beta' }).success, false);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('planRename moves the file and refuses to overwrite', async () => {
+  const { config, plansDir, cleanup } = await setup();
+  try {
+    const before = await readFile(join(plansDir, 'alpha.md'), 'utf8');
+    await assert.rejects(() => planRename(config, { planId: 'alpha', newPlanId: 'beta' }), /Plan already exists: beta/);
+    await assert.rejects(() => planRename(config, { planId: 'alpha', newPlanId: '../x' }), /Invalid planId/);
+    await assert.rejects(() => planRename(config, { planId: 'alpha', newPlanId: 'alpha' }), /must differ/);
+    assert.equal(await readFile(join(plansDir, 'alpha.md'), 'utf8'), before);
+
+    const renamed = await planRename(config, { planId: 'alpha', newPlanId: 'gamma' });
+    assert.equal(renamed.planId, 'gamma');
+    assert.equal(renamed.path, join('.long-term-plan', 'gamma.md'));
+    assert.equal(await readFile(join(plansDir, 'gamma.md'), 'utf8'), before);
+    assert.equal(await exists(join(plansDir, 'alpha.md')), false);
+    assert.equal((await getPlan(config, { planId: 'gamma' })).etag, renamed.etag);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('planArchive hides plans from plan.list until restored', async () => {
+  const { config, plansDir, cleanup } = await setup();
+  try {
+    const archived = await planArchive(config, { planId: 'alpha' });
+    assert.equal(archived.archived, true);
+    assert.equal(archived.path, join('.long-term-plan', 'archive', 'alpha.md'));
+    assert.equal(await exists(join(plansDir, 'archive', 'alpha.md')), true);
+    assert.deepEqual((await listPlans(config, {})).map((p) => p.planId), ['beta']);
+    assert.deepEqual(
+      (await listPlans(config, { includeArchived: true })).map((p) => [p.planId, p.archived ?? false]),
+      [
+        ['alpha', true],
+        ['beta', false],
+      ]
+    );
+    await assert.rejects(() => getPlan(config, { planId: 'alpha' }), /ENOENT/);
+
+    // A new plan may reuse the id; archiving it again must not clobber the archived copy.
+    await createPlan(config, { planId: 'alpha', title: 'Alpha 2' });
+    await assert.rejects(() => planArchive(config, { planId: 'alpha' }), /Archived plan already exists: alpha/);
+    await assert.rejects(() => planArchive(config, { planId: 'alpha', restore: true }), /Plan already exists: alpha/);
+
+    const { etag } = await getPlan(config, { planId: 'alpha' });
+    await planDelete(config, { planId: 'alpha', ifMatch: etag });
+    const restored = await planArchive(config, { planId: 'alpha', restore: true });
+    assert.equal(restored.archived, false);
+    assert.equal((await getPlan(config, { planId: 'alpha' })).plan.title, 'Alpha');
+  } finally {
+    await cleanup();
+  }
+});
+
+test('CLI exposes plan delete, rename, and archive', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    const run = async (args) => {
+      const captured = createCapturedIo();
+      const code = await runLongTermPlanCli(['--root', config.rootDir, ...args], captured.io);
+      return { code, json: code === 0 ? JSON.parse(captured.getStdout()) : undefined, stderr: captured.getStderr() };
+    };
+
+    assert.equal((await run(['plan', 'rename', 'alpha', 'gamma'])).json.planId, 'gamma');
+    assert.equal((await run(['plan', 'archive', 'gamma'])).json.archived, true);
+    const listed = await run(['plan', 'list', '--archived']);
+    assert.deepEqual(listed.json.plans.map((p) => [p.planId, p.archived ?? false]), [
+      ['beta', false],
+      ['gamma', true],
+    ]);
+
+    const unguarded = await run(['plan', 'delete', 'beta']);
+    assert.notEqual(unguarded.code, 0);
+    assert.match(unguarded.stderr, /Missing --if-match/);
+    const { etag } = await getPlan(config, { planId: 'beta' });
+    assert.equal((await run(['plan', 'delete', 'beta', '--if-match', etag])).code, 0);
+    assert.deepEqual((await run(['plan', 'list'])).json.plans, []);
+  } finally {
+    await cleanup();
+  }
+});
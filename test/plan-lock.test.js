@@ -0,0 +1,158 @@
+/**
+ * Cross-process plan lockfiles (`<plan>.md.lock`) around mutating APIs.
+ *
+ * Other processes are simulated by writing their lockfile directly.
+ */
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { access, mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { hostname } from 'node:os';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { createPlan, getPlan, planArchive, taskAdd, taskTransfer, taskUpdate } from '../dist/todo/api.js';
+import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { createCapturedIo } from './helpers/captured-io.js';
+
+const PLAN = [
+  '<!-- long-term-plan:format=v1 -->',
+  '',
+  '# P',
+  '',
+  '- [ ] A <!-- long-term-plan:id=t_a -->',
+  '',
+].join('\n');
+
+async function setup() {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  const path = join(plansDir, 'p.md');
+  await writeFile(path, PLAN, 'utf8');
+  await writeFile(join(plansDir, 'q.md'), PLAN.replace('# P', '# Q').replace(/- \[ \] A .*\n/, ''), 'utf8');
+  return {
+    config: { rootDir, plansDir: '.long-term-plan' },
+    path,
+    lockPath: `${path}.lock`,
+    read: () => readFile(path, 'utf8'),
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+function lockFile({ pid = process.pid, acquiredAt = new Date().toISOString() } = {}) {
+  return `${JSON.stringify({ pid, host: hostname(), acquiredAt, token: 'other' })}\n`;
+}
+
+async function exists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+test('concurrent writes are serialized and release their lock', async () => {
+  const { config, lockPath, read, cleanup } = await setup();
+  try {
+    const titles = Array.from({ length: 8 }, (_, index) => `Task ${index}`);
+    await Promise.all(titles.map((title) => taskAdd(config, { planId: 'p', title })));
+    const text = await read();
+    for (const title of titles) assert.match(text, new RegExp(`- \\[ \\] ${title} `));
+    assert.equal(await exists(lockPath), false);
+
+    const [from, to] = await Promise.all(['p', 'q'].map((planId) => getPlan(config, { planId, view: 'flat' })));
+    await taskTransfer(config, {
+      fromPlanId: 'p',
+      toPlanId: 'q',
+      taskId: 't_a',
+      mode: 'move',
+      fromIfMatch: from.etag,
+      toIfMatch: to.etag,
+    });
+    assert.equal(await exists(lockPath), false);
+    assert.equal(await exists(join(config.rootDir, '.long-term-plan', 'q.md.lock')), false);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('a live lock makes writes wait, then fail with LOCKED', async () => {
+  const { config, lockPath, read, cleanup } = await setup();
+  try {
+    await writeFile(lockPath, lockFile(), 'utf8');
+    const started = Date.now();
+    await assert.rejects(
+      () => taskUpdate({ ...config, lockTimeoutMs: 200 }, { planId: 'p', taskId: 't_a', status: 'done' }),
+      /^Error: LOCKED: \.long-term-plan\/p\.md is locked by pid \d+ since \S+ \(waited 200ms\)$/
+    );
+    assert.ok(Date.now() - started >= 200);
+    assert.equal(await read(), PLAN);
+    assert.match(await readFile(lockPath, 'utf8'), /"token":"other"/);
+
+    setTimeout(() => rm(lockPath, { force: true }), 50);
+    await taskUpdate(config, { planId: 'p', taskId: 't_a', status: 'done' });
+    assert.match(await read(), /- \[√\] A /);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('stale locks (dead pid or too old) are broken', async () => {
+  const { config, lockPath, read, cleanup } = await setup();
+  try {
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    await writeFile(lockPath, lockFile({ pid: deadPid }), 'utf8');
+    await taskUpdate(config, { planId: 'p', taskId: 't_a', status: 'doing' });
+    assert.equal(await exists(lockPath), false);
+
+    await writeFile(lockPath, lockFile({ acquiredAt: new Date(Date.now() - 60_000).toISOString() }), 'utf8');
+    await taskUpdate(config, { planId: 'p', taskId: 't_a', status: 'done' });
+    assert.equal(await exists(lockPath), false);
+    assert.match(await read(), /- \[√\] A /);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('locking never creates directories for plans that do not exist', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    const missing = { ...config, plansDir: 'nowhere' };
+    await assert.rejects(
+      () => taskAdd(missing, { planId: 'p', title: 'X' }),
+      /^Error: ENOENT: no such file or directory, open '.*p\.md'$/
+    );
+    assert.equal(await exists(join(config.rootDir, 'nowhere')), false);
+
+    const archiveDir = join(config.rootDir, '.long-term-plan', 'archive');
+    await assert.rejects(() => planArchive(config, { planId: 'nope' }), { code: 'ENOENT' });
+    await assert.rejects(() => planArchive(config, { planId: 'p', restore: true }), { code: 'ENOENT' });
+    assert.equal(await exists(archiveDir), false);
+
+    // plan.create and the archive move itself still create what they need.
+    await createPlan(missing, { planId: 'n', title: 'N' });
+    await planArchive(missing, { planId: 'n' });
+    assert.equal(await exists(join(config.rootDir, 'nowhere', 'archive', 'n.md')), true);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('CLI --lock-timeout is validated and applied', async () => {
+  const { config, lockPath, cleanup } = await setup();
+  try {
+    const base = ['--root', config.rootDir, 'task', 'done', 'p', 't_a'];
+    const invalid = createCapturedIo();
+    assert.equal(await runLongTermPlanCli(['--lock-timeout', 'soon', ...base], invalid.io), 1);
+    assert.match(invalid.getStderr(), /Invalid --lock-timeout: "soon"/);
+
+    await writeFile(lockPath, lockFile(), 'utf8');
+    const locked = createCapturedIo();
+    assert.equal(await runLongTermPlanCli(['--lock-timeout', '0', ...base], locked.io), 1);
+    assert.match(locked.getStderr(), /LOCKED: .*p\.md is locked by pid/);
+    assert.equal(locked.getStdout().includes('"etag"'), false);
+  } finally {
+    await cleanup();
+  }
+});
@@ -0,0 +1,175 @@
+/**
+ * MCP prompts: `plan-next-task`, `break-down-task`, `weekly-review`.
+ */
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+import { promisify } from 'node:util';
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+import { taskUpdate } from '../dist/todo/api.js';
+import { createMcpServer } from '../dist/server.js';
+
+const execFileAsync = promisify(execFile);
+
+const PLAN = [
+  '<!-- long-term-plan:format=v1 -->',
+  '',
+  '# Roadmap',
+  '',
+  '## Now',
+  '',
+  '- [*] Epic <!-- long-term-plan:id=t_epic -->',
+  '  - [ ] Login <!-- long-term-plan:id=t_login -->',
+  '    > ### Goal',
+  '    > - Users can sign in.',
+  '    - [ ] Form <!-- long-term-plan:id=t_form -->',
+  '- [ ] Later <!-- long-term-plan:id=t_later -->',
+  '',
+].join('\n');
+
+async function connect() {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  await writeFile(join(plansDir, 'roadmap.md'), PLAN, 'utf8');
+
+  const config = { rootDir, plansDir: '.long-term-plan' };
+  const server = createMcpServer(config);
+  const client = new Client({ name: 'long-term-plan-test-client', version: '0.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+  await client.connect(clientTransport);
+  return {
+    config,
+    client,
+    rootDir,
+    text: async (name, args) => (await client.getPrompt({ name, arguments: args })).messages[0].content.text,
+    close: async () => {
+      await client.close();
+      await server.close();
+      await rm(rootDir, { recursive: true, force: true });
+    },
+  };
+}
+
+test('prompts are listed with completable planId / taskId arguments', async () => {
+  const { client, close } = await connect();
+  try {
+    const { prompts } = await client.listPrompts();
+    assert.deepEqual(
+      prompts.map((prompt) => [prompt.name, prompt.arguments.map((arg) => `${arg.name}${arg.required ? '' : '?'}`)]),
+      [
+        ['plan-next-task', ['planId', 'taskId?']],
+        ['break-down-task', ['planId', 'taskId']],
+        ['weekly-review', ['planId', 'since?']],
+      ]
+    );
+
+    const plans = await client.complete({
+      ref: { type: 'ref/prompt', name: 'weekly-review' },
+      argument: { name: 'planId', value: 'r' },
+    });
+    assert.deepEqual(plans.completion.values, ['roadmap']);
+    for (const name of ['plan-next-task', 'break-down-task']) {
+      const tasks = await client.complete({
+        ref: { type: 'ref/prompt', name },
+        argument: { name: 'taskId', value: 't_l' },
+        context: { arguments: { planId: 'roadmap' } },
+      });
+      assert.deepEqual(tasks.completion.values, ['t_login', 't_later'], name);
+    }
+  } finally {
+    await close();
+  }
+});
+
+test('plan-next-task frames the task with its body and parent chain', async () => {
+  const { text, close } = await connect();
+  try {
+    const fallback = await text('plan-next-task', { planId: 'roadmap' });
+    assert.match(fallback, /^Work on the next task of plan "roadmap" \(Roadmap\)\./);
+    assert.match(fallback, /Task: "Epic" \(t_epic, doing\)\nSection: Now\n/);
+    assert.match(fallback, /Parent chain \(outermost first\):\n- \(none\)\n/);
+    assert.match(fallback, /1\. It is already in progress/);
+
+    const prompt = await text('plan-next-task', { planId: 'roadmap', taskId: 't_form' });
+    assert.match(prompt, /Parent chain \(outermost first\):\n- "Epic" \(t_epic, doing\)\n- "Login" \(t_login, todo\)\n/);
+    assert.match(prompt, /Body: \(none\)/);
+    assert.match(prompt, /task\.update \{ planId: "roadmap", taskId: "t_form", status: "doing", ifMatch: "[0-9a-f]{64}" \}/);
+
+    const login = await text('plan-next-task', { planId: 'roadmap', taskId: 't_login' });
+    assert.match(login, /Body:\n### Goal\n- Users can sign in\.\n/);
+  } finally {
+    await close();
+  }
+});
+
+test('break-down-task lists existing subtasks and the body checklist', async () => {
+  const { client, text, close } = await connect();
+  try {
+    const prompt = await text('break-down-task', { planId: 'roadmap', taskId: 't_login' });
+    assert.match(prompt, /Existing subtasks:\n- "Form" \(t_form, todo\)\n/);
+    assert.match(prompt, /parentTaskId: "t_login"/);
+    for (const heading of ['Background', 'Goal', 'Detailed goals / scope', 'Acceptance / verification']) {
+      assert.match(prompt, new RegExp(`### ${heading}\n`));
+    }
+
+    await assert.rejects(
+      () => client.getPrompt({ name: 'break-down-task', arguments: { planId: 'roadmap', taskId: 't_missing' } }),
+      /Task not found: t_missing/
+    );
+  } finally {
+    await close();
+  }
+});
+
+test('weekly-review falls back to the working tree outside git', async () => {
+  const { config, text, close } = await connect();
+  try {
+    // Keep git from finding the repository this test runs in.
+    process.env.GIT_CEILING_DIRECTORIES = process.cwd();
+    const outside = await text('weekly-review', { planId: 'roadmap', since: '2020-01-01' });
+    assert.match(outside, /covering 2020-01-01 to \d{4}-\d{2}-\d{2}\./);
+    assert.match(outside, /In progress:\n- "Epic" \(t_epic, doing\)\n/);
+    assert.match(outside, /Completion dates are unavailable \(Not a git repository: .*\); tasks currently done:\n- \(none\)/);
+
+    await taskUpdate(config, { planId: 'roadmap', taskId: 't_form', status: 'done' });
+    const edited = await text('weekly-review', { planId: 'roadmap' });
+    assert.match(edited, /tasks currently done:\n- "Form" \(t_form, done\)\n/);
+  } finally {
+    delete process.env.GIT_CEILING_DIRECTORIES;
+    await close();
+  }
+});
+
+test('weekly-review uses git history plus uncommitted changes', async () => {
+  const { config, rootDir, text, close } = await connect();
+  try {
+    process.env.GIT_CEILING_DIRECTORIES = process.cwd();
+    const git = (...args) =>
+      execFileAsync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: rootDir });
+    await git('init', '-q');
+    await git('add', '.');
+    await git('commit', '-q', '-m', 'Add roadmap');
+    await taskUpdate(config, { planId: 'roadmap', taskId: 't_form', status: 'done' });
+    await taskUpdate(config, { planId: 'roadmap', taskId: 't_later', status: 'doing' });
+    await git('commit', '-q', '-am', 'Finish form');
+
+    const review = await text('weekly-review', { planId: 'roadmap' });
+    assert.match(review, /Finished since \d{4}-\d{2}-\d{2} \(from git history\):\n- "Form" \(t_form\) \(\d{4}-\d{2}-\d{2}, [0-9a-f]{7} "Finish form"\)\n/);
+    assert.match(review, /Added since .*:\n- "Epic" \(t_epic\) as doing/);
+    assert.match(review, /Other status changes:\n- "Later" \(t_later\): todo -> doing/);
+
+    await taskUpdate(config, { planId: 'roadmap', taskId: 't_login', status: 'done' });
+    const uncommitted = await text('weekly-review', { planId: 'roadmap' });
+    assert.match(uncommitted, /\n- "Login" \(t_login\) \(uncommitted\)\n/);
+  } finally {
+    delete process.env.GIT_CEILING_DIRECTORIES;
+    await close();
+  }
+});
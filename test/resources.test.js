@@ -0,0 +1,161 @@
+/**
+ * MCP resources for plans and tasks (`long-term-plan://plans/...`) and their subscriptions.
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+
+import { taskUpdate } from '../dist/todo/api.js';
+import { attachPlanWatcher, createMcpServer } from '../dist/server.js';
+
+const PLAN = [
+  '<!-- long-term-plan:format=v1 -->',
+  '',
+  '# Roadmap',
+  '',
+  '## Now',
+  '',
+  '- [ ] A <!-- long-term-plan:id=t_a -->',
+  '  > A notes.',
+  '  - [ ] A1 <!-- long-term-plan:id=t_a1 -->',
+  '- [ ] B <!-- long-term-plan:id=t_b -->',
+  '',
+].join('\n');
+
+async function connect({ watch = false } = {}) {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  await writeFile(join(plansDir, 'roadmap.md'), PLAN, 'utf8');
+  await writeFile(join(plansDir, 'notes.md'), PLAN.replace('# Roadmap', '# Notes'), 'utf8');
+
+  const config = { rootDir, plansDir: '.long-term-plan' };
+  const server = createMcpServer(config);
+  const watcher = watch ? await attachPlanWatcher(server, config) : undefined;
+  const client = new Client({ name: 'long-term-plan-test-client', version: '0.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+  await client.connect(clientTransport);
+  return {
+    config,
+    client,
+    close: async () => {
+      watcher?.close();
+      await client.close();
+      await server.close();
+      await rm(rootDir, { recursive: true, force: true });
+    },
+  };
+}
+
+test('plans are listed and readable as Markdown or JSON', async () => {
+  const { client, close } = await connect();
+  try {
+    const { resources } = await client.listResources();
+    assert.deepEqual(
+      resources.map(({ uri, name, title, mimeType }) => ({ uri, name, title, mimeType })),
+      [
+        { uri: 'long-term-plan://plans/notes', name: 'notes', title: 'Notes', mimeType: 'text/markdown' },
+        { uri: 'long-term-plan://plans/roadmap', name: 'roadmap', title: 'Roadmap', mimeType: 'text/markdown' },
+      ]
+    );
+    const { resourceTemplates } = await client.listResourceTemplates();
+    assert.deepEqual(
+      resourceTemplates.map((template) => template.uriTemplate),
+      [
+        'long-term-plan://plans/{planId}',
+        'long-term-plan://plans/{planId}/json',
+        'long-term-plan://plans/{planId}/tasks/{taskId}',
+        'long-term-plan://plans/{planId}/tasks/{taskId}/json',
+      ]
+    );
+
+    const markdown = await client.readResource({ uri: 'long-term-plan://plans/roadmap' });
+    assert.deepEqual(markdown.contents, [{ uri: 'long-term-plan://plans/roadmap', mimeType: 'text/markdown', text: PLAN }]);
+
+    const json = await client.readResource({ uri: 'long-term-plan://plans/roadmap/json' });
+    const view = JSON.parse(json.contents[0].text);
+    assert.equal(json.contents[0].mimeType, 'application/json');
+    assert.equal(view.plan.title, 'Roadmap');
+    assert.equal(typeof view.etag, 'string');
+
+    await assert.rejects(() => client.readResource({ uri: 'long-term-plan://plans/missing' }), /ENOENT/);
+  } finally {
+    await close();
+  }
+});
+
+test('tasks are readable as a dedented block or the task.get view', async () => {
+  const { client, close } = await connect();
+  try {
+    const markdown = await client.readResource({ uri: 'long-term-plan://plans/roadmap/tasks/t_a' });
+    assert.equal(
+      markdown.contents[0].text,
+      ['- [ ] A <!-- long-term-plan:id=t_a -->', '  > A notes.', '  - [ ] A1 <!-- long-term-plan:id=t_a1 -->', ''].join('\n')
+    );
+    const nested = await client.readResource({ uri: 'long-term-plan://plans/roadmap/tasks/t_a1' });
+    assert.equal(nested.contents[0].text, '- [ ] A1 <!-- long-term-plan:id=t_a1 -->\n');
+
+    const json = await client.readResource({ uri: 'long-term-plan://plans/roadmap/tasks/t_a/json' });
+    const { task } = JSON.parse(json.contents[0].text);
+    assert.equal(task.id, 't_a');
+    assert.equal(task.bodyMarkdown, 'A notes.');
+
+    await assert.rejects(
+      () => client.readResource({ uri: 'long-term-plan://plans/roadmap/tasks/t_missing' }),
+      /Task not found: t_missing/
+    );
+  } finally {
+    await close();
+  }
+});
+
+test('resource template variables complete plan and task ids', async () => {
+  const { client, close } = await connect();
+  try {
+    const plans = await client.complete({
+      ref: { type: 'ref/resource', uri: 'long-term-plan://plans/{planId}' },
+      argument: { name: 'planId', value: 'ro' },
+    });
+    assert.deepEqual(plans.completion.values, ['roadmap']);
+
+    const tasks = await client.complete({
+      ref: { type: 'ref/resource', uri: 'long-term-plan://plans/{planId}/tasks/{taskId}' },
+      argument: { name: 'taskId', value: 't_a' },
+      context: { arguments: { planId: 'roadmap' } },
+    });
+    assert.deepEqual(tasks.completion.values, ['t_a', 't_a1']);
+  } finally {
+    await close();
+  }
+});
+
+test('subscriptions fire for the plan and for tasks that changed', async () => {
+  const { config, client, close } = await connect({ watch: true });
+  const uris = [];
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => uris.push(notification.params.uri));
+  try {
+    for (const uri of [
+      'long-term-plan://plans/roadmap/json',
+      'long-term-plan://plans/roadmap/tasks/t_a',
+      'long-term-plan://plans/roadmap/tasks/t_b',
+      'long-term-plan://plans/notes',
+    ]) {
+      await client.subscribeResource({ uri });
+    }
+    await client.unsubscribeResource({ uri: 'long-term-plan://plans/notes' });
+
+    await taskUpdate(config, { planId: 'notes', taskId: 't_b', status: 'done' });
+    await taskUpdate(config, { planId: 'roadmap', taskId: 't_b', status: 'done' });
+    for (let i = 0; i < 100 && uris.length < 2; i += 1) await new Promise((resolve) => setTimeout(resolve, 20));
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.deepEqual(uris.sort(), ['long-term-plan://plans/roadmap/json', 'long-term-plan://plans/roadmap/tasks/t_b']);
+  } finally {
+    await close();
+  }
+});
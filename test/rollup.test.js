@@ -0,0 +1,100 @@
+/**
+ * Progress rollups: `plan.get` section/tree-node rollups and `plan stats`.
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { getPlan, planStats } from '../dist/todo/api.js';
+import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { createCapturedIo } from './helpers/captured-io.js';
+
+const PLAN = [
+  '<!-- long-term-plan:format=v2 -->',
+  '',
+  '# Roadmap',
+  '',
+  '- [√] Kickoff <!-- long-term-plan:id=t_kick -->',
+  '',
+  '## Sprint 1',
+  '',
+  '- [*] Epic <!-- long-term-plan:id=t_epic -->',
+  '  - [√] One <!-- long-term-plan:id=t_1 -->',
+  '  - [√] Two <!-- long-term-plan:id=t_2 -->',
+  '    - [ ] Two.a <!-- long-term-plan:id=t_2a -->',
+  '  - [-] Dropped <!-- long-term-plan:id=t_x -->',
+  '',
+  '### Stretch',
+  '',
+  '- [!] Blocked <!-- long-term-plan:id=t_b -->',
+  '',
+  '## Sprint 2',
+  '',
+].join('\n');
+
+async function setup() {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  await writeFile(join(plansDir, 'road.md'), PLAN, 'utf8');
+  return {
+    config: { rootDir, plansDir: '.long-term-plan' },
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+test('plan.get adds rollups to sections and parent tree nodes', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    const { plan } = await getPlan(config, { planId: 'road' });
+    assert.deepEqual(
+      plan.sections.map((s) => [s.path.join('/'), s.line, s.rollup.total, s.rollup.done, s.rollup.percentDone]),
+      [
+        ['Sprint 1', 7, 6, 2, 40],
+        ['Sprint 1/Stretch', 15, 1, 0, 0],
+        ['Sprint 2', 19, 0, 0, 0],
+      ]
+    );
+
+    const [kickoff, epic] = plan.tasks;
+    assert.equal(kickoff.rollup, undefined);
+    // Cancelled tasks are counted but excluded from percentDone: 2 of 3 countable descendants are done.
+    assert.deepEqual(epic.rollup, { total: 4, todo: 1, doing: 0, done: 2, blocked: 0, cancelled: 1, percentDone: 67 });
+    assert.deepEqual(epic.children[1].rollup, { total: 1, todo: 1, doing: 0, done: 0, blocked: 0, cancelled: 0, percentDone: 0 });
+
+    // Rollups describe the whole plan even when a filter narrows the tree.
+    const filtered = await getPlan(config, { planId: 'road', filter: 'id:t_1' });
+    assert.equal(filtered.plan.tasks[0].rollup.total, 4);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('planStats and CLI plan stats group by section or parent', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    const bySection = await planStats(config, { planId: 'road' });
+    assert.equal(bySection.by, 'section');
+    assert.deepEqual(bySection.rollup, { total: 7, todo: 1, doing: 1, done: 3, blocked: 1, cancelled: 1, percentDone: 50 });
+    assert.equal(bySection.groups.length, 3);
+
+    const captured = createCapturedIo();
+    const code = await runLongTermPlanCli(['--root', config.rootDir, 'plan', 'stats', 'road', '--by', 'parent'], captured.io);
+    assert.equal(code, 0);
+    const byParent = JSON.parse(captured.getStdout());
+    assert.deepEqual(
+      byParent.groups.map((g) => [g.taskId, g.rollup.total, g.rollup.percentDone]),
+      [
+        ['t_epic', 4, 67],
+        ['t_2', 1, 0],
+      ]
+    );
+
+    const invalid = createCapturedIo();
+    assert.equal(await runLongTermPlanCli(['--root', config.rootDir, 'plan', 'stats', 'road', '--by', 'owner'], invalid.io), 1);
+    assert.match(invalid.getStderr(), /Invalid --by: "owner"/);
+  } finally {
+    await cleanup();
+  }
+});
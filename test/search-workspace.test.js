@@ -0,0 +1,150 @@
+/**
+ * `task.search` tests: workspace scope (no planId / `planIds[]` / CLI `--all`)
+ * and field/term matching (bodies, sections, tags, phrases).
+ *
+ * Scope:
+ * - deterministic ordering (planId, then document order) and a global limit
+ * - unparseable plans are reported in `skippedPlans`, not thrown
+ * - AND terms / quoted phrases, `matchedIn`, and body snippets
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { searchTasks } from '../dist/todo/api.js';
+import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { createMcpServer } from '../dist/server.js';
+import { createCapturedIo } from './helpers/captured-io.js';
+
+function plan(title, taskLines) {
+  return ['<!-- long-term-plan:format=v1 -->', '', `# ${title}`, '', ...taskLines, ''].join('\n');
+}
+
+async function setup() {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  await writeFile(
+    join(plansDir, 'zeta.md'),
+    plan('Zeta', ['- [ ] Deploy api <!-- long-term-plan:id=t_z1 -->']),
+    'utf8'
+  );
+  await writeFile(
+    join(plansDir, 'alpha.md'),
+    plan('Alpha', [
+      '- [*] Design api <!-- long-term-plan:id=t_a1 -->',
+      '- [ ] Unrelated <!-- long-term-plan:id=t_a2 -->',
+      '- [√] Review api <!-- long-term-plan:id=t_a3 -->',
+    ]),
+    'utf8'
+  );
+  await writeFile(join(plansDir, 'broken.md'), '# Broken\n\n- [ ] api without id\n', 'utf8');
+  return {
+    config: { rootDir, plansDir: '.long-term-plan' },
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+test('searchTasks without planId scans every plan in deterministic order', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    const result = await searchTasks(config, { query: 'API' });
+    assert.deepEqual(
+      result.hits.map((hit) => `${hit.planId}:${hit.taskId}`),
+      ['alpha:t_a1', 'alpha:t_a3', 'zeta:t_z1']
+    );
+    assert.deepEqual(result.skippedPlans.map((p) => p.planId), ['broken']);
+    assert.match(result.skippedPlans[0].message, /^MISSING_FORMAT_HEADER/);
+
+    const limited = await searchTasks(config, { query: 'api', limit: 2 });
+    assert.deepEqual(limited.hits.map((hit) => hit.taskId), ['t_a1', 't_a3']);
+
+    const listed = await searchTasks(config, { planIds: ['zeta', 'alpha'], query: 'api', status: 'todo' });
+    assert.deepEqual(listed.hits.map((hit) => hit.taskId), ['t_z1']);
+
+    await assert.rejects(() => searchTasks(config, { planIds: ['missing'], query: 'api' }));
+  } finally {
+    await cleanup();
+  }
+});
+
+test('task.search tool and CLI --all expose workspace search', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    const server = createMcpServer(config);
+    const tool = server._registeredTools['task.search'];
+    const result = await tool.handler({ query: 'deploy' });
+    assert.deepEqual(result.structuredContent.hits.map((hit) => hit.planId), ['zeta']);
+    assert.equal(result.structuredContent.skippedPlans.length, 1);
+
+    const captured = createCapturedIo();
+    const code = await runLongTermPlanCli(
+      ['--root', config.rootDir, 'task', 'search', '--all', '--query', 'review'],
+      captured.io
+    );
+    assert.equal(code, 0);
+    const parsed = JSON.parse(captured.getStdout());
+    assert.deepEqual(parsed.hits.map((hit) => hit.taskId), ['t_a3']);
+    assert.deepEqual(parsed.skippedPlans.map((p) => p.planId), ['broken']);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('searchTasks matches bodies, sections, and tags with AND terms and phrases', async () => {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  const config = { rootDir, plansDir: '.long-term-plan' };
+  try {
+    await mkdir(plansDir, { recursive: true });
+    await writeFile(
+      join(plansDir, 'ops.md'),
+      [
+        '<!-- long-term-plan:format=v1 -->',
+        '',
+        '# Ops',
+        '',
+        '## Networking',
+        '',
+        '- [ ] Gateway work <!-- long-term-plan:id=t_gw tags=infra,edge -->',
+        '  > Background first.',
+        '  > Add a rate limit to the public API.',
+        '  > Then load test it.',
+        '- [ ] Rate card <!-- long-term-plan:id=t_card -->',
+        '',
+      ].join('\n'),
+      'utf8'
+    );
+
+    const titleOnly = await searchTasks(config, { planId: 'ops', query: 'rate limit' });
+    assert.deepEqual(titleOnly.hits, []);
+
+    const phrase = await searchTasks(config, {
+      planId: 'ops',
+      query: '"rate limit"',
+      fields: ['title', 'body'],
+    });
+    assert.equal(phrase.hits.length, 1);
+    assert.deepEqual(phrase.hits[0].matchedIn, ['body']);
+    assert.equal(
+      phrase.hits[0].snippet,
+      ['Background first.', 'Add a rate limit to the public API.', 'Then load test it.'].join('\n')
+    );
+
+    const mixed = await searchTasks(config, {
+      planId: 'ops',
+      query: 'gateway networking edge',
+      fields: ['title', 'section', 'tags'],
+    });
+    assert.deepEqual(mixed.hits.map((hit) => [hit.taskId, hit.matchedIn]), [
+      ['t_gw', ['title', 'section', 'tags']],
+    ]);
+    assert.equal(mixed.hits[0].snippet, undefined);
+
+    const unmatchedTerm = await searchTasks(config, { planId: 'ops', query: 'rate nothing', fields: ['title', 'body'] });
+    assert.deepEqual(unmatchedTerm.hits, []);
+  } finally {
+    await rm(rootDir, { recursive: true, force: true });
+  }
+});
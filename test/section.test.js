@@ -0,0 +1,215 @@
+/**
+ * Section (heading) tools: `section.list/add/rename/move/delete`.
+ *
+ * Every edit should touch only the lines it has to; the exact-text
+ * assertions below double as minimal-diff checks.
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { sectionAdd, sectionDelete, sectionList, sectionMove, sectionRename } from '../dist/todo/api.js';
+import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { createMcpServer } from '../dist/server.js';
+import { createCapturedIo } from './helpers/captured-io.js';
+
+const HEADER = ['<!-- long-term-plan:format=v1 -->', '', '# P', ''];
+
+function doc(lines) {
+  return [...HEADER, ...lines, ''].join('\n');
+}
+
+const BASE = doc([
+  '## Inbox',
+  '',
+  '- [ ] A <!-- long-term-plan:id=t_a -->',
+  '',
+  '## Milestones',
+  '',
+  '### M1',
+  '',
+  '- [ ] B <!-- long-term-plan:id=t_b -->',
+  '  - [ ] C <!-- long-term-plan:id=t_c -->',
+  '',
+  '### M2',
+  '',
+  '## Done',
+]);
+
+async function setup(text = BASE) {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  const path = join(plansDir, 'p.md');
+  await writeFile(path, text, 'utf8');
+  return {
+    config: { rootDir, plansDir: '.long-term-plan' },
+    read: () => readFile(path, 'utf8'),
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+test('sectionList reports paths, levels, lines, and task counts', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    const { sections } = await sectionList(config, { planId: 'p' });
+    assert.deepEqual(
+      sections.map((s) => [s.path.join('/'), s.level, s.line, s.taskCount]),
+      [
+        ['Inbox', 2, 5, 1],
+        ['Milestones', 2, 9, 2],
+        ['Milestones/M1', 3, 11, 2],
+        ['Milestones/M2', 3, 16, 0],
+        ['Done', 2, 18, 0],
+      ]
+    );
+  } finally {
+    await cleanup();
+  }
+});
+
+test('sectionAdd inserts at a chosen position', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    await sectionAdd(config, { planId: 'p', sectionPath: ['Milestones', 'M0'], beforeSectionPath: ['Milestones', 'M1'] });
+    await sectionAdd(config, { planId: 'p', sectionPath: ['Milestones', 'M3'] });
+    await sectionAdd(config, { planId: 'p', sectionPath: ['Later'] });
+    assert.equal(
+      await read(),
+      doc([
+        '## Inbox',
+        '',
+        '- [ ] A <!-- long-term-plan:id=t_a -->',
+        '',
+        '## Milestones',
+        '',
+        '### M0',
+        '',
+        '### M1',
+        '',
+        '- [ ] B <!-- long-term-plan:id=t_b -->',
+        '  - [ ] C <!-- long-term-plan:id=t_c -->',
+        '',
+        '### M2',
+        '',
+        '### M3',
+        '',
+        '## Done',
+        '',
+        '## Later',
+      ])
+    );
+
+    await assert.rejects(() => sectionAdd(config, { planId: 'p', sectionPath: ['Inbox'] }), /Section already exists: Inbox/);
+    await assert.rejects(() => sectionAdd(config, { planId: 'p', sectionPath: ['Nope', 'X'] }), /Section not found: Nope/);
+    await assert.rejects(() => sectionAdd(config, { planId: 'p', sectionPath: ['A/B'] }), /must not include "\/"/);
+    await assert.rejects(
+      () => sectionAdd(config, { planId: 'p', sectionPath: ['X'], beforeSectionPath: ['Milestones', 'M1'] }),
+      /beforeSectionPath must be a subsection of parentSectionPath/
+    );
+    await assert.rejects(
+      () => sectionAdd(config, { planId: 'p', sectionPath: ['X'], ifMatch: 'stale' }),
+      /^Error: CONFLICT: etag mismatch/
+    );
+  } finally {
+    await cleanup();
+  }
+});
+
+test('sectionRename changes only the heading line', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const renamed = await sectionRename(config, { planId: 'p', sectionPath: ['Milestones', 'M1'], title: 'Sprint 1' });
+    assert.deepEqual(renamed.sectionPath, ['Milestones', 'Sprint 1']);
+    assert.equal(await read(), BASE.replace('### M1', '### Sprint 1'));
+    await assert.rejects(
+      () => sectionRename(config, { planId: 'p', sectionPath: ['Milestones', 'M2'], title: 'Sprint 1' }),
+      /Section already exists: Milestones \/ Sprint 1/
+    );
+  } finally {
+    await cleanup();
+  }
+});
+
+test('sectionMove carries content and re-levels headings', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const moved = await sectionMove(config, { planId: 'p', sectionPath: ['Milestones', 'M1'], beforeSectionPath: ['Inbox'] });
+    assert.deepEqual(moved.sectionPath, ['M1']);
+    await sectionMove(config, { planId: 'p', sectionPath: ['Done'], parentSectionPath: ['Milestones'] });
+    assert.equal(
+      await read(),
+      doc([
+        '## M1',
+        '',
+        '- [ ] B <!-- long-term-plan:id=t_b -->',
+        '  - [ ] C <!-- long-term-plan:id=t_c -->',
+        '',
+        '## Inbox',
+        '',
+        '- [ ] A <!-- long-term-plan:id=t_a -->',
+        '',
+        '## Milestones',
+        '',
+        '### M2',
+        '',
+        '### Done',
+      ])
+    );
+
+    await assert.rejects(
+      () => sectionMove(config, { planId: 'p', sectionPath: ['Milestones'], parentSectionPath: ['Milestones', 'M2'] }),
+      /Cannot move section into itself: Milestones \/ M2/
+    );
+  } finally {
+    await cleanup();
+  }
+});
+
+test('sectionDelete refuses non-empty sections unless cascade', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    await assert.rejects(
+      () => sectionDelete(config, { planId: 'p', sectionPath: ['Milestones'] }),
+      /Section is not empty: Milestones \(pass cascade=true/
+    );
+    assert.deepEqual((await sectionDelete(config, { planId: 'p', sectionPath: ['Done'] })).deletedTaskIds, []);
+    const cascaded = await sectionDelete(config, { planId: 'p', sectionPath: ['Milestones'], cascade: true });
+    assert.deepEqual(cascaded.deletedTaskIds, ['t_b', 't_c']);
+    assert.equal(await read(), doc(['## Inbox', '', '- [ ] A <!-- long-term-plan:id=t_a -->']));
+  } finally {
+    await cleanup();
+  }
+});
+
+test('section tools and CLI commands are wired up', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const server = createMcpServer(config);
+    const add = server._registeredTools['section.add'];
+    assert.equal(add.inputSchema.safeParse({ planId: 'p', sectionPath: [] }).success, false);
+    const listed = await server._registeredTools['section.list'].handler({ planId: 'p' });
+    assert.equal(listed.structuredContent.sections.length, 5);
+
+    const run = async (args) => {
+      const captured = createCapturedIo();
+      const code = await runLongTermPlanCli(['--root', config.rootDir, 'section', ...args], captured.io);
+      return { code, json: code === 0 ? JSON.parse(captured.getStdout()) : undefined, stderr: captured.getStderr() };
+    };
+
+    assert.equal((await run(['rename', 'p', 'Milestones/M2', '--title', 'Later'])).code, 0);
+    assert.equal((await run(['move', 'p', 'Milestones/Later', '--before', 'Inbox'])).code, 0);
+    const notEmpty = await run(['delete', 'p', 'Milestones']);
+    assert.notEqual(notEmpty.code, 0);
+    assert.match(notEmpty.stderr, /Section is not empty/);
+    assert.deepEqual((await run(['delete', 'p', 'Milestones', '--cascade'])).json.deletedTaskIds, ['t_b', 't_c']);
+    assert.deepEqual(
+      (await run(['list', 'p'])).json.sections.map((s) => s.path.join('/')),
+      ['Later', 'Inbox', 'Done']
+    );
+    assert.match(await read(), /^## Later\n\n## Inbox\n/m);
+  } finally {
+    await cleanup();
+  }
+});
@@ -79,11 +79,17 @@ test('MCP tools require explicit planId', () => {
     true
   );
 
-  assert.equal(getTool(server, 'task.search').inputSchema.safeParse({ query: 'x' }).success, false);
+  // task.search is the one read that may span plans: omitting planId searches the workspace.
+  assert.equal(getTool(server, 'task.search').inputSchema.safeParse({ query: 'x' }).success, true);
   assert.equal(
     getTool(server, 'task.search').inputSchema.safeParse({ planId: 'demo', query: 'x' }).success,
     true
   );
+  assert.equal(
+    getTool(server, 'task.search').inputSchema.safeParse({ planId: 'demo', planIds: ['a'], query: 'x' })
+      .success,
+    false
+  );
 });
 
 test('MCP tool schemas reject invalid planId/taskId values', () => {
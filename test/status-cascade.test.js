@@ -0,0 +1,95 @@
+/**
+ * `task.update` `cascade: 'descendants'` (and CLI `task done --cascade`).
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { taskUpdate } from '../dist/todo/api.js';
+import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { createMcpServer } from '../dist/server.js';
+import { createCapturedIo } from './helpers/captured-io.js';
+
+const PLAN = [
+  '<!-- long-term-plan:format=v1 -->',
+  '',
+  '# P',
+  '',
+  '- [*] Epic <!-- long-term-plan:id=t_epic -->',
+  '  > Epic notes.',
+  '  - [ ] A <!-- long-term-plan:id=t_a -->',
+  '    - [ ] A1 <!-- long-term-plan:id=t_a1 -->',
+  '  - [*] B <!-- long-term-plan:id=t_b -->',
+  '  - [√] C <!-- long-term-plan:id=t_c -->',
+  '- [ ] Other <!-- long-term-plan:id=t_other -->',
+  '',
+].join('\n');
+
+async function setup() {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  const path = join(plansDir, 'p.md');
+  await writeFile(path, PLAN, 'utf8');
+  return {
+    config: { rootDir, plansDir: '.long-term-plan' },
+    read: () => readFile(path, 'utf8'),
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+test('cascade applies the status to the whole subtree in one write', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const result = await taskUpdate(config, { planId: 'p', taskId: 't_epic', status: 'done', cascade: 'descendants' });
+    assert.deepEqual(result.changedTaskIds, ['t_epic', 't_a', 't_a1', 't_b']);
+    assert.equal(
+      await read(),
+      PLAN.replace('[*] Epic', '[√] Epic').replace('[ ] A ', '[√] A ').replace('[ ] A1', '[√] A1').replace('[*] B', '[√] B')
+    );
+  } finally {
+    await cleanup();
+  }
+});
+
+test('onlyFrom limits which descendants change', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const result = await taskUpdate(config, {
+      planId: 'p',
+      taskId: 't_epic',
+      status: 'done',
+      cascade: 'descendants',
+      onlyFrom: ['todo'],
+    });
+    assert.deepEqual(result.changedTaskIds, ['t_epic', 't_a', 't_a1']);
+    assert.match(await read(), /- \[\*\] B /);
+
+    await assert.rejects(() => taskUpdate(config, { planId: 'p', taskId: 't_a', title: 'x', cascade: 'descendants' }), /cascade requires status/);
+    await assert.rejects(() => taskUpdate(config, { planId: 'p', taskId: 't_a', status: 'done', onlyFrom: ['todo'] }), /onlyFrom requires cascade/);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('task.update tool and CLI task done accept cascade options', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const tool = createMcpServer(config)._registeredTools['task.update'];
+    assert.equal(tool.inputSchema.safeParse({ planId: 'p', taskId: 't_a', onlyFrom: ['todo'], status: 'done' }).success, false);
+    const result = await tool.handler({ planId: 'p', taskId: 't_a', status: 'doing', cascade: 'descendants' });
+    assert.deepEqual(result.structuredContent.changedTaskIds, ['t_a', 't_a1']);
+
+    const base = ['--root', config.rootDir, 'task', 'done', 'p', 't_epic', '--cascade', 'descendants'];
+    const invalid = createCapturedIo();
+    assert.equal(await runLongTermPlanCli([...base, '--only-from', 'someday'], invalid.io), 1);
+    assert.match(invalid.getStderr(), /Invalid --only-from: "someday"/);
+    const captured = createCapturedIo();
+    assert.equal(await runLongTermPlanCli([...base, '--only-from', 'todo'], captured.io), 0);
+    assert.deepEqual(JSON.parse(captured.getStdout()).changedTaskIds, ['t_epic']);
+    assert.match(await read(), /- \[\*\] A1 /);
+  } finally {
+    await cleanup();
+  }
+});
@@ -0,0 +1,106 @@
+/**
+ * Opt-in status propagation up the parent chain (`task.update` `propagate`).
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { taskUpdate } from '../dist/todo/api.js';
+import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { createMcpServer } from '../dist/server.js';
+import { createCapturedIo } from './helpers/captured-io.js';
+
+const PLAN = [
+  '<!-- long-term-plan:format=v2 -->',
+  '',
+  '# P',
+  '',
+  '- [ ] Epic <!-- long-term-plan:id=t_epic -->',
+  '  - [√] Story A <!-- long-term-plan:id=t_a -->',
+  '  - [ ] Story B <!-- long-term-plan:id=t_b -->',
+  '    - [√] B1 <!-- long-term-plan:id=t_b1 -->',
+  '    - [ ] B2 <!-- long-term-plan:id=t_b2 -->',
+  '    - [-] B3 <!-- long-term-plan:id=t_b3 -->',
+  '',
+].join('\n');
+
+async function setup(text = PLAN) {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  const path = join(plansDir, 'p.md');
+  await writeFile(path, text, 'utf8');
+  return {
+    config: { rootDir, plansDir: '.long-term-plan' },
+    read: () => readFile(path, 'utf8'),
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+test('without propagate, parents are left alone', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const result = await taskUpdate(config, { planId: 'p', taskId: 't_b2', status: 'done' });
+    assert.equal(result.changedTaskIds, undefined);
+    assert.equal(await read(), PLAN.replace('[ ] B2', '[√] B2'));
+  } finally {
+    await cleanup();
+  }
+});
+
+test('finishing the last child completes every ancestor in one write', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const result = await taskUpdate(config, { planId: 'p', taskId: 't_b2', status: 'done', propagate: true });
+    assert.deepEqual(result.changedTaskIds, ['t_b2', 't_b', 't_epic']);
+    assert.equal(
+      await read(),
+      PLAN.replace('[ ] B2', '[√] B2').replace('[ ] Story B', '[√] Story B').replace('[ ] Epic', '[√] Epic')
+    );
+  } finally {
+    await cleanup();
+  }
+});
+
+test('starting a child marks ancestors doing; blocked parents stop the walk', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const started = await taskUpdate(config, { planId: 'p', taskId: 't_b2', status: 'doing', propagate: true });
+    assert.deepEqual(started.changedTaskIds, ['t_b2', 't_b', 't_epic']);
+    assert.match(await read(), /- \[\*\] Epic/);
+
+    await taskUpdate(config, { planId: 'p', taskId: 't_b', status: 'blocked' });
+    const finished = await taskUpdate(config, { planId: 'p', taskId: 't_b2', status: 'done', propagate: true });
+    assert.deepEqual(finished.changedTaskIds, ['t_b2']);
+    assert.match(await read(), /- \[!\] Story B/);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('config.propagateStatus sets the default; MCP and CLI expose the flag', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    const withDefault = { ...config, propagateStatus: true };
+    const optedOut = await taskUpdate(withDefault, { planId: 'p', taskId: 't_b1', status: 'todo', propagate: false });
+    assert.equal(optedOut.changedTaskIds, undefined);
+
+    const tool = createMcpServer(withDefault)._registeredTools['task.update'];
+    const result = await tool.handler({ planId: 'p', taskId: 't_b1', status: 'doing' });
+    assert.deepEqual(result.structuredContent.changedTaskIds, ['t_b1', 't_b', 't_epic']);
+
+    const plain = createCapturedIo();
+    await runLongTermPlanCli(['--root', config.rootDir, 'task', 'done', 'p', 't_b1'], plain.io);
+    assert.equal(JSON.parse(plain.getStdout()).changedTaskIds, undefined);
+    const propagated = createCapturedIo();
+    const code = await runLongTermPlanCli(
+      ['--root', config.rootDir, 'task', 'done', 'p', 't_b2', '--propagate'],
+      propagated.io
+    );
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(propagated.getStdout()).changedTaskIds, ['t_b2', 't_b', 't_epic']);
+  } finally {
+    await cleanup();
+  }
+});
@@ -0,0 +1,143 @@
+/**
+ * Task dependency tests (`dependsOn=` in the id trailer).
+ *
+ * Scope:
+ * - validator diagnostics (unknown targets, cycles) incl. cross-plan refs
+ * - default-task selection skips blocked tasks
+ * - `task.get` reports `blockedBy` / `blocks`
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { getTask, taskUpdate, validatePlanDoc } from '../dist/todo/api.js';
+import { findDependencyCycles } from '../dist/todo/deps.js';
+import { validatePlanMarkdown } from '../dist/todo/validate.js';
+
+const HEADER = '<!-- long-term-plan:format=v1 -->';
+
+function plan(title, taskLines) {
+  return [HEADER, '', `# ${title}`, '', ...taskLines, ''].join('\n');
+}
+
+async function setup(files) {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  for (const [planId, text] of Object.entries(files)) {
+    await writeFile(join(plansDir, `${planId}.md`), text, 'utf8');
+  }
+  return {
+    config: { rootDir, plansDir: '.long-term-plan' },
+    read: (planId) => readFile(join(plansDir, `${planId}.md`), 'utf8'),
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+test('findDependencyCycles reports each cycle once in edge order', () => {
+  const graph = new Map([
+    ['a', ['b']],
+    ['b', ['c']],
+    ['c', ['a']],
+    ['d', ['d']],
+    ['e', ['a']],
+  ]);
+  assert.deepEqual(findDependencyCycles(graph), [
+    ['a', 'b', 'c', 'a'],
+    ['d', 'd'],
+  ]);
+});
+
+test('validatePlanMarkdown reports unknown same-plan targets and cycles', () => {
+  const result = validatePlanMarkdown(
+    plan('T', [
+      '- [ ] A <!-- long-term-plan:id=t_a dependsOn=t_b -->',
+      '- [ ] B <!-- long-term-plan:id=t_b dependsOn=t_a,t_missing,other:t_x -->',
+    ])
+  );
+  assert.deepEqual(
+    result.errors.map((d) => [d.code, d.message, d.line]),
+    [['DEPENDENCY_CYCLE', 'Dependency cycle: t_a -> t_b -> t_a', 4]]
+  );
+  assert.deepEqual(
+    result.warnings.map((d) => [d.code, d.message]),
+    [['UNKNOWN_DEPENDENCY', 'Unknown dependency target: t_missing']]
+  );
+
+  const bad = validatePlanMarkdown(plan('T', ['- [ ] A <!-- long-term-plan:id=t_a dependsOn=a:b:c -->']));
+  assert.deepEqual(bad.errors.map((d) => d.code), ['INVALID_TASK_META']);
+});
+
+test('validatePlanDoc resolves cross-plan refs and cross-plan cycles', async () => {
+  const { config, cleanup } = await setup({
+    q1: plan('Q1', [
+      '- [ ] A <!-- long-term-plan:id=t_a dependsOn=q2:t_b,q2:t_gone,nope:t_x -->',
+    ]),
+    q2: plan('Q2', ['- [ ] B <!-- long-term-plan:id=t_b dependsOn=q1:t_a -->']),
+  });
+  try {
+    const result = await validatePlanDoc(config, { planId: 'q1' });
+    assert.deepEqual(
+      result.errors.map((d) => [d.code, d.message, d.line]),
+      [['DEPENDENCY_CYCLE', 'Dependency cycle: t_a -> q2:t_b -> t_a', 5]]
+    );
+    assert.deepEqual(
+      result.warnings.map((d) => d.message),
+      ['Unknown dependency target: q2:t_gone', 'Unknown dependency target: nope:t_x']
+    );
+  } finally {
+    await cleanup();
+  }
+});
+
+test('default task selection skips tasks blocked by unfinished dependencies', async () => {
+  const { config, cleanup } = await setup({
+    work: plan('Work', [
+      '- [*] Deploy <!-- long-term-plan:id=t_deploy dependsOn=t_review -->',
+      '- [ ] Launch <!-- long-term-plan:id=t_launch dependsOn=infra:t_dns -->',
+      '- [ ] Review <!-- long-term-plan:id=t_review -->',
+    ]),
+    infra: plan('Infra', ['- [ ] DNS <!-- long-term-plan:id=t_dns -->']),
+  });
+  try {
+    const next = await getTask(config, { planId: 'work' });
+    assert.equal(next.task.id, 't_review');
+    assert.deepEqual(next.task.blockedBy, []);
+    assert.deepEqual(next.task.blocks, ['t_deploy']);
+
+    const deploy = await getTask(config, { planId: 'work', taskId: 't_deploy' });
+    assert.deepEqual(deploy.task.dependsOn, ['t_review']);
+    assert.deepEqual(deploy.task.blockedBy, ['t_review']);
+
+    const dns = await getTask(config, { planId: 'infra', taskId: 't_dns' });
+    assert.deepEqual(dns.task.blocks, ['work:t_launch']);
+
+    await taskUpdate(config, { planId: 'work', taskId: 't_review', status: 'done' });
+    const after = await getTask(config, { planId: 'work' });
+    assert.equal(after.task.id, 't_deploy');
+  } finally {
+    await cleanup();
+  }
+});
+
+test('taskUpdate rejects dependsOn edits that close a cycle', async () => {
+  const original = plan('Q1', ['- [ ] A <!-- long-term-plan:id=t_a -->', '- [ ] B <!-- long-term-plan:id=t_b dependsOn=t_a -->']);
+  const { config, read, cleanup } = await setup({
+    q1: original,
+    q2: plan('Q2', ['- [ ] C <!-- long-term-plan:id=t_c dependsOn=q1:t_b -->']),
+  });
+  try {
+    await assert.rejects(
+      () => taskUpdate(config, { planId: 'q1', taskId: 't_a', meta: { dependsOn: ['t_b'] } }),
+      /Dependency cycle: t_a -> t_b -> t_a/
+    );
+    await assert.rejects(
+      () => taskUpdate(config, { planId: 'q1', taskId: 't_a', meta: { dependsOn: ['q2:t_c'] } }),
+      /Dependency cycle: t_a -> q2:t_c -> t_b -> t_a/
+    );
+    assert.equal(await read('q1'), original);
+  } finally {
+    await cleanup();
+  }
+});
@@ -0,0 +1,121 @@
+/**
+ * `task.history`: per-task timeline rebuilt from `git log -p` of a plan file.
+ *
+ * These tests build a throwaway git repository outside the project checkout so
+ * the "not a git repo" case is not masked by the surrounding work tree.
+ */
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { createPlan, taskAdd, taskHistory, taskMove, taskUpdate } from '../dist/todo/api.js';
+import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { createMcpServer } from '../dist/server.js';
+import { createCapturedIo } from './helpers/captured-io.js';
+
+function git(cwd, args, { author = 'Ada', date = '2024-01-01T00:00:00Z' } = {}) {
+  execFileSync('git', ['-c', 'commit.gpgsign=false', ...args], {
+    cwd,
+    stdio: 'ignore',
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: author,
+      GIT_AUTHOR_EMAIL: `${author.toLowerCase()}@example.com`,
+      GIT_AUTHOR_DATE: date,
+      GIT_COMMITTER_NAME: author,
+      GIT_COMMITTER_EMAIL: `${author.toLowerCase()}@example.com`,
+      GIT_COMMITTER_DATE: date,
+    },
+  });
+}
+
+async function setup() {
+  const rootDir = await mkdtemp(join(tmpdir(), 'long-term-plan-history-'));
+  return {
+    config: { rootDir, plansDir: '.long-term-plan' },
+    commit: (message, options) => {
+      git(rootDir, ['add', '-A'], options);
+      git(rootDir, ['commit', '-q', '-m', message], options);
+    },
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+test('taskHistory reports status, title, and body changes per commit', async () => {
+  const { config, commit, cleanup } = await setup();
+  try {
+    git(config.rootDir, ['init', '-q']);
+    await createPlan(config, { planId: 'p', title: 'P' });
+    const { taskId } = await taskAdd(config, { planId: 'p', title: 'Ship it', sectionPath: ['Inbox'] });
+    const other = await taskAdd(config, { planId: 'p', title: 'Other', sectionPath: ['Inbox'] });
+    commit('add tasks');
+
+    await taskUpdate(config, { planId: 'p', taskId: other.taskId, status: 'done' });
+    commit('unrelated edit');
+
+    await taskUpdate(config, { planId: 'p', taskId, status: 'doing', bodyMarkdown: 'Started.' });
+    commit('start', { author: 'Grace', date: '2024-02-01T10:00:00Z' });
+
+    // Moving the other task shifts this task's line; that must not show as a change.
+    await taskMove(config, { planId: 'p', taskId: other.taskId, beforeTaskId: taskId });
+    commit('reorder');
+
+    await taskUpdate(config, { planId: 'p', taskId, status: 'done', title: 'Shipped' });
+    commit('finish', { author: 'Linus', date: '2024-03-01T00:00:00Z' });
+
+    const result = await taskHistory(config, { planId: 'p', taskId });
+    assert.equal(result.path, join('.long-term-plan', 'p.md'));
+    assert.deepEqual(
+      result.history.map((entry) => [entry.subject, entry.author, entry.changes]),
+      [
+        ['add tasks', 'Ada', [{ kind: 'added', status: 'todo', title: 'Ship it' }]],
+        [
+          'start',
+          'Grace',
+          [
+            { kind: 'status', from: 'todo', to: 'doing' },
+            { kind: 'body', from: null, to: 'Started.' },
+          ],
+        ],
+        [
+          'finish',
+          'Linus',
+          [
+            { kind: 'status', from: 'doing', to: 'done' },
+            { kind: 'title', from: 'Ship it', to: 'Shipped' },
+          ],
+        ],
+      ]
+    );
+    assert.equal(result.history[1].email, 'grace@example.com');
+    assert.equal(Date.parse(result.history[1].date), Date.parse('2024-02-01T10:00:00Z'));
+    assert.match(result.history[0].commit, /^[0-9a-f]{40}$/);
+
+    const tool = createMcpServer(config)._registeredTools['task.history'];
+    const viaTool = await tool.handler({ planId: 'p', taskId: other.taskId });
+    assert.deepEqual(
+      viaTool.structuredContent.history.map((entry) => entry.subject),
+      ['add tasks', 'unrelated edit']
+    );
+  } finally {
+    await cleanup();
+  }
+});
+
+test('taskHistory fails gracefully outside a git repository', async () => {
+  const { config, cleanup } = await setup();
+  try {
+    await createPlan(config, { planId: 'p', title: 'P' });
+    await assert.rejects(() => taskHistory(config, { planId: 'p', taskId: 't_x' }), /Not a git repository/);
+
+    const captured = createCapturedIo();
+    const code = await runLongTermPlanCli(['--root', config.rootDir, 'task', 'history', 'p', 't_x'], captured.io);
+    assert.equal(code, 1);
+    assert.match(captured.getStderr(), /Not a git repository/);
+  } finally {
+    await cleanup();
+  }
+});
@@ -0,0 +1,90 @@
+/**
+ * Global task-id lookup (`task.locate` / CLI `task locate`) and the
+ * workspace-level duplicate task id check in `validatePlanDoc`.
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { locateTask, validatePlanDoc } from '../dist/todo/api.js';
+import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { createMcpServer } from '../dist/server.js';
+import { createCapturedIo } from './helpers/captured-io.js';
+
+function plan(title, taskLines) {
+  return ['<!-- long-term-plan:format=v1 -->', '', `# ${title}`, '', ...taskLines, ''].join('\n');
+}
+
+async function setup(files) {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  for (const [planId, text] of Object.entries(files)) {
+    await writeFile(join(plansDir, `${planId}.md`), text, 'utf8');
+  }
+  return {
+    config: { rootDir, plansDir: '.long-term-plan' },
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+test('locateTask resolves the owning plan without a planId', async () => {
+  const { config, cleanup } = await setup({
+    a: plan('A', ['- [ ] First <!-- long-term-plan:id=t_1 -->']),
+    b: plan('B', [
+      '## Later',
+      '',
+      '- [*] Second <!-- long-term-plan:id=t_2 -->',
+      '  > Notes.',
+    ]),
+  });
+  try {
+    const found = await locateTask(config, { taskId: 't_2' });
+    assert.equal(found.planId, 'b');
+    assert.equal(found.line, 7);
+    assert.equal(found.task.id, 't_2');
+    assert.equal(found.task.status, 'doing');
+    assert.deepEqual(found.task.sectionPath, ['Later']);
+    assert.equal(found.task.bodyMarkdown, 'Notes.');
+    assert.equal(typeof found.etag, 'string');
+
+    await assert.rejects(() => locateTask(config, { taskId: 't_missing' }), /Task not found: t_missing/);
+    await assert.rejects(() => locateTask(config, { taskId: '../x' }), /Invalid taskId/);
+
+    const server = createMcpServer(config);
+    const tool = server._registeredTools['task.locate'];
+    assert.equal(tool.inputSchema.safeParse({}).success, false);
+    const result = await tool.handler({ taskId: 't_1', includeBody: false });
+    assert.equal(result.structuredContent.planId, 'a');
+
+    const captured = createCapturedIo();
+    const code = await runLongTermPlanCli(['--root', config.rootDir, 'task', 'locate', 't_1'], captured.io);
+    assert.equal(code, 0);
+    assert.equal(JSON.parse(captured.getStdout()).planId, 'a');
+  } finally {
+    await cleanup();
+  }
+});
+
+test('duplicate ids across plans are ambiguous for locate and reported by validate', async () => {
+  const { config, cleanup } = await setup({
+    a: plan('A', ['- [ ] Copy one <!-- long-term-plan:id=t_dup -->']),
+    b: plan('B', ['- [ ] Unique <!-- long-term-plan:id=t_u -->', '- [ ] Copy two <!-- long-term-plan:id=t_dup -->']),
+    c: plan('C', ['- [ ] Copy three <!-- long-term-plan:id=t_dup -->']),
+  });
+  try {
+    await assert.rejects(
+      () => locateTask(config, { taskId: 't_dup' }),
+      /AMBIGUOUS: task id t_dup exists in multiple plans \(a, b, c\)/
+    );
+
+    const result = await validatePlanDoc(config, { planId: 'b' });
+    assert.deepEqual(
+      result.errors.map((d) => [d.code, d.message, d.line]),
+      [['DUPLICATE_TASK_ID', 'Duplicate task id across plans: t_dup (also in a, c)', 6]]
+    );
+  } finally {
+    await cleanup();
+  }
+});
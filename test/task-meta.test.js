@@ -0,0 +1,95 @@
+/**
+ * Task metadata trailer tests (`due`, `prio`, `tags`, `owner`).
+ *
+ * Metadata lives inside the id trailer comment, so these tests focus on:
+ * - parsing/validation of the extended trailer
+ * - minimal-diff edits (only the trailer changes)
+ * - round-tripping through task.add / task.update / task.get / plan.get
+ */
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { applyRename, applySetTaskMeta } from '../dist/todo/edit.js';
+import { parsePlanMarkdown } from '../dist/todo/parse.js';
+import { validatePlanMarkdown } from '../dist/todo/validate.js';
+import { createPlan, getPlan, getTask, taskAdd, taskUpdate } from '../dist/todo/api.js';
+
+function doc(taskLine) {
+  return ['<!-- long-term-plan:format=v1 -->', '', '# T', '', taskLine, ''].join('\n');
+}
+
+test('parsePlanMarkdown decodes metadata pairs from the id trailer', () => {
+  const parsed = parsePlanMarkdown(
+    doc('- [ ] Ship <!-- long-term-plan:id=t_1 due=2026-11-01 prio=P1 tags=api,infra owner=alice -->')
+  );
+  assert.equal(parsed.ok, true);
+  const task = parsed.plan.tasksById.get('t_1');
+  assert.equal(task.title, 'Ship');
+  assert.deepEqual(task.meta, { due: '2026-11-01', priority: 'P1', tags: ['api', 'infra'], owner: 'alice' });
+});
+
+test('plans without metadata parse with an empty meta object', () => {
+  const parsed = parsePlanMarkdown(doc('- [ ] Plain <!-- long-term-plan:id=t_1 -->'));
+  assert.deepEqual(parsed.plan.tasksById.get('t_1').meta, {});
+});
+
+test('validatePlanMarkdown reports invalid values and warns on unknown keys', () => {
+  const invalid = validatePlanMarkdown(doc('- [ ] X <!-- long-term-plan:id=t_1 due=2026-02-30 prio=P9 -->'));
+  assert.deepEqual(
+    invalid.errors.map((d) => d.code),
+    ['INVALID_TASK_META', 'INVALID_TASK_META']
+  );
+  assert.equal(invalid.errors[0].line, 4);
+
+  const unknown = validatePlanMarkdown(doc('- [ ] X <!-- long-term-plan:id=t_1 estimate=3d -->'));
+  assert.equal(unknown.errors.length, 0);
+  assert.deepEqual(unknown.warnings.map((d) => d.code), ['UNKNOWN_TASK_META_KEY']);
+});
+
+test('applySetTaskMeta only rewrites the trailer and preserves unknown keys', () => {
+  const before = doc('- [*] Title stays <!-- long-term-plan:id=t_1 estimate=3d prio=P2 -->');
+  const after = applySetTaskMeta(before, 't_1', { priority: 'P0', due: '2026-11-01', owner: null }).newText;
+  assert.equal(
+    after,
+    doc('- [*] Title stays <!-- long-term-plan:id=t_1 estimate=3d prio=P0 due=2026-11-01 -->')
+  );
+
+  const cleared = applySetTaskMeta(after, 't_1', { priority: null, due: null }).newText;
+  assert.equal(cleared, doc('- [*] Title stays <!-- long-term-plan:id=t_1 estimate=3d -->'));
+
+  assert.throws(() => applySetTaskMeta(before, 't_1', { due: 'tomorrow' }), /Invalid due date/);
+});
+
+test('applyRename keeps metadata in the trailer', () => {
+  const before = doc('- [ ] Old <!-- long-term-plan:id=t_1 tags=a,b -->');
+  assert.equal(applyRename(before, 't_1', 'New').newText, doc('- [ ] New <!-- long-term-plan:id=t_1 tags=a,b -->'));
+});
+
+test('task add/update/get and plan.get surface metadata', async () => {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const config = { rootDir, plansDir: '.long-term-plan' };
+  try {
+    await createPlan(config, { planId: 'demo', title: 'Demo' });
+    const { taskId } = await taskAdd(config, {
+      planId: 'demo',
+      title: 'API work',
+      meta: { due: '2026-11-01', priority: 'P1', tags: ['api'] },
+    });
+
+    await taskUpdate(config, { planId: 'demo', taskId, meta: { owner: 'alice', tags: ['api', 'infra'] } });
+    const { task } = await getTask(config, { planId: 'demo', taskId });
+    assert.equal(task.due, '2026-11-01');
+    assert.equal(task.priority, 'P1');
+    assert.deepEqual(task.tags, ['api', 'infra']);
+    assert.equal(task.owner, 'alice');
+
+    const flat = await getPlan(config, { planId: 'demo', view: 'flat' });
+    assert.equal(flat.plan.tasks[0].owner, 'alice');
+    const tree = await getPlan(config, { planId: 'demo', view: 'tree' });
+    assert.equal(tree.plan.tasks[0].priority, 'P1');
+  } finally {
+    await rm(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,122 @@
+/**
+ * Structured filter queries (`plan.get` / `task.search` `filter`, CLI `--filter`).
+ *
+ * Scope:
+ * - field terms, boolean operators, precedence, and parentheses
+ * - malformed filters fail with a column pointer
+ * - tree view keeps ancestors of matches; flat view lists matches only
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { getPlan, searchTasks } from '../dist/todo/api.js';
+import { parsePlanMarkdown } from '../dist/todo/parse.js';
+import { compileTaskFilter } from '../dist/todo/query.js';
+import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { createMcpServer } from '../dist/server.js';
+import { createCapturedIo } from './helpers/captured-io.js';
+
+const TEXT = [
+  '<!-- long-term-plan:format=v1 -->',
+  '',
+  '# Roadmap',
+  '',
+  '## Milestones',
+  '',
+  '### Sprint 1',
+  '',
+  '- [*] Build api <!-- long-term-plan:id=t_api tags=infra owner=kim -->',
+  '  - [ ] Auth <!-- long-term-plan:id=t_auth prio=P1 -->',
+  '    > Tokens first.',
+  '  - [√] Routing <!-- long-term-plan:id=t_route -->',
+  '',
+  '### Sprint 2',
+  '',
+  '- [ ] Ship docs <!-- long-term-plan:id=t_docs dependsOn=t_api -->',
+  '',
+  '## Backlog',
+  '',
+  '- [*] Explore caching <!-- long-term-plan:id=t_cache tags=Infra -->',
+  '',
+].join('\n');
+
+function select(filter) {
+  const parsed = parsePlanMarkdown(TEXT);
+  assert.equal(parsed.ok, true);
+  const predicate = compileTaskFilter(filter);
+  return [...parsed.plan.tasksById.values()].filter((task) => predicate(task, parsed.plan)).map((task) => task.id);
+}
+
+test('compileTaskFilter matches fields with AND/OR/NOT and parentheses', () => {
+  assert.deepEqual(select('status:doing section:"Milestones/Sprint 1"'), ['t_api']);
+  assert.deepEqual(select('section:milestones NOT has:children'), ['t_auth', 't_route', 't_docs']);
+  assert.deepEqual(select('under:t_api has:body'), ['t_auth']);
+  assert.deepEqual(select('tag:infra AND status:doing'), ['t_api', 't_cache']);
+  assert.deepEqual(select('status:done OR prio:p1 owner:kim'), ['t_route']);
+  assert.deepEqual(select('(status:done OR priority:P1) under:t_api'), ['t_auth', 't_route']);
+  assert.deepEqual(select('has:deps OR id:t_cache'), ['t_docs', 't_cache']);
+  assert.deepEqual(select('"ship docs" OR title:cach'), ['t_docs', 't_cache']);
+});
+
+test('compileTaskFilter rejects malformed filters with a column pointer', () => {
+  assert.throws(() => compileTaskFilter('status:doing )'), (error) => {
+    assert.equal(
+      error.message,
+      ['Invalid filter: unexpected ) at column 14', '  status:doing )', '               ^'].join('\n')
+    );
+    return true;
+  });
+  assert.throws(() => compileTaskFilter('(status:todo'), /missing closing parenthesis at column 1/);
+  assert.throws(() => compileTaskFilter('status:todo OR'), /expected an expression at column 15/);
+  assert.throws(() => compileTaskFilter('colour:red'), /unknown field "colour" \(expected one of: status,/);
+  assert.throws(() => compileTaskFilter('status:later'), /invalid status "later"/);
+  assert.throws(() => compileTaskFilter('has:wings'), /invalid has: value "wings"/);
+  assert.throws(() => compileTaskFilter('title:"open'), /unterminated quote at column 7/);
+  assert.throws(() => compileTaskFilter('   '), /empty filter/);
+});
+
+test('getPlan, task.search, and CLI --filter apply structured filters', async () => {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const config = { rootDir, plansDir: '.long-term-plan' };
+  try {
+    await mkdir(join(rootDir, '.long-term-plan'), { recursive: true });
+    await writeFile(join(rootDir, '.long-term-plan', 'road.md'), TEXT, 'utf8');
+
+    const tree = await getPlan(config, { planId: 'road', filter: 'status:done' });
+    assert.deepEqual(tree.plan.matchedTaskIds, ['t_route']);
+    assert.deepEqual(tree.plan.tasks.map((task) => [task.id, task.children.map((child) => child.id)]), [
+      ['t_api', ['t_route']],
+    ]);
+
+    const flat = await getPlan(config, { planId: 'road', view: 'flat', filter: 'tag:infra' });
+    assert.deepEqual(flat.plan.tasks.map((task) => task.id), ['t_api', 't_cache']);
+
+    const search = await searchTasks(config, { query: 'api', filter: 'NOT status:doing', fields: ['title'] });
+    assert.deepEqual(search.hits, []);
+    const filterOnly = await searchTasks(config, { filter: 'section:backlog' });
+    assert.deepEqual(filterOnly.hits.map((hit) => [hit.taskId, hit.matchedIn]), [['t_cache', []]]);
+
+    const server = createMcpServer(config);
+    const tool = server._registeredTools['task.search'];
+    assert.equal(tool.inputSchema.safeParse({ planId: 'road' }).success, false);
+    const result = await tool.handler({ planId: 'road', filter: 'has:deps' });
+    assert.deepEqual(result.structuredContent.hits.map((hit) => hit.taskId), ['t_docs']);
+
+    const okIo = createCapturedIo();
+    const ok = await runLongTermPlanCli(
+      ['--root', rootDir, 'plan', 'get', 'road', '--view', 'flat', '--filter', 'under:t_api'],
+      okIo.io
+    );
+    assert.equal(ok, 0);
+    assert.deepEqual(JSON.parse(okIo.getStdout()).plan.tasks.map((task) => task.id), ['t_auth', 't_route']);
+
+    const badIo = createCapturedIo();
+    const bad = await runLongTermPlanCli(['--root', rootDir, 'task', 'search', '--all', '--filter', 'status:'], badIo.io);
+    assert.notEqual(bad, 0);
+    assert.match(badIo.getStderr(), /missing value for status:/);
+  } finally {
+    await rm(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,94 @@
+/**
+ * Format v2 statuses (`[!]` blocked, `[-]` cancelled).
+ *
+ * v2 is opt-in via the header, so these tests check both sides of the gate:
+ * v1 documents reject the new symbols, v2 documents accept and count them.
+ */
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { applySetFormatVersion, applySetStatus } from '../dist/todo/edit.js';
+import { parsePlanMarkdown } from '../dist/todo/parse.js';
+import { validatePlanMarkdown } from '../dist/todo/validate.js';
+import { createPlan, getPlan, getTask, listPlans, planUpdate, taskAdd, taskUpdate } from '../dist/todo/api.js';
+
+function doc(version, taskLines) {
+  return [`<!-- long-term-plan:format=${version} -->`, '', '# T', '', ...taskLines, ''].join('\n');
+}
+
+const V2_TASKS = [
+  '- [!] Waiting on vendor <!-- long-term-plan:id=t_wait -->',
+  '- [-] Dropped idea <!-- long-term-plan:id=t_drop -->',
+  '- [ ] Next up <!-- long-term-plan:id=t_next -->',
+];
+
+test('v2 documents parse blocked and cancelled statuses', () => {
+  const parsed = parsePlanMarkdown(doc('v2', V2_TASKS));
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.plan.formatVersion, 'v2');
+  assert.equal(parsed.plan.tasksById.get('t_wait').status, 'blocked');
+  assert.equal(parsed.plan.tasksById.get('t_drop').status, 'cancelled');
+  assert.deepEqual(validatePlanMarkdown(doc('v2', V2_TASKS)).errors, []);
+});
+
+test('v1 documents reject v2-only status symbols', () => {
+  const text = doc('v1', V2_TASKS);
+  assert.equal(parsePlanMarkdown(text).ok, false);
+  const { errors } = validatePlanMarkdown(text);
+  assert.deepEqual(
+    errors.map((d) => [d.code, d.line]),
+    [
+      ['INVALID_STATUS_SYMBOL', 4],
+      ['INVALID_STATUS_SYMBOL', 5],
+    ]
+  );
+  assert.match(errors[0].message, /requires format v2/);
+
+  const plain = doc('v1', ['- [ ] Task <!-- long-term-plan:id=t_1 -->']);
+  assert.throws(() => applySetStatus(plain, 't_1', 'blocked'), /Status blocked requires format v2/);
+});
+
+test('applySetFormatVersion only swaps the header and refuses unsafe downgrades', () => {
+  const v1 = doc('v1', ['- [ ] Task <!-- long-term-plan:id=t_1 -->']);
+  const upgraded = applySetFormatVersion(v1, 'v2');
+  assert.equal(upgraded.newText, doc('v2', ['- [ ] Task <!-- long-term-plan:id=t_1 -->']));
+  assert.equal(applySetFormatVersion(upgraded.newText, 'v2').changed, false);
+
+  assert.throws(() => applySetFormatVersion(doc('v2', V2_TASKS), 'v1'), /requires format v2/);
+});
+
+test('stats, default targeting, and format opt-in through the api', async () => {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const config = { rootDir, plansDir: '.long-term-plan' };
+  try {
+    await createPlan(config, { planId: 'legacy', title: 'Legacy', template: 'empty' });
+    const { taskId } = await taskAdd(config, { planId: 'legacy', title: 'Old task' });
+    await assert.rejects(
+      () => taskUpdate(config, { planId: 'legacy', taskId, status: 'cancelled' }),
+      /requires format v2/
+    );
+    await planUpdate(config, { planId: 'legacy', format: 'v2' });
+    await taskUpdate(config, { planId: 'legacy', taskId, status: 'cancelled' });
+    const legacyText = await readFile(join(rootDir, '.long-term-plan', 'legacy.md'), 'utf8');
+    assert.ok(legacyText.startsWith('<!-- long-term-plan:format=v2 -->'));
+    assert.ok(legacyText.includes('- [-] Old task'));
+
+    await createPlan(config, { planId: 'modern', title: 'Modern', format: 'v2' });
+    await taskAdd(config, { planId: 'modern', title: 'Stuck', status: 'blocked' });
+    const { taskId: openId } = await taskAdd(config, { planId: 'modern', title: 'Open' });
+
+    const next = await getTask(config, { planId: 'modern' });
+    assert.equal(next.task.id, openId);
+
+    const { plan } = await getPlan(config, { planId: 'modern' });
+    assert.deepEqual(plan.format, { name: 'long-term-plan-md', version: 'v2' });
+    assert.deepEqual(plan.stats, { total: 2, todo: 1, doing: 0, done: 0, blocked: 1, cancelled: 0 });
+
+    const plans = await listPlans(config, {});
+    assert.equal(plans.find((p) => p.planId === 'legacy').stats.cancelled, 1);
+  } finally {
+    await rm(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,208 @@
+/**
+ * Cross-plan `task.transfer` tests.
+ *
+ * Scope:
+ * - move keeps ids and removes the source block
+ * - copy mints fresh ids for every task in the subtree (bodies preserved)
+ * - both etags are enforced and both files stay valid
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { taskTransfer } from '../dist/todo/api.js';
+import { sha256Hex } from '../dist/todo/storage.js';
+import { validatePlanMarkdown } from '../dist/todo/validate.js';
+
+const Q1 = [
+  '<!-- long-term-plan:format=v1 -->',
+  '',
+  '# 2026Q1',
+  '',
+  '## Inbox',
+  '',
+  '- [*] Carry over <!-- long-term-plan:id=t_carry -->',
+  '  > why this slipped',
+  '  - [ ] Sub <!-- long-term-plan:id=t_sub -->',
+  '- [√] Shipped <!-- long-term-plan:id=t_shipped -->',
+  '',
+].join('\n');
+
+const Q2 = ['<!-- long-term-plan:format=v1 -->', '', '# 2026Q2', '', '## Inbox', ''].join('\n');
+
+async function setup() {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  await writeFile(join(plansDir, 'q1.md'), Q1, 'utf8');
+  await writeFile(join(plansDir, 'q2.md'), Q2, 'utf8');
+  return {
+    config: { rootDir, plansDir: '.long-term-plan' },
+    read: (planId) => readFile(join(plansDir, `${planId}.md`), 'utf8'),
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+test('taskTransfer move keeps ids and removes the source subtree', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const result = await taskTransfer(config, {
+      fromPlanId: 'q1',
+      toPlanId: 'q2',
+      taskId: 't_carry',
+      mode: 'move',
+      sectionPath: ['Inbox'],
+      fromIfMatch: sha256Hex(Q1),
+      toIfMatch: sha256Hex(Q2),
+    });
+    assert.equal(result.taskId, 't_carry');
+    assert.deepEqual(result.idMap, { t_carry: 't_carry', t_sub: 't_sub' });
+
+    const q1 = await read('q1');
+    const q2 = await read('q2');
+    assert.equal(result.fromEtag, sha256Hex(q1));
+    assert.equal(result.toEtag, sha256Hex(q2));
+    assert.ok(!q1.includes('t_carry'));
+    assert.ok(!q1.includes('t_sub'));
+    assert.ok(q2.includes('- [*] Carry over <!-- long-term-plan:id=t_carry -->\n  > why this slipped\n  - [ ] Sub'));
+    assert.equal(validatePlanMarkdown(q1).errors.length, 0);
+    assert.equal(validatePlanMarkdown(q2).errors.length, 0);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('taskTransfer copy mints fresh ids and leaves the source untouched', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const result = await taskTransfer(config, {
+      fromPlanId: 'q1',
+      toPlanId: 'q2',
+      taskId: 't_carry',
+      mode: 'copy',
+      fromIfMatch: sha256Hex(Q1),
+      toIfMatch: sha256Hex(Q2),
+    });
+    assert.match(result.taskId, /^t_[a-f0-9]{32}$/);
+    assert.notEqual(result.idMap.t_sub, 't_sub');
+    assert.equal(result.fromEtag, sha256Hex(Q1));
+
+    assert.equal(await read('q1'), Q1);
+    const q2 = await read('q2');
+    assert.ok(q2.includes(`- [*] Carry over <!-- long-term-plan:id=${result.taskId} -->`));
+    assert.ok(q2.includes(`  - [ ] Sub <!-- long-term-plan:id=${result.idMap.t_sub} -->`));
+    assert.ok(q2.includes('  > why this slipped'));
+  } finally {
+    await cleanup();
+  }
+});
+
+test('taskTransfer enforces both etags and refuses id collisions', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    await assert.rejects(
+      () =>
+        taskTransfer(config, {
+          fromPlanId: 'q1',
+          toPlanId: 'q2',
+          taskId: 't_carry',
+          mode: 'move',
+          fromIfMatch: sha256Hex(Q1),
+          toIfMatch: 'stale',
+        }),
+      /CONFLICT: etag mismatch/
+    );
+
+    const clash = Q2.replace('## Inbox\n', '## Inbox\n\n- [ ] Clash <!-- long-term-plan:id=t_shipped -->\n');
+    await writeFile(join(config.rootDir, '.long-term-plan', 'q2.md'), clash, 'utf8');
+    await assert.rejects(
+      () =>
+        taskTransfer(config, {
+          fromPlanId: 'q1',
+          toPlanId: 'q2',
+          taskId: 't_shipped',
+          mode: 'move',
+          fromIfMatch: sha256Hex(Q1),
+          toIfMatch: sha256Hex(clash),
+        }),
+      /Task id already exists in destination: t_shipped/
+    );
+    assert.equal(await read('q1'), Q1);
+    assert.equal(await read('q2'), clash);
+  } finally {
+    await cleanup();
+  }
+});
+
+const DEPS = [
+  '<!-- long-term-plan:format=v1 -->',
+  '',
+  '# Deps',
+  '',
+  '- [ ] Keep <!-- long-term-plan:id=t_keep -->',
+  '- [ ] Go <!-- long-term-plan:id=t_go dependsOn=t_keep -->',
+  '  - [ ] Child <!-- long-term-plan:id=t_child dependsOn=t_go -->',
+  '- [ ] Waits <!-- long-term-plan:id=t_waits dependsOn=t_go,t_keep -->',
+  '',
+].join('\n');
+
+test('taskTransfer keeps dependsOn refs pointing at the same tasks', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    await writeFile(join(config.rootDir, '.long-term-plan', 'deps.md'), DEPS, 'utf8');
+    const copy = await taskTransfer(config, {
+      fromPlanId: 'deps',
+      toPlanId: 'q2',
+      taskId: 't_go',
+      mode: 'copy',
+      fromIfMatch: sha256Hex(DEPS),
+      toIfMatch: sha256Hex(Q2),
+    });
+    const copied = await read('q2');
+    assert.match(copied, new RegExp(`id=${copy.taskId} dependsOn=deps:t_keep -->`));
+    assert.match(copied, new RegExp(`id=${copy.idMap.t_child} dependsOn=${copy.taskId} -->`));
+
+    await taskTransfer(config, {
+      fromPlanId: 'deps',
+      toPlanId: 'q1',
+      taskId: 't_go',
+      mode: 'move',
+      fromIfMatch: sha256Hex(DEPS),
+      toIfMatch: sha256Hex(Q1),
+    });
+    const moved = await read('q1');
+    assert.match(moved, /id=t_go dependsOn=deps:t_keep -->/);
+    assert.match(moved, /id=t_child dependsOn=t_go -->/);
+    assert.match(await read('deps'), /id=t_waits dependsOn=q1:t_go,t_keep -->/);
+    assert.deepEqual(validatePlanMarkdown(moved).warnings, []);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('taskTransfer rejects a move that closes a dependency cycle across plans', async () => {
+  const { config, read, cleanup } = await setup();
+  try {
+    const from = DEPS.replace('id=t_go dependsOn=t_keep', 'id=t_go dependsOn=q2:t_x');
+    const to = Q2 + '- [ ] X <!-- long-term-plan:id=t_x dependsOn=t_go -->\n';
+    await writeFile(join(config.rootDir, '.long-term-plan', 'deps.md'), from, 'utf8');
+    await writeFile(join(config.rootDir, '.long-term-plan', 'q2.md'), to, 'utf8');
+    await assert.rejects(
+      () =>
+        taskTransfer(config, {
+          fromPlanId: 'deps',
+          toPlanId: 'q2',
+          taskId: 't_go',
+          mode: 'move',
+          fromIfMatch: sha256Hex(from),
+          toIfMatch: sha256Hex(to),
+        }),
+      /^Error: Dependency cycle: /
+    );
+    assert.equal(await read('deps'), from);
+    assert.equal(await read('q2'), to);
+  } finally {
+    await cleanup();
+  }
+});
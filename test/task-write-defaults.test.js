@@ -179,7 +179,7 @@ test('task.update requires at least one of status or title', async () => {
   const update = getTool(server, 'task.update');
   await assert.rejects(
     update.handler({ planId: 'demo' }),
-    /At least one of status, title, bodyMarkdown, or clearBody is required/
+    /At least one of status, title, bodyMarkdown, clearBody, or meta is required/
   );
 });
 
@@ -0,0 +1,189 @@
+/**
+ * Plan file watcher: `watchPlans`, CLI `watch`, and MCP resource notifications.
+ */
+import assert from 'node:assert/strict';
+import { access, mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import {
+  ResourceListChangedNotificationSchema,
+  ResourceUpdatedNotificationSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+
+import { createPlan, getPlan, planDelete, taskUpdate } from '../dist/todo/api.js';
+import { watchPlans } from '../dist/todo/watch.js';
+import { runLongTermPlanCli } from '../dist/long-term-plan.js';
+import { attachPlanWatcher, createMcpServer } from '../dist/server.js';
+import { createCapturedIo } from './helpers/captured-io.js';
+
+const PLAN = [
+  '<!-- long-term-plan:format=v1 -->',
+  '',
+  '# P',
+  '',
+  '- [ ] A <!-- long-term-plan:id=t_a -->',
+  '- [ ] B <!-- long-term-plan:id=t_b -->',
+  '',
+].join('\n');
+
+async function setup() {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  await writeFile(join(plansDir, 'p.md'), PLAN, 'utf8');
+  return {
+    config: { rootDir, plansDir: '.long-term-plan' },
+    plansDir,
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+/**
+ * Collect events and wait for the next one (failing after `ms`).
+ */
+function eventQueue() {
+  const events = [];
+  const waiters = [];
+  return {
+    push(event) {
+      const waiter = waiters.shift();
+      if (waiter) waiter(event);
+      else events.push(event);
+    },
+    next(ms = 3000) {
+      if (events.length > 0) return Promise.resolve(events.shift());
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('timed out waiting for a change event')), ms);
+        waiters.push((event) => {
+          clearTimeout(timer);
+          resolve(event);
+        });
+      });
+    },
+    pending: () => events.length,
+  };
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('watchPlans reports added, changed (with task diff), and deleted plans', async () => {
+  const { config, plansDir, cleanup } = await setup();
+  const queue = eventQueue();
+  const watcher = await watchPlans(config, { debounceMs: 20, onChange: queue.push });
+  try {
+    const { etag } = await getPlan(config, { planId: 'p', view: 'flat' });
+    const updated = await taskUpdate(config, { planId: 'p', taskId: 't_a', status: 'done', title: 'A2' });
+    assert.deepEqual(await queue.next(), {
+      planId: 'p',
+      kind: 'changed',
+      etag: updated.etag,
+      previousEtag: etag,
+      tasks: [
+        {
+          taskId: 't_a',
+          changes: [
+            { kind: 'status', from: 'todo', to: 'done' },
+            { kind: 'title', from: 'A', to: 'A2' },
+          ],
+        },
+      ],
+    });
+
+    // Temp files, lockfiles, and rewrites with identical content are ignored.
+    await writeFile(join(plansDir, 'p.md.tmp.123'), 'junk', 'utf8');
+    await writeFile(join(plansDir, 'p.md.lock'), '{}', 'utf8');
+    await rm(join(plansDir, 'p.md.lock'));
+    await writeFile(join(plansDir, 'p.md'), PLAN.replace('[ ] A ', '[√] A2 '), 'utf8');
+    await delay(100);
+    assert.equal(queue.pending(), 0);
+
+    await createPlan(config, { planId: 'q', title: 'Q', template: 'empty' });
+    const added = await queue.next();
+    assert.equal(added.kind, 'added');
+    assert.equal(added.planId, 'q');
+    assert.equal(added.previousEtag, null);
+    assert.deepEqual(added.tasks, []);
+
+    await planDelete(config, { planId: 'q', ifMatch: added.etag });
+    assert.deepEqual(await queue.next(), { planId: 'q', kind: 'deleted', etag: null, previousEtag: added.etag, tasks: [] });
+  } finally {
+    watcher.close();
+    await cleanup();
+  }
+});
+
+test('watchPlans waits for a missing plans directory instead of creating it', async () => {
+  const { config, plansDir, cleanup } = await setup();
+  await rm(plansDir, { recursive: true, force: true });
+  const queue = eventQueue();
+  const watcher = await watchPlans(config, { debounceMs: 20, onChange: queue.push });
+  try {
+    await assert.rejects(() => access(plansDir), { code: 'ENOENT' });
+
+    await createPlan(config, { planId: 'q', title: 'Q', template: 'empty' });
+    const added = await queue.next(5000);
+    const { etag } = await getPlan(config, { planId: 'q' });
+    assert.deepEqual([added.planId, added.kind, added.etag], ['q', 'added', etag]);
+  } finally {
+    watcher.close();
+    await cleanup();
+  }
+});
+
+test('CLI watch streams JSON lines for one plan until aborted', async () => {
+  const { config, plansDir, cleanup } = await setup();
+  try {
+    await writeFile(join(plansDir, 'other.md'), PLAN, 'utf8');
+    const stop = new AbortController();
+    const captured = createCapturedIo();
+    const running = runLongTermPlanCli(['--root', config.rootDir, 'watch', 'p'], { ...captured.io, signal: stop.signal });
+    await delay(100);
+
+    await taskUpdate(config, { planId: 'other', taskId: 't_a', status: 'done' });
+    await taskUpdate(config, { planId: 'p', taskId: 't_b', status: 'doing' });
+    for (let i = 0; i < 50 && !captured.getStdout().includes('\n'); i += 1) await delay(20);
+    stop.abort();
+    assert.equal(await running, 0);
+
+    const lines = captured.getStdout().trim().split('\n').map((line) => JSON.parse(line));
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].planId, 'p');
+    assert.deepEqual(lines[0].tasks, [{ taskId: 't_b', changes: [{ kind: 'status', from: 'todo', to: 'doing' }] }]);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('server sends resource notifications for subscribed plans', async () => {
+  const { config, cleanup } = await setup();
+  const server = createMcpServer(config);
+  const watcher = await attachPlanWatcher(server, config);
+  const client = new Client({ name: 'long-term-plan-test-client', version: '0.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+  await client.connect(clientTransport);
+
+  const queue = eventQueue();
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, (n) => queue.push(n));
+  client.setNotificationHandler(ResourceListChangedNotificationSchema, (n) => queue.push(n));
+  try {
+    assert.deepEqual(client.getServerCapabilities().resources, { listChanged: true, subscribe: true });
+    await client.subscribeResource({ uri: 'long-term-plan://plans/p' });
+
+    await taskUpdate(config, { planId: 'p', taskId: 't_a', status: 'done' });
+    const updated = await queue.next();
+    assert.equal(updated.method, 'notifications/resources/updated');
+    assert.equal(updated.params.uri, 'long-term-plan://plans/p');
+
+    await createPlan(config, { planId: 'q', title: 'Q' });
+    assert.equal((await queue.next()).method, 'notifications/resources/list_changed');
+  } finally {
+    watcher.close();
+    await client.close();
+    await server.close();
+    await cleanup();
+  }
+});
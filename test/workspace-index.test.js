@@ -0,0 +1,152 @@
+/**
+ * Workspace index (`<plansDir>/index.json`) tests.
+ *
+ * The index is a cache keyed by file mtime + size, so these tests check both
+ * that unchanged plans are served from it and that outside edits invalidate it.
+ * Fixtures get an old mtime so their entries are not racy (see below).
+ */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, stat, unlink, utimes, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { listPlans, searchTasks, taskUpdate } from '../dist/todo/api.js';
+import { loadWorkspaceIndex } from '../dist/todo/workspace-index.js';
+
+function plan(title, taskLines) {
+  return ['<!-- long-term-plan:format=v1 -->', '', `# ${title}`, '', ...taskLines, ''].join('\n');
+}
+
+async function setup() {
+  const rootDir = await mkdtemp(join(process.cwd(), '.tmp-long-term-plan-'));
+  const plansDir = join(rootDir, '.long-term-plan');
+  await mkdir(plansDir, { recursive: true });
+  await writeFile(
+    join(plansDir, 'alpha.md'),
+    plan('Alpha', [
+      '## Build',
+      '',
+      '- [ ] Parent <!-- long-term-plan:id=t_p tags=core -->',
+      '  - [*] Child <!-- long-term-plan:id=t_c -->',
+    ]),
+    'utf8'
+  );
+  await writeFile(join(plansDir, 'broken.md'), '# Broken\n\n- [ ] no id\n', 'utf8');
+  const old = new Date(Date.now() - 60_000);
+  for (const name of ['alpha.md', 'broken.md']) await utimes(join(plansDir, name), old, old);
+  return {
+    config: { rootDir, plansDir: '.long-term-plan' },
+    plansDir,
+    readIndex: async () => JSON.parse(await readFile(join(plansDir, 'index.json'), 'utf8')),
+    cleanup: () => rm(rootDir, { recursive: true, force: true }),
+  };
+}
+
+test('loadWorkspaceIndex writes index.json with titles, stats, and task locations', async () => {
+  const { config, plansDir, readIndex, cleanup } = await setup();
+  try {
+    await loadWorkspaceIndex(config);
+    const index = await readIndex();
+    assert.equal(index.version, 2);
+    assert.deepEqual(Object.keys(index.plans).sort(), ['alpha', 'broken']);
+
+    const alpha = index.plans.alpha;
+    const info = await stat(join(plansDir, 'alpha.md'));
+    assert.equal(alpha.mtimeMs, info.mtimeMs);
+    assert.equal(alpha.size, info.size);
+    assert.equal(typeof alpha.indexedAtMs, 'number');
+    assert.equal(alpha.title, 'Alpha');
+    assert.deepEqual(alpha.stats, { total: 2, todo: 1, doing: 1, done: 0, blocked: 0, cancelled: 0 });
+    assert.deepEqual(alpha.tasks, [
+      { taskId: 't_p', line: 7, title: 'Parent', status: 'todo', sectionPath: ['Build'], tags: ['core'] },
+      { taskId: 't_c', line: 8, title: 'Child', status: 'doing', sectionPath: ['Build'], parentId: 't_p' },
+    ]);
+
+    assert.deepEqual(index.plans.broken.tasks, []);
+    assert.match(index.plans.broken.parseError, /^MISSING_FORMAT_HEADER/);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('unchanged plans are served from the index; outside edits invalidate it', async () => {
+  const { config, plansDir, readIndex, cleanup } = await setup();
+  try {
+    await listPlans(config, {});
+
+    // Tamper with the cached entry only: same mtime + size means the cache wins.
+    const index = await readIndex();
+    index.plans.alpha.title = 'Cached';
+    index.plans.alpha.tasks[0].title = 'Cached parent';
+    await writeFile(join(plansDir, 'index.json'), JSON.stringify(index), 'utf8');
+    assert.equal((await listPlans(config, {})).find((p) => p.planId === 'alpha').title, 'Cached');
+    const cachedHits = await searchTasks(config, { query: 'cached' });
+    assert.deepEqual(cachedHits.hits.map((hit) => hit.taskId), ['t_p']);
+
+    // Body searches and filters always read the plan file itself.
+    const bodyHits = await searchTasks(config, { query: 'cached', fields: ['title', 'body'] });
+    assert.deepEqual(bodyHits.hits, []);
+
+    // An outside edit changes mtime/size, so the entry is rebuilt.
+    const alphaPath = join(plansDir, 'alpha.md');
+    await writeFile(alphaPath, plan('Alpha v2', ['- [√] Done <!-- long-term-plan:id=t_d -->']), 'utf8');
+    const later = new Date(Date.now() + 5000);
+    await utimes(alphaPath, later, later);
+    const listed = await listPlans(config, {});
+    assert.deepEqual(
+      listed.map((p) => [p.planId, p.title, p.stats.done]),
+      [
+        ['alpha', 'Alpha v2', 1],
+        ['broken', 'Broken', 0],
+      ]
+    );
+
+    // Tool writes are picked up the same way.
+    await taskUpdate(config, { planId: 'alpha', taskId: 't_d', status: 'todo' });
+    assert.equal((await listPlans(config, {}))[0].stats.todo, 1);
+
+    await unlink(join(plansDir, 'broken.md'));
+    await listPlans(config, {});
+    assert.deepEqual(Object.keys((await readIndex()).plans), ['alpha']);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('a corrupt or outdated index.json is rebuilt', async () => {
+  const { config, plansDir, readIndex, cleanup } = await setup();
+  try {
+    await writeFile(join(plansDir, 'index.json'), '{not json', 'utf8');
+    assert.deepEqual((await listPlans(config, {})).map((p) => p.planId), ['alpha', 'broken']);
+    assert.equal((await readIndex()).plans.alpha.title, 'Alpha');
+
+    await writeFile(join(plansDir, 'index.json'), JSON.stringify({ version: 0, plans: { alpha: {} } }), 'utf8');
+    assert.equal((await listPlans(config, {}))[0].title, 'Alpha');
+    assert.equal((await readIndex()).version, 2);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('entries indexed within two seconds of their mtime are re-read (racy clean)', async () => {
+  const { config, plansDir, readIndex, cleanup } = await setup();
+  try {
+    // Coarse timestamps: a same-size edit right after indexing keeps the old mtime.
+    const alphaPath = join(plansDir, 'alpha.md');
+    const now = new Date(Math.floor(Date.now() / 1000) * 1000);
+    await utimes(alphaPath, now, now);
+    assert.equal((await listPlans(config, {})).find((p) => p.planId === 'alpha').stats.todo, 1);
+
+    const text = await readFile(alphaPath, 'utf8');
+    await writeFile(alphaPath, text.replace('- [ ] Parent', '- [*] Parent'), 'utf8');
+    await utimes(alphaPath, now, now);
+    assert.equal((await readIndex()).plans.alpha.mtimeMs, (await stat(alphaPath)).mtimeMs);
+
+    const alpha = (await listPlans(config, {})).find((p) => p.planId === 'alpha');
+    assert.deepEqual([alpha.stats.todo, alpha.stats.doing], [0, 2]);
+    const hits = await searchTasks(config, { query: 'parent', status: 'doing' });
+    assert.deepEqual(hits.hits.map((hit) => hit.taskId), ['t_p']);
+  } finally {
+    await cleanup();
+  }
+});